@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * Backfill Script
+ * Stores a contract's past calls from a Stacks API - everything that happened
+ * before the chainhook was registered, or while the webhook was unreachable.
+ * Uses the same STACKS_NETWORK / STACKS_API_URL, storage and chainhooks config
+ * as the server. Safe to re-run: events already stored are skipped.
+ * Usage:
+ *   node backfill.js [contract] [options]
+ *
+ * Options:
+ *   --from <height>    Lowest block height to include (default: 0)
+ *   --to <height>      Highest block height to include (default: latest)
+ *   --since-last       Start at the highest block already stored for the contract
+ *   --api-url <url>    Stacks API to read from (default: the network's API)
+ *   --json             Print the totals as JSON (progress messages go to stderr)
+ *
+ * The contract may be omitted when a single contract is monitored.
+ * Exit codes: 0 success, 1 API or operation failure, 2 usage error
+ */
+
+import dotenv from 'dotenv';
+import { networkFromEnv } from './lib/network.js';
+import { chainhookForContract, loadChainhooksConfig, monitoredContracts } from './lib/chainhooks-config.js';
+import { createStorage } from './lib/storage/index.js';
+import { parsePayload } from './lib/chainhook-payload.js';
+import { backfillContract } from './lib/backfill.js';
+dotenv.config();
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const HIRO_API_KEY = process.env.HIRO_API_KEY;
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'sqlite';
+const DATABASE_PATH = process.env.DATABASE_PATH || './data/events.db';
+const CHAINHOOKS_CONFIG = process.env.CHAINHOOKS_CONFIG || './chainhooks.config.json';
+
+// ===== ARGUMENTS =====
+
+const USAGE = 'node backfill.js [contract] [--from <height>] [--to <height>] [--since-last] [--api-url <url>] [--json]';
+const OPTIONS_WITH_VALUES = new Set(['--from', '--to', '--api-url']);
+
+function fail(message, exitCode = EXIT_FAILURE) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    return error;
+}
+
+function parseArgs(argv) {
+    const options = { flags: new Set(), values: {}, positional: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (OPTIONS_WITH_VALUES.has(arg)) {
+            if (argv[i + 1] === undefined) throw fail(`${arg} needs a value\nUsage: ${USAGE}`, EXIT_USAGE);
+            options.values[arg] = argv[++i];
+        } else if (arg.startsWith('-')) {
+            options.flags.add(arg);
+        } else {
+            options.positional.push(arg);
+        }
+    }
+
+    return options;
+}
+
+function parseHeight(value, option) {
+    if (value === undefined) return undefined;
+    const height = Number(value);
+    if (!Number.isInteger(height) || height < 0) throw fail(`${option} must be a block height`, EXIT_USAGE);
+    return height;
+}
+
+// ===== MAIN =====
+
+(async () => {
+    let storage;
+
+    try {
+        const { flags, values, positional } = parseArgs(process.argv.slice(2));
+        if (flags.has('--help') || flags.has('-h')) {
+            console.log(`Usage: ${USAGE}`);
+            return;
+        }
+
+        const jsonOutput = flags.has('--json');
+        const log = jsonOutput ? console.error : console.log;
+        // The payload parser logs as it goes - keep stdout for the JSON document
+        const printJson = console.log;
+        if (jsonOutput) console.log = console.error;
+
+        if (STORAGE_DRIVER === 'memory') {
+            throw fail('STORAGE_DRIVER=memory keeps events inside the server process - use POST /admin/backfill instead', EXIT_USAGE);
+        }
+
+        let network;
+        let hooks;
+        try {
+            network = networkFromEnv();
+            hooks = loadChainhooksConfig({ file: CHAINHOOKS_CONFIG, contractIdentifier: process.env.CONTRACT_IDENTIFIER });
+        } catch (error) {
+            throw fail(error.message, EXIT_USAGE);
+        }
+
+        const contracts = monitoredContracts(hooks);
+        const contractId = positional[0] || (contracts.length === 1 ? contracts[0] : null);
+        if (!contractId) throw fail(`Specify a contract: ${contracts.join(', ')}\nUsage: ${USAGE}`, EXIT_USAGE);
+
+        storage = createStorage({ driver: STORAGE_DRIVER, filename: DATABASE_PATH });
+
+        const toHeight = parseHeight(values['--to'], '--to');
+        const fromHeight = flags.has('--since-last')
+            ? storage.latestBlockHeight({ contractId })
+            : parseHeight(values['--from'], '--from') ?? 0;
+        const apiUrl = (values['--api-url'] || network.apiUrl).replace(/\/+$/, '');
+        const hook = chainhookForContract(hooks, contractId);
+
+        log(`⏪ Backfilling ${contractId} from block ${fromHeight}${toHeight !== undefined ? ` to ${toHeight}` : ''} (${apiUrl})...`);
+
+        const totals = await backfillContract({
+            apiUrl,
+            apiKey: HIRO_API_KEY,
+            contractId,
+            fromHeight,
+            toHeight: toHeight ?? Infinity,
+            parse: (payload) => parsePayload(payload, { hook, fallbackContract: contractId }),
+            storage,
+            onPage: (progress) => log(`   page ${progress.pages}: ${progress.fetched} transactions scanned, ${progress.inserted} new events`)
+        });
+
+        if (jsonOutput) {
+            printJson(JSON.stringify({ contractId, fromHeight, toHeight: toHeight ?? null, ...totals }, null, 2));
+        } else {
+            console.log(`✅ Stored ${totals.inserted} new events (${totals.duplicates} already stored, ${totals.fetched} transactions scanned)`);
+            if (totals.invalid > 0) console.log(`⚠️  Skipped ${totals.invalid} transaction(s) that failed validation`);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = error.exitCode || EXIT_FAILURE;
+    } finally {
+        storage?.close();
+    }
+})();
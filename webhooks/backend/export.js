@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Export Script
+ * Writes stored events as CSV or NDJSON - the same columns as
+ * GET /events/export. Reads the server's database directly.
+ * Usage:
+ *   node export.js [options]
+ *
+ * Options:
+ *   --format <csv|ndjson>   Output format (default: from --out's extension, else csv)
+ *   --out <file>            File to write (default: stdout)
+ *   --contract <id>         Only events of this contract
+ *   --type <type>           Only this event type
+ *   --txid <txid>           Only events of this transaction
+ *   --sender <address>      Only events from this sender
+ *   --method <name>         Only calls of this function
+ *   --success <true|false>  Only successful or failed calls
+ *   --from-block <height>   Lowest block height to include
+ *   --to-block <height>     Highest block height to include
+ *   --since <time>          Received at or after (ISO timestamp or unix time)
+ *   --until <time>          Received before (ISO timestamp or unix time)
+ *   --include-orphaned      Include events from rolled-back blocks
+ *   --sort <timestamp|blockHeight>  Sort field (default: timestamp)
+ *   --order <desc|asc>      Sort order (default: desc)
+ *
+ * Exit codes: 0 success, 1 failure, 2 usage error
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import { createStorage } from './lib/storage/index.js';
+import { parseEventQuery } from './lib/event-query.js';
+import { EXPORT_FORMATS, parseExportFormat, writeExport } from './lib/event-export.js';
+dotenv.config();
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'sqlite';
+const DATABASE_PATH = process.env.DATABASE_PATH || './data/events.db';
+
+// ===== ARGUMENTS =====
+
+const USAGE = 'node export.js [--format csv|ndjson] [--out <file>] [--contract <id>] [--sender <address>] [--method <name>] [--success true|false] [--from-block <height>] [--to-block <height>] [--since <time>] [--until <time>] [--include-orphaned] [--sort <field>] [--order <desc|asc>]';
+
+// Command line options and the /events query parameters they stand for
+const QUERY_OPTIONS = {
+    '--contract': 'contract',
+    '--type': 'type',
+    '--txid': 'txid',
+    '--sender': 'sender',
+    '--method': 'method',
+    '--success': 'success',
+    '--from-block': 'fromBlock',
+    '--to-block': 'toBlock',
+    '--since': 'since',
+    '--until': 'until',
+    '--sort': 'sort',
+    '--order': 'order'
+};
+const OPTIONS_WITH_VALUES = new Set(['--format', '--out', ...Object.keys(QUERY_OPTIONS)]);
+
+function fail(message, exitCode = EXIT_FAILURE) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    return error;
+}
+
+function parseArgs(argv) {
+    const options = { flags: new Set(), values: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (OPTIONS_WITH_VALUES.has(arg)) {
+            if (argv[i + 1] === undefined) throw fail(`${arg} needs a value\nUsage: ${USAGE}`, EXIT_USAGE);
+            options.values[arg] = argv[++i];
+        } else if (arg.startsWith('-')) {
+            options.flags.add(arg);
+        } else {
+            throw fail(`Unexpected argument: ${arg}\nUsage: ${USAGE}`, EXIT_USAGE);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Format from --format, or the extension of --out
+ */
+function chooseFormat(format, out) {
+    if (format) return parseExportFormat(format);
+    const extension = out ? path.extname(out).slice(1).toLowerCase() : '';
+    return Object.keys(EXPORT_FORMATS).find(name => EXPORT_FORMATS[name].extension === extension) || 'csv';
+}
+
+// ===== MAIN =====
+
+(async () => {
+    let storage;
+
+    try {
+        const { flags, values } = parseArgs(process.argv.slice(2));
+        if (flags.has('--help') || flags.has('-h')) {
+            console.log(`Usage: ${USAGE}`);
+            return;
+        }
+
+        const out = values['--out'];
+        // Keep stdout for the export itself when there's no output file
+        const log = out ? console.log : console.error;
+        if (!out) console.log = console.error;
+
+        if (STORAGE_DRIVER === 'memory') {
+            throw fail('STORAGE_DRIVER=memory keeps events inside the server process - use GET /events/export instead', EXIT_USAGE);
+        }
+
+        let format;
+        let query;
+        try {
+            format = chooseFormat(values['--format'], out);
+            const params = Object.fromEntries(Object.entries(QUERY_OPTIONS)
+                .filter(([option]) => values[option] !== undefined)
+                .map(([option, name]) => [name, values[option]]));
+            if (flags.has('--include-orphaned')) params.includeOrphaned = 'true';
+            query = parseEventQuery(params, Infinity);
+        } catch (error) {
+            throw fail(`${error.message}\nUsage: ${USAGE}`, EXIT_USAGE);
+        }
+
+        storage = createStorage({ driver: STORAGE_DRIVER, filename: DATABASE_PATH });
+
+        const output = out ? fs.createWriteStream(out) : process.stdout;
+        // Surface a bad path as a failure before anything is read
+        if (out) await once(output, 'open');
+        const { filters, sort, order } = query;
+        const count = await writeExport(storage, output, { format, filters, sort, order });
+
+        if (out) {
+            output.end();
+            await once(output, 'finish');
+        }
+        log(`✅ Exported ${count} events as ${format}${out ? ` to ${out}` : ''}`);
+    } catch (error) {
+        // The reader of stdout went away (e.g. piped into head) - not a failure
+        if (error.code === 'EPIPE') return;
+        console.error(`❌ ${error.message}`);
+        process.exitCode = error.exitCode || EXIT_FAILURE;
+    } finally {
+        storage?.close();
+    }
+})();
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+/**
+ * Delivery Journal Script
+ * Lists the raw webhook deliveries the server journaled and replays them
+ * through the current payload parser - to pick up parser fixes without
+ * waiting for new on-chain activity. Uses the same storage and chainhooks
+ * config as the server.
+ * Usage:
+ *   node journal.js list [filters]                 - Journaled deliveries, newest first
+ *   node journal.js show <id>                      - One delivery with its headers and body
+ *   node journal.js replay <id...> | [filters]     - Re-run deliveries through the parser, oldest first
+ *
+ * Options:
+ *   --outcome <outcome>   Only deliveries with this outcome (received, accepted, rejected, error)
+ *   --chainhook <name>    Only deliveries of this chainhook (name or UUID)
+ *   --since <time>        Received at or after (ISO timestamp or unix time)
+ *   --until <time>        Received before (ISO timestamp or unix time)
+ *   --limit <n>           Entries listed (default: 50)
+ *   --all                 Replay every journaled delivery
+ *   --overwrite           Rebuild stored events from the new parse instead of only adding missing ones
+ *   --body                With show: print only the raw body (e.g. to save it for replay.js)
+ *   --json                Print machine-readable JSON
+ *
+ * Replays made here are not seen by a running server's dashboards or watched
+ * transactions - use POST /admin/journal/replay for that.
+ * Exit codes: 0 success, 1 failure (or a delivery that could not be replayed), 2 usage error
+ */
+
+import dotenv from 'dotenv';
+import { loadChainhooksConfig } from './lib/chainhooks-config.js';
+import { createStorage } from './lib/storage/index.js';
+import { parseJournalSelection, replayDeliveries } from './lib/delivery-journal.js';
+dotenv.config();
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'sqlite';
+const DATABASE_PATH = process.env.DATABASE_PATH || './data/events.db';
+const CHAINHOOKS_CONFIG = process.env.CHAINHOOKS_CONFIG || './chainhooks.config.json';
+
+// Journal entries read per query while collecting a replay selection
+const PAGE_SIZE = 500;
+
+// ===== ARGUMENTS =====
+
+const USAGE = 'node journal.js list|show <id>|replay <id...> [--outcome <outcome>] [--chainhook <name>] [--since <time>] [--until <time>] [--limit <n>] [--all] [--overwrite] [--body] [--json]';
+const OPTIONS_WITH_VALUES = new Set(['--outcome', '--chainhook', '--since', '--until', '--limit']);
+
+function fail(message, exitCode = EXIT_FAILURE) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    return error;
+}
+
+function parseArgs(argv) {
+    const options = { flags: new Set(), values: {}, positional: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (OPTIONS_WITH_VALUES.has(arg)) {
+            if (argv[i + 1] === undefined) throw fail(`${arg} needs a value\nUsage: ${USAGE}`, EXIT_USAGE);
+            options.values[arg] = argv[++i];
+        } else if (arg.startsWith('-')) {
+            options.flags.add(arg);
+        } else {
+            options.positional.push(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Journal selection from the filter options and entry ids
+ */
+function parseSelection(values, ids = []) {
+    try {
+        return parseJournalSelection({
+            ids: ids.length ? ids.join(',') : undefined,
+            outcome: values['--outcome'],
+            chainhook: values['--chainhook'],
+            since: values['--since'],
+            until: values['--until']
+        });
+    } catch (error) {
+        throw fail(error.message.replace(/^(outcome|since|until)\b/, '--$1'), EXIT_USAGE);
+    }
+}
+
+// ===== OUTPUT =====
+
+function formatSize(bytes) {
+    return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`;
+}
+
+function printEntry(entry) {
+    const status = entry.statusCode ? ` ${entry.statusCode}` : '';
+    const events = entry.eventsNew !== null ? `, ${entry.eventsNew} new` : '';
+    const replays = entry.replayCount ? `, replayed ${entry.replayCount}x` : '';
+    console.log(`#${entry.id}  ${entry.receivedAt}  ${entry.outcome}${status}  ${entry.format || '-'}${events}${replays}`);
+    console.log(`     ${entry.chainhookName || entry.chainhookUuid || 'unknown chainhook'}, ${formatSize(entry.sizeBytes)}${entry.errors.length ? `, ${entry.errors.length} error(s)` : ''}`);
+}
+
+function printReplay(result) {
+    if (!result.ok) {
+        console.log(`❌ #${result.id}: ${result.error}`);
+        return;
+    }
+    console.log(`✅ #${result.id} ${result.format}: ${result.inserted} new, ${result.updated} rebuilt, ${result.duplicates} already stored, ${result.orphaned} orphaned`);
+    for (const error of result.errors) console.log(`   ⚠️  ${error}`);
+}
+
+// ===== COMMANDS =====
+
+function listJournal(storage, { values, jsonOutput }) {
+    const limit = values['--limit'] === undefined ? 50 : Number(values['--limit']);
+    if (!Number.isInteger(limit) || limit < 1) throw fail('--limit must be a positive integer', EXIT_USAGE);
+
+    const entries = storage.listJournal({ ...parseSelection(values), limit });
+    if (jsonOutput) {
+        console.log(JSON.stringify({ entries }, null, 2));
+        return;
+    }
+    console.log(`Found ${entries.length} journaled deliveries\n`);
+    entries.forEach(printEntry);
+}
+
+function showEntry(storage, { positional, flags, jsonOutput }) {
+    const id = Number(positional[0]);
+    if (!Number.isInteger(id) || id < 1) throw fail('Usage: node journal.js show <id>', EXIT_USAGE);
+
+    const entry = storage.getJournalEntry(id);
+    if (!entry) throw fail(`Delivery #${id} is not in the journal`);
+
+    if (flags.has('--body')) {
+        if (entry.body === null) throw fail(`No body was journaled for delivery #${id}`);
+        console.log(entry.body);
+    } else if (jsonOutput) {
+        console.log(JSON.stringify(entry, null, 2));
+    } else {
+        printEntry(entry);
+        for (const error of entry.errors) console.log(`   ⚠️  ${error}`);
+        console.log('\nHeaders:');
+        console.log(JSON.stringify(entry.headers, null, 2));
+        console.log('\nBody:');
+        let body = entry.body ?? '(not journaled)';
+        try {
+            if (entry.body) body = JSON.stringify(JSON.parse(entry.body), null, 2);
+        } catch {
+            // Not JSON - shown as received
+        }
+        console.log(body);
+    }
+}
+
+function replayJournal(storage, { positional, flags, values, jsonOutput }) {
+    let hooks;
+    try {
+        hooks = loadChainhooksConfig({ file: CHAINHOOKS_CONFIG, contractIdentifier: process.env.CONTRACT_IDENTIFIER });
+    } catch (error) {
+        throw fail(error.message, EXIT_USAGE);
+    }
+
+    const selection = parseSelection(values, positional);
+    if (Object.keys(selection).length === 0 && !flags.has('--all')) {
+        throw fail(`Select deliveries with ids, --outcome, --chainhook, --since/--until or --all\nUsage: ${USAGE}`, EXIT_USAGE);
+    }
+
+    // Ids given on their own are replayed as given, so missing ones are reported
+    let ids = selection.ids;
+    if (!ids || Object.keys(selection).length > 1) {
+        ids = [];
+        for (let page; !page || page.length === PAGE_SIZE;) {
+            page = storage.listJournal({ ...selection, order: 'asc', after: ids[ids.length - 1], limit: PAGE_SIZE });
+            ids.push(...page.map(entry => entry.id));
+        }
+    }
+
+    const overwrite = flags.has('--overwrite');
+    const report = replayDeliveries({ storage, ids, hooks, overwrite });
+
+    if (jsonOutput) {
+        console.log(JSON.stringify({ overwrite, ...report }, null, 2));
+    } else {
+        report.results.forEach(printReplay);
+        const { totals } = report;
+        console.log(`\n🔁 Replayed ${report.replayed} deliveries${report.failed ? `, ${report.failed} failed` : ''}: ` +
+            `${totals.inserted} new, ${totals.updated} rebuilt, ${totals.duplicates} already stored event(s)`);
+    }
+    if (report.failed > 0) process.exitCode = EXIT_FAILURE;
+}
+
+// ===== MAIN =====
+
+(() => {
+    let storage;
+
+    try {
+        const { flags, values, positional } = parseArgs(process.argv.slice(2));
+        const [command, ...args] = positional;
+        if (flags.has('--help') || flags.has('-h') || !command) {
+            console.log(`Usage: ${USAGE}`);
+            if (!command && !flags.has('--help') && !flags.has('-h')) process.exitCode = EXIT_USAGE;
+            return;
+        }
+
+        const handlers = { list: listJournal, show: showEntry, replay: replayJournal };
+        if (!handlers[command]) throw fail(`Unknown command "${command}"\nUsage: ${USAGE}`, EXIT_USAGE);
+
+        if (STORAGE_DRIVER === 'memory') {
+            throw fail('STORAGE_DRIVER=memory keeps the journal inside the server process - use the /admin/journal endpoints instead', EXIT_USAGE);
+        }
+        storage = createStorage({ driver: STORAGE_DRIVER, filename: DATABASE_PATH });
+
+        handlers[command](storage, { positional: args, flags, values, jsonOutput: flags.has('--json') });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = error.exitCode || EXIT_FAILURE;
+    } finally {
+        storage?.close();
+    }
+})();
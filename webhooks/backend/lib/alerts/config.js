@@ -0,0 +1,101 @@
+/**
+ * Alert rules configuration
+ * Loads rules and notification targets from a JSON file. Target definitions
+ * may reference environment variables as ${NAME} (see expand-env.js).
+ */
+
+import fs from "fs";
+import { expandEnv } from "../expand-env.js";
+
+export const TARGET_TYPES = ["webhook", "slack", "discord", "email"];
+
+// Event fields a rule can match on
+export const MATCH_FIELDS = ["contract", "method", "sender", "eventType", "success", "resultType", "errorCode", "result"];
+
+function validateTarget(name, target) {
+    if (!TARGET_TYPES.includes(target?.type)) {
+        throw new Error(`Alert target "${name}" needs a type: ${TARGET_TYPES.join(", ")}`);
+    }
+    if (target.type === "email") {
+        if (!target.to) throw new Error(`Alert target "${name}" needs a "to" address`);
+        if (!target.smtp && !process.env.SMTP_URL) {
+            throw new Error(`Alert target "${name}" needs smtp settings (or set SMTP_URL)`);
+        }
+    } else if (!target.url) {
+        throw new Error(`Alert target "${name}" needs a url`);
+    }
+}
+
+function validateRule(rule, index, targets) {
+    const label = rule?.name ? `"${rule.name}"` : `#${index + 1}`;
+
+    if (!rule || typeof rule !== "object") throw new Error(`Alert rule ${label} must be an object`);
+    if (!rule.name || typeof rule.name !== "string") throw new Error(`Alert rule ${label} needs a name`);
+
+    for (const field of Object.keys(rule.match || {})) {
+        if (!MATCH_FIELDS.includes(field)) {
+            throw new Error(`Alert rule ${label} matches on unknown field "${field}" - expected one of: ${MATCH_FIELDS.join(", ")}`);
+        }
+    }
+
+    if (rule.threshold) {
+        const { count, windowBlocks, windowSeconds } = rule.threshold;
+        if (!(count >= 1)) throw new Error(`Alert rule ${label} threshold needs a count of at least 1`);
+        if (!(windowBlocks > 0) && !(windowSeconds > 0)) {
+            throw new Error(`Alert rule ${label} threshold needs windowBlocks or windowSeconds`);
+        }
+    }
+
+    if (!Array.isArray(rule.targets) || rule.targets.length === 0) {
+        throw new Error(`Alert rule ${label} needs at least one target`);
+    }
+    for (const target of rule.targets) {
+        if (!targets[target]) throw new Error(`Alert rule ${label} uses unknown target "${target}"`);
+    }
+}
+
+/**
+ * Load alert rules and targets
+ * A missing file means alerting is off.
+ * @param {object} options
+ * @param {string} options.file - Path to the JSON config file
+ * @returns {{ rules: object[], targets: Object<string, object> }}
+ */
+export function loadAlertsConfig({ file }) {
+    if (!file || !fs.existsSync(file)) {
+        return { rules: [], targets: {} };
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new Error(`Invalid alerts config ${file}: ${error.message}`);
+    }
+
+    const targets = expandEnv(config.targets || {});
+    for (const [name, target] of Object.entries(targets)) {
+        validateTarget(name, target);
+    }
+
+    const rules = config.rules || [];
+    if (!Array.isArray(rules)) throw new Error(`Alerts config ${file} must define a "rules" array`);
+    rules.forEach((rule, index) => validateRule(rule, index, targets));
+
+    const names = new Set();
+    for (const rule of rules) {
+        if (names.has(rule.name)) throw new Error(`Duplicate alert rule name "${rule.name}" in ${file}`);
+        names.add(rule.name);
+    }
+
+    return {
+        rules: rules.map(rule => ({
+            name: rule.name,
+            match: rule.match || {},
+            threshold: rule.threshold || null,
+            cooldownSeconds: rule.cooldownSeconds || 0,
+            targets: rule.targets
+        })),
+        targets
+    };
+}
@@ -0,0 +1,185 @@
+/**
+ * Alerting rules engine
+ * Checks newly stored events against the configured rules and notifies the
+ * rule's targets when one matches - for every matching event, or once a
+ * threshold of matches is reached within a window of blocks or seconds.
+ *
+ * Each alert is recorded in storage under a dedup key (rule + triggering
+ * event), so a redelivered event never alerts twice. While a rule is cooling
+ * down its alerts are recorded as "suppressed" without notifying anyone.
+ * Threshold windows live in memory and start empty after a restart.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { dedupKey } from "../storage/common.js";
+import { clarityToRepr } from "../clarity.js";
+import { createTarget } from "./targets.js";
+
+export { loadAlertsConfig } from "./config.js";
+
+function oneOf(expected, actual) {
+    return Array.isArray(expected) ? expected.includes(actual) : expected === actual;
+}
+
+/**
+ * Whether an event satisfies every condition of a rule's match block
+ */
+export function ruleMatches(match, event) {
+    if (match.contract !== undefined && !oneOf(match.contract, event.contractId)) return false;
+    if (match.method !== undefined && !oneOf(match.method, event.method)) return false;
+    if (match.sender !== undefined && !oneOf(match.sender, event.sender)) return false;
+    if (match.eventType !== undefined && !oneOf(match.eventType, event.eventType)) return false;
+    if (match.success !== undefined && match.success !== event.success) return false;
+    if (match.resultType !== undefined && !oneOf(match.resultType, event.resultType)) return false;
+    if (match.errorCode !== undefined && !oneOf(match.errorCode, event.errorCode)) return false;
+    if (match.result !== undefined && !oneOf(match.result, clarityToRepr(event.result))) return false;
+    return true;
+}
+
+function summarizeEvent(event) {
+    return {
+        txid: event.txid,
+        eventType: event.eventType,
+        contractId: event.contractId,
+        method: event.method,
+        sender: event.sender,
+        success: event.success,
+        errorCode: event.errorCode || null,
+        blockHeight: event.blockHeight
+    };
+}
+
+function describeWindow({ windowBlocks, windowSeconds }) {
+    return windowBlocks ? `${windowBlocks} blocks` : `${windowSeconds}s`;
+}
+
+/**
+ * @param {object} options
+ * @param {object[]} options.rules - Rules from loadAlertsConfig
+ * @param {object} options.targets - Target definitions from loadAlertsConfig
+ * @param {object} options.storage - Event store (records the alert history)
+ */
+export function createAlertEngine({ rules, targets, storage }) {
+    const senders = Object.fromEntries(
+        Object.entries(targets).map(([name, target]) => [name, createTarget(name, target)])
+    );
+    const lastFired = storage.lastAlertTimes();
+    // Rule name -> matching events inside the threshold window
+    const windows = new Map(rules.filter(rule => rule.threshold).map(rule => [rule.name, []]));
+
+    /**
+     * Add a match to a threshold rule's window
+     * @returns {object[]|null} The window's events once the threshold is reached
+     */
+    function addToWindow(rule, event) {
+        const { count, windowBlocks, windowSeconds } = rule.threshold;
+        let window = [...windows.get(rule.name), event];
+
+        if (windowBlocks) {
+            const latest = Math.max(...window.map(e => e.blockHeight || 0));
+            window = window.filter(e => (e.blockHeight || 0) > latest - windowBlocks);
+        } else {
+            // Receive time: a late or redelivered block still counts as it arrives
+            const since = Date.now() - windowSeconds * 1000;
+            window = window.filter(e => Date.parse(e.receivedAt || e.timestamp) >= since);
+        }
+
+        if (window.length >= count) {
+            windows.set(rule.name, []);
+            return window;
+        }
+        windows.set(rule.name, window);
+        return null;
+    }
+
+    function coolingDown(rule, now) {
+        const last = lastFired[rule.name];
+        return Boolean(last) && rule.cooldownSeconds > 0 && now - Date.parse(last) < rule.cooldownSeconds * 1000;
+    }
+
+    async function deliver(rule, alert) {
+        return Promise.all(rule.targets.map(async (name) => {
+            try {
+                await senders[name].send(alert);
+                return { target: name, ok: true, at: new Date().toISOString() };
+            } catch (error) {
+                return { target: name, ok: false, error: error.message, at: new Date().toISOString() };
+            }
+        }));
+    }
+
+    /**
+     * Record an alert and notify the rule's targets (unless it is a duplicate
+     * or the rule is cooling down)
+     */
+    async function fire(rule, matched) {
+        const now = Date.now();
+        const trigger = matched[matched.length - 1];
+        const message = rule.threshold
+            ? `${matched.length} matching events within ${describeWindow(rule.threshold)}`
+            : `${trigger.method || trigger.eventType} on ${trigger.contractId || "unknown contract"}`;
+
+        const alert = {
+            id: uuidv4(),
+            rule: rule.name,
+            status: coolingDown(rule, now) ? "suppressed" : "fired",
+            dedupKey: `${rule.name}|${dedupKey(trigger)}`,
+            firedAt: new Date(now).toISOString(),
+            message,
+            events: matched.map(summarizeEvent),
+            deliveries: []
+        };
+
+        if (!storage.recordAlert(alert)) return null;
+        if (alert.status === "suppressed") return alert;
+
+        lastFired[rule.name] = alert.firedAt;
+        alert.deliveries = await deliver(rule, alert);
+        storage.updateAlertDeliveries(alert.id, alert.deliveries);
+        return alert;
+    }
+
+    async function run(events) {
+        const alerts = [];
+
+        for (const event of events) {
+            if (event.canonical === false || event.parseError) continue;
+
+            for (const rule of rules) {
+                if (!ruleMatches(rule.match, event)) continue;
+
+                const matched = rule.threshold ? addToWindow(rule, event) : [event];
+                if (!matched) continue;
+
+                const alert = await fire(rule, matched);
+                if (alert) alerts.push(alert);
+            }
+        }
+
+        return alerts;
+    }
+
+    // Batches are processed one at a time, in arrival order
+    let queue = Promise.resolve();
+
+    return {
+        enabled: rules.length > 0,
+
+        /**
+         * Run newly stored events through the rules
+         * @returns {Promise<object[]>} Alerts recorded (fired or suppressed)
+         */
+        process(events) {
+            const result = queue.then(() => run(events));
+            queue = result.catch(() => {});
+            return result;
+        },
+
+        /**
+         * Configured rules with the time each last fired
+         */
+        describeRules() {
+            return rules.map(rule => ({ ...rule, lastFiredAt: lastFired[rule.name] || null }));
+        }
+    };
+}
@@ -0,0 +1,85 @@
+/**
+ * Analytics query parameters and time-series shaping for /analytics
+ */
+
+import { parseEventFilters } from "./event-query.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Selectable windows (null = all stored events)
+export const ANALYTICS_WINDOWS = {
+    "24h": DAY_MS,
+    "7d": 7 * DAY_MS,
+    "30d": 30 * DAY_MS,
+    "all": null
+};
+export const ANALYTICS_BUCKETS = ["hour", "day", "block"];
+
+const MAX_TOP_SENDERS = 100;
+// Longest time series that gets empty buckets filled in
+const MAX_FILLED_BUCKETS = 2000;
+
+function invalid(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Start of the hour or day a time falls in
+ */
+function bucketStart(time, bucket) {
+    const size = bucket === "day" ? DAY_MS : HOUR_MS;
+    return Math.floor(time / size) * size;
+}
+
+/**
+ * Analytics query: window, bucket, top senders and the /events filters
+ * Throws (with status 400) on malformed values.
+ */
+export function parseAnalyticsQuery(query) {
+    const window = query.window || "7d";
+    if (!(window in ANALYTICS_WINDOWS)) {
+        throw invalid(`window must be one of: ${Object.keys(ANALYTICS_WINDOWS).join(", ")}`);
+    }
+
+    const bucket = query.bucket || (window === "24h" ? "hour" : "day");
+    if (!ANALYTICS_BUCKETS.includes(bucket)) throw invalid(`bucket must be one of: ${ANALYTICS_BUCKETS.join(", ")}`);
+
+    const top = query.top === undefined ? 10 : Number(query.top);
+    if (!Number.isInteger(top) || top < 1) throw invalid("top must be a positive integer");
+
+    const filters = parseEventFilters(query);
+    const duration = ANALYTICS_WINDOWS[window];
+    // An explicit ?since= wins over the window
+    if (duration && !filters.since) {
+        const start = bucket === "block" ? Date.now() - duration : bucketStart(Date.now() - duration, bucket);
+        filters.since = new Date(start).toISOString();
+    }
+
+    return { window, bucket, top: Math.min(top, MAX_TOP_SENDERS), filters };
+}
+
+/**
+ * Add empty hour/day buckets so charts show quiet periods
+ * Block series are returned as they are (only blocks with activity).
+ */
+export function fillTimeSeries(series, { bucket, since, until }) {
+    if (bucket === "block" || (series.length === 0 && !since)) return series;
+
+    const size = bucket === "day" ? DAY_MS : HOUR_MS;
+    const start = bucketStart(since ? Date.parse(since) : Date.parse(series[0].bucket), bucket);
+    const end = bucketStart(until ? Date.parse(until) - 1 : Date.now(), bucket);
+    if ((end - start) / size > MAX_FILLED_BUCKETS) return series;
+
+    const byBucket = new Map(series.map(entry => [entry.bucket, entry]));
+    const filled = [];
+    for (let time = start; time <= end; time += size) {
+        const key = new Date(time).toISOString();
+        filled.push(byBucket.get(key) || {
+            bucket: key, total: 0, successful: 0, failed: 0, uniqueSenders: 0, newSenders: 0, returningSenders: 0
+        });
+    }
+    return filled;
+}
@@ -0,0 +1,122 @@
+/**
+ * Historical backfill
+ * Pages through a contract's transactions on a Stacks API (newest first) and
+ * stores the ones we missed - before the chainhook was registered, or while
+ * the webhook was unreachable. Transactions are run through the same payload
+ * parser as webhook deliveries; events already stored are skipped.
+ *
+ * Only contract calls are backfilled: the address transactions endpoint
+ * doesn't include receipt events (print, STX/FT/NFT).
+ */
+
+const PAGE_SIZE = 50; // Largest page the Stacks API returns
+const MAX_RETRIES = 5;
+const RETRY_DELAY_MS = 2000;
+const REQUEST_TIMEOUT_MS = 30000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Stacks API transaction -> transaction in the direct `transactions`
+ * payload format (payload-parsers/transactions.js)
+ */
+export function toPayloadTransaction(tx) {
+    return {
+        tx_id: tx.tx_id,
+        tx_index: tx.tx_index,
+        sender_address: tx.sender_address,
+        nonce: tx.nonce,
+        fee_rate: tx.fee_rate,
+        block_height: tx.block_height,
+        // Chainhook identifies blocks by their index block hash
+        block_hash: tx.index_block_hash,
+        // block_time is only reported by newer API versions
+        block_time: tx.block_time ?? tx.burn_block_time,
+        type: "contract_call",
+        contract_identifier: tx.contract_call.contract_id,
+        function_name: tx.contract_call.function_name,
+        function_args: tx.contract_call.function_args || [],
+        tx_result: tx.tx_result || null,
+        success: tx.tx_status === "success"
+    };
+}
+
+/**
+ * Fetch one page of an address's transactions, retrying timeouts, rate
+ * limits and server errors
+ */
+async function fetchPage({ apiUrl, apiKey, contractId, offset, timeoutMs, retryDelayMs }) {
+    const url = `${apiUrl}/extended/v1/address/${contractId}/transactions?limit=${PAGE_SIZE}&offset=${offset}`;
+    const headers = apiKey ? { "x-api-key": apiKey } : {};
+
+    for (let attempt = 1; ; attempt++) {
+        let error;
+        try {
+            // The timeout covers reading the body too
+            const response = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+            if (response.ok) return await response.json();
+
+            const errorText = await response.text();
+            error = new Error(`HTTP ${response.status}: ${errorText.slice(0, 200)}`);
+            error.retryable = response.status === 429 || response.status >= 500;
+        } catch (fetchError) {
+            if (fetchError.name !== "TimeoutError") throw fetchError;
+            error = new Error(`Stacks API did not respond within ${timeoutMs}ms`);
+            error.retryable = true;
+        }
+
+        if (!error.retryable || attempt >= MAX_RETRIES) throw error;
+        await sleep(retryDelayMs * attempt);
+    }
+}
+
+/**
+ * Backfill a contract's calls within a block range
+ * @param {object} options
+ * @param {string} options.apiUrl - Stacks API base URL
+ * @param {string} options.apiKey - Optional Hiro API key (higher rate limits)
+ * @param {string} options.contractId - Contract to backfill
+ * @param {number} options.fromHeight - Lowest block height to include (default: 0)
+ * @param {number} options.toHeight - Highest block height to include (default: no limit)
+ * @param {function} options.parse - payload -> { events, errors } (parsePayload for the contract's hook)
+ * @param {object} options.storage - Event store to merge into
+ * @param {function} options.onPage - Optional progress callback, called with the running totals
+ * @param {number} options.timeoutMs - How long to wait for each page (default: 30s)
+ * @param {number} options.retryDelayMs - Delay before the first retry, growing with each attempt (default: 2s)
+ * @returns {Promise<{ pages: number, fetched: number, matched: number, inserted: number, duplicates: number,
+ *   invalid: number }>} invalid counts transactions the parser rejected
+ */
+export async function backfillContract({
+    apiUrl, apiKey, contractId, fromHeight = 0, toHeight = Infinity, parse, storage, onPage,
+    timeoutMs = REQUEST_TIMEOUT_MS, retryDelayMs = RETRY_DELAY_MS
+}) {
+    const totals = { pages: 0, fetched: 0, matched: 0, inserted: 0, duplicates: 0, invalid: 0 };
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const page = await fetchPage({ apiUrl, apiKey, contractId, offset, timeoutMs, retryDelayMs });
+        const results = page.results || [];
+        totals.pages++;
+        totals.fetched += results.length;
+
+        const transactions = results
+            .filter(tx => tx.block_height >= fromHeight && tx.block_height <= toHeight)
+            .filter(tx => tx.tx_type === "contract_call" && tx.contract_call?.contract_id === contractId)
+            .map(toPayloadTransaction)
+            .reverse(); // Store oldest first, like live deliveries
+
+        if (transactions.length > 0) {
+            const { events, errors } = parse({ transactions });
+            const { inserted, duplicates } = storage.applyChainUpdate({ events });
+            totals.matched += events.length;
+            totals.invalid += errors.length;
+            totals.inserted += inserted;
+            totals.duplicates += duplicates;
+        }
+
+        onPage?.({ ...totals });
+
+        // Newest first: stop once the page reaches below the range
+        const oldest = results[results.length - 1]?.block_height ?? 0;
+        if (results.length < PAGE_SIZE || oldest < fromHeight) return totals;
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * Chainhook payload parsing
+ * Each payload format has a parser in a registry (lib/payload-parsers/). The
+ * first parser that recognizes a payload turns it into events of the
+ * normalized schema (event-schema.js) and lists the blocks it applies and
+ * rolls back.
+ *
+ * Parsing is strict: an item (transaction or event) that doesn't yield valid
+ * events is reported as an error and nothing of it is stored, and a payload
+ * no parser recognizes is an error as a whole.
+ *
+ * A parser is { format, detect(payload), parse(payload, context),
+ * appliedBlocks(payload), rollbackBlocks?(payload) }. parse() calls
+ * context.item(path, build) once per item, where build() returns the item's
+ * event fields (see createEvent) and may throw; context.defaultContract is
+ * the contract assumed for calls that don't name one.
+ */
+
+import { eventMatchesFilters } from "./event-types.js";
+import { createEvent, validateEvent } from "./event-schema.js";
+import applyParser from "./payload-parsers/apply.js";
+import eventsParser from "./payload-parsers/events.js";
+import transactionsParser from "./payload-parsers/transactions.js";
+
+const parsers = [];
+
+/**
+ * Add a payload format - parsers are tried in registration order
+ */
+export function registerPayloadParser(parser) {
+    if (parsers.some(p => p.format === parser.format)) {
+        throw new Error(`A parser for "${parser.format}" payloads is already registered`);
+    }
+    parsers.push(parser);
+}
+
+registerPayloadParser(eventsParser);
+registerPayloadParser(applyParser);
+registerPayloadParser(transactionsParser);
+
+/**
+ * Registered payload formats, in the order they're tried
+ */
+export function payloadFormats() {
+    return parsers.map(parser => parser.format);
+}
+
+function findParser(payload) {
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) return null;
+    return parsers.find(parser => parser.detect(payload)) || null;
+}
+
+/**
+ * Which registered format a payload is in, or "unknown"
+ */
+export function payloadFormat(payload) {
+    return findParser(payload)?.format || "unknown";
+}
+
+const validBlock = (block) => Number.isInteger(block.blockHeight) && block.blockHeight > 0;
+
+/**
+ * Parse a delivery (or any payload in a registered format)
+ * @param {object} payload - Delivery body
+ * @param {object} options
+ * @param {object} options.hook - Configured chainhook that sent it; events outside its filters are dropped
+ * @param {string} options.fallbackContract - Contract assumed when neither the payload nor the hook names one
+ * @param {string} options.receivedAt - When the payload was received (default: now - replays pass the original time)
+ * @returns {{ format: string, events: object[], appliedBlocks: object[], rollbackBlocks: object[],
+ *   errors: string[], ignored: number }} format is "unknown" (with an error) when no parser
+ *   recognizes the payload; ignored counts valid events outside the hook's filters
+ */
+export function parsePayload(payload, { hook = null, fallbackContract = null, receivedAt = new Date().toISOString() } = {}) {
+    const result = { format: "unknown", events: [], appliedBlocks: [], rollbackBlocks: [], errors: [], ignored: 0 };
+
+    const parser = findParser(payload);
+    if (!parser) {
+        result.errors.push(`Unrecognized payload: expected one of the ${payloadFormats().join(", ")} formats`);
+        return result;
+    }
+    result.format = parser.format;
+
+    const defaultContract = hook?.filters.find(f => f.contract_identifier)?.contract_identifier || fallbackContract;
+
+    const item = (path, build) => {
+        let events;
+        try {
+            events = build().map(fields => createEvent(fields, receivedAt));
+        } catch (error) {
+            result.errors.push(`${path}: ${error.message}`);
+            return;
+        }
+
+        const problems = [...new Set(events.flatMap(validateEvent))];
+        if (problems.length > 0) {
+            result.errors.push(`${path}: ${problems.join("; ")}`);
+            return;
+        }
+
+        // Keep only the event types / contracts this chainhook is configured for
+        const matching = hook ? events.filter(event => eventMatchesFilters(event, hook.filters)) : events;
+        result.ignored += events.length - matching.length;
+        result.events.push(...matching);
+    };
+
+    try {
+        parser.parse(payload, { defaultContract, item });
+
+        // One occurrence per distinct block (items of blocks without a height were reported above)
+        const distinct = new Map(parser.appliedBlocks(payload).filter(validBlock)
+            .map(block => [`${block.blockHeight}:${block.blockHash}`, block]));
+        result.appliedBlocks = [...distinct.values()];
+
+        // Rolled-back blocks without a height can't be matched to stored events
+        (parser.rollbackBlocks?.(payload) || []).forEach((block, i) => {
+            if (validBlock(block)) result.rollbackBlocks.push(block);
+            else result.errors.push(`rollback[${i}]: block height must be a positive integer`);
+        });
+    } catch (error) {
+        // Malformed structure around the items (e.g. a block that isn't an object)
+        result.errors.push(`${parser.format} payload: ${error.message}`);
+    }
+
+    return result;
+}
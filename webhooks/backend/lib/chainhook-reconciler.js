@@ -0,0 +1,237 @@
+/**
+ * Chainhook reconciliation
+ * Brings the chainhooks registered with Hiro in line with the configured ones:
+ * existing hooks are matched by UUID, name or filter fingerprint and updated
+ * or re-enabled only when needed, missing ones are created, and leftover hooks
+ * are deleted. The UUID in use for each configured hook is recorded in a state
+ * file so restarts reuse it.
+ *
+ * Only hooks owned by this server are ever matched or deleted: ones recorded
+ * in the state file, configured by UUID, or delivering to our webhook URL.
+ * Another deployment sharing the account (and the hook names) is left alone.
+ *
+ * Nothing is created when the existing hooks can't be listed - a failed sync
+ * is retried on the next one instead of leaving duplicates behind.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { chainhookName, chainhookWebhookUrl } from "./chainhooks-api.js";
+
+// Statuses of hooks that stopped delivering and need to be re-enabled
+const STOPPED_STATUSES = ["interrupted", "expired"];
+
+/**
+ * JSON with sorted object keys, so equal definitions compare equal
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+    if (value && typeof value === "object") {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+function hash(value) {
+    return crypto.createHash("sha256").update(canonicalJson(value)).digest("hex");
+}
+
+/**
+ * What a hook selects and where it delivers - used to recognize a hook
+ * even after it was renamed
+ */
+function contentFingerprint(definition) {
+    return hash({
+        network: definition?.network,
+        filters: definition?.filters,
+        url: definition?.action?.url
+    });
+}
+
+/**
+ * Everything we push, including the authorization header
+ */
+function fullFingerprint(definition) {
+    return hash({
+        name: definition?.name,
+        network: definition?.network,
+        filters: definition?.filters,
+        action: definition?.action
+    });
+}
+
+/**
+ * Whether the registered hook differs from the predicate we want
+ * The API may not echo the authorization header, so it is compared through
+ * the fingerprint recorded at the last push.
+ */
+function needsUpdate(remote, predicate, recordedFingerprint) {
+    const definition = remote.definition || {};
+
+    if (chainhookName(remote) !== predicate.name) return true;
+    if (contentFingerprint(definition) !== contentFingerprint(predicate)) return true;
+    if (definition.action?.authorization_header !== undefined
+        && definition.action.authorization_header !== predicate.action.authorization_header) {
+        return true;
+    }
+    return recordedFingerprint !== fullFingerprint(predicate);
+}
+
+/**
+ * Best hook to keep among several candidates: enabled, then still
+ * delivering, then newest
+ */
+function rankHooks(a, b) {
+    const score = (hook) => (hook.status?.enabled ? 2 : 0) + (STOPPED_STATUSES.includes(hook.status?.status) ? 0 : 1);
+    return score(b) - score(a) || (b.status?.created_at ?? 0) - (a.status?.created_at ?? 0);
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.api - Client from createChainhooksApi
+ * @param {string} options.stateFile - Where the active UUIDs are recorded
+ */
+export function createChainhookReconciler({ api, stateFile }) {
+    function loadState() {
+        try {
+            const saved = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+            return { chainhooks: saved.chainhooks || {}, orphans: saved.orphans || [] };
+        } catch {
+            return { chainhooks: {}, orphans: [] };
+        }
+    }
+
+    function saveState(state) {
+        fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+        fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+    }
+
+    /**
+     * Find the registered hook for a configured one among our own hooks
+     */
+    function match(hook, predicate, remoteHooks, recordedUuid) {
+        const byUuid = remoteHooks.find(r => r.uuid === recordedUuid)
+            || remoteHooks.find(r => hook.uuid && r.uuid === hook.uuid);
+
+        const fingerprint = contentFingerprint(predicate);
+        const similar = remoteHooks
+            .filter(r => chainhookName(r) === hook.name || contentFingerprint(r.definition) === fingerprint)
+            .sort(rankHooks);
+
+        return { active: byUuid || similar[0] || null };
+    }
+
+    async function createHook(predicate) {
+        const created = await api.create(predicate);
+        const uuid = created?.uuid || created?.id;
+        if (!uuid) throw new Error("Chainhook created but no UUID returned");
+        return uuid;
+    }
+
+    /**
+     * Sync one configured hook against its registered counterpart
+     * @returns {{ uuid: string, action: "created"|"updated"|"unchanged", reenabled: boolean }}
+     */
+    async function syncHook(predicate, remote, recordedFingerprint) {
+        if (!remote) {
+            return { uuid: await createHook(predicate), action: "created", reenabled: false };
+        }
+
+        let action = "unchanged";
+        if (needsUpdate(remote, predicate, recordedFingerprint)) {
+            try {
+                await api.update(remote.uuid, predicate);
+                action = "updated";
+            } catch (error) {
+                // Deleted between listing and updating
+                if (error.status !== 404) throw error;
+                return { uuid: await createHook(predicate), action: "created", reenabled: false };
+            }
+        }
+
+        let reenabled = false;
+        if (remote.status && (!remote.status.enabled || STOPPED_STATUSES.includes(remote.status.status))) {
+            await api.setEnabled(remote.uuid, true);
+            reenabled = true;
+        }
+
+        return { uuid: remote.uuid, action, reenabled };
+    }
+
+    return {
+        /**
+         * Reconcile the configured hooks with the registered ones
+         * Sets `hook.uuid` on every hook that is in sync.
+         * @param {Array<{name: string, uuid?: string}>} hooks - Configured chainhooks
+         * @param {function} buildPredicate - hook -> predicate to register
+         * @param {string} webhookUrl - Our delivery URL; hooks posting to it are ours
+         * @returns {Promise<{ results: object[], deleted: string[], errors: string[] }>}
+         */
+        async reconcile(hooks, buildPredicate, webhookUrl) {
+            const state = loadState();
+            const report = { results: [], deleted: [], errors: [] };
+
+            let remoteHooks;
+            try {
+                remoteHooks = await api.listAll();
+            } catch (error) {
+                const message = `Could not list chainhooks: ${error.message}`;
+                report.results = hooks.map(hook => ({ name: hook.name, uuid: hook.uuid || null, ok: false, error: message }));
+                return report;
+            }
+
+            // Ours: recorded by an earlier sync, configured by UUID, or delivering to this server
+            const ownedUuids = new Set([
+                ...Object.values(state.chainhooks).map(entry => entry.uuid),
+                ...state.orphans,
+                ...hooks.map(hook => hook.uuid).filter(Boolean)
+            ]);
+            const ownHooks = remoteHooks.filter(r => ownedUuids.has(r.uuid) || chainhookWebhookUrl(r) === webhookUrl);
+
+            const claimed = new Set();
+            const nextState = { chainhooks: {}, orphans: [] };
+
+            for (const hook of hooks) {
+                const predicate = buildPredicate(hook);
+                const recorded = state.chainhooks[hook.name];
+                const unclaimed = ownHooks.filter(r => !claimed.has(r.uuid));
+                const { active } = match(hook, predicate, unclaimed, recorded?.uuid);
+                if (active) claimed.add(active.uuid);
+
+                try {
+                    const result = await syncHook(predicate, active, recorded && recorded.uuid === active?.uuid ? recorded.fingerprint : null);
+                    hook.uuid = result.uuid;
+                    claimed.add(result.uuid);
+                    nextState.chainhooks[hook.name] = {
+                        uuid: result.uuid,
+                        fingerprint: fullFingerprint(predicate),
+                        syncedAt: new Date().toISOString()
+                    };
+                    report.results.push({ name: hook.name, ok: true, ...result });
+                } catch (error) {
+                    if (active) hook.uuid = active.uuid;
+                    // Keep the old record so the hook is still recognized next time
+                    if (recorded) nextState.chainhooks[hook.name] = recorded;
+                    report.results.push({ name: hook.name, uuid: active?.uuid || null, ok: false, error: error.message });
+                }
+            }
+
+            // Our hooks no configured one kept: duplicates and leftovers
+            const orphans = ownHooks.filter(r => !claimed.has(r.uuid));
+
+            for (const orphan of orphans) {
+                try {
+                    await api.remove(orphan.uuid);
+                    report.deleted.push(orphan.uuid);
+                } catch (error) {
+                    nextState.orphans.push(orphan.uuid);
+                    report.errors.push(`Could not delete chainhook ${orphan.uuid}: ${error.message}`);
+                }
+            }
+
+            saveState(nextState);
+            return report;
+        }
+    };
+}
@@ -0,0 +1,105 @@
+/**
+ * Hiro Chainhooks API client
+ * Thin wrapper over the user-scoped chainhooks endpoints of the selected
+ * network. Failed requests throw an Error carrying the HTTP `status`.
+ */
+
+const PAGE_LIMIT = 60; // Largest page the API returns
+
+/**
+ * Name of a chainhook as returned by the API (the definition holds it)
+ */
+export function chainhookName(hook) {
+    return hook?.definition?.name || hook?.name || "Unnamed";
+}
+
+/**
+ * Webhook URL a chainhook delivers to
+ */
+export function chainhookWebhookUrl(hook) {
+    return hook?.definition?.action?.url || hook?.action?.url || null;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.baseUrl - Chainhooks endpoint (network.chainhooksUrl)
+ * @param {string} options.apiKey - Hiro API key
+ */
+export function createChainhooksApi({ baseUrl, apiKey }) {
+    async function request(method, path = "", body) {
+        const headers = { "x-api-key": apiKey };
+        if (body !== undefined) headers["Content-Type"] = "application/json";
+
+        const response = await fetch(`${baseUrl}/${path}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            const error = new Error(`HTTP ${response.status}: ${errorText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        if (response.status === 204) return null;
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * Path of one chainhook - the UUID may come from user input, so it can't
+     * reach into other paths or the query
+     */
+    function hookPath(uuid, suffix = "") {
+        return `${encodeURIComponent(uuid)}${suffix}`;
+    }
+
+    /**
+     * One page of chainhooks: { total, limit, offset, results }
+     */
+    function listPage({ offset = 0, limit = PAGE_LIMIT } = {}) {
+        return request("GET", `?offset=${offset}&limit=${limit}`);
+    }
+
+    return {
+        listPage,
+
+        /**
+         * Every chainhook, following pagination
+         */
+        async listAll() {
+            const hooks = [];
+            for (let offset = 0; ; offset += PAGE_LIMIT) {
+                const page = await listPage({ offset });
+                const results = page?.results || [];
+                hooks.push(...results);
+                if (results.length < PAGE_LIMIT || hooks.length >= (page.total ?? 0)) return hooks;
+            }
+        },
+
+        get(uuid) {
+            return request("GET", hookPath(uuid));
+        },
+
+        create(definition) {
+            return request("POST", "", definition);
+        },
+
+        /**
+         * Partial update of a chainhook definition
+         */
+        update(uuid, changes) {
+            return request("PATCH", hookPath(uuid), changes);
+        },
+
+        setEnabled(uuid, enabled) {
+            return request("PATCH", hookPath(uuid, "/enabled"), { enabled });
+        },
+
+        remove(uuid) {
+            return request("DELETE", hookPath(uuid));
+        }
+    };
+}
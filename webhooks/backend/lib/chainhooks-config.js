@@ -0,0 +1,114 @@
+/**
+ * Declarative chainhook configuration
+ * Loads the named chainhooks (and their filters) the server should keep
+ * registered. Without a config file a single hook is derived from
+ * CONTRACT_IDENTIFIER, matching the original behavior.
+ */
+
+import fs from "fs";
+
+/**
+ * Hook used when no config file exists: all contract calls to one contract
+ */
+function defaultChainhooks(contractIdentifier, uuid) {
+    return [{
+        name: `Monitor ${contractIdentifier}`,
+        uuid,
+        filters: [
+            {
+                type: "contract_call",
+                contract_identifier: contractIdentifier,
+                method: "*" // Listen to ALL methods
+            }
+        ]
+    }];
+}
+
+function validateChainhook(hook, index) {
+    const label = hook?.name ? `"${hook.name}"` : `#${index + 1}`;
+
+    if (!hook || typeof hook !== "object") throw new Error(`Chainhook ${label} must be an object`);
+    if (!hook.name || typeof hook.name !== "string") throw new Error(`Chainhook ${label} needs a name`);
+    if (!Array.isArray(hook.filters) || hook.filters.length === 0) {
+        throw new Error(`Chainhook ${label} needs at least one filter`);
+    }
+    for (const filter of hook.filters) {
+        if (!filter?.type) throw new Error(`Chainhook ${label} has a filter without a type`);
+    }
+}
+
+/**
+ * Load chainhook definitions
+ * @param {object} options
+ * @param {string} options.file - Path to the JSON config file
+ * @param {string} options.contractIdentifier - Fallback contract when the file doesn't exist
+ * @param {string} options.uuid - Fallback chainhook UUID (CHAINHOOK_UUID)
+ * @returns {Array<{name: string, uuid?: string, filters: object[]}>}
+ */
+export function loadChainhooksConfig({ file, contractIdentifier, uuid }) {
+    if (!file || !fs.existsSync(file)) {
+        if (!contractIdentifier) {
+            throw new Error(`No chainhooks config found at ${file} and CONTRACT_IDENTIFIER is not set`);
+        }
+        return defaultChainhooks(contractIdentifier, uuid);
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new Error(`Invalid chainhooks config ${file}: ${error.message}`);
+    }
+
+    const hooks = Array.isArray(config) ? config : config.chainhooks;
+    if (!Array.isArray(hooks) || hooks.length === 0) {
+        throw new Error(`Chainhooks config ${file} must define a non-empty "chainhooks" array`);
+    }
+
+    hooks.forEach(validateChainhook);
+
+    const names = new Set();
+    for (const hook of hooks) {
+        if (names.has(hook.name)) throw new Error(`Duplicate chainhook name "${hook.name}" in ${file}`);
+        names.add(hook.name);
+    }
+
+    return hooks.map(hook => ({ name: hook.name, uuid: hook.uuid, filters: hook.filters }));
+}
+
+/**
+ * Configured chainhook whose filters cover a contract (null if none does)
+ */
+export function chainhookForContract(hooks, contractId) {
+    return hooks.find(hook => hook.filters.some(filter =>
+        filter.contract_identifier === contractId || filter.asset_identifier?.split("::")[0] === contractId
+    )) || null;
+}
+
+/**
+ * Configured chainhook a delivery belongs to, matched by the UUID or name in
+ * the payload. Falls back to the only hook when a single one is configured.
+ */
+export function chainhookForPayload(hooks, payload) {
+    const uuid = payload?.chainhook?.uuid;
+    const name = payload?.chainhook?.name || payload?.chainhook?.predicate?.name;
+
+    return hooks.find(hook => (uuid && hook.uuid === uuid) || (name && hook.name === name))
+        || (hooks.length === 1 ? hooks[0] : null);
+}
+
+/**
+ * Every contract referenced by the configured filters
+ */
+export function monitoredContracts(hooks) {
+    const contracts = new Set();
+
+    for (const hook of hooks) {
+        for (const filter of hook.filters) {
+            if (filter.contract_identifier) contracts.add(filter.contract_identifier);
+            if (filter.asset_identifier) contracts.add(filter.asset_identifier.split("::")[0]);
+        }
+    }
+
+    return [...contracts];
+}
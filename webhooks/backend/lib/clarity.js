@@ -0,0 +1,380 @@
+/**
+ * Clarity value decoding
+ * Turns Clarity values - either their repr (`(ok u5)`, `'SP...`) or their
+ * consensus serialization (`0x0701...`, in Stacks API `hex` fields) - into
+ * typed JSON:
+ *
+ *   { type: "uint", value: "5" }          { type: "int", value: "-3" }
+ *   { type: "bool", value: true }         { type: "principal", value: "SP...[.name]" }
+ *   { type: "none" }                      { type: "some", value: <cv> }
+ *   { type: "ok", value: <cv> }           { type: "err", value: <cv> }
+ *   { type: "buffer", value: "0x..." }    { type: "list", value: [<cv>, ...] }
+ *   { type: "tuple", value: { key: <cv>, ... } }
+ *   { type: "string-ascii", value: "..." } { type: "string-utf8", value: "..." }
+ *
+ * Integers are strings so 128-bit values survive JSON.
+ */
+
+import crypto from "crypto";
+
+// ===== C32 ADDRESSES =====
+
+const C32_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+function sha256(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest();
+}
+
+function c32encode(bytes) {
+    let value = BigInt(`0x${bytes.toString("hex") || "0"}`);
+    let encoded = "";
+
+    while (value > 0n) {
+        encoded = C32_ALPHABET[Number(value % 32n)] + encoded;
+        value /= 32n;
+    }
+
+    // Each leading zero byte is kept as a leading "0"
+    for (const byte of bytes) {
+        if (byte !== 0) break;
+        encoded = `0${encoded}`;
+    }
+
+    return encoded;
+}
+
+/**
+ * Stacks address for a version byte and hash160 (c32check encoding)
+ */
+export function c32address(version, hash160) {
+    const checksum = sha256(sha256(Buffer.concat([Buffer.from([version]), hash160]))).subarray(0, 4);
+    return `S${C32_ALPHABET[version]}${c32encode(Buffer.concat([hash160, checksum]))}`;
+}
+
+// ===== SERIALIZED (HEX) VALUES =====
+
+const MAX_DEPTH = 64;
+
+function readerFor(bytes) {
+    let offset = 0;
+
+    const take = (length) => {
+        if (offset + length > bytes.length) throw new Error("Unexpected end of Clarity value");
+        const slice = bytes.subarray(offset, offset + length);
+        offset += length;
+        return slice;
+    };
+
+    return {
+        take,
+        byte: () => take(1)[0],
+        uint32: () => take(4).readUInt32BE(0),
+        done: () => offset === bytes.length
+    };
+}
+
+function readInt128(bytes, signed) {
+    let value = BigInt(`0x${bytes.toString("hex")}`);
+    if (signed && value >= 1n << 127n) value -= 1n << 128n;
+    return value.toString();
+}
+
+function readPrincipal(reader) {
+    const version = reader.byte();
+    return c32address(version, reader.take(20));
+}
+
+function readValue(reader, depth = 0) {
+    if (depth > MAX_DEPTH) throw new Error("Clarity value nested too deeply");
+
+    const type = reader.byte();
+    switch (type) {
+        case 0x00:
+            return { type: "int", value: readInt128(reader.take(16), true) };
+        case 0x01:
+            return { type: "uint", value: readInt128(reader.take(16), false) };
+        case 0x02:
+            return { type: "buffer", value: `0x${reader.take(reader.uint32()).toString("hex")}` };
+        case 0x03:
+            return { type: "bool", value: true };
+        case 0x04:
+            return { type: "bool", value: false };
+        case 0x05:
+            return { type: "principal", value: readPrincipal(reader) };
+        case 0x06: {
+            const address = readPrincipal(reader);
+            const name = reader.take(reader.byte()).toString("ascii");
+            return { type: "principal", value: `${address}.${name}` };
+        }
+        case 0x07:
+            return { type: "ok", value: readValue(reader, depth + 1) };
+        case 0x08:
+            return { type: "err", value: readValue(reader, depth + 1) };
+        case 0x09:
+            return { type: "none" };
+        case 0x0a:
+            return { type: "some", value: readValue(reader, depth + 1) };
+        case 0x0b: {
+            const length = reader.uint32();
+            const items = [];
+            for (let i = 0; i < length; i++) items.push(readValue(reader, depth + 1));
+            return { type: "list", value: items };
+        }
+        case 0x0c: {
+            const length = reader.uint32();
+            const entries = {};
+            for (let i = 0; i < length; i++) {
+                const key = reader.take(reader.byte()).toString("ascii");
+                entries[key] = readValue(reader, depth + 1);
+            }
+            return { type: "tuple", value: entries };
+        }
+        case 0x0d:
+            return { type: "string-ascii", value: reader.take(reader.uint32()).toString("ascii") };
+        case 0x0e:
+            return { type: "string-utf8", value: reader.take(reader.uint32()).toString("utf8") };
+        default:
+            throw new Error(`Unknown Clarity type prefix 0x${type.toString(16).padStart(2, "0")}`);
+    }
+}
+
+/**
+ * Decode a serialized Clarity value (hex, with or without 0x)
+ */
+export function decodeClarityHex(hex) {
+    const clean = String(hex).replace(/^0x/i, "");
+    if (!/^([0-9a-f]{2})+$/i.test(clean)) throw new Error("Invalid Clarity hex");
+
+    const reader = readerFor(Buffer.from(clean, "hex"));
+    const value = readValue(reader);
+    if (!reader.done()) throw new Error("Trailing bytes after Clarity value");
+    return value;
+}
+
+// ===== REPR VALUES =====
+
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const char = input[i];
+
+        if (/\s|,/.test(char)) {
+            i++;
+        } else if ("(){}:".includes(char)) {
+            tokens.push(char);
+            i++;
+        } else if (char === "\"" || (char === "u" && input[i + 1] === "\"")) {
+            // String literal: "ascii" or u"utf8", with backslash escapes
+            const utf8 = char === "u";
+            let j = utf8 ? i + 2 : i + 1;
+            let text = "";
+            while (j < input.length && input[j] !== "\"") {
+                if (input[j] === "\\" && j + 1 < input.length) {
+                    const next = input[j + 1];
+                    text += next === "n" ? "\n" : next === "t" ? "\t" : next;
+                    j += 2;
+                } else {
+                    text += input[j++];
+                }
+            }
+            if (j >= input.length) throw new Error("Unterminated Clarity string");
+            tokens.push({ string: text, utf8 });
+            i = j + 1;
+        } else {
+            let j = i;
+            while (j < input.length && !/[\s,(){}:"]/.test(input[j])) j++;
+            tokens.push(input.slice(i, j));
+            i = j;
+        }
+    }
+
+    return tokens;
+}
+
+const PRINCIPAL_PATTERN = /^'?(S[0-9A-Z]{28,41}(\.[a-zA-Z][a-zA-Z0-9\-_]*)?)$/;
+
+function parseAtom(token) {
+    if (typeof token === "object") {
+        return { type: token.utf8 ? "string-utf8" : "string-ascii", value: token.string };
+    }
+    if (/^u\d+$/.test(token)) return { type: "uint", value: BigInt(token.slice(1)).toString() };
+    if (/^-?\d+$/.test(token)) return { type: "int", value: BigInt(token).toString() };
+    if (token === "true" || token === "false") return { type: "bool", value: token === "true" };
+    if (token === "none") return { type: "none" };
+    if (/^0x([0-9a-f]{2})*$/i.test(token)) return { type: "buffer", value: token.toLowerCase() };
+
+    const principal = token.match(PRINCIPAL_PATTERN);
+    if (principal) return { type: "principal", value: principal[1] };
+
+    throw new Error(`Unrecognized Clarity token: ${token}`);
+}
+
+function parseRepr(tokens, depth = 0) {
+    if (depth > MAX_DEPTH) throw new Error("Clarity value nested too deeply");
+
+    const token = tokens.shift();
+    if (token === undefined) throw new Error("Unexpected end of Clarity value");
+
+    const expect = (expected) => {
+        const next = tokens.shift();
+        if (next !== expected) throw new Error(`Expected "${expected}" in Clarity value`);
+    };
+
+    // Tuple shorthand: { key: value, ... }
+    if (token === "{") {
+        const entries = {};
+        while (tokens[0] !== "}") {
+            const key = tokens.shift();
+            if (typeof key !== "string") throw new Error("Invalid tuple key");
+            expect(":");
+            entries[key] = parseRepr(tokens, depth + 1);
+        }
+        expect("}");
+        return { type: "tuple", value: entries };
+    }
+
+    if (token !== "(") return parseAtom(token);
+
+    const head = tokens.shift();
+    let value;
+
+    switch (head) {
+        case "ok":
+        case "err":
+        case "some":
+            value = { type: head, value: parseRepr(tokens, depth + 1) };
+            break;
+        case "list": {
+            const items = [];
+            while (tokens[0] !== ")") {
+                if (tokens.length === 0) throw new Error("Unterminated Clarity list");
+                items.push(parseRepr(tokens, depth + 1));
+            }
+            value = { type: "list", value: items };
+            break;
+        }
+        case "tuple": {
+            const entries = {};
+            while (tokens[0] !== ")") {
+                expect("(");
+                const key = tokens.shift();
+                entries[key] = parseRepr(tokens, depth + 1);
+                expect(")");
+            }
+            value = { type: "tuple", value: entries };
+            break;
+        }
+        default:
+            throw new Error(`Unknown Clarity expression: (${head} ...)`);
+    }
+
+    expect(")");
+    return value;
+}
+
+/**
+ * Decode a Clarity value repr such as `(ok (tuple (count u5)))`
+ */
+export function decodeClarityRepr(repr) {
+    const tokens = tokenize(String(repr).trim());
+    const value = parseRepr(tokens);
+    if (tokens.length > 0) throw new Error("Trailing tokens after Clarity value");
+    return value;
+}
+
+// ===== HELPERS =====
+
+/**
+ * Decode a Clarity value
+ * Strings are read as repr, so a buffer literal such as `0x03` stays a buffer
+ * even when its bytes happen to form a valid serialization. Serialized hex is
+ * only read from Stacks API objects ({ hex, repr }); use decodeClarityHex for
+ * other fields known to hold a serialization.
+ * Returns null when the input can't be decoded.
+ */
+export function decodeClarityValue(input) {
+    if (input === null || input === undefined || input === "") return null;
+    if (typeof input === "object") {
+        if (input.hex) {
+            try {
+                return decodeClarityHex(input.hex);
+            } catch {
+                // Fall back to the repr
+            }
+        }
+        return decodeClarityValue(input.repr);
+    }
+
+    try {
+        return decodeClarityRepr(input);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Render a decoded value back to Clarity repr (for display)
+ */
+export function clarityToRepr(cv) {
+    if (!cv) return "";
+    switch (cv.type) {
+        case "uint":
+            return `u${cv.value}`;
+        case "int":
+        case "bool":
+        case "buffer":
+            return String(cv.value);
+        case "principal":
+            return `'${cv.value}`;
+        case "none":
+            return "none";
+        case "some":
+        case "ok":
+        case "err":
+            return `(${cv.type} ${clarityToRepr(cv.value)})`;
+        case "list":
+            return cv.value.length ? `(list ${cv.value.map(clarityToRepr).join(" ")})` : "(list)";
+        case "tuple":
+            return `{${Object.entries(cv.value).map(([key, value]) => `${key}: ${clarityToRepr(value)}`).join(", ")}}`;
+        case "string-ascii":
+            return JSON.stringify(cv.value);
+        case "string-utf8":
+            return `u${JSON.stringify(cv.value)}`;
+        default:
+            return "";
+    }
+}
+
+/**
+ * Outcome of a contract call from its decoded result
+ * @returns {{ resultType: "ok"|"err"|null, errorCode: string|null }}
+ */
+export function describeResult(cv) {
+    if (cv?.type === "ok") return { resultType: "ok", errorCode: null };
+    if (cv?.type === "err") return { resultType: "err", errorCode: clarityToRepr(cv.value) };
+    return { resultType: null, errorCode: null };
+}
+
+/**
+ * Decode the arguments and result of a contract call
+ * Arguments may be repr strings or Stacks API objects ({ name, hex, repr })
+ */
+export function decodeContractCall({ args, result } = {}) {
+    const decodedResult = decodeClarityValue(result);
+
+    const decodedArgs = (Array.isArray(args) ? args : []).map(arg => {
+        const name = typeof arg === "object" && arg !== null ? arg.name || null : null;
+        const cv = decodeClarityValue(arg);
+        return cv
+            ? { name, ...cv }
+            : { name, type: "unknown", value: typeof arg === "object" ? arg?.repr ?? null : String(arg) };
+    });
+
+    return {
+        args: decodedArgs,
+        result: decodedResult,
+        ...describeResult(decodedResult)
+    };
+}
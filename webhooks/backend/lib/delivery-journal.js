@@ -0,0 +1,155 @@
+/**
+ * Delivery journal
+ * Every authorized webhook delivery is journaled raw - headers, body and
+ * receive time - before it's parsed, along with its outcome. Replaying an entry runs its body
+ * through the current payload parser and stores the result the way a
+ * redelivery from Hiro would be: missing events are added and rolled-back
+ * blocks orphaned. With `overwrite`, stored copies of the events are rebuilt
+ * from the new parse, which picks up parser fixes.
+ *
+ * Replayed events are not forwarded and don't fire alerts, like backfilled ones.
+ */
+
+import { chainhookForPayload, monitoredContracts } from "./chainhooks-config.js";
+import { parsePayload } from "./chainhook-payload.js";
+import { parseEventFilters } from "./event-query.js";
+
+// What became of a delivery; "received" entries were still being processed
+// (or crashed the process)
+export const JOURNAL_OUTCOMES = ["received", "accepted", "rejected", "error"];
+
+// Headers carrying credentials are journaled without their value
+const REDACTED_HEADERS = new Set(["authorization", "proxy-authorization", "cookie", "x-api-key"]);
+
+function invalid(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function parseIds(value) {
+    if (value === undefined || value === "") return undefined;
+    const ids = (Array.isArray(value) ? value : String(value).split(",")).map(Number);
+    if (!ids.every(id => Number.isInteger(id) && id > 0)) throw invalid("ids must be journal entry ids");
+    return ids;
+}
+
+/**
+ * Journal selection from query parameters or a replay request body
+ * ?ids (list or comma-separated), outcome, chainhook, since, until, before
+ * Throws (with status 400) on malformed values.
+ */
+export function parseJournalSelection(query = {}) {
+    if (query.outcome && !JOURNAL_OUTCOMES.includes(query.outcome)) {
+        throw invalid(`outcome must be one of: ${JOURNAL_OUTCOMES.join(", ")}`);
+    }
+    // Repeated query parameters arrive as arrays
+    if (query.chainhook !== undefined && typeof query.chainhook !== "string") throw invalid("chainhook must be given once");
+    const before = query.before === undefined || query.before === "" ? undefined : Number(query.before);
+    if (before !== undefined && !(Number.isInteger(before) && before > 0)) throw invalid("before must be a journal entry id");
+
+    const { since, until } = parseEventFilters({ since: query.since, until: query.until });
+    const selection = {
+        ids: parseIds(query.ids),
+        outcome: query.outcome || undefined,
+        chainhook: query.chainhook || undefined,
+        since,
+        until,
+        before
+    };
+
+    return Object.fromEntries(Object.entries(selection).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Request headers as journaled, with credentials redacted
+ */
+export function journalHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+        name,
+        REDACTED_HEADERS.has(name.toLowerCase()) ? "[redacted]" : value
+    ]));
+}
+
+/**
+ * Parse and store one journaled delivery
+ * @returns {{ result: object, update: object|null }} The replay result (as
+ *   recorded on the entry) and the storage update, when anything was stored
+ */
+function replayEntry(entry, { storage, hooks, overwrite }) {
+    const result = { id: entry.id, replayedAt: new Date().toISOString(), ok: false };
+
+    if (!entry.body) {
+        return { result: { ...result, error: "No body was journaled for this delivery" }, update: null };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(entry.body);
+    } catch (error) {
+        return { result: { ...result, error: `Body is not valid JSON: ${error.message}` }, update: null };
+    }
+
+    // The hook it was received for, even if the payload doesn't name one
+    const hook = hooks.find(h => h.name === entry.chainhookName) || chainhookForPayload(hooks, payload);
+    const { format, events, rollbackBlocks, errors } = parsePayload(payload, {
+        hook,
+        fallbackContract: monitoredContracts(hooks)[0],
+        receivedAt: entry.receivedAt
+    });
+
+    if (format === "unknown") {
+        return { result: { ...result, format, errors, error: errors[0] }, update: null };
+    }
+
+    const update = storage.applyChainUpdate({ rollbackBlocks, events, overwrite });
+    return {
+        result: {
+            ...result,
+            ok: true,
+            format,
+            events: events.length,
+            inserted: update.inserted,
+            updated: update.updated,
+            duplicates: update.duplicates,
+            orphaned: update.orphaned,
+            errors
+        },
+        update: { ...update, rollbackBlocks }
+    };
+}
+
+/**
+ * Replay journaled deliveries through the current parser, oldest first
+ * @param {object} options
+ * @param {object} options.storage - Event store holding the journal
+ * @param {number[]} options.ids - Journal entries to replay
+ * @param {object[]} options.hooks - Configured chainhooks (parser filters and default contract)
+ * @param {boolean} options.overwrite - Rebuild stored events from the new parse
+ * @param {function} options.onStored - Called with each storage update ({ rollbackBlocks, orphaned, insertedEvents, ... })
+ * @returns {{ replayed: number, failed: number, totals: object, results: object[] }}
+ */
+export function replayDeliveries({ storage, ids, hooks, overwrite = false, onStored }) {
+    const totals = { events: 0, inserted: 0, updated: 0, duplicates: 0, orphaned: 0, invalid: 0 };
+    const results = [];
+
+    for (const id of [...new Set(ids)].sort((a, b) => a - b)) {
+        const entry = storage.getJournalEntry(id);
+        if (!entry) {
+            results.push({ id, ok: false, error: "Not in the journal" });
+            continue;
+        }
+
+        const { result, update } = replayEntry(entry, { storage, hooks, overwrite });
+        storage.recordJournalReplay(id, result);
+        results.push(result);
+
+        if (!result.ok) continue;
+        for (const name of ["events", "inserted", "updated", "duplicates", "orphaned"]) totals[name] += result[name];
+        totals.invalid += result.errors.length;
+        onStored?.(update);
+    }
+
+    const failed = results.filter(result => !result.ok).length;
+    return { replayed: results.length - failed, failed, totals, results };
+}
@@ -0,0 +1,157 @@
+/**
+ * Event exports
+ * Writes a filtered set of events as CSV or NDJSON, a page at a time, so
+ * exports of any size use the same memory. Both formats share one flat set
+ * of columns: every NDJSON line has the same keys and value types, which
+ * loads straight into columnar tools (DuckDB, pandas, Parquet converters).
+ */
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+    ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" }
+};
+
+// Column names are part of the export format - add new ones at the end
+export const EXPORT_COLUMNS = [
+    "id",
+    "txid",
+    "event_index",
+    "block_height",
+    "block_hash",
+    "received_at",
+    "contract_id",
+    "event_type",
+    "method",
+    "sender",
+    "success",
+    "status",
+    "result_type",
+    "error_code",
+    "args",
+    "result",
+    "details",
+    "schema_version",
+    "block_time",
+    "tx_index",
+    "nonce",
+    "fee"
+];
+
+// Events read from storage per query
+const PAGE_SIZE = 500;
+
+function formatError(format) {
+    const error = new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Export format from a query value, defaulting to CSV
+ * Throws (with status 400) on an unknown format.
+ */
+export function parseExportFormat(value) {
+    const format = (value || "csv").toLowerCase();
+    if (!(format in EXPORT_FORMATS)) throw formatError(format);
+    return format;
+}
+
+/**
+ * Flat export row for a stored event
+ * Nested values (decoded arguments, result, details) are JSON strings so
+ * every column holds a scalar.
+ */
+export function toExportRow(event) {
+    return {
+        id: event.id,
+        txid: event.txid,
+        event_index: event.eventIndex ?? 0,
+        block_height: event.blockHeight ?? null,
+        block_hash: event.blockHash ?? null,
+        received_at: event.receivedAt ?? event.timestamp,
+        contract_id: event.contractId,
+        event_type: event.eventType,
+        method: event.method ?? null,
+        sender: event.sender ?? null,
+        success: Boolean(event.success),
+        status: event.canonical === false ? "orphaned" : "canonical",
+        result_type: event.resultType ?? null,
+        error_code: event.errorCode ?? null,
+        args: JSON.stringify(event.args ?? []),
+        result: event.result ? JSON.stringify(event.result) : null,
+        details: event.details ? JSON.stringify(event.details) : null,
+        schema_version: event.schemaVersion ?? 1,
+        block_time: event.blockTime ?? null,
+        tx_index: event.txIndex ?? null,
+        nonce: event.nonce ?? null,
+        fee: event.fee ?? null
+    };
+}
+
+/**
+ * Resolves once a stream can take more data, or has closed
+ */
+function waitForDrain(output) {
+    return new Promise((resolve, reject) => {
+        const done = (error) => {
+            output.off("drain", done);
+            output.off("close", done);
+            output.off("error", done);
+            if (error instanceof Error) reject(error); else resolve();
+        };
+        output.on("drain", done);
+        output.on("close", done);
+        output.on("error", done);
+    });
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function csvLine(values) {
+    return `${values.map(csvField).join(",")}\r\n`;
+}
+
+/**
+ * Every stored event matching the filters, read page by page
+ * Pages follow the same keyset position as /events cursors, so events stored
+ * during an export don't shift it.
+ */
+export function* iterateEvents(storage, { filters = {}, sort = "timestamp", order = "desc", pageSize = PAGE_SIZE } = {}) {
+    let after = null;
+    for (;;) {
+        const page = storage.listEvents({ ...filters, sort, order, after, limit: pageSize });
+        yield* page;
+        if (page.length < pageSize) return;
+        const last = page[page.length - 1];
+        after = { seq: last.seq, value: sort === "blockHeight" ? last.blockHeight : last.timestamp };
+    }
+}
+
+/**
+ * Write an export to a writable stream (an HTTP response or a file)
+ * Waits for the stream to drain whenever its buffer fills, and stops early
+ * when the stream is closed (e.g. the client went away).
+ * @returns {Promise<number>} Number of events written
+ */
+export async function writeExport(storage, output, { format = "csv", filters, sort, order } = {}) {
+    if (!(format in EXPORT_FORMATS)) throw formatError(format);
+
+    if (format === "csv" && !output.write(csvLine(EXPORT_COLUMNS))) await waitForDrain(output);
+
+    let count = 0;
+    for (const event of iterateEvents(storage, { filters, sort, order })) {
+        if (output.destroyed) break;
+        const row = toExportRow(event);
+        const line = format === "csv"
+            ? csvLine(EXPORT_COLUMNS.map(column => row[column]))
+            : `${JSON.stringify(row)}\n`;
+        count++;
+        if (!output.write(line)) await waitForDrain(output);
+    }
+
+    return count;
+}
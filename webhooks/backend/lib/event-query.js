@@ -0,0 +1,124 @@
+/**
+ * Event query parameters
+ * Turns the query string of /events (and /stats) into storage filters,
+ * sorting and a keyset cursor. Cursors encode the position of the last event
+ * of a page - (sort value, insertion sequence) - so events stored while a
+ * client is paging don't shift the pages. The sort value is the timestamp
+ * (block time) or the block height.
+ */
+
+export const SORT_FIELDS = ["timestamp", "blockHeight"];
+export const SORT_ORDERS = ["desc", "asc"];
+
+function invalid(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Reject repeated (?contract=a&contract=b) or nested parameters - they
+ * arrive as arrays or objects
+ */
+function checkSingleValues(query, names) {
+    for (const name of names) {
+        const value = query[name];
+        if (value !== undefined && typeof value !== "string") throw invalid(`${name} must be given once`);
+    }
+}
+
+function parseInteger(value, name) {
+    if (value === undefined || value === "") return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) throw invalid(`${name} must be a non-negative integer`);
+    return number;
+}
+
+function parseBoolean(value, name) {
+    if (value === undefined || value === "") return undefined;
+    if (value !== "true" && value !== "false") throw invalid(`${name} must be true or false`);
+    return value === "true";
+}
+
+/**
+ * ISO timestamp, or unix seconds / milliseconds
+ */
+function parseTime(value, name) {
+    if (value === undefined || value === "") return undefined;
+    const time = /^\d+$/.test(value)
+        ? Number(value) * (value.length <= 10 ? 1000 : 1)
+        : Date.parse(value);
+    // Out-of-range unix times parse but aren't valid dates
+    if (!Number.isFinite(new Date(time).getTime())) throw invalid(`${name} must be an ISO timestamp or unix time`);
+    return new Date(time).toISOString();
+}
+
+/**
+ * Storage filters from query parameters
+ * ?contract, type, txid, sender, method, success, fromBlock, toBlock, since, until
+ * Throws (with status 400) on malformed values.
+ */
+export function parseEventFilters(query) {
+    checkSingleValues(query, ["contract", "type", "txid", "sender", "method", "success", "fromBlock", "toBlock", "since", "until"]);
+    const filters = {
+        contractId: query.contract || undefined,
+        eventType: query.type || undefined,
+        txid: query.txid || undefined,
+        sender: query.sender || undefined,
+        method: query.method || undefined,
+        success: parseBoolean(query.success, "success"),
+        fromBlock: parseInteger(query.fromBlock, "fromBlock"),
+        toBlock: parseInteger(query.toBlock, "toBlock"),
+        since: parseTime(query.since, "since"),
+        until: parseTime(query.until, "until")
+    };
+
+    return Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Opaque cursor pointing just past an event
+ */
+export function encodeCursor(event, { sort, order }) {
+    const position = { sort, order, seq: event.seq, value: sort === "blockHeight" ? event.blockHeight : event.timestamp };
+    return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+function decodeCursor(cursor, { sort, order }) {
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch {
+        throw invalid("Invalid cursor");
+    }
+    if (!Number.isInteger(position?.seq)) throw invalid("Invalid cursor");
+    if (position.sort !== sort || position.order !== order) {
+        throw invalid("Cursor was issued for a different sort - start again without it");
+    }
+    // Timestamp cursors from before they carried the timestamp
+    if (sort === "timestamp" && typeof position.value !== "string") {
+        throw invalid("Cursor has expired - start again without it");
+    }
+    return { seq: position.seq, value: position.value };
+}
+
+/**
+ * Full /events query: filters, page size, sorting and position
+ * @param {object} query - Request query string
+ * @param {number} maxLimit - Largest page size allowed
+ */
+export function parseEventQuery(query, maxLimit) {
+    checkSingleValues(query, ["sort", "order", "limit", "cursor", "includeOrphaned"]);
+    const sort = query.sort || "timestamp";
+    const order = query.order || "desc";
+    if (!SORT_FIELDS.includes(sort)) throw invalid(`sort must be one of: ${SORT_FIELDS.join(", ")}`);
+    if (!SORT_ORDERS.includes(order)) throw invalid(`order must be one of: ${SORT_ORDERS.join(", ")}`);
+
+    return {
+        filters: { ...parseEventFilters(query), includeOrphaned: query.includeOrphaned === "true" },
+        limit: Math.min(parseInteger(query.limit, "limit") || 50, maxLimit),
+        sort,
+        order,
+        after: query.cursor ? decodeCursor(query.cursor, { sort, order }) : null
+    };
+}
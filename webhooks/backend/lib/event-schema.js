@@ -0,0 +1,139 @@
+/**
+ * Normalized event schema
+ * Every payload parser produces events in this shape, whatever format the
+ * delivery came in. The schema version is stored with each event and bumped
+ * whenever fields are added or change meaning. Events stored under version 1
+ * have no block time, transaction index, fee or nonce, and their timestamp is
+ * the time they were received.
+ *
+ * @typedef {object} ChainEvent
+ * @property {string} id - Unique id assigned when the event is parsed
+ * @property {number} schemaVersion - EVENT_SCHEMA_VERSION at parse time
+ * @property {string} txid - 0x-prefixed transaction id (64 hex characters)
+ * @property {number|null} txIndex - Position of the transaction in its block
+ * @property {string} sender - Address (or contract principal) that sent the transaction
+ * @property {number|null} nonce - Sender nonce of the transaction
+ * @property {string|null} fee - Fee paid, in microSTX, as a decimal string
+ * @property {number} blockHeight - Stacks block height
+ * @property {string|null} blockHash - 0x-prefixed block hash
+ * @property {string|null} blockTime - Block time (ISO 8601)
+ * @property {number} eventIndex - 0 for the contract call itself, receipt events from 1
+ * @property {string} eventType - One of EVENT_TYPES (event-types.js)
+ * @property {string|null} contractId - Contract called, or that emitted the event or defines its asset
+ * @property {string|null} method - Function called; null when the transaction isn't a contract call
+ * @property {boolean} success - false when the transaction failed or returned (err ...)
+ * @property {object[]} args - Decoded call arguments (clarity.js)
+ * @property {object|null} result - Decoded call result
+ * @property {"ok"|"err"|null} resultType - Kind of response the call returned
+ * @property {string|null} errorCode - Clarity repr of the (err ...) value
+ * @property {object|null} details - Receipt event data: assetId, sender, recipient, amount, topic, value
+ * @property {string} timestamp - Block time, or the receive time when the payload has none
+ * @property {string} receivedAt - When the event was parsed (ISO 8601)
+ * @property {object} raw - Payload fragment the event was parsed from
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { EVENT_TYPES } from "./event-types.js";
+
+export const EVENT_SCHEMA_VERSION = 2;
+
+const TXID_PATTERN = /^0x[0-9a-f]{64}$/i;
+const HASH_PATTERN = /^0x[0-9a-f]+$/i;
+// Standard or contract principal (c32 alphabet)
+const PRINCIPAL_PATTERN = /^S[0-9A-HJKMNP-TV-Z]{28,41}(\.[a-zA-Z][a-zA-Z0-9_-]{0,127})?$/;
+const CONTRACT_PATTERN = /^S[0-9A-HJKMNP-TV-Z]{28,41}\.[a-zA-Z][a-zA-Z0-9_-]{0,127}$/;
+
+// Event types emitted by a contract - these always name one
+const CONTRACT_EVENT_TYPES = ["contract_call", "print_event"];
+
+/**
+ * ISO time from unix seconds, unix milliseconds or a date string
+ * Returns null when the value is missing; throws when it isn't a time.
+ */
+export function toIsoTime(value) {
+    if (value === undefined || value === null || value === "") return null;
+
+    let time;
+    if (typeof value === "number" || /^\d+$/.test(value)) {
+        const number = Number(value);
+        // Unix seconds until the year 33658
+        time = number < 1e12 ? number * 1000 : number;
+    } else {
+        time = Date.parse(value);
+    }
+    if (!Number.isFinite(time)) throw new Error(`invalid time "${value}"`);
+    return new Date(time).toISOString();
+}
+
+/**
+ * Fee or amount as a decimal string (null when missing)
+ */
+export function toAmount(value) {
+    return value === undefined || value === null ? null : String(value);
+}
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Schema violations of an event - an empty list when it's valid
+ */
+export function validateEvent(event) {
+    const problems = [];
+    const check = (ok, message) => {
+        if (!ok) problems.push(message);
+    };
+
+    check(typeof event.txid === "string" && TXID_PATTERN.test(event.txid), "txid must be 0x followed by 64 hex characters");
+    check(typeof event.sender === "string" && PRINCIPAL_PATTERN.test(event.sender), "sender must be a Stacks address");
+    check(Number.isInteger(event.blockHeight) && event.blockHeight > 0, "blockHeight must be a positive integer");
+    check(event.blockHash === null || (typeof event.blockHash === "string" && HASH_PATTERN.test(event.blockHash)), "blockHash must be 0x-prefixed hex");
+    check(event.blockTime === null || !Number.isNaN(Date.parse(event.blockTime)), "blockTime must be an ISO time");
+    check(event.txIndex === null || isCount(event.txIndex), "txIndex must be a non-negative integer");
+    check(event.nonce === null || isCount(event.nonce), "nonce must be a non-negative integer");
+    check(event.fee === null || /^\d+$/.test(event.fee), "fee must be a whole number of microSTX");
+    check(isCount(event.eventIndex), "eventIndex must be a non-negative integer");
+    check(EVENT_TYPES.includes(event.eventType), `eventType must be one of: ${EVENT_TYPES.join(", ")}`);
+    check(typeof event.success === "boolean", "success must be a boolean");
+
+    if (CONTRACT_EVENT_TYPES.includes(event.eventType) || event.contractId !== null) {
+        check(typeof event.contractId === "string" && CONTRACT_PATTERN.test(event.contractId), "contractId must be a contract principal");
+    }
+    if (event.eventType === "contract_call") {
+        check(typeof event.method === "string" && event.method.length > 0, "method is required for contract calls");
+    }
+
+    return problems;
+}
+
+/**
+ * Complete event from the fields a parser extracted
+ * Fields the payload doesn't carry are null; the timestamp is the block time
+ * when known.
+ */
+export function createEvent(fields, receivedAt = new Date().toISOString()) {
+    const event = {
+        txIndex: null,
+        nonce: null,
+        fee: null,
+        blockHash: null,
+        blockTime: null,
+        eventIndex: 0,
+        eventType: "contract_call",
+        contractId: null,
+        method: null,
+        args: [],
+        result: null,
+        resultType: null,
+        errorCode: null,
+        details: null,
+        ...fields
+    };
+
+    return {
+        id: uuidv4(),
+        schemaVersion: EVENT_SCHEMA_VERSION,
+        ...event,
+        timestamp: event.blockTime || receivedAt,
+        receivedAt
+    };
+}
@@ -0,0 +1,122 @@
+/**
+ * Event types and chainhook filter matching
+ * Chainhook payloads name receipt events in several ways (STXTransferEvent,
+ * stx_transfer_event, ...). Everything is normalized to the types below.
+ */
+
+export const EVENT_TYPES = [
+    "contract_call",
+    "print_event",
+    "stx_transfer",
+    "stx_mint",
+    "stx_burn",
+    "stx_lock",
+    "ft_mint",
+    "ft_transfer",
+    "ft_burn",
+    "nft_mint",
+    "nft_transfer",
+    "nft_burn"
+];
+
+// Receipt event type (as sent by Chainhook) -> normalized event type
+const RECEIPT_EVENT_TYPES = {
+    SmartContractEvent: "print_event",
+    smart_contract_log: "print_event",
+    contract_log: "print_event",
+    print: "print_event",
+    STXTransferEvent: "stx_transfer",
+    STXMintEvent: "stx_mint",
+    STXBurnEvent: "stx_burn",
+    STXLockEvent: "stx_lock",
+    FTMintEvent: "ft_mint",
+    FTTransferEvent: "ft_transfer",
+    FTBurnEvent: "ft_burn",
+    NFTMintEvent: "nft_mint",
+    NFTTransferEvent: "nft_transfer",
+    NFTBurnEvent: "nft_burn"
+};
+
+// Filter type in a predicate -> event types it selects
+const FILTER_EVENT_TYPES = {
+    contract_call: ["contract_call"],
+    contract_log: ["print_event"],
+    print_event: ["print_event"],
+    stx_event: ["stx_transfer", "stx_mint", "stx_burn", "stx_lock"],
+    ft_event: ["ft_mint", "ft_transfer", "ft_burn"],
+    nft_event: ["nft_mint", "nft_transfer", "nft_burn"]
+};
+
+/**
+ * Normalize a receipt/event type name, or null if it isn't one we track
+ */
+export function normalizeEventType(type) {
+    if (!type) return null;
+    if (RECEIPT_EVENT_TYPES[type]) return RECEIPT_EVENT_TYPES[type];
+
+    const snake = String(type).toLowerCase().replace(/_event$/, "");
+    if (EVENT_TYPES.includes(snake)) return snake;
+    if (snake === "smart_contract" || snake === "print") return "print_event";
+    return null;
+}
+
+/**
+ * Event types selected by a predicate filter
+ * Generic filters (ft_event, stx_event, ...) can be narrowed with `actions`
+ */
+function filterEventTypes(filter) {
+    const types = FILTER_EVENT_TYPES[filter.type] || (EVENT_TYPES.includes(filter.type) ? [filter.type] : []);
+    if (!Array.isArray(filter.actions) || filter.actions.length === 0) return types;
+
+    return types.filter(type => filter.actions.some(action => type.endsWith(`_${action}`)));
+}
+
+/**
+ * Whether an event is selected by one predicate filter
+ */
+export function eventMatchesFilter(event, filter) {
+    if (!filterEventTypes(filter).includes(event.eventType)) return false;
+
+    if (filter.contract_identifier && filter.contract_identifier !== event.contractId) return false;
+    if (filter.asset_identifier && filter.asset_identifier !== event.details?.assetId) return false;
+    if (event.eventType === "contract_call" && filter.method && filter.method !== "*" && filter.method !== event.method) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Whether an event is selected by any of a chainhook's filters
+ */
+export function eventMatchesFilters(event, filters) {
+    return filters.some(filter => eventMatchesFilter(event, filter));
+}
+
+/**
+ * Extract the normalized type, contract and details of a receipt event
+ * Returns null for event types we don't track
+ */
+export function parseReceiptEvent(receiptEvent) {
+    const eventType = normalizeEventType(receiptEvent.type);
+    if (!eventType) return null;
+
+    const data = receiptEvent.data || receiptEvent;
+    const assetId = data.asset_identifier || null;
+
+    // FT/NFT events belong to the contract that defines the asset
+    const contractId = eventType === "print_event"
+        ? data.contract_identifier || null
+        : assetId ? assetId.split("::")[0] : null;
+
+    const details = { assetId };
+    if (data.sender) details.sender = data.sender;
+    if (data.recipient) details.recipient = data.recipient;
+    if (data.amount !== undefined) details.amount = String(data.amount);
+    if (data.locked_amount !== undefined) details.amount = String(data.locked_amount);
+    if (data.topic) details.topic = data.topic;
+    if (data.value !== undefined) details.value = data.value;
+    else if (data.raw_value !== undefined) details.value = data.raw_value;
+
+    return { eventType, contractId, details };
+}
@@ -0,0 +1,20 @@
+/**
+ * Environment references in config files
+ * Strings may reference environment variables as ${NAME}, so URLs, secrets
+ * and credentials can stay out of files checked into git.
+ */
+
+/**
+ * Replace ${NAME} references in every string of a (nested) config value
+ * Unset variables expand to an empty string.
+ */
+export function expandEnv(value, env = process.env) {
+    if (typeof value === "string") {
+        return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (_, name) => env[name] ?? "");
+    }
+    if (Array.isArray(value)) return value.map(item => expandEnv(item, env));
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item, env)]));
+    }
+    return value;
+}
@@ -0,0 +1,59 @@
+/**
+ * Forwarding configuration
+ * Loads the downstream services ingested events are forwarded to. Values may
+ * reference environment variables as ${NAME} (see expand-env.js).
+ */
+
+import fs from "fs";
+import { expandEnv } from "../expand-env.js";
+
+const DEFAULT_MAX_ATTEMPTS = 12;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+function validateDestination(destination, index) {
+    const label = destination?.name ? `"${destination.name}"` : `#${index + 1}`;
+
+    if (!destination || typeof destination !== "object") throw new Error(`Forwarding destination ${label} must be an object`);
+    if (!destination.name || typeof destination.name !== "string") throw new Error(`Forwarding destination ${label} needs a name`);
+    if (!destination.url) throw new Error(`Forwarding destination ${label} needs a url`);
+    if (!destination.secret) throw new Error(`Forwarding destination ${label} needs a secret to sign deliveries`);
+}
+
+/**
+ * Load forwarding destinations
+ * A missing file means forwarding is off.
+ * @param {object} options
+ * @param {string} options.file - Path to the JSON config file
+ * @returns {Array<{name: string, url: string, secret: string, contracts: string[]|null,
+ *   eventTypes: string[]|null, maxAttempts: number, timeoutMs: number}>}
+ */
+export function loadForwardingConfig({ file }) {
+    if (!file || !fs.existsSync(file)) return [];
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new Error(`Invalid forwarding config ${file}: ${error.message}`);
+    }
+
+    const destinations = expandEnv(config.destinations || []);
+    if (!Array.isArray(destinations)) throw new Error(`Forwarding config ${file} must define a "destinations" array`);
+    destinations.forEach(validateDestination);
+
+    const names = new Set();
+    for (const destination of destinations) {
+        if (names.has(destination.name)) throw new Error(`Duplicate forwarding destination "${destination.name}" in ${file}`);
+        names.add(destination.name);
+    }
+
+    return destinations.map(destination => ({
+        name: destination.name,
+        url: destination.url,
+        secret: destination.secret,
+        contracts: destination.contracts || null,
+        eventTypes: destination.eventTypes || null,
+        maxAttempts: destination.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+        timeoutMs: destination.timeoutMs || DEFAULT_TIMEOUT_MS
+    }));
+}
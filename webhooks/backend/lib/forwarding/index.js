@@ -0,0 +1,208 @@
+/**
+ * Outbound event forwarding
+ * Every chain update (new events and rollbacks) is queued in storage for each
+ * destination in the same transaction as the events themselves, then POSTed
+ * by a background worker. Deliveries to one destination go out strictly in
+ * order: a failing delivery is retried with exponential backoff and holds
+ * back the ones behind it until it succeeds or runs out of attempts and
+ * becomes a dead letter.
+ *
+ * Each request is signed with the destination's secret:
+ *   X-Chainhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ * with the timestamp (unix seconds) in X-Chainhook-Timestamp.
+ */
+
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+
+export { loadForwardingConfig } from "./config.js";
+
+const POLL_INTERVAL_MS = 1000;
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * Signature header value for a request body
+ */
+export function signPayload(secret, timestamp, body) {
+    const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+    return `sha256=${hmac}`;
+}
+
+/**
+ * Delay before the next attempt, doubling each time (with jitter)
+ */
+function retryDelay(attempts) {
+    const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Client errors won't succeed on retry - except timeouts and rate limits
+ */
+function isPermanentFailure(status) {
+    return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+/**
+ * @param {object} options
+ * @param {object[]} options.destinations - Destinations from loadForwardingConfig
+ * @param {object} options.storage - Event store (holds the queue)
+ * @param {string} options.network - Network name included in every payload
+ * @param {function} options.serializeEvent - Stored event -> JSON sent downstream
+ * @param {function} [options.fetch] - HTTP client (defaults to the global fetch)
+ * @param {function} [options.now] - Clock in milliseconds (defaults to Date.now)
+ */
+export function createForwarder({ destinations, storage, network, serializeEvent, fetch = globalThis.fetch, now = Date.now }) {
+    const busy = new Set();
+    let timer = null;
+
+    function wantsEvent(destination, event) {
+        if (destination.contracts && !destination.contracts.includes(event.contractId)) return false;
+        if (destination.eventTypes && !destination.eventTypes.includes(event.eventType)) return false;
+        return true;
+    }
+
+    /**
+     * POST one delivery
+     * @returns {Promise<{ ok: boolean, error?: string, permanent?: boolean }>}
+     */
+    async function send(destination, delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(now() / 1000);
+
+        try {
+            const response = await fetch(destination.url, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "X-Chainhook-Delivery": delivery.id,
+                    "X-Chainhook-Attempt": String(delivery.attempts + 1),
+                    "X-Chainhook-Timestamp": String(timestamp),
+                    "X-Chainhook-Signature": signPayload(destination.secret, timestamp, body)
+                },
+                body,
+                signal: AbortSignal.timeout(destination.timeoutMs)
+            });
+
+            if (response.ok) return { ok: true };
+            const errorText = await response.text();
+            return { ok: false, error: `HTTP ${response.status}: ${errorText.slice(0, 200)}`, permanent: isPermanentFailure(response.status) };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    }
+
+    /**
+     * Work through a destination's queue until it is empty or the head
+     * delivery is waiting for its next attempt
+     */
+    async function drain(destination) {
+        if (busy.has(destination.name)) return;
+        busy.add(destination.name);
+
+        try {
+            while (timer) {
+                const delivery = storage.nextOutbound(destination.name);
+                if (!delivery || Date.parse(delivery.nextAttemptAt) > now()) break;
+
+                const result = await send(destination, delivery);
+                if (result.ok) {
+                    storage.completeOutbound(delivery.id);
+                    continue;
+                }
+
+                const attempts = delivery.attempts + 1;
+                const dead = result.permanent || attempts >= destination.maxAttempts;
+                storage.failOutbound(delivery.id, {
+                    attempts,
+                    error: result.error,
+                    nextAttemptAt: new Date(now() + retryDelay(attempts)).toISOString(),
+                    dead
+                });
+
+                if (dead) {
+                    console.error(`💀 Delivery ${delivery.id} to "${destination.name}" moved to dead letters: ${result.error}`);
+                } else {
+                    console.error(`⚠️  Delivery ${delivery.id} to "${destination.name}" failed (attempt ${attempts}/${destination.maxAttempts}): ${result.error}`);
+                }
+            }
+        } catch (error) {
+            console.error(`❌ Forwarding to "${destination.name}" stopped:`, error.message);
+        } finally {
+            busy.delete(destination.name);
+        }
+    }
+
+    function tick() {
+        for (const destination of destinations) drain(destination);
+    }
+
+    return {
+        enabled: destinations.length > 0,
+
+        /**
+         * Deliveries for a chain update - pass as `outbound` to applyChainUpdate
+         * Destinations only get the events they filter for; rollbacks go to all.
+         */
+        deliveriesFor({ rollbackBlocks, orphaned, insertedEvents }) {
+            const deliveries = [];
+
+            for (const destination of destinations) {
+                const events = insertedEvents.filter(event => wantsEvent(destination, event));
+                if (events.length === 0 && orphaned === 0) continue;
+
+                const id = uuidv4();
+                deliveries.push({
+                    id,
+                    destination: destination.name,
+                    payload: {
+                        id,
+                        type: "chain_update",
+                        network,
+                        createdAt: new Date().toISOString(),
+                        rollback: orphaned > 0 ? rollbackBlocks : [],
+                        events: events.map(serializeEvent)
+                    }
+                });
+            }
+
+            return deliveries;
+        },
+
+        start() {
+            if (timer || destinations.length === 0) return;
+            timer = setInterval(tick, POLL_INTERVAL_MS);
+            timer.unref();
+            tick();
+        },
+
+        /**
+         * Deliver newly queued items without waiting for the next poll
+         */
+        kick() {
+            if (timer) setImmediate(tick);
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+
+        /**
+         * Destinations with their queue sizes
+         */
+        status() {
+            const counts = storage.outboundCounts();
+            return destinations.map(destination => ({
+                name: destination.name,
+                url: destination.url,
+                contracts: destination.contracts,
+                eventTypes: destination.eventTypes,
+                maxAttempts: destination.maxAttempts,
+                pending: counts[destination.name]?.pending || 0,
+                dead: counts[destination.name]?.dead || 0
+            }));
+        }
+    };
+}
@@ -0,0 +1,145 @@
+/**
+ * Delivery gap detection
+ * Compares the blocks each chainhook actually delivered with Hiro's view of
+ * it (occurrence_count, last_occurrence_block_height,
+ * last_evaluated_block_height). Counts are taken relative to a baseline
+ * recorded the first time a hook is checked, so occurrences from before it
+ * was tracked don't count as missing.
+ *
+ * While the counts agree, a checkpoint follows the last evaluated block.
+ * When Hiro reports more occurrences than we received, the missing
+ * deliveries lie between the checkpoint and Hiro's last occurrence - that
+ * range is reported as the gap. Resolving a gap (after backfilling it, or to
+ * accept the loss) re-baselines the hook. Received blocks are pruned with the
+ * events; the store lowers the baseline by as many, so the counts still agree.
+ */
+
+// A delivery may still be on its way this long after Hiro's last occurrence
+const DEFAULT_GRACE_MS = 2 * 60 * 1000;
+
+/**
+ * @param {object} options
+ * @param {object} options.api - Chainhooks API client (createChainhooksApi)
+ * @param {object} options.storage - Event store (received blocks and checkpoints)
+ * @param {object[]} options.hooks - Configured chainhooks; only hooks with a uuid are checked
+ * @param {number} options.graceMs - How long a missing occurrence counts as in flight
+ */
+export function createGapDetector({ api, storage, hooks, graceMs = DEFAULT_GRACE_MS }) {
+    let lastReport = { checkedAt: null, chainhooks: [] };
+    let running = null;
+
+    function saveCheckpoint(uuid, status, received) {
+        const checkpoint = {
+            uuid,
+            baselineOccurrences: status.occurrence_count || 0,
+            baselineReceived: received.count,
+            consistentThrough: status.last_evaluated_block_height || 0,
+            updatedAt: new Date().toISOString()
+        };
+        storage.saveGapCheckpoint(checkpoint);
+        return checkpoint;
+    }
+
+    /**
+     * Compare one hook's deliveries with its Hiro status
+     */
+    async function checkHook(hook) {
+        const base = { name: hook.name, uuid: hook.uuid };
+
+        let status;
+        try {
+            status = (await api.get(hook.uuid)).status || {};
+        } catch (error) {
+            return { ...base, state: "error", error: error.message };
+        }
+
+        const received = storage.receivedBlockStats(hook.uuid);
+        const lastEvaluated = status.last_evaluated_block_height || 0;
+        const checkpoint = storage.getGapCheckpoint(hook.uuid) || saveCheckpoint(hook.uuid, status, received);
+
+        const occurrences = (status.occurrence_count || 0) - checkpoint.baselineOccurrences;
+        const receivedSince = received.count - checkpoint.baselineReceived;
+        const missing = occurrences - receivedSince;
+
+        const result = {
+            ...base,
+            hiroStatus: status.status || null,
+            enabled: status.enabled ?? null,
+            lastEvaluatedBlockHeight: lastEvaluated || null,
+            lastOccurrenceBlockHeight: status.last_occurrence_block_height || null,
+            lastReceivedBlockHeight: received.lastHeight || null,
+            occurrences,
+            received: receivedSince,
+            missing: Math.max(missing, 0),
+            consistentThrough: checkpoint.consistentThrough,
+            state: "ok",
+            gap: null
+        };
+
+        if (missing === 0) {
+            if (lastEvaluated > checkpoint.consistentThrough) {
+                storage.saveGapCheckpoint({ ...checkpoint, consistentThrough: lastEvaluated, updatedAt: new Date().toISOString() });
+                result.consistentThrough = lastEvaluated;
+            }
+        } else if (missing < 0) {
+            // More blocks than Hiro counted - e.g. deliveries from a replaced hook
+            result.state = "mismatch";
+        } else if (status.last_occurrence_at && Date.now() - status.last_occurrence_at < graceMs) {
+            result.state = "pending";
+        } else {
+            result.state = "gap";
+            result.gap = {
+                fromHeight: checkpoint.consistentThrough + 1,
+                toHeight: status.last_occurrence_block_height || lastEvaluated
+            };
+        }
+
+        return result;
+    }
+
+    async function run() {
+        const results = [];
+        for (const hook of hooks.filter(h => h.uuid)) {
+            results.push(await checkHook(hook));
+        }
+        lastReport = { checkedAt: new Date().toISOString(), chainhooks: results };
+        return lastReport;
+    }
+
+    return {
+        /**
+         * Check every registered hook (concurrent calls share one run)
+         * @returns {Promise<{ checkedAt: string, chainhooks: object[] }>}
+         */
+        check() {
+            running ??= run().finally(() => { running = null; });
+            return running;
+        },
+
+        /**
+         * Result of the latest check
+         */
+        report() {
+            return lastReport;
+        },
+
+        /**
+         * Accept a hook's current counts as consistent, clearing its gap
+         * @returns {Promise<object>} The hook's check result after resolving
+         */
+        async resolve(uuid) {
+            const hook = hooks.find(h => h.uuid === uuid);
+            if (!hook) throw new Error(`No configured chainhook with UUID ${uuid}`);
+
+            const remote = await api.get(uuid);
+            saveCheckpoint(uuid, remote.status || {}, storage.receivedBlockStats(uuid));
+
+            const result = await checkHook(hook);
+            lastReport = {
+                ...lastReport,
+                chainhooks: lastReport.chainhooks.map(entry => entry.uuid === uuid ? result : entry)
+            };
+            return result;
+        }
+    };
+}
@@ -0,0 +1,168 @@
+/**
+ * Prometheus metrics
+ * A small registry of counters, gauges and histograms rendered in the
+ * Prometheus text exposition format for GET /metrics. Gauges can be given a
+ * collect() callback that reads the current value at scrape time.
+ */
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Default histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return "";
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return "+Inf";
+    if (value === -Infinity) return "-Inf";
+    return String(value);
+}
+
+/**
+ * Key of a label set - labels are always listed in the metric's labelNames order
+ */
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? "")));
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? ""]));
+}
+
+export function createMetrics() {
+    const registry = new Map();
+
+    function register(metric) {
+        if (registry.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+        registry.set(metric.name, metric);
+        return metric;
+    }
+
+    /**
+     * Monotonic counter, one series per label set
+     */
+    function counter({ name, help, labelNames = [] }) {
+        const series = new Map();
+        // Without labels there is a single series - report it from the start
+        if (labelNames.length === 0) series.set(labelKey(labelNames, {}), { labels: {}, value: 0 });
+        const metric = register({
+            name,
+            help,
+            type: "counter",
+            samples: () => [...series.values()].map(({ labels, value }) => ({ name, labels, value }))
+        });
+
+        return {
+            ...metric,
+            inc(labels = {}, value = 1) {
+                const key = labelKey(labelNames, labels);
+                const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+                entry.value += value;
+                series.set(key, entry);
+            }
+        };
+    }
+
+    /**
+     * Value that can go up and down
+     * With collect(), the value is read at scrape time: a number, or an array
+     * of { labels, value } (entries with a null value are left out).
+     */
+    function gauge({ name, help, labelNames = [], collect = null }) {
+        const series = new Map();
+        const metric = register({
+            name,
+            help,
+            type: "gauge",
+            samples: () => {
+                const values = collect ? collect() : [...series.values()];
+                const list = typeof values === "number" || values === null ? [{ labels: {}, value: values }] : values;
+                return list
+                    .filter(entry => entry.value !== null && entry.value !== undefined)
+                    .map(({ labels = {}, value }) => ({ name, labels: pickLabels(labelNames, labels), value }));
+            }
+        });
+
+        return {
+            ...metric,
+            set(labels, value) {
+                series.set(labelKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+            }
+        };
+    }
+
+    /**
+     * Distribution of observed values (e.g. durations in seconds)
+     */
+    function histogram({ name, help, buckets = DEFAULT_BUCKETS }) {
+        const bounds = [...buckets].sort((a, b) => a - b);
+        const counts = bounds.map(() => 0);
+        let count = 0;
+        let sum = 0;
+
+        const metric = register({
+            name,
+            help,
+            type: "histogram",
+            samples: () => [
+                ...bounds.map((bound, i) => ({ name: `${name}_bucket`, labels: { le: formatValue(bound) }, value: counts[i] })),
+                { name: `${name}_bucket`, labels: { le: "+Inf" }, value: count },
+                { name: `${name}_sum`, labels: {}, value: sum },
+                { name: `${name}_count`, labels: {}, value: count }
+            ]
+        });
+
+        function observe(value) {
+            bounds.forEach((bound, i) => {
+                if (value <= bound) counts[i]++;
+            });
+            count++;
+            sum += value;
+        }
+
+        return {
+            ...metric,
+            observe,
+            /**
+             * Start a timer - call the returned function to record the elapsed seconds
+             */
+            startTimer() {
+                const start = process.hrtime.bigint();
+                return () => observe(Number(process.hrtime.bigint() - start) / 1e9);
+            }
+        };
+    }
+
+    /**
+     * Every registered metric in the Prometheus text format
+     * A collect() callback that throws leaves its metric out of this scrape.
+     */
+    function render() {
+        const lines = [];
+        for (const metric of registry.values()) {
+            let samples;
+            try {
+                samples = metric.samples();
+            } catch (error) {
+                console.error(`⚠️  Could not collect metric ${metric.name}:`, error.message);
+                continue;
+            }
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            for (const sample of samples) {
+                lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+            }
+        }
+        return `${lines.join("\n")}\n`;
+    }
+
+    return { counter, gauge, histogram, render };
+}
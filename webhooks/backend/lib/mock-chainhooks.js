@@ -0,0 +1,296 @@
+/**
+ * Local stand-in for the Hiro Chainhooks API
+ * Implements the user-scoped /chainhooks/v1/me endpoints the server and
+ * manage-chainhooks.js use (list, get, register, update, enable/disable,
+ * delete), keeping chainhooks in memory. Point STACKS_API_URL at it to run
+ * everything offline.
+ *
+ * Control endpoints under /mock play Hiro's part: /mock/deliver posts a
+ * payload to registered chainhooks the way Hiro would (with the predicate's
+ * authorization header and the chainhook's uuid and name) and updates their
+ * occurrence counts, so gap detection sees the same numbers it would in
+ * production. A delivery can also be "dropped" - counted but never sent.
+ *
+ * /extended/v1/address/:principal/transactions serves transactions seeded
+ * through /mock/transactions, for backfills.
+ */
+
+import express from "express";
+import { v4 as uuidv4 } from "uuid";
+
+const PAGE_LIMIT = 60; // Same cap as the real API
+
+// Hiro-side status fields that /mock/chainhooks/:uuid/status may overwrite
+const STATUS_FIELDS = [
+    "status", "enabled", "occurrence_count", "evaluated_block_count",
+    "last_evaluated_block_height", "last_evaluated_at",
+    "last_occurrence_block_height", "last_occurrence_at"
+];
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Problems with a chainhook definition, in the order the API reports them
+ */
+function definitionError(definition) {
+    if (!definition || typeof definition !== "object") return "Body must be a chainhook definition";
+    if (typeof definition.name !== "string" || !definition.name) return "name is required";
+    if (definition.chain !== "stacks") return "chain must be \"stacks\"";
+    if (typeof definition.network !== "string") return "network is required";
+    if (!Array.isArray(definition.filters?.events) || definition.filters.events.length === 0) {
+        return "filters.events must be a non-empty array";
+    }
+    if (definition.action?.type !== "http_post" || typeof definition.action.url !== "string") {
+        return "action must be an http_post with a url";
+    }
+    return null;
+}
+
+/**
+ * Height of each block a payload applies (Chainhook predicate or flat formats)
+ */
+function appliedBlockHeights(payload) {
+    const body = payload.event || payload;
+    const items = body.events || body.data?.events || body.transactions || [];
+    return [
+        ...(body.apply || []).map(block => block.block_identifier?.index),
+        ...new Set(items.map(item => item.block_height))
+    ].filter(Number.isInteger);
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.apiKey - Required x-api-key (any key is accepted when unset)
+ * @param {object[]} options.transactions - Stacks API transactions to serve to backfills
+ * @param {function} options.onDelivery - Called with each delivery log entry
+ * @returns {{ app: object, chainhooks: function, deliveries: function, deliver: function, reset: function }}
+ */
+export function createMockChainhooks({ apiKey = null, transactions = [], onDelivery = null } = {}) {
+    let hooks = new Map();
+    let deliveryLog = [];
+    let seeded = [...transactions];
+
+    function findHook(uuid) {
+        const hook = hooks.get(uuid);
+        if (!hook) throw httpError(404, `Chainhook ${uuid} not found`);
+        return hook;
+    }
+
+    function register(definition) {
+        const error = definitionError(definition);
+        if (error) throw httpError(400, error);
+
+        const now = Date.now();
+        const hook = {
+            uuid: uuidv4(),
+            definition: structuredClone(definition),
+            status: {
+                status: "new",
+                enabled: definition.options?.enable_on_registration !== false,
+                created_at: now,
+                last_evaluated_at: null,
+                last_evaluated_block_height: null,
+                last_occurrence_at: null,
+                last_occurrence_block_height: null,
+                evaluated_block_count: 0,
+                occurrence_count: 0
+            }
+        };
+        hooks.set(hook.uuid, hook);
+        return hook;
+    }
+
+    /**
+     * Count the payload's blocks as occurrences, the way Hiro does after
+     * evaluating matching blocks
+     */
+    function recordOccurrences(hook, payload) {
+        const heights = appliedBlockHeights(payload);
+        const status = hook.status;
+        const now = Date.now();
+
+        status.status = "streaming";
+        status.occurrence_count += heights.length;
+        status.evaluated_block_count += heights.length;
+        status.last_occurrence_at = now;
+        status.last_evaluated_at = now;
+        if (heights.length > 0) {
+            const highest = Math.max(...heights);
+            status.last_occurrence_block_height = Math.max(status.last_occurrence_block_height ?? 0, highest);
+            status.last_evaluated_block_height = Math.max(status.last_evaluated_block_height ?? 0, highest);
+        }
+    }
+
+    /**
+     * Deliver a payload to one chainhook, or every enabled one
+     * @returns {Promise<object[]>} One entry per chainhook: uuid, url, status and response body
+     */
+    async function deliver(payload, { uuid = null, drop = false } = {}) {
+        if (!payload || typeof payload !== "object") throw httpError(400, "payload must be a JSON object");
+
+        const targets = uuid ? [findHook(uuid)] : [...hooks.values()].filter(hook => hook.status.enabled);
+        const results = [];
+
+        for (const hook of targets) {
+            recordOccurrences(hook, payload);
+            const url = hook.definition.action.url;
+            const body = { ...payload, chainhook: payload.chainhook || { uuid: hook.uuid, name: hook.definition.name } };
+            const entry = { uuid: hook.uuid, url, dropped: drop, status: null, response: null, error: null, at: new Date().toISOString() };
+
+            if (!drop) {
+                const headers = { "Content-Type": "application/json" };
+                if (hook.definition.action.authorization_header) {
+                    headers.Authorization = hook.definition.action.authorization_header;
+                }
+                try {
+                    const response = await fetch(url, { method: "POST", headers, body: JSON.stringify(body) });
+                    const text = await response.text();
+                    entry.status = response.status;
+                    try {
+                        entry.response = JSON.parse(text);
+                    } catch {
+                        entry.response = text;
+                    }
+                } catch (error) {
+                    entry.error = error.message;
+                }
+            }
+
+            deliveryLog.push(entry);
+            results.push(entry);
+            onDelivery?.(entry);
+        }
+
+        return results;
+    }
+
+    const app = express();
+    app.use(express.json({ limit: "10mb" }));
+
+    // ===== CHAINHOOKS API =====
+
+    const api = express.Router();
+
+    api.use((req, res, next) => {
+        if (apiKey && req.get("x-api-key") !== apiKey) {
+            return res.status(401).json({ error: "Unauthorized" });
+        }
+        next();
+    });
+
+    api.get("/", (req, res) => {
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || PAGE_LIMIT, 1), PAGE_LIMIT);
+        const all = [...hooks.values()];
+        res.json({ total: all.length, limit, offset, results: all.slice(offset, offset + limit) });
+    });
+
+    api.post("/", (req, res) => {
+        res.status(201).json(register(req.body));
+    });
+
+    api.get("/:uuid", (req, res) => {
+        res.json(findHook(req.params.uuid));
+    });
+
+    api.patch("/:uuid/enabled", (req, res) => {
+        const hook = findHook(req.params.uuid);
+        if (typeof req.body?.enabled !== "boolean") throw httpError(400, "enabled must be a boolean");
+
+        hook.status.enabled = req.body.enabled;
+        // Re-enabling resumes a hook that stopped delivering
+        if (req.body.enabled && ["interrupted", "expired"].includes(hook.status.status)) {
+            hook.status.status = "streaming";
+        }
+        res.json(hook);
+    });
+
+    api.patch("/:uuid", (req, res) => {
+        const hook = findHook(req.params.uuid);
+        const definition = { ...hook.definition, ...req.body };
+        const error = definitionError(definition);
+        if (error) throw httpError(400, error);
+
+        hook.definition = structuredClone(definition);
+        res.json(hook);
+    });
+
+    api.delete("/:uuid", (req, res) => {
+        findHook(req.params.uuid);
+        hooks.delete(req.params.uuid);
+        res.status(204).end();
+    });
+
+    app.use("/chainhooks/v1/me", api);
+
+    // ===== STACKS API (backfill) =====
+
+    app.get("/extended/v1/address/:principal/transactions", (req, res) => {
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+        const matching = seeded
+            .filter(tx => tx.sender_address === req.params.principal || tx.contract_call?.contract_id === req.params.principal)
+            .sort((a, b) => (b.block_height ?? 0) - (a.block_height ?? 0));
+        res.json({ limit, offset, total: matching.length, results: matching.slice(offset, offset + limit) });
+    });
+
+    // ===== CONTROL =====
+
+    /**
+     * Body: { payload, uuid?, drop? } - without uuid every enabled chainhook receives it
+     */
+    app.post("/mock/deliver", async (req, res, next) => {
+        try {
+            const { payload, uuid, drop = false } = req.body || {};
+            res.json({ deliveries: await deliver(payload, { uuid, drop: drop === true }) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    app.get("/mock/deliveries", (req, res) => {
+        res.json({ deliveries: deliveryLog });
+    });
+
+    app.patch("/mock/chainhooks/:uuid/status", (req, res) => {
+        const hook = findHook(req.params.uuid);
+        for (const field of STATUS_FIELDS) {
+            if (req.body?.[field] !== undefined) hook.status[field] = req.body[field];
+        }
+        res.json(hook);
+    });
+
+    app.post("/mock/transactions", (req, res) => {
+        if (!Array.isArray(req.body?.transactions)) throw httpError(400, "transactions must be an array");
+        seeded.push(...req.body.transactions);
+        res.json({ total: seeded.length });
+    });
+
+    app.post("/mock/reset", (req, res) => {
+        reset();
+        res.json({ success: true });
+    });
+
+    app.use((error, req, res, next) => {
+        const status = error.status || (error.type === "entity.parse.failed" ? 400 : 500);
+        res.status(status).json({ error: error.message });
+    });
+
+    function reset() {
+        hooks = new Map();
+        deliveryLog = [];
+        seeded = [];
+    }
+
+    return {
+        app,
+        chainhooks: () => [...hooks.values()],
+        deliveries: () => deliveryLog,
+        deliver,
+        reset
+    };
+}
@@ -0,0 +1,61 @@
+/**
+ * Stacks network selection
+ * One setting (STACKS_NETWORK, optionally STACKS_API_URL) drives the chainhook
+ * predicate, the Hiro API base URL used by the server and the management CLI,
+ * and the explorer links shown in the dashboard.
+ */
+
+const NETWORKS = {
+    mainnet: {
+        apiUrl: "https://api.mainnet.hiro.so",
+        explorerChain: "mainnet"
+    },
+    testnet: {
+        apiUrl: "https://api.testnet.hiro.so",
+        explorerChain: "testnet"
+    },
+    devnet: {
+        // Clarinet devnet exposes the Stacks API locally
+        apiUrl: "http://localhost:3999",
+        explorerChain: "testnet"
+    }
+};
+
+export const NETWORK_NAMES = Object.keys(NETWORKS);
+
+/**
+ * Resolve the network configuration
+ * @param {object} options
+ * @param {string} options.network - mainnet, testnet or devnet (default: mainnet)
+ * @param {string} options.apiUrl - Custom API base URL (local devnet, mock API, ...)
+ */
+export function resolveNetwork({ network = "mainnet", apiUrl } = {}) {
+    const name = String(network).toLowerCase();
+    const preset = NETWORKS[name];
+
+    if (!preset) {
+        throw new Error(`Unknown STACKS_NETWORK "${network}" - expected one of: ${NETWORK_NAMES.join(", ")}`);
+    }
+
+    const baseUrl = (apiUrl || preset.apiUrl).replace(/\/+$/, "");
+
+    // The explorer can browse non-Hiro nodes when given their API URL
+    const explorerQuery = new URLSearchParams({ chain: preset.explorerChain });
+    if (name === "devnet" || apiUrl) explorerQuery.set("api", baseUrl);
+
+    return {
+        name,
+        apiUrl: baseUrl,
+        chainhooksUrl: `${baseUrl}/chainhooks/v1/me`,
+        explorerChain: preset.explorerChain,
+        explorerQuery: explorerQuery.toString(),
+        customApiUrl: Boolean(apiUrl)
+    };
+}
+
+/**
+ * Resolve the network from environment variables
+ */
+export function networkFromEnv(env = process.env) {
+    return resolveNetwork({ network: env.STACKS_NETWORK || "mainnet", apiUrl: env.STACKS_API_URL });
+}
@@ -0,0 +1,95 @@
+/**
+ * Chainhook predicate payloads
+ * Blocks to apply and roll back, each with Stacks transactions:
+ *   { apply: [block], rollback: [block], chainhook: { uuid, ... } }
+ * Chainhooks 2.0 wraps the two arrays in `event`. A block is
+ *   { block_identifier: { index, hash }, timestamp, transactions: [tx] }
+ * and a transaction
+ *   { transaction_identifier: { hash }, metadata: { sender, fee, nonce,
+ *     position: { index }, success, result, kind: { type, data }, receipt: { events } } }
+ *
+ * Contract calls (kind.type "ContractCall", with data.contract_identifier,
+ * data.method and data.args) become a contract_call event, and the tracked
+ * receipt events of any transaction follow it.
+ */
+
+import { decodeContractCall } from "../clarity.js";
+import { parseReceiptEvent } from "../event-types.js";
+import { toAmount, toIsoTime } from "../event-schema.js";
+
+const body = (payload) => payload.event || payload;
+
+function blockIdentifier(block) {
+    return {
+        blockHeight: block.block_identifier?.index,
+        blockHash: block.block_identifier?.hash ?? null
+    };
+}
+
+/**
+ * Events of one transaction: the contract call, then its receipt events
+ */
+function transactionEvents(tx, block, defaultContract) {
+    const metadata = tx.metadata || {};
+    const kind = metadata.kind || {};
+    const isCall = kind.type === "ContractCall";
+    const call = isCall ? decodeContractCall({ args: kind.data?.args, result: metadata.result }) : {};
+
+    const contractId = isCall ? kind.data?.contract_identifier || defaultContract : null;
+    const base = {
+        txid: tx.transaction_identifier?.hash,
+        txIndex: metadata.position?.index ?? null,
+        sender: metadata.sender,
+        nonce: metadata.nonce ?? null,
+        fee: toAmount(metadata.fee),
+        ...blockIdentifier(block),
+        blockTime: toIsoTime(block.timestamp),
+        method: isCall ? kind.data?.method : null,
+        success: metadata.success !== false && call.resultType !== "err"
+    };
+
+    const events = [];
+    if (isCall) {
+        events.push({
+            ...base,
+            ...call,
+            eventType: "contract_call",
+            contractId,
+            raw: tx
+        });
+    }
+
+    // Receipt events (print, STX/FT/NFT) - indexed after the call itself
+    (metadata.receipt?.events || []).forEach((receiptEvent, i) => {
+        const parsed = parseReceiptEvent(receiptEvent);
+        if (!parsed) return;
+        events.push({
+            ...base,
+            eventIndex: (receiptEvent.position?.index ?? i) + 1,
+            eventType: parsed.eventType,
+            contractId: parsed.contractId || contractId,
+            details: parsed.details,
+            raw: receiptEvent
+        });
+    });
+
+    return events;
+}
+
+export default {
+    format: "apply",
+
+    detect: (payload) => Array.isArray(body(payload).apply) || Array.isArray(body(payload).rollback),
+
+    parse(payload, { defaultContract, item }) {
+        (body(payload).apply || []).forEach((block, b) => {
+            (block.transactions || []).forEach((tx, t) => {
+                item(`apply[${b}].transactions[${t}]`, () => transactionEvents(tx, block, defaultContract));
+            });
+        });
+    },
+
+    appliedBlocks: (payload) => (body(payload).apply || []).map(blockIdentifier),
+
+    rollbackBlocks: (payload) => (body(payload).rollback || []).map(blockIdentifier)
+};
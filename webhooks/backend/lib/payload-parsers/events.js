@@ -0,0 +1,84 @@
+/**
+ * Flat event payloads
+ * One entry per event, at the top level or under `data`:
+ *   { events: [event] }  or  { data: { events: [event] } }
+ * where an event is
+ *   { tx_id, tx_index, sender, nonce, fee, block_height, block_hash,
+ *     block_time, event_index, type, contract_identifier, function_name,
+ *     function_args, result, success, data }
+ *
+ * `type` defaults to contract_call. Receipt event types (print, STX/FT/NFT)
+ * take their asset, amount, ... from `data`, as in apply payloads.
+ *
+ * Without `event_index`, a contract call is index 0 and a receipt event is
+ * indexed after it by its receipt `position`, as in apply payloads - never by
+ * its place in the batch, which changes between redeliveries.
+ */
+
+import { decodeContractCall } from "../clarity.js";
+import { normalizeEventType, parseReceiptEvent } from "../event-types.js";
+import { toAmount, toIsoTime } from "../event-schema.js";
+
+const entries = (payload) => payload.events || payload.data?.events;
+
+function eventIndex(event, eventType) {
+    if (event.event_index !== undefined && event.event_index !== null) return event.event_index;
+    if (eventType === "contract_call") return 0;
+    if (Number.isInteger(event.position?.index)) return event.position.index + 1;
+    throw new Error(`${eventType} event needs an event_index or position`);
+}
+
+function eventFields(event, defaultContract) {
+    const eventType = event.type === undefined ? "contract_call" : normalizeEventType(event.type);
+    if (!eventType) throw new Error(`unsupported event type "${event.type}"`);
+
+    const base = {
+        txid: event.tx_id,
+        txIndex: event.tx_index ?? null,
+        sender: event.sender,
+        nonce: event.nonce ?? null,
+        fee: toAmount(event.fee),
+        blockHeight: event.block_height,
+        blockHash: event.block_hash ?? null,
+        blockTime: toIsoTime(event.block_time),
+        eventIndex: eventIndex(event, eventType),
+        eventType,
+        method: event.function_name ?? null,
+        raw: event
+    };
+
+    if (eventType === "contract_call") {
+        const call = decodeContractCall({ args: event.function_args, result: event.result });
+        return {
+            ...base,
+            ...call,
+            contractId: event.contract_identifier || defaultContract,
+            success: event.success !== false && call.resultType !== "err"
+        };
+    }
+
+    const receipt = parseReceiptEvent(event);
+    return {
+        ...base,
+        contractId: receipt.contractId || event.contract_identifier || null,
+        success: event.success !== false,
+        details: receipt.details
+    };
+}
+
+export default {
+    format: "events",
+
+    detect: (payload) => Array.isArray(entries(payload)),
+
+    parse(payload, { defaultContract, item }) {
+        entries(payload).forEach((event, i) => {
+            item(`events[${i}]`, () => [eventFields(event, defaultContract)]);
+        });
+    },
+
+    appliedBlocks: (payload) => entries(payload).map(event => ({
+        blockHeight: event.block_height,
+        blockHash: event.block_hash ?? null
+    }))
+};
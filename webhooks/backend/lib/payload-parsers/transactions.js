@@ -0,0 +1,58 @@
+/**
+ * Direct transaction payloads
+ * Contract calls in the Stacks API's field names, which is what the
+ * backfill builds from /extended/v1 transactions:
+ *   { transactions: [tx], block_height, block_hash, block_time }
+ * where a transaction is
+ *   { tx_id, tx_index, sender_address, nonce, fee_rate, block_height,
+ *     block_hash, block_time, contract_identifier, function_name,
+ *     function_args, tx_result, success }
+ * The top-level block fields apply to transactions that don't carry their own.
+ */
+
+import { decodeContractCall } from "../clarity.js";
+import { toAmount, toIsoTime } from "../event-schema.js";
+
+function blockOf(tx, payload) {
+    return {
+        blockHeight: tx.block_height ?? payload.block_height,
+        blockHash: tx.block_hash ?? payload.block_hash ?? null
+    };
+}
+
+function transactionFields(tx, payload, defaultContract) {
+    if (tx.type !== undefined && tx.type !== "contract_call") {
+        throw new Error(`unsupported transaction type "${tx.type}"`);
+    }
+    const call = decodeContractCall({ args: tx.function_args, result: tx.tx_result });
+
+    return {
+        txid: tx.tx_id,
+        txIndex: tx.tx_index ?? null,
+        sender: tx.sender_address,
+        nonce: tx.nonce ?? null,
+        fee: toAmount(tx.fee_rate),
+        ...blockOf(tx, payload),
+        blockTime: toIsoTime(tx.block_time ?? payload.block_time),
+        eventType: "contract_call",
+        contractId: tx.contract_identifier || defaultContract,
+        method: tx.function_name,
+        ...call,
+        success: tx.success !== false && call.resultType !== "err",
+        raw: tx
+    };
+}
+
+export default {
+    format: "transactions",
+
+    detect: (payload) => Array.isArray(payload.transactions),
+
+    parse(payload, { defaultContract, item }) {
+        payload.transactions.forEach((tx, i) => {
+            item(`transactions[${i}]`, () => [transactionFields(tx, payload, defaultContract)]);
+        });
+    },
+
+    appliedBlocks: (payload) => payload.transactions.map(tx => blockOf(tx, payload))
+};
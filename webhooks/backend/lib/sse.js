@@ -0,0 +1,62 @@
+/**
+ * Server-Sent Events hub
+ * Keeps the open /stream connections and broadcasts named events to them.
+ */
+
+const HEARTBEAT_MS = 25000; // Keeps proxies (ngrok, Render) from closing idle streams
+
+export function createSseHub({ retryMs = 3000 } = {}) {
+    const clients = new Set();
+
+    function write(res, type, data) {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    const heartbeat = setInterval(() => {
+        for (const res of clients) res.write(": heartbeat\n\n");
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    return {
+        /**
+         * Express handler that opens a stream
+         * @param {function} onConnect - Returns the initial events to send: [[type, data], ...]
+         */
+        handler(onConnect) {
+            return (req, res) => {
+                res.set({
+                    "Content-Type": "text/event-stream",
+                    "Cache-Control": "no-cache",
+                    "Connection": "keep-alive",
+                    "X-Accel-Buffering": "no"
+                });
+                res.flushHeaders();
+                res.write(`retry: ${retryMs}\n\n`);
+
+                for (const [type, data] of onConnect?.() || []) {
+                    write(res, type, data);
+                }
+
+                clients.add(res);
+                req.on("close", () => clients.delete(res));
+            };
+        },
+
+        /**
+         * Send an event to every connected client
+         */
+        broadcast(type, data) {
+            for (const res of clients) write(res, type, data);
+        },
+
+        clientCount() {
+            return clients.size;
+        },
+
+        close() {
+            clearInterval(heartbeat);
+            for (const res of clients) res.end();
+            clients.clear();
+        }
+    };
+}
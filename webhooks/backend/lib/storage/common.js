@@ -0,0 +1,221 @@
+/**
+ * Helpers shared by the storage drivers
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Identity of an event for deduplication: (block hash, txid, event index).
+ * Falls back to block height when the payload has no hash. Events without a
+ * real txid (parse errors, unknown shapes) are never treated as duplicates.
+ */
+export function dedupKey(event) {
+    if (event.parseError || !event.txid || event.txid === "unknown") {
+        return `id:${event.id}`;
+    }
+    const block = event.blockHash || `height:${event.blockHeight || 0}`;
+    return `${block}:${event.txid}:${event.eventIndex || 0}`;
+}
+
+/**
+ * Stored event fields that come from parsing the payload - what a replay
+ * with `overwrite` rebuilds. Identity (id, block hash, txid, event index),
+ * receive time and canonical status are kept.
+ */
+export const REPARSED_FIELDS = [
+    "schemaVersion", "txIndex", "sender", "nonce", "fee", "blockHeight", "blockTime", "eventType",
+    "contractId", "method", "success", "args", "result", "resultType", "errorCode", "timestamp",
+    "details", "raw", "parseError"
+];
+
+/**
+ * Whether a journal entry passes the selection of listJournal
+ * @param {object} selection
+ * @param {number[]} selection.ids - Only these entries
+ * @param {string} selection.outcome - Only entries with this outcome (accepted, rejected, ...)
+ * @param {string} selection.chainhook - Only deliveries of this chainhook (name or UUID)
+ * @param {string} selection.since - Received at or after (ISO 8601)
+ * @param {string} selection.until - Received before (ISO 8601)
+ * @param {number} selection.before - Entries with a lower id (newest-first paging)
+ * @param {number} selection.after - Entries with a higher id (oldest-first paging)
+ */
+export function matchesJournalSelection(entry, { ids, outcome, chainhook, since, until, before, after } = {}) {
+    return (!ids?.length || ids.includes(entry.id))
+        && (!outcome || entry.outcome === outcome)
+        && (!chainhook || entry.chainhookName === chainhook || entry.chainhookUuid === chainhook)
+        && (!since || entry.receivedAt >= since)
+        && (!until || entry.receivedAt < until)
+        && (!before || entry.id < before)
+        && (!after || entry.id > after);
+}
+
+/**
+ * ISO timestamp before which events are considered expired, or null when
+ * age-based retention is disabled
+ */
+export function cutoffTimestamp(maxAgeDays) {
+    if (!maxAgeDays || maxAgeDays <= 0) return null;
+    return new Date(Date.now() - maxAgeDays * DAY_MS).toISOString();
+}
+
+/**
+ * Whether an event passes the query filters shared by listEvents/countEvents/getStats
+ * @param {object} filters
+ * @param {boolean} filters.includeOrphaned - Include events from rolled-back blocks
+ * @param {string} filters.contractId - Only events of this contract
+ * @param {string} filters.eventType - Only events of this type (contract_call, print_event, ...)
+ * @param {string} filters.txid - Only events of this transaction
+ * @param {string} filters.sender - Only events sent by this principal
+ * @param {string} filters.method - Only calls of this function
+ * @param {boolean} filters.success - Only successful (true) or failed (false) events
+ * @param {number} filters.fromBlock - Lowest block height (inclusive)
+ * @param {number} filters.toBlock - Highest block height (inclusive)
+ * @param {string} filters.since - Timestamped (block time) at or after this ISO time
+ * @param {string} filters.until - Timestamped (block time) before this ISO time
+ */
+export function matchesQuery(event, {
+    includeOrphaned = false, contractId, eventType, txid, sender, method, success, fromBlock, toBlock, since, until
+} = {}) {
+    if (!includeOrphaned && event.canonical === false) return false;
+    if (contractId && event.contractId !== contractId) return false;
+    if (eventType && event.eventType !== eventType) return false;
+    if (txid && event.txid !== txid) return false;
+    if (sender && event.sender !== sender) return false;
+    if (method && event.method !== method) return false;
+    if (success !== undefined && event.success !== success) return false;
+    if (fromBlock !== undefined && (event.blockHeight || 0) < fromBlock) return false;
+    if (toBlock !== undefined && (event.blockHeight || 0) > toBlock) return false;
+    if (since && event.timestamp < since) return false;
+    if (until && event.timestamp >= until) return false;
+    return true;
+}
+
+/**
+ * Comparator for listEvents sorting; ties are broken by insertion sequence,
+ * which follows the time events were received
+ */
+export function compareEvents(a, b, { sort = "timestamp", order = "desc" } = {}) {
+    const direction = order === "asc" ? 1 : -1;
+    if (sort === "blockHeight" && a.blockHeight !== b.blockHeight) {
+        return direction * ((a.blockHeight || 0) - (b.blockHeight || 0));
+    }
+    if (sort === "timestamp" && a.timestamp !== b.timestamp) {
+        return direction * (a.timestamp < b.timestamp ? -1 : 1);
+    }
+    return direction * (a.seq - b.seq);
+}
+
+/**
+ * Key of the analytics bucket an event falls in: the start of its hour or
+ * day (ISO), or its block height
+ */
+export function bucketKey(event, bucket) {
+    if (bucket === "block") return event.blockHeight || 0;
+    return bucket === "day"
+        ? `${event.timestamp.slice(0, 10)}T00:00:00.000Z`
+        : `${event.timestamp.slice(0, 13)}:00:00.000Z`;
+}
+
+/**
+ * Time series, top senders and new vs returning wallets
+ * @param {object[]} scoped - Events matching the filters, ignoring the window
+ * @param {object[]} windowed - Events inside the window
+ * @param {object} options
+ * @param {"hour"|"day"|"block"} options.bucket - Series granularity
+ * @param {number} options.top - Number of top senders
+ * @param {string} options.since - Window start (a sender first seen before it is returning)
+ * @param {number} options.fromBlock - Window start block
+ */
+export function computeAnalytics(scoped, windowed, { bucket = "hour", top = 10, since, fromBlock } = {}) {
+    // Each sender's first event within the scope
+    const firstSeen = new Map();
+    for (const event of scoped) {
+        const first = firstSeen.get(event.sender);
+        if (!first) {
+            firstSeen.set(event.sender, { timestamp: event.timestamp, blockHeight: event.blockHeight || 0, bucket: bucketKey(event, bucket) });
+            continue;
+        }
+        if (event.timestamp < first.timestamp) first.timestamp = event.timestamp;
+        if ((event.blockHeight || 0) < first.blockHeight) first.blockHeight = event.blockHeight || 0;
+        const key = bucketKey(event, bucket);
+        if (key < first.bucket) first.bucket = key;
+    }
+
+    const buckets = new Map();
+    const senders = new Map();
+    for (const event of windowed) {
+        const key = bucketKey(event, bucket);
+        if (!buckets.has(key)) buckets.set(key, { bucket: key, total: 0, successful: 0, senders: new Set(), newSenders: new Set() });
+        const entry = buckets.get(key);
+        entry.total++;
+        if (event.success) entry.successful++;
+        entry.senders.add(event.sender);
+        if (firstSeen.get(event.sender)?.bucket === key) entry.newSenders.add(event.sender);
+
+        if (!senders.has(event.sender)) senders.set(event.sender, { sender: event.sender, count: 0, successful: 0, lastSeen: event.timestamp });
+        const sender = senders.get(event.sender);
+        sender.count++;
+        if (event.success) sender.successful++;
+        if (event.timestamp > sender.lastSeen) sender.lastSeen = event.timestamp;
+    }
+
+    const series = [...buckets.values()]
+        .sort((a, b) => (a.bucket < b.bucket ? -1 : a.bucket > b.bucket ? 1 : 0))
+        .map(entry => ({
+            bucket: entry.bucket,
+            total: entry.total,
+            successful: entry.successful,
+            failed: entry.total - entry.successful,
+            uniqueSenders: entry.senders.size,
+            newSenders: entry.newSenders.size,
+            returningSenders: entry.senders.size - entry.newSenders.size
+        }));
+
+    const topSenders = [...senders.values()]
+        .sort((a, b) => b.count - a.count || (a.sender < b.sender ? -1 : 1))
+        .slice(0, top)
+        .map(sender => ({
+            sender: sender.sender,
+            count: sender.count,
+            successful: sender.successful,
+            failed: sender.count - sender.successful,
+            firstSeen: firstSeen.get(sender.sender).timestamp,
+            lastSeen: sender.lastSeen
+        }));
+
+    const isNew = (first) => (!since || first.timestamp >= since) && (fromBlock === undefined || first.blockHeight >= fromBlock);
+    const newWallets = [...senders.keys()].filter(sender => isNew(firstSeen.get(sender))).length;
+
+    return {
+        series,
+        topSenders,
+        wallets: { active: senders.size, new: newWallets, returning: senders.size - newWallets }
+    };
+}
+
+/**
+ * Summary statistics over a list of events
+ */
+export function computeStats(events) {
+    const uniqueSenders = new Set(events.map(e => e.sender)).size;
+    const successfulTxs = events.filter(e => e.success).length;
+    const methods = {};
+    const eventTypes = {};
+    const contracts = {};
+
+    for (const event of events) {
+        if (event.method) methods[event.method] = (methods[event.method] || 0) + 1;
+        eventTypes[event.eventType] = (eventTypes[event.eventType] || 0) + 1;
+        if (event.contractId) contracts[event.contractId] = (contracts[event.contractId] || 0) + 1;
+    }
+
+    return {
+        totalInteractions: events.length,
+        uniqueSenders,
+        successfulTransactions: successfulTxs,
+        failedTransactions: events.length - successfulTxs,
+        methodBreakdown: methods,
+        eventTypeBreakdown: eventTypes,
+        contractBreakdown: contracts
+    };
+}
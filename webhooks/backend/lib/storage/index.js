@@ -0,0 +1,59 @@
+/**
+ * Event storage layer
+ * Every driver exposes the same interface:
+ *   insertEvents(events), applyChainUpdate({ rollbackBlocks, events, outbound, overwrite }) ->
+ *     { orphaned, inserted, duplicates, updated, insertedEvents },
+ *   listEvents({ limit, sort, order, after, ...filters }), countEvents(filters), getStats(filters),
+ *   getAnalytics({ bucket, top, ...filters }), latestBlockHeight(filters),
+ *   recordAlert(alert), updateAlertDeliveries(id, deliveries),
+ *   listAlerts({ limit, rule }), lastAlertTimes(),
+ *   enqueueOutbound(deliveries), nextOutbound(destination), completeOutbound(id),
+ *   failOutbound(id, attempt), listDeadLetters({ limit, destination }),
+ *   retryDeadLetters(selection), purgeDeadLetters(selection), outboundCounts(),
+ *   recordReceivedBlocks(uuid, blocks), receivedBlockStats(uuid),
+ *   getGapCheckpoint(uuid), saveGapCheckpoint(checkpoint),
+ *   getWatchedTransaction(txid), saveWatchedTransaction(tx),
+ *   listWatchedTransactions({ limit, status, blockHash, blockHeight, createdBefore }),
+ *   watchedTransactionCounts(), deleteWatchedTransaction(txid),
+ *   journalDelivery(entry), updateJournalEntry(id, fields), recordJournalReplay(id, replay),
+ *   getJournalEntry(id), listJournal({ limit, order, ...selection }),
+ *   prune(), sizeBytes(), clear(), close()
+ * where filters = { includeOrphaned, contractId, eventType, txid, sender, method,
+ * success, fromBlock, toBlock, since, until } (see matchesQuery), `sort` is
+ * "timestamp" or "blockHeight", `order` "desc" or "asc", and `after` the
+ * position ({ seq, value: timestamp or block height }) a page starts after.
+ * Age-based retention goes by `receivedAt`, not the (block time) timestamp, and
+ * also drops received blocks (lowering gap baselines to match). `outbound` maps
+ * the update ({ rollbackBlocks, orphaned, insertedEvents }) to deliveries
+ * ({ id, destination, payload }) queued in the same transaction, and
+ * `overwrite` rebuilds the parsed fields of events already stored (counted in
+ * `updated`). The journal keeps raw webhook deliveries (see delivery-journal.js),
+ * selected with matchesJournalSelection.
+ */
+
+import { createMemoryStore } from "./memory-store.js";
+import { createSqliteStore } from "./sqlite-store.js";
+
+export { createMemoryStore, createSqliteStore };
+
+/**
+ * Create the configured event store
+ * @param {object} options
+ * @param {"sqlite"|"memory"} options.driver - Storage backend (default: sqlite)
+ * @param {string} options.filename - SQLite database file
+ * @param {number} options.maxEvents - Keep at most this many events (0 = unlimited)
+ * @param {number} options.maxAgeDays - Drop events received longer ago than this (0 = forever)
+ * @param {number} options.journalMaxEntries - Keep at most this many journaled deliveries (0 = unlimited)
+ * @param {number} options.journalMaxAgeDays - Drop journaled deliveries older than this (0 = forever)
+ */
+export function createStorage({ driver = "sqlite", filename, maxEvents = 0, maxAgeDays = 0, journalMaxEntries = 0, journalMaxAgeDays = 0 } = {}) {
+    const retention = { maxEvents, maxAgeDays, journalMaxEntries, journalMaxAgeDays };
+    switch (driver) {
+        case "sqlite":
+            return createSqliteStore({ filename, ...retention });
+        case "memory":
+            return createMemoryStore(retention);
+        default:
+            throw new Error(`Unknown storage driver: ${driver}`);
+    }
+}
@@ -0,0 +1,423 @@
+/**
+ * In-memory event store
+ * Keeps events in a newest-first array. Nothing survives a restart, so this
+ * driver is meant for tests and throwaway local runs.
+ */
+
+import {
+    compareEvents,
+    computeAnalytics,
+    computeStats,
+    cutoffTimestamp,
+    dedupKey,
+    matchesJournalSelection,
+    matchesQuery,
+    REPARSED_FIELDS
+} from "./common.js";
+
+// Alert history entries kept in memory
+const MAX_ALERTS = 1000;
+
+// Journal entry fields updateJournalEntry may set
+const JOURNAL_UPDATE_FIELDS = ["chainhookUuid", "chainhookName", "outcome", "statusCode", "format", "eventsNew", "errors"];
+
+// Stored field value compared for overwrites (missing and null are the same)
+const fieldValue = (value) => JSON.stringify(value ?? null);
+
+export function createMemoryStore({ maxEvents = 0, maxAgeDays = 0, journalMaxEntries = 0, journalMaxAgeDays = 0 } = {}) {
+    let events = [];
+    let byKey = new Map();
+    let alerts = [];
+    let outbox = [];
+    let nextSeq = 1;
+    // Chainhook UUID -> Map of "height:hash" -> { blockHeight, receivedAt }
+    const receivedBlocks = new Map();
+    const gapCheckpoints = new Map();
+    const watched = new Map();
+    // Delivery journal, oldest first
+    let journal = [];
+    let nextJournalId = 1;
+
+    /**
+     * Insert events, skipping ones already stored. Returns the stored events
+     * that were new (or restored from orphaned), and with `overwrite` how many
+     * stored events were rebuilt from the new copies.
+     */
+    function insert(newEvents, { overwrite = false } = {}) {
+        const inserted = [];
+        let updated = 0;
+
+        for (const event of newEvents) {
+            const key = dedupKey(event);
+            const existing = byKey.get(key);
+
+            if (existing) {
+                if (overwrite && REPARSED_FIELDS.some(field => fieldValue(existing[field]) !== fieldValue(event[field]))) {
+                    for (const field of REPARSED_FIELDS) existing[field] = event[field];
+                    updated++;
+                }
+                // Redelivery - only counts if its block became canonical again
+                if (existing.canonical === false) {
+                    existing.canonical = true;
+                    existing.orphanedAt = null;
+                    inserted.push(existing);
+                }
+                continue;
+            }
+
+            const stored = {
+                canonical: true,
+                orphanedAt: null,
+                eventIndex: 0,
+                eventType: "contract_call",
+                args: [],
+                result: null,
+                resultType: null,
+                errorCode: null,
+                ...event,
+                seq: nextSeq++
+            };
+            byKey.set(key, stored);
+            // Add to beginning of array (newest first)
+            events.unshift(stored);
+            inserted.push(stored);
+        }
+
+        return { inserted, updated };
+    }
+
+    function enqueue(deliveries) {
+        const now = new Date().toISOString();
+        for (const delivery of deliveries) {
+            outbox.push({ status: "pending", attempts: 0, nextAttemptAt: now, lastError: null, createdAt: now, ...delivery });
+        }
+    }
+
+    function selectDeadLetters({ ids, destination } = {}) {
+        return outbox.filter(d => d.status === "dead"
+            && (!ids?.length || ids.includes(d.id))
+            && (!destination || d.destination === destination));
+    }
+
+    function selectWatched({ status, blockHash, blockHeight, createdBefore } = {}) {
+        const statuses = [].concat(status ?? []);
+        return [...watched.values()].filter(tx => (!statuses.length || statuses.includes(tx.status))
+            && (blockHash ? tx.blockHash === blockHash : blockHeight === undefined || tx.blockHeight === blockHeight)
+            && (!createdBefore || tx.createdAt < createdBefore));
+    }
+
+    function pruneJournal() {
+        const cutoff = cutoffTimestamp(journalMaxAgeDays);
+        if (cutoff) journal = journal.filter(entry => entry.receivedAt >= cutoff);
+        if (journalMaxEntries > 0 && journal.length > journalMaxEntries) journal = journal.slice(-journalMaxEntries);
+    }
+
+    // Journal listings leave out headers and body (see getJournalEntry)
+    const journalSummary = ({ headers, body, ...entry }) => ({ ...entry, errors: [...entry.errors] });
+
+    function query(filters) {
+        return events.filter(e => matchesQuery(e, filters));
+    }
+
+    /**
+     * Drop blocks received before the cutoff, lowering each hook's gap
+     * baseline by as many so the blocks received since it still add up
+     */
+    function pruneReceivedBlocks(cutoff) {
+        for (const [uuid, seen] of receivedBlocks) {
+            let pruned = 0;
+            for (const [key, block] of seen) {
+                if (block.receivedAt >= cutoff) continue;
+                seen.delete(key);
+                pruned++;
+            }
+            const checkpoint = gapCheckpoints.get(uuid);
+            if (checkpoint && pruned > 0) checkpoint.baselineReceived -= pruned;
+        }
+    }
+
+    /**
+     * Drop events beyond the configured count / age limits, and received
+     * blocks past the age limit
+     */
+    function prune() {
+        const before = events.length;
+
+        const cutoff = cutoffTimestamp(maxAgeDays);
+        if (cutoff) {
+            events = events.filter(e => (e.receivedAt || e.timestamp) >= cutoff);
+            pruneReceivedBlocks(cutoff);
+        }
+        if (maxEvents > 0 && events.length > maxEvents) {
+            events.length = maxEvents;
+        }
+        if (events.length !== before) {
+            byKey = new Map(events.map(e => [dedupKey(e), e]));
+        }
+
+        return before - events.length;
+    }
+
+    return {
+        driver: "memory",
+
+        insertEvents(newEvents) {
+            const { inserted } = insert(newEvents);
+            prune();
+            return inserted.length;
+        },
+
+        applyChainUpdate({ rollbackBlocks = [], events: newEvents = [], outbound, overwrite = false } = {}) {
+            const now = new Date().toISOString();
+            let orphaned = 0;
+
+            for (const block of rollbackBlocks) {
+                for (const event of events) {
+                    const inBlock = block.blockHash
+                        ? event.blockHash === block.blockHash
+                        : event.blockHeight === block.blockHeight;
+                    if (inBlock && event.canonical !== false) {
+                        event.canonical = false;
+                        event.orphanedAt = now;
+                        orphaned++;
+                    }
+                }
+            }
+
+            const { inserted, updated } = insert(newEvents, { overwrite });
+            if (outbound) enqueue(outbound({ rollbackBlocks, orphaned, insertedEvents: inserted }));
+            prune();
+            return {
+                orphaned,
+                inserted: inserted.length,
+                duplicates: newEvents.length - inserted.length,
+                updated,
+                insertedEvents: inserted
+            };
+        },
+
+        listEvents({ limit = 50, sort = "timestamp", order = "desc", after = null, ...filters } = {}) {
+            let results = query(filters).sort((a, b) => compareEvents(a, b, { sort, order }));
+            if (after) {
+                const position = { seq: after.seq, [sort === "blockHeight" ? "blockHeight" : "timestamp"]: after.value };
+                results = results.filter(e => compareEvents(e, position, { sort, order }) > 0);
+            }
+            return results.slice(0, limit);
+        },
+
+        countEvents(filters = {}) {
+            return query(filters).length;
+        },
+
+        getStats(filters = {}) {
+            return computeStats(query({ ...filters, includeOrphaned: false }));
+        },
+
+        getAnalytics({ bucket, top, ...filters } = {}) {
+            const { since, until, fromBlock, toBlock, ...scope } = filters;
+            return computeAnalytics(
+                query({ ...scope, includeOrphaned: false }),
+                query({ ...filters, includeOrphaned: false }),
+                { bucket, top, since, fromBlock }
+            );
+        },
+
+        latestBlockHeight(filters = {}) {
+            return query({ ...filters, includeOrphaned: false })
+                .reduce((max, e) => Math.max(max, e.blockHeight || 0), 0);
+        },
+
+        recordAlert(alert) {
+            if (alerts.some(a => a.dedupKey === alert.dedupKey)) return false;
+            alerts.unshift({ deliveries: [], ...alert });
+            if (alerts.length > MAX_ALERTS) alerts.length = MAX_ALERTS;
+            return true;
+        },
+
+        updateAlertDeliveries(id, deliveries) {
+            const alert = alerts.find(a => a.id === id);
+            if (alert) alert.deliveries = deliveries;
+        },
+
+        listAlerts({ limit = 50, rule } = {}) {
+            return alerts.filter(a => !rule || a.rule === rule).slice(0, limit);
+        },
+
+        lastAlertTimes() {
+            const times = {};
+            for (const alert of alerts) {
+                if (alert.status === "fired" && !times[alert.rule]) times[alert.rule] = alert.firedAt;
+            }
+            return times;
+        },
+
+        enqueueOutbound(deliveries) {
+            enqueue(deliveries);
+        },
+
+        nextOutbound(destination) {
+            return outbox.find(d => d.destination === destination && d.status === "pending") || null;
+        },
+
+        completeOutbound(id) {
+            outbox = outbox.filter(d => d.id !== id);
+        },
+
+        failOutbound(id, { attempts, error, nextAttemptAt, dead }) {
+            const delivery = outbox.find(d => d.id === id);
+            if (delivery) Object.assign(delivery, { attempts, lastError: error, nextAttemptAt, status: dead ? "dead" : "pending" });
+        },
+
+        listDeadLetters({ limit = 50, destination } = {}) {
+            return selectDeadLetters({ destination }).reverse().slice(0, limit);
+        },
+
+        retryDeadLetters(selection = {}) {
+            const now = new Date().toISOString();
+            const selected = selectDeadLetters(selection);
+            for (const delivery of selected) Object.assign(delivery, { status: "pending", attempts: 0, nextAttemptAt: now });
+            return selected.length;
+        },
+
+        purgeDeadLetters(selection = {}) {
+            const selected = new Set(selectDeadLetters(selection));
+            outbox = outbox.filter(d => !selected.has(d));
+            return selected.size;
+        },
+
+        outboundCounts() {
+            const counts = {};
+            for (const delivery of outbox) {
+                counts[delivery.destination] ??= { pending: 0, dead: 0 };
+                counts[delivery.destination][delivery.status]++;
+            }
+            return counts;
+        },
+
+        recordReceivedBlocks(uuid, blocks) {
+            if (!receivedBlocks.has(uuid)) receivedBlocks.set(uuid, new Map());
+            const seen = receivedBlocks.get(uuid);
+            const receivedAt = new Date().toISOString();
+            let added = 0;
+            for (const block of blocks) {
+                const key = `${block.blockHeight}:${block.blockHash || ""}`;
+                if (seen.has(key)) continue;
+                seen.set(key, { blockHeight: block.blockHeight, receivedAt });
+                added++;
+            }
+            return added;
+        },
+
+        receivedBlockStats(uuid) {
+            const heights = [...(receivedBlocks.get(uuid)?.values() || [])].map(block => block.blockHeight);
+            return { count: heights.length, lastHeight: heights.length ? Math.max(...heights) : 0 };
+        },
+
+        getGapCheckpoint(uuid) {
+            return gapCheckpoints.get(uuid) || null;
+        },
+
+        saveGapCheckpoint(checkpoint) {
+            gapCheckpoints.set(checkpoint.uuid, { ...checkpoint });
+        },
+
+        getWatchedTransaction(txid) {
+            const tx = watched.get(txid);
+            return tx ? { ...tx } : null;
+        },
+
+        saveWatchedTransaction(tx) {
+            const existing = watched.get(tx.txid);
+            watched.set(tx.txid, {
+                contractId: null,
+                functionName: null,
+                source: "api",
+                blockHeight: null,
+                blockHash: null,
+                eventId: null,
+                reason: null,
+                resolvedAt: null,
+                ...tx,
+                ...(existing ? { source: existing.source, createdAt: existing.createdAt } : {})
+            });
+        },
+
+        listWatchedTransactions({ limit = 50, ...selection } = {}) {
+            return selectWatched(selection)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .slice(0, limit)
+                .map(tx => ({ ...tx }));
+        },
+
+        watchedTransactionCounts() {
+            const counts = { pending: 0, confirmed: 0, failed: 0, dropped: 0 };
+            for (const tx of watched.values()) counts[tx.status] = (counts[tx.status] || 0) + 1;
+            return counts;
+        },
+
+        deleteWatchedTransaction(txid) {
+            return watched.delete(txid);
+        },
+
+        journalDelivery({ receivedAt, headers, body = null, chainhookUuid = null, chainhookName = null, outcome = "received", statusCode = null }) {
+            const id = nextJournalId++;
+            journal.push({
+                id,
+                receivedAt,
+                sizeBytes: body ? Buffer.byteLength(body) : 0,
+                chainhookUuid,
+                chainhookName,
+                outcome,
+                statusCode,
+                format: null,
+                eventsNew: null,
+                errors: [],
+                replayCount: 0,
+                lastReplayedAt: null,
+                lastReplay: null,
+                headers,
+                body
+            });
+            pruneJournal();
+            return id;
+        },
+
+        updateJournalEntry(id, fields) {
+            const entry = journal.find(e => e.id === id);
+            if (!entry) return;
+            for (const name of JOURNAL_UPDATE_FIELDS) {
+                if (name in fields) entry[name] = fields[name];
+            }
+        },
+
+        recordJournalReplay(id, replay) {
+            const entry = journal.find(e => e.id === id);
+            if (entry) Object.assign(entry, { replayCount: entry.replayCount + 1, lastReplayedAt: replay.replayedAt, lastReplay: replay });
+        },
+
+        getJournalEntry(id) {
+            const entry = journal.find(e => e.id === id);
+            return entry ? { ...journalSummary(entry), headers: entry.headers, body: entry.body } : null;
+        },
+
+        listJournal({ limit = 50, order = "desc", ...selection } = {}) {
+            const selected = journal.filter(entry => matchesJournalSelection(entry, selection));
+            if (order !== "asc") selected.reverse();
+            return selected.slice(0, limit).map(journalSummary);
+        },
+
+        prune,
+
+        clear() {
+            events = [];
+            byKey = new Map();
+        },
+
+        // Nothing on disk to measure
+        sizeBytes() {
+            return null;
+        },
+
+        close() {}
+    };
+}
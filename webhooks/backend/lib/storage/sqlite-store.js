@@ -0,0 +1,1039 @@
+/**
+ * SQLite event store (default driver)
+ * Persists every parsed event so /events and /stats survive restarts.
+ */
+
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { cutoffTimestamp, dedupKey, REPARSED_FIELDS } from "./common.js";
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version
+const MIGRATIONS = [
+    `CREATE TABLE events (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        txid TEXT NOT NULL,
+        sender TEXT NOT NULL,
+        block_height INTEGER NOT NULL DEFAULT 0,
+        contract_id TEXT,
+        method TEXT NOT NULL,
+        success INTEGER NOT NULL,
+        timestamp TEXT NOT NULL,
+        raw TEXT,
+        parse_error TEXT
+    );
+    CREATE INDEX idx_events_timestamp ON events (timestamp);
+    CREATE INDEX idx_events_txid ON events (txid);`,
+
+    // Reorg tracking: events from rolled-back blocks are kept but marked orphaned
+    `ALTER TABLE events ADD COLUMN block_hash TEXT;
+    ALTER TABLE events ADD COLUMN canonical INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE events ADD COLUMN orphaned_at TEXT;
+    CREATE INDEX idx_events_block_hash ON events (block_hash);
+    CREATE INDEX idx_events_block_height ON events (block_height);`,
+
+    // Idempotent ingestion: one row per (block hash, txid, event index)
+    `ALTER TABLE events ADD COLUMN event_index INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE events ADD COLUMN dedup_key TEXT;
+    UPDATE events SET dedup_key = CASE
+        WHEN parse_error IS NOT NULL OR txid = 'unknown' THEN 'id:' || id
+        ELSE COALESCE(block_hash, 'height:' || block_height) || ':' || txid || ':0'
+    END;
+    DELETE FROM events WHERE seq NOT IN (SELECT MIN(seq) FROM events GROUP BY dedup_key);
+    CREATE UNIQUE INDEX idx_events_dedup_key ON events (dedup_key);`,
+
+    // Multiple contracts and event types (print, STX/FT/NFT) per chainhook
+    `ALTER TABLE events ADD COLUMN event_type TEXT NOT NULL DEFAULT 'contract_call';
+    ALTER TABLE events ADD COLUMN details TEXT;
+    CREATE INDEX idx_events_contract_id ON events (contract_id);
+    CREATE INDEX idx_events_event_type ON events (event_type);`,
+
+    // Decoded Clarity arguments and result of contract calls
+    `ALTER TABLE events ADD COLUMN args TEXT;
+    ALTER TABLE events ADD COLUMN result TEXT;
+    ALTER TABLE events ADD COLUMN result_type TEXT;
+    ALTER TABLE events ADD COLUMN error_code TEXT;`,
+
+    // Alert history: one row per fired (or cooldown-suppressed) alert
+    `CREATE TABLE alerts (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        rule TEXT NOT NULL,
+        status TEXT NOT NULL,
+        dedup_key TEXT NOT NULL UNIQUE,
+        fired_at TEXT NOT NULL,
+        message TEXT NOT NULL,
+        events TEXT NOT NULL,
+        deliveries TEXT
+    );
+    CREATE INDEX idx_alerts_rule ON alerts (rule);`,
+
+    // Outbound forwarding queue (pending deliveries and dead letters)
+    `CREATE TABLE outbox (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        destination TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT NOT NULL,
+        last_error TEXT,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_outbox_destination ON outbox (destination, status, seq);`,
+
+    // Gap detection: blocks delivered per chainhook, and the last consistent check
+    `CREATE TABLE received_blocks (
+        chainhook_uuid TEXT NOT NULL,
+        block_height INTEGER NOT NULL,
+        block_hash TEXT NOT NULL DEFAULT '',
+        received_at TEXT NOT NULL,
+        PRIMARY KEY (chainhook_uuid, block_height, block_hash)
+    );
+    CREATE TABLE gap_checkpoints (
+        chainhook_uuid TEXT PRIMARY KEY,
+        baseline_occurrences INTEGER NOT NULL,
+        baseline_received INTEGER NOT NULL,
+        consistent_through INTEGER NOT NULL,
+        updated_at TEXT NOT NULL
+    );`,
+
+    // Watched transactions: followed from pending to confirmed, failed or dropped
+    `CREATE TABLE watched_transactions (
+        txid TEXT PRIMARY KEY,
+        status TEXT NOT NULL DEFAULT 'pending',
+        contract_id TEXT,
+        function_name TEXT,
+        source TEXT NOT NULL DEFAULT 'api',
+        block_height INTEGER,
+        block_hash TEXT,
+        event_id TEXT,
+        reason TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        resolved_at TEXT
+    );
+    CREATE INDEX idx_watched_status ON watched_transactions (status, created_at);
+    CREATE INDEX idx_watched_block_hash ON watched_transactions (block_hash);`,
+
+    // Event schema v2: transaction position, fee and nonce, and block time.
+    // Older rows keep schema_version 1; their timestamp is when they were received.
+    `ALTER TABLE events ADD COLUMN schema_version INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE events ADD COLUMN tx_index INTEGER;
+    ALTER TABLE events ADD COLUMN nonce INTEGER;
+    ALTER TABLE events ADD COLUMN fee TEXT;
+    ALTER TABLE events ADD COLUMN block_time TEXT;
+    ALTER TABLE events ADD COLUMN received_at TEXT;
+    UPDATE events SET received_at = timestamp;`,
+
+    // Delivery journal: every raw webhook delivery, kept for inspection and replay
+    `CREATE TABLE delivery_journal (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        received_at TEXT NOT NULL,
+        headers TEXT NOT NULL,
+        body TEXT,
+        size_bytes INTEGER NOT NULL DEFAULT 0,
+        chainhook_uuid TEXT,
+        chainhook_name TEXT,
+        outcome TEXT NOT NULL DEFAULT 'received',
+        status_code INTEGER,
+        format TEXT,
+        events_new INTEGER,
+        errors TEXT,
+        replay_count INTEGER NOT NULL DEFAULT 0,
+        last_replayed_at TEXT,
+        last_replay TEXT
+    );
+    CREATE INDEX idx_journal_received_at ON delivery_journal (received_at);
+    CREATE INDEX idx_journal_outcome ON delivery_journal (outcome, id);`,
+
+    // Retention goes by receive time: the timestamp is the block time, which
+    // is old for backfilled and replayed events
+    `CREATE INDEX idx_events_received_at ON events (received_at);`
+];
+
+function migrate(db) {
+    const version = db.pragma("user_version", { simple: true });
+
+    for (let i = version; i < MIGRATIONS.length; i++) {
+        db.transaction(() => {
+            db.exec(MIGRATIONS[i]);
+            db.pragma(`user_version = ${i + 1}`);
+        })();
+    }
+}
+
+// Query filter -> condition on the events table (see matchesQuery in common.js)
+const FILTER_CONDITIONS = {
+    contractId: "contract_id = @contractId",
+    eventType: "event_type = @eventType",
+    txid: "txid = @txid",
+    sender: "sender = @sender",
+    method: "method = @method",
+    success: "success = @success",
+    fromBlock: "block_height >= @fromBlock",
+    toBlock: "block_height <= @toBlock",
+    since: "timestamp >= @since",
+    until: "timestamp < @until"
+};
+
+/**
+ * WHERE clause for the query filters shared by listEvents/countEvents/getStats
+ */
+function buildWhere({ includeOrphaned = false, ...filters } = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (!includeOrphaned) conditions.push("canonical = 1");
+    for (const [name, condition] of Object.entries(FILTER_CONDITIONS)) {
+        const value = filters[name];
+        if (value === undefined || value === null || value === "") continue;
+        conditions.push(condition);
+        params[name] = typeof value === "boolean" ? Number(value) : value;
+    }
+
+    return {
+        where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "",
+        params
+    };
+}
+
+// Analytics bucket key per event (see bucketKey in common.js)
+const BUCKET_EXPRESSIONS = {
+    hour: "substr(timestamp, 1, 13) || ':00:00.000Z'",
+    day: "substr(timestamp, 1, 10) || 'T00:00:00.000Z'",
+    block: "block_height"
+};
+
+/**
+ * ORDER BY clause and keyset condition (rows after the cursor position) for listEvents
+ */
+function buildOrder({ sort = "timestamp", order = "desc", after = null }) {
+    const direction = order === "asc" ? "ASC" : "DESC";
+    const comparison = order === "asc" ? ">" : "<";
+
+    if (sort === "blockHeight") {
+        return {
+            orderBy: `ORDER BY block_height ${direction}, seq ${direction}`,
+            keyset: after
+                ? `(block_height ${comparison} @afterValue OR (block_height = @afterValue AND seq ${comparison} @afterSeq))`
+                : null
+        };
+    }
+    return {
+        orderBy: `ORDER BY timestamp ${direction}, seq ${direction}`,
+        keyset: after
+            ? `(timestamp ${comparison} @afterValue OR (timestamp = @afterValue AND seq ${comparison} @afterSeq))`
+            : null
+    };
+}
+
+function rowToEvent(row) {
+    return {
+        seq: row.seq,
+        id: row.id,
+        schemaVersion: row.schema_version,
+        txid: row.txid,
+        txIndex: row.tx_index,
+        sender: row.sender,
+        nonce: row.nonce,
+        fee: row.fee,
+        blockHeight: row.block_height,
+        blockHash: row.block_hash,
+        blockTime: row.block_time,
+        eventIndex: row.event_index,
+        eventType: row.event_type,
+        contractId: row.contract_id,
+        // Stored as "" for events of transactions that aren't contract calls
+        method: row.method || null,
+        success: row.success === 1,
+        args: row.args ? JSON.parse(row.args) : [],
+        result: row.result ? JSON.parse(row.result) : null,
+        resultType: row.result_type,
+        errorCode: row.error_code,
+        timestamp: row.timestamp,
+        receivedAt: row.received_at,
+        canonical: row.canonical === 1,
+        orphanedAt: row.orphaned_at,
+        details: row.details ? JSON.parse(row.details) : null,
+        raw: row.raw ? JSON.parse(row.raw) : null,
+        ...(row.parse_error ? { parseError: row.parse_error } : {})
+    };
+}
+
+function rowToWatched(row) {
+    return {
+        txid: row.txid,
+        status: row.status,
+        contractId: row.contract_id,
+        functionName: row.function_name,
+        source: row.source,
+        blockHeight: row.block_height,
+        blockHash: row.block_hash,
+        eventId: row.event_id,
+        reason: row.reason,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        resolvedAt: row.resolved_at
+    };
+}
+
+/**
+ * WHERE clause selecting watched transactions (see listWatchedTransactions)
+ */
+function watchedWhere({ status, blockHash, blockHeight, createdBefore } = {}) {
+    const conditions = [];
+    const params = {};
+    const statuses = [].concat(status ?? []);
+    if (statuses.length) {
+        conditions.push(`status IN (${statuses.map((_, i) => `@status${i}`).join(", ")})`);
+        statuses.forEach((value, i) => { params[`status${i}`] = value; });
+    }
+    if (blockHash) {
+        conditions.push("block_hash = @blockHash");
+        params.blockHash = blockHash;
+    } else if (blockHeight !== undefined) {
+        conditions.push("block_height = @blockHeight");
+        params.blockHeight = blockHeight;
+    }
+    if (createdBefore) {
+        conditions.push("created_at < @createdBefore");
+        params.createdBefore = createdBefore;
+    }
+    return { where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "", params };
+}
+
+function rowToAlert(row) {
+    return {
+        id: row.id,
+        rule: row.rule,
+        status: row.status,
+        dedupKey: row.dedup_key,
+        firedAt: row.fired_at,
+        message: row.message,
+        events: JSON.parse(row.events),
+        deliveries: row.deliveries ? JSON.parse(row.deliveries) : []
+    };
+}
+
+function rowToDelivery(row) {
+    return {
+        id: row.id,
+        destination: row.destination,
+        payload: JSON.parse(row.payload),
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.next_attempt_at,
+        lastError: row.last_error,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * WHERE clause selecting dead letters by id and/or destination
+ */
+function deadLetterWhere({ ids, destination } = {}) {
+    const conditions = ["status = 'dead'"];
+    const params = {};
+
+    if (ids?.length) {
+        conditions.push(`id IN (${ids.map((_, i) => `@id${i}`).join(", ")})`);
+        ids.forEach((id, i) => { params[`id${i}`] = id; });
+    }
+    if (destination) {
+        conditions.push("destination = @destination");
+        params.destination = destination;
+    }
+
+    return { where: `WHERE ${conditions.join(" AND ")}`, params };
+}
+
+// Reparsed event field -> events column (schemaVersion -> schema_version)
+const eventColumn = (field) => field.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+
+// Journal entry fields updateJournalEntry may set -> delivery_journal column
+const JOURNAL_UPDATE_COLUMNS = {
+    chainhookUuid: "chainhook_uuid",
+    chainhookName: "chainhook_name",
+    outcome: "outcome",
+    statusCode: "status_code",
+    format: "format",
+    eventsNew: "events_new",
+    errors: "errors"
+};
+
+// Columns of a journal listing - headers and body only come with getJournalEntry
+const JOURNAL_SUMMARY_COLUMNS = `id, received_at, size_bytes, chainhook_uuid, chainhook_name, outcome, status_code,
+    format, events_new, errors, replay_count, last_replayed_at, last_replay`;
+
+function rowToJournalEntry(row) {
+    return {
+        id: row.id,
+        receivedAt: row.received_at,
+        sizeBytes: row.size_bytes,
+        chainhookUuid: row.chainhook_uuid,
+        chainhookName: row.chainhook_name,
+        outcome: row.outcome,
+        statusCode: row.status_code,
+        format: row.format,
+        eventsNew: row.events_new,
+        errors: row.errors ? JSON.parse(row.errors) : [],
+        replayCount: row.replay_count,
+        lastReplayedAt: row.last_replayed_at,
+        lastReplay: row.last_replay ? JSON.parse(row.last_replay) : null,
+        ...("headers" in row ? { headers: JSON.parse(row.headers), body: row.body } : {})
+    };
+}
+
+/**
+ * WHERE clause selecting journal entries (see matchesJournalSelection in common.js)
+ */
+function journalWhere({ ids, outcome, chainhook, since, until, before, after } = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (ids?.length) {
+        conditions.push(`id IN (${ids.map((_, i) => `@id${i}`).join(", ")})`);
+        ids.forEach((id, i) => { params[`id${i}`] = id; });
+    }
+    const optional = {
+        outcome: ["outcome = @outcome", outcome],
+        chainhook: ["(chainhook_name = @chainhook OR chainhook_uuid = @chainhook)", chainhook],
+        since: ["received_at >= @since", since],
+        until: ["received_at < @until", until],
+        before: ["id < @before", before],
+        after: ["id > @after", after]
+    };
+    for (const [name, [condition, value]] of Object.entries(optional)) {
+        if (!value) continue;
+        conditions.push(condition);
+        params[name] = value;
+    }
+
+    return { where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "", params };
+}
+
+export function createSqliteStore({ filename, maxEvents = 0, maxAgeDays = 0, journalMaxEntries = 0, journalMaxAgeDays = 0 }) {
+    if (filename !== ":memory:") {
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    const db = new Database(filename);
+    db.pragma("journal_mode = WAL");
+    migrate(db);
+
+    // A redelivered event is ignored, unless it was orphaned and its block is canonical again
+    const insertStmt = db.prepare(`
+        INSERT INTO events (id, schema_version, txid, tx_index, sender, nonce, fee, block_height, block_hash, block_time, event_index, dedup_key, event_type, contract_id, method, success, args, result, result_type, error_code, timestamp, received_at, details, raw, parse_error)
+        VALUES (@id, @schemaVersion, @txid, @txIndex, @sender, @nonce, @fee, @blockHeight, @blockHash, @blockTime, @eventIndex, @dedupKey, @eventType, @contractId, @method, @success, @args, @result, @resultType, @errorCode, @timestamp, @receivedAt, @details, @raw, @parseError)
+        ON CONFLICT (dedup_key) DO UPDATE SET canonical = 1, orphaned_at = NULL WHERE canonical = 0
+    `);
+    const orphanByHashStmt = db.prepare(`
+        UPDATE events SET canonical = 0, orphaned_at = @now WHERE canonical = 1 AND block_hash = @blockHash
+    `);
+    const orphanByHeightStmt = db.prepare(`
+        UPDATE events SET canonical = 0, orphaned_at = @now WHERE canonical = 1 AND block_height = @blockHeight
+    `);
+    // Replays with `overwrite` rebuild the parsed fields of stored events (only rows that differ count)
+    const overwriteStmt = db.prepare(`
+        UPDATE events SET ${REPARSED_FIELDS.map(field => `${eventColumn(field)} = @${field}`).join(", ")}
+        WHERE dedup_key = @dedupKey AND (${REPARSED_FIELDS.map(field => `${eventColumn(field)} IS NOT @${field}`).join(" OR ")})
+    `);
+    const getByKeyStmt = db.prepare("SELECT * FROM events WHERE dedup_key = ?");
+    const pruneByAgeStmt = db.prepare("DELETE FROM events WHERE received_at < ?");
+    const pruneByCountStmt = db.prepare(`
+        DELETE FROM events WHERE seq NOT IN (SELECT seq FROM events ORDER BY seq DESC LIMIT ?)
+    `);
+
+    const insertAlertStmt = db.prepare(`
+        INSERT INTO alerts (id, rule, status, dedup_key, fired_at, message, events, deliveries)
+        VALUES (@id, @rule, @status, @dedupKey, @firedAt, @message, @events, @deliveries)
+        ON CONFLICT (dedup_key) DO NOTHING
+    `);
+    const updateAlertDeliveriesStmt = db.prepare("UPDATE alerts SET deliveries = ? WHERE id = ?");
+    const enqueueStmt = db.prepare(`
+        INSERT INTO outbox (id, destination, payload, next_attempt_at, created_at)
+        VALUES (@id, @destination, @payload, @now, @now)
+    `);
+    const nextOutboundStmt = db.prepare(`
+        SELECT * FROM outbox WHERE destination = ? AND status = 'pending' ORDER BY seq LIMIT 1
+    `);
+    const completeOutboundStmt = db.prepare("DELETE FROM outbox WHERE id = ?");
+    const failOutboundStmt = db.prepare(`
+        UPDATE outbox SET status = @status, attempts = @attempts, next_attempt_at = @nextAttemptAt, last_error = @error
+        WHERE id = @id
+    `);
+    const insertReceivedBlockStmt = db.prepare(`
+        INSERT INTO received_blocks (chainhook_uuid, block_height, block_hash, received_at)
+        VALUES (@uuid, @blockHeight, @blockHash, @now)
+        ON CONFLICT DO NOTHING
+    `);
+    const prunedReceivedBlocksStmt = db.prepare(`
+        SELECT chainhook_uuid AS uuid, COUNT(*) AS count FROM received_blocks WHERE received_at < ? GROUP BY chainhook_uuid
+    `);
+    const lowerBaselineStmt = db.prepare(`
+        UPDATE gap_checkpoints SET baseline_received = baseline_received - @count WHERE chainhook_uuid = @uuid
+    `);
+    const pruneReceivedBlocksStmt = db.prepare("DELETE FROM received_blocks WHERE received_at < ?");
+    const saveCheckpointStmt = db.prepare(`
+        INSERT INTO gap_checkpoints (chainhook_uuid, baseline_occurrences, baseline_received, consistent_through, updated_at)
+        VALUES (@uuid, @baselineOccurrences, @baselineReceived, @consistentThrough, @updatedAt)
+        ON CONFLICT (chainhook_uuid) DO UPDATE SET
+            baseline_occurrences = excluded.baseline_occurrences,
+            baseline_received = excluded.baseline_received,
+            consistent_through = excluded.consistent_through,
+            updated_at = excluded.updated_at
+    `);
+    const insertJournalStmt = db.prepare(`
+        INSERT INTO delivery_journal (received_at, headers, body, size_bytes, chainhook_uuid, chainhook_name, outcome, status_code)
+        VALUES (@receivedAt, @headers, @body, @sizeBytes, @chainhookUuid, @chainhookName, @outcome, @statusCode)
+    `);
+    const recordReplayStmt = db.prepare(`
+        UPDATE delivery_journal SET replay_count = replay_count + 1, last_replayed_at = @replayedAt, last_replay = @replay
+        WHERE id = @id
+    `);
+    const pruneJournalByAgeStmt = db.prepare("DELETE FROM delivery_journal WHERE received_at < ?");
+    const pruneJournalByCountStmt = db.prepare(`
+        DELETE FROM delivery_journal WHERE id NOT IN (SELECT id FROM delivery_journal ORDER BY id DESC LIMIT ?)
+    `);
+    const saveWatchedStmt = db.prepare(`
+        INSERT INTO watched_transactions (txid, status, contract_id, function_name, source, block_height, block_hash, event_id, reason, created_at, updated_at, resolved_at)
+        VALUES (@txid, @status, @contractId, @functionName, @source, @blockHeight, @blockHash, @eventId, @reason, @createdAt, @updatedAt, @resolvedAt)
+        ON CONFLICT (txid) DO UPDATE SET
+            status = excluded.status,
+            contract_id = excluded.contract_id,
+            function_name = excluded.function_name,
+            block_height = excluded.block_height,
+            block_hash = excluded.block_hash,
+            event_id = excluded.event_id,
+            reason = excluded.reason,
+            updated_at = excluded.updated_at,
+            resolved_at = excluded.resolved_at
+    `);
+
+    /**
+     * Drop blocks received before the cutoff, lowering each hook's gap
+     * baseline by as many so the blocks received since it still add up
+     */
+    const pruneReceivedBlocks = db.transaction((cutoff) => {
+        for (const { uuid, count } of prunedReceivedBlocksStmt.all(cutoff)) {
+            lowerBaselineStmt.run({ uuid, count });
+        }
+        pruneReceivedBlocksStmt.run(cutoff);
+    });
+
+    /**
+     * Drop events beyond the configured count / age limits, and received
+     * blocks past the age limit
+     */
+    function prune() {
+        let removed = 0;
+
+        const cutoff = cutoffTimestamp(maxAgeDays);
+        if (cutoff) {
+            removed += pruneByAgeStmt.run(cutoff).changes;
+            pruneReceivedBlocks(cutoff);
+        }
+        if (maxEvents > 0) {
+            removed += pruneByCountStmt.run(maxEvents).changes;
+        }
+
+        return removed;
+    }
+
+    /**
+     * Drop journal entries beyond the configured count / age limits
+     */
+    function pruneJournal() {
+        let removed = 0;
+
+        const cutoff = cutoffTimestamp(journalMaxAgeDays);
+        if (cutoff) {
+            removed += pruneJournalByAgeStmt.run(cutoff).changes;
+        }
+        if (journalMaxEntries > 0) {
+            removed += pruneJournalByCountStmt.run(journalMaxEntries).changes;
+        }
+
+        return removed;
+    }
+
+    /**
+     * Insert events, skipping ones already stored. Returns the stored events
+     * that were new (or restored from orphaned), and with `overwrite` how many
+     * stored events were rebuilt from the new copies.
+     */
+    function insertRows(newEvents, { overwrite = false } = {}) {
+        const inserted = [];
+        let updated = 0;
+
+        for (const event of newEvents) {
+            const key = dedupKey(event);
+            const params = {
+                id: event.id,
+                schemaVersion: event.schemaVersion || 1,
+                txid: event.txid,
+                txIndex: event.txIndex ?? null,
+                sender: event.sender,
+                nonce: event.nonce ?? null,
+                fee: event.fee ?? null,
+                blockHeight: event.blockHeight || 0,
+                blockHash: event.blockHash || null,
+                blockTime: event.blockTime || null,
+                eventIndex: event.eventIndex || 0,
+                dedupKey: key,
+                eventType: event.eventType || "contract_call",
+                contractId: event.contractId || null,
+                method: event.method ?? "",
+                success: event.success ? 1 : 0,
+                args: event.args?.length ? JSON.stringify(event.args) : null,
+                result: event.result ? JSON.stringify(event.result) : null,
+                resultType: event.resultType || null,
+                errorCode: event.errorCode || null,
+                timestamp: event.timestamp,
+                receivedAt: event.receivedAt || event.timestamp,
+                details: event.details ? JSON.stringify(event.details) : null,
+                raw: event.raw === undefined ? null : JSON.stringify(event.raw),
+                parseError: event.parseError || null
+            };
+
+            if (overwrite) updated += overwriteStmt.run(params).changes;
+            if (insertStmt.run(params).changes > 0) inserted.push(rowToEvent(getByKeyStmt.get(key)));
+        }
+
+        return { inserted, updated };
+    }
+
+    /**
+     * Mark events from rolled-back blocks as orphaned. Blocks are matched by
+     * hash, falling back to height when the payload carries no hash.
+     */
+    function orphanRows(rollbackBlocks) {
+        const now = new Date().toISOString();
+        let orphaned = 0;
+
+        for (const block of rollbackBlocks) {
+            orphaned += block.blockHash
+                ? orphanByHashStmt.run({ now, blockHash: block.blockHash }).changes
+                : orphanByHeightStmt.run({ now, blockHeight: block.blockHeight }).changes;
+        }
+
+        return orphaned;
+    }
+
+    const insertMany = db.transaction((newEvents) => {
+        const { inserted } = insertRows(newEvents);
+        prune();
+        return inserted.length;
+    });
+
+    function enqueueRows(deliveries) {
+        const now = new Date().toISOString();
+        for (const delivery of deliveries) {
+            enqueueStmt.run({ ...delivery, payload: JSON.stringify(delivery.payload), now });
+        }
+    }
+
+    const chainUpdate = db.transaction(({ rollbackBlocks, events: newEvents, outbound, overwrite }) => {
+        const orphaned = orphanRows(rollbackBlocks);
+        const { inserted, updated } = insertRows(newEvents, { overwrite });
+        // Queued with the events, so a crash can't lose a forward
+        if (outbound) enqueueRows(outbound({ rollbackBlocks, orphaned, insertedEvents: inserted }));
+        prune();
+        return {
+            orphaned,
+            inserted: inserted.length,
+            duplicates: newEvents.length - inserted.length,
+            updated,
+            insertedEvents: inserted
+        };
+    });
+
+    return {
+        driver: "sqlite",
+
+        insertEvents(newEvents) {
+            return insertMany(newEvents);
+        },
+
+        applyChainUpdate({ rollbackBlocks = [], events: newEvents = [], outbound, overwrite = false } = {}) {
+            return chainUpdate({ rollbackBlocks, events: newEvents, outbound, overwrite });
+        },
+
+        listEvents({ limit = 50, sort, order, after = null, ...filters } = {}) {
+            const { where, params } = buildWhere(filters);
+            const { orderBy, keyset } = buildOrder({ sort, order, after });
+            const clause = keyset ? (where ? `${where} AND ${keyset}` : `WHERE ${keyset}`) : where;
+
+            return db.prepare(`SELECT * FROM events ${clause} ${orderBy} LIMIT @limit`)
+                .all({ ...params, limit, afterSeq: after?.seq, afterValue: after?.value })
+                .map(rowToEvent);
+        },
+
+        countEvents(filters = {}) {
+            const { where, params } = buildWhere(filters);
+            return db.prepare(`SELECT COUNT(*) AS count FROM events ${where}`).get(params).count;
+        },
+
+        getStats(filters = {}) {
+            const { where, params } = buildWhere({ ...filters, includeOrphaned: false });
+            const totals = db.prepare(`
+                SELECT COUNT(*) AS total,
+                       COUNT(DISTINCT sender) AS uniqueSenders,
+                       COALESCE(SUM(success), 0) AS successful
+                FROM events ${where}
+            `).get(params);
+
+            const breakdown = (column) => {
+                const counts = {};
+                const rows = db.prepare(`SELECT ${column} AS key, COUNT(*) AS count FROM events ${where} GROUP BY ${column}`).all(params);
+                for (const row of rows) {
+                    if (row.key !== null && row.key !== "") counts[row.key] = row.count;
+                }
+                return counts;
+            };
+
+            return {
+                totalInteractions: totals.total,
+                uniqueSenders: totals.uniqueSenders,
+                successfulTransactions: totals.successful,
+                failedTransactions: totals.total - totals.successful,
+                methodBreakdown: breakdown("method"),
+                eventTypeBreakdown: breakdown("event_type"),
+                contractBreakdown: breakdown("contract_id")
+            };
+        },
+
+        /**
+         * Time series, top senders and new vs returning wallets (see computeAnalytics)
+         */
+        getAnalytics({ bucket = "hour", top = 10, ...filters } = {}) {
+            const bucketExpr = BUCKET_EXPRESSIONS[bucket];
+            const { where, params } = buildWhere({ ...filters, includeOrphaned: false });
+            // Senders are new in the window when their first event in scope falls inside it
+            const { since, until, fromBlock, toBlock, ...scope } = filters;
+            const { where: scopeWhere, params: scopeParams } = buildWhere({ ...scope, includeOrphaned: false });
+            const allParams = { ...scopeParams, ...params, top };
+
+            const firstSeen = `first_seen AS (
+                SELECT sender AS first_sender, MIN(timestamp) AS first_timestamp,
+                       MIN(block_height) AS first_block, MIN(${bucketExpr}) AS first_bucket
+                FROM events ${scopeWhere} GROUP BY sender
+            )`;
+
+            const series = db.prepare(`
+                WITH ${firstSeen}
+                SELECT ${bucketExpr} AS bucket,
+                       COUNT(*) AS total,
+                       COALESCE(SUM(success), 0) AS successful,
+                       COUNT(DISTINCT sender) AS uniqueSenders,
+                       COUNT(DISTINCT CASE WHEN first_bucket = ${bucketExpr} THEN sender END) AS newSenders
+                FROM events JOIN first_seen ON first_sender = sender
+                ${where}
+                GROUP BY bucket ORDER BY bucket
+            `).all(allParams).map(row => ({
+                bucket: row.bucket,
+                total: row.total,
+                successful: row.successful,
+                failed: row.total - row.successful,
+                uniqueSenders: row.uniqueSenders,
+                newSenders: row.newSenders,
+                returningSenders: row.uniqueSenders - row.newSenders
+            }));
+
+            const topSenders = db.prepare(`
+                WITH ${firstSeen}
+                SELECT sender, COUNT(*) AS count, COALESCE(SUM(success), 0) AS successful,
+                       MAX(timestamp) AS lastSeen, MIN(first_timestamp) AS firstSeen
+                FROM events JOIN first_seen ON first_sender = sender
+                ${where}
+                GROUP BY sender ORDER BY count DESC, sender LIMIT @top
+            `).all(allParams).map(row => ({
+                sender: row.sender,
+                count: row.count,
+                successful: row.successful,
+                failed: row.count - row.successful,
+                firstSeen: row.firstSeen,
+                lastSeen: row.lastSeen
+            }));
+
+            const newConditions = [
+                since ? "first_timestamp >= @since" : null,
+                fromBlock !== undefined ? "first_block >= @fromBlock" : null
+            ].filter(Boolean);
+            const wallets = db.prepare(`
+                WITH ${firstSeen}
+                SELECT COUNT(*) AS active,
+                       COALESCE(SUM(CASE WHEN ${newConditions.join(" AND ") || "1"} THEN 1 ELSE 0 END), 0) AS new
+                FROM first_seen WHERE first_sender IN (SELECT sender FROM events ${where})
+            `).get(allParams);
+
+            return {
+                series,
+                topSenders,
+                wallets: { active: wallets.active, new: wallets.new, returning: wallets.active - wallets.new }
+            };
+        },
+
+        /**
+         * Highest block height among canonical events (0 when there are none)
+         */
+        latestBlockHeight(filters = {}) {
+            const { where, params } = buildWhere({ ...filters, includeOrphaned: false });
+            return db.prepare(`SELECT COALESCE(MAX(block_height), 0) AS height FROM events ${where}`).get(params).height;
+        },
+
+        /**
+         * Store an alert unless one with the same dedup key exists
+         * @returns {boolean} true when the alert is new
+         */
+        recordAlert(alert) {
+            const { changes } = insertAlertStmt.run({
+                ...alert,
+                events: JSON.stringify(alert.events),
+                deliveries: JSON.stringify(alert.deliveries || [])
+            });
+            return changes > 0;
+        },
+
+        updateAlertDeliveries(id, deliveries) {
+            updateAlertDeliveriesStmt.run(JSON.stringify(deliveries), id);
+        },
+
+        listAlerts({ limit = 50, rule } = {}) {
+            const where = rule ? "WHERE rule = @rule" : "";
+            return db.prepare(`SELECT * FROM alerts ${where} ORDER BY seq DESC LIMIT @limit`)
+                .all({ rule, limit })
+                .map(rowToAlert);
+        },
+
+        /**
+         * Time each rule last fired: { [rule]: firedAt }
+         */
+        lastAlertTimes() {
+            const times = {};
+            const rows = db.prepare("SELECT rule, MAX(fired_at) AS firedAt FROM alerts WHERE status = 'fired' GROUP BY rule").all();
+            for (const row of rows) {
+                times[row.rule] = row.firedAt;
+            }
+            return times;
+        },
+
+        enqueueOutbound(deliveries) {
+            db.transaction(enqueueRows)(deliveries);
+        },
+
+        /**
+         * Oldest pending delivery of a destination (deliveries go out in order)
+         */
+        nextOutbound(destination) {
+            const row = nextOutboundStmt.get(destination);
+            return row ? rowToDelivery(row) : null;
+        },
+
+        completeOutbound(id) {
+            completeOutboundStmt.run(id);
+        },
+
+        /**
+         * Record a failed attempt: schedule a retry, or move to the dead letters
+         */
+        failOutbound(id, { attempts, error, nextAttemptAt, dead }) {
+            failOutboundStmt.run({ id, attempts, error, nextAttemptAt, status: dead ? "dead" : "pending" });
+        },
+
+        listDeadLetters({ limit = 50, destination } = {}) {
+            const { where, params } = deadLetterWhere({ destination });
+            return db.prepare(`SELECT * FROM outbox ${where} ORDER BY seq DESC LIMIT @limit`)
+                .all({ ...params, limit })
+                .map(rowToDelivery);
+        },
+
+        /**
+         * Put dead letters back in the queue (all of them when no ids are given)
+         * @returns {number} Deliveries requeued
+         */
+        retryDeadLetters(selection = {}) {
+            const { where, params } = deadLetterWhere(selection);
+            return db.prepare(`UPDATE outbox SET status = 'pending', attempts = 0, next_attempt_at = @now ${where}`)
+                .run({ ...params, now: new Date().toISOString() }).changes;
+        },
+
+        purgeDeadLetters(selection = {}) {
+            const { where, params } = deadLetterWhere(selection);
+            return db.prepare(`DELETE FROM outbox ${where}`).run(params).changes;
+        },
+
+        /**
+         * Queue size per destination: { [destination]: { pending, dead } }
+         */
+        outboundCounts() {
+            const counts = {};
+            const rows = db.prepare("SELECT destination, status, COUNT(*) AS count FROM outbox GROUP BY destination, status").all();
+            for (const row of rows) {
+                counts[row.destination] ??= { pending: 0, dead: 0 };
+                counts[row.destination][row.status] = row.count;
+            }
+            return counts;
+        },
+
+        /**
+         * Remember the blocks a chainhook delivered (redeliveries count once)
+         * @returns {number} Blocks not seen before
+         */
+        recordReceivedBlocks(uuid, blocks) {
+            const now = new Date().toISOString();
+            return db.transaction(() => blocks.reduce((added, block) => added + insertReceivedBlockStmt.run({
+                uuid,
+                blockHeight: block.blockHeight,
+                blockHash: block.blockHash || "",
+                now
+            }).changes, 0))();
+        },
+
+        /**
+         * Blocks delivered by a chainhook: { count, lastHeight }
+         */
+        receivedBlockStats(uuid) {
+            return db.prepare(`
+                SELECT COUNT(*) AS count, COALESCE(MAX(block_height), 0) AS lastHeight
+                FROM received_blocks WHERE chainhook_uuid = ?
+            `).get(uuid);
+        },
+
+        getGapCheckpoint(uuid) {
+            const row = db.prepare("SELECT * FROM gap_checkpoints WHERE chainhook_uuid = ?").get(uuid);
+            return row ? {
+                uuid: row.chainhook_uuid,
+                baselineOccurrences: row.baseline_occurrences,
+                baselineReceived: row.baseline_received,
+                consistentThrough: row.consistent_through,
+                updatedAt: row.updated_at
+            } : null;
+        },
+
+        saveGapCheckpoint(checkpoint) {
+            saveCheckpointStmt.run(checkpoint);
+        },
+
+        getWatchedTransaction(txid) {
+            const row = db.prepare("SELECT * FROM watched_transactions WHERE txid = ?").get(txid);
+            return row ? rowToWatched(row) : null;
+        },
+
+        /**
+         * Insert or update a watched transaction (its source and createdAt never change)
+         */
+        saveWatchedTransaction(tx) {
+            saveWatchedStmt.run({
+                contractId: null,
+                functionName: null,
+                source: "api",
+                blockHeight: null,
+                blockHash: null,
+                eventId: null,
+                reason: null,
+                resolvedAt: null,
+                ...tx
+            });
+        },
+
+        /**
+         * Watched transactions, newest first
+         * @param {object} selection - { limit, status (one or a list), blockHash or blockHeight, createdBefore }
+         */
+        listWatchedTransactions({ limit = 50, ...selection } = {}) {
+            const { where, params } = watchedWhere(selection);
+            return db.prepare(`SELECT * FROM watched_transactions ${where} ORDER BY created_at DESC LIMIT @limit`)
+                .all({ ...params, limit })
+                .map(rowToWatched);
+        },
+
+        /**
+         * Watched transactions per status: { pending, confirmed, failed, dropped }
+         */
+        watchedTransactionCounts() {
+            const counts = { pending: 0, confirmed: 0, failed: 0, dropped: 0 };
+            const rows = db.prepare("SELECT status, COUNT(*) AS count FROM watched_transactions GROUP BY status").all();
+            for (const row of rows) counts[row.status] = row.count;
+            return counts;
+        },
+
+        deleteWatchedTransaction(txid) {
+            return db.prepare("DELETE FROM watched_transactions WHERE txid = ?").run(txid).changes > 0;
+        },
+
+        /**
+         * Add a delivery to the journal
+         * @returns {number} The entry's id
+         */
+        journalDelivery({ receivedAt, headers, body = null, chainhookUuid = null, chainhookName = null, outcome = "received", statusCode = null }) {
+            const { lastInsertRowid } = insertJournalStmt.run({
+                receivedAt,
+                headers: JSON.stringify(headers),
+                body,
+                sizeBytes: body ? Buffer.byteLength(body) : 0,
+                chainhookUuid,
+                chainhookName,
+                outcome,
+                statusCode
+            });
+            pruneJournal();
+            return Number(lastInsertRowid);
+        },
+
+        /**
+         * Record what became of a journaled delivery (see JOURNAL_UPDATE_COLUMNS)
+         */
+        updateJournalEntry(id, fields) {
+            const names = Object.keys(fields).filter(name => JOURNAL_UPDATE_COLUMNS[name]);
+            if (names.length === 0) return;
+            db.prepare(`UPDATE delivery_journal SET ${names.map(name => `${JOURNAL_UPDATE_COLUMNS[name]} = @${name}`).join(", ")} WHERE id = @id`)
+                .run({ ...fields, errors: fields.errors ? JSON.stringify(fields.errors) : null, id });
+        },
+
+        /**
+         * Count a replay of a journaled delivery and keep its result
+         */
+        recordJournalReplay(id, replay) {
+            recordReplayStmt.run({ id, replayedAt: replay.replayedAt, replay: JSON.stringify(replay) });
+        },
+
+        /**
+         * A journal entry with its headers and raw body
+         */
+        getJournalEntry(id) {
+            const row = db.prepare("SELECT * FROM delivery_journal WHERE id = ?").get(id);
+            return row ? rowToJournalEntry(row) : null;
+        },
+
+        /**
+         * Journal entries without headers and body, newest first unless order is "asc"
+         * @param {object} selection - { limit, order, ...matchesJournalSelection filters }
+         */
+        listJournal({ limit = 50, order = "desc", ...selection } = {}) {
+            const { where, params } = journalWhere(selection);
+            return db.prepare(`SELECT ${JOURNAL_SUMMARY_COLUMNS} FROM delivery_journal ${where} ORDER BY id ${order === "asc" ? "ASC" : "DESC"} LIMIT @limit`)
+                .all({ ...params, limit })
+                .map(rowToJournalEntry);
+        },
+
+        prune,
+
+        /**
+         * Size of the database in bytes (pages in use, excluding the WAL)
+         */
+        sizeBytes() {
+            return db.pragma("page_count", { simple: true }) * db.pragma("page_size", { simple: true });
+        },
+
+        clear() {
+            db.exec("DELETE FROM events");
+        },
+
+        close() {
+            db.close();
+        }
+    };
+}
@@ -0,0 +1,173 @@
+/**
+ * Watched transaction lifecycle
+ * Follows transactions someone asked about (e.g. submitted from the
+ * dashboard) from pending to a final state:
+ *
+ *   pending   -> confirmed  its event was stored and the call succeeded
+ *   pending   -> failed     its event was stored but the call was aborted
+ *   pending   -> dropped    no event within the timeout
+ *   confirmed -> dropped    its block was rolled back (failed likewise)
+ *
+ * A dropped transaction still moves to confirmed or failed when its event
+ * turns up later, e.g. after a slow mempool or in the block that replaced
+ * the rolled-back one. Every method returns the transactions it changed.
+ */
+
+export const WATCH_STATUSES = ["pending", "confirmed", "failed", "dropped"];
+
+// Transaction ids are 0x followed by 64 hex characters
+const TXID_PATTERN = /^(0x)?[0-9a-f]{64}$/i;
+
+// Pending transactions are dropped after this long without an event
+const DEFAULT_TIMEOUT_MS = 60 * 60 * 1000;
+
+function badRequest(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Canonical 0x-prefixed, lowercase form of a txid, or null when it isn't one
+ */
+export function normalizeTxid(txid) {
+    if (typeof txid !== "string" || !TXID_PATTERN.test(txid.trim())) return null;
+    const hex = txid.trim().toLowerCase();
+    return hex.startsWith("0x") ? hex : `0x${hex}`;
+}
+
+/**
+ * Final state an event puts its transaction in
+ */
+function resolution(event) {
+    return event.success
+        ? { status: "confirmed", reason: null }
+        : { status: "failed", reason: event.errorCode ? `Aborted with (err ${event.errorCode})` : "Transaction failed" };
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.storage - Event store (events and watched transactions)
+ * @param {number} options.timeoutMs - How long a transaction may stay pending
+ * @param {number} options.maxPending - Pending transactions accepted at once (0 = unlimited)
+ */
+export function createTxWatcher({ storage, timeoutMs = DEFAULT_TIMEOUT_MS, maxPending = 0 }) {
+    function update(tx, changes) {
+        const now = new Date().toISOString();
+        const updated = {
+            ...tx,
+            ...changes,
+            updatedAt: now,
+            resolvedAt: changes.status === "pending" ? null : now
+        };
+        storage.saveWatchedTransaction(updated);
+        return updated;
+    }
+
+    /**
+     * Move a transaction to the state its event puts it in
+     * Returns null when it's already there.
+     */
+    function resolve(tx, event) {
+        const { status, reason } = resolution(event);
+        if (tx.status === status && tx.eventId === event.id) return null;
+
+        return update(tx, {
+            status,
+            reason,
+            blockHeight: event.blockHeight,
+            blockHash: event.blockHash || null,
+            eventId: event.id,
+            contractId: tx.contractId || event.contractId,
+            functionName: tx.functionName || event.method
+        });
+    }
+
+    /**
+     * Start watching a transaction
+     * Resolved right away when its event is already stored.
+     * @returns {{ transaction: object, created: boolean }}
+     */
+    function watch({ txid, contractId = null, functionName = null, source = "api" }) {
+        const id = normalizeTxid(txid);
+        if (!id) throw badRequest("txid must be 64 hex characters, optionally 0x-prefixed");
+
+        const existing = storage.getWatchedTransaction(id);
+        if (existing) return { transaction: existing, created: false };
+
+        if (maxPending > 0 && storage.watchedTransactionCounts().pending >= maxPending) {
+            throw badRequest(`Already watching ${maxPending} pending transactions - try again later`, 429);
+        }
+
+        const now = new Date().toISOString();
+        const tx = {
+            txid: id,
+            status: "pending",
+            contractId: typeof contractId === "string" ? contractId : null,
+            functionName: typeof functionName === "string" ? functionName : null,
+            source,
+            blockHeight: null,
+            blockHash: null,
+            eventId: null,
+            reason: null,
+            createdAt: now,
+            updatedAt: now,
+            resolvedAt: null
+        };
+        storage.saveWatchedTransaction(tx);
+
+        const [event] = storage.listEvents({ txid: id, includeOrphaned: false, order: "asc", limit: 1 });
+        return { transaction: (event && resolve(tx, event)) || tx, created: true };
+    }
+
+    /**
+     * Resolve watched transactions among newly stored events
+     */
+    function eventsStored(events) {
+        const changed = new Map();
+
+        for (const event of events) {
+            if (event.canonical === false || changed.has(event.txid)) continue;
+            const tx = storage.getWatchedTransaction(event.txid);
+            const updated = tx && resolve(tx, event);
+            if (updated) changed.set(event.txid, updated);
+        }
+
+        return [...changed.values()];
+    }
+
+    /**
+     * Drop confirmed and failed transactions whose block was rolled back
+     */
+    function blocksRolledBack(blocks) {
+        const changed = [];
+
+        for (const block of blocks) {
+            const affected = storage.listWatchedTransactions({
+                status: ["confirmed", "failed"],
+                blockHash: block.blockHash || undefined,
+                blockHeight: block.blockHeight,
+                limit: Number.MAX_SAFE_INTEGER
+            });
+            for (const tx of affected) {
+                changed.push(update(tx, { status: "dropped", reason: `Block ${block.blockHeight} was rolled back` }));
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Drop transactions that stayed pending past the timeout
+     */
+    function expire(now = Date.now()) {
+        const minutes = Math.round(timeoutMs / 60000);
+        return storage.listWatchedTransactions({
+            status: "pending",
+            createdBefore: new Date(now - timeoutMs).toISOString(),
+            limit: Number.MAX_SAFE_INTEGER
+        }).map(tx => update(tx, { status: "dropped", reason: `Not confirmed within ${minutes} minute(s)` }));
+    }
+
+    return { watch, eventsStored, blocksRolledBack, expire };
+}
@@ -0,0 +1,144 @@
+/**
+ * Webhook authorization
+ * Chainhook sends the predicate's `authorization_header` with every delivery.
+ * The secret comes from WEBHOOK_SECRET, or is generated once and persisted to
+ * disk. During a rotation the previous secret stays valid until the new
+ * predicate has been pushed and the grace window has passed.
+ *
+ * A secret pinned by WEBHOOK_SECRET is always the current one: it's never
+ * rolled back and never written to the secret file.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString("hex");
+}
+
+function digest(value) {
+    return crypto.createHash("sha256").update(String(value)).digest();
+}
+
+/**
+ * Constant-time string comparison (hashing first makes the lengths equal)
+ */
+export function safeEqual(a, b) {
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+export function createWebhookAuth({ secretFile, envSecret, graceSeconds = 600 }) {
+    let state = load();
+
+    function load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(fs.readFileSync(secretFile, "utf8"));
+        } catch {
+            // No saved secret yet
+        }
+
+        if (envSecret) {
+            // Pinned over a generated secret: accept that one until the pinned one is pushed
+            if (saved?.current && saved.current !== envSecret) {
+                return { current: envSecret, previous: saved.current, previousExpiresAt: null };
+            }
+            const previous = saved?.previous && saved.previous !== envSecret ? saved.previous : null;
+            return { current: envSecret, previous, previousExpiresAt: previous ? saved.previousExpiresAt || null : null };
+        }
+
+        return saved?.current ? saved : { current: generateSecret(), previous: null, previousExpiresAt: null };
+    }
+
+    function save() {
+        // Only the rotation state of a pinned secret is saved, not the secret itself
+        const saved = envSecret ? { ...state, current: null } : state;
+        fs.mkdirSync(path.dirname(secretFile), { recursive: true });
+        fs.writeFileSync(secretFile, JSON.stringify(saved, null, 2), { mode: 0o600 });
+    }
+
+    function hasPendingRotation() {
+        return Boolean(state.previous) && !state.previousExpiresAt;
+    }
+
+    function previousIsValid() {
+        if (!state.previous) return false;
+        // A pending rotation (no expiry yet) keeps the previous secret valid
+        if (!state.previousExpiresAt) return true;
+        return Date.now() < Date.parse(state.previousExpiresAt);
+    }
+
+    save();
+
+    return {
+        /**
+         * Whether the secret is pinned by WEBHOOK_SECRET
+         */
+        isPinned: Boolean(envSecret),
+
+        /**
+         * Value for the predicate's authorization_header
+         */
+        authorizationHeader() {
+            return `Bearer ${state.current}`;
+        },
+
+        /**
+         * Check an incoming Authorization header against the current and,
+         * during a rotation, the previous secret
+         */
+        verify(header) {
+            if (typeof header !== "string") return false;
+            const token = header.replace(/^Bearer\s+/i, "");
+
+            // Compare against both so timing doesn't reveal which one matched
+            const matchesCurrent = safeEqual(token, state.current);
+            const matchesPrevious = state.previous ? safeEqual(token, state.previous) : false;
+
+            return matchesCurrent || (matchesPrevious && previousIsValid());
+        },
+
+        /**
+         * Whether a rotation is waiting for the predicate to be pushed
+         */
+        hasPendingRotation,
+
+        /**
+         * Start a rotation: the new secret is accepted immediately and the old
+         * one stays valid until commitRotation() starts the grace window
+         */
+        beginRotation(newSecret = generateSecret()) {
+            state = { current: newSecret, previous: state.current, previousExpiresAt: null };
+            save();
+        },
+
+        /**
+         * The new predicate was pushed - expire the previous secret after the grace window
+         */
+        commitRotation() {
+            if (!state.previous || state.previousExpiresAt) return;
+            state.previousExpiresAt = new Date(Date.now() + graceSeconds * 1000).toISOString();
+            save();
+        },
+
+        /**
+         * Pushing the new predicate failed - keep using the previous secret.
+         * A pinned secret stays current, with the previous one accepted until
+         * a push succeeds.
+         */
+        abortRotation() {
+            if (envSecret || !state.previous || state.previousExpiresAt) return;
+            state = { current: state.previous, previous: null, previousExpiresAt: null };
+            save();
+        },
+
+        status() {
+            return {
+                source: envSecret ? "env" : "generated",
+                rotationPending: hasPendingRotation(),
+                previousAcceptedUntil: previousIsValid() ? state.previousExpiresAt : null
+            };
+        }
+    };
+}
@@ -1,94 +1,386 @@
 #!/usr/bin/env node
 /**
  * Chainhook Management Script
+ * Uses STACKS_NETWORK (mainnet/testnet/devnet) and STACKS_API_URL like the server.
  * Usage:
- *   node manage-chainhooks.js list     - List all registered chainhooks
- *   node manage-chainhooks.js delete <uuid>  - Delete a chainhook by UUID
- *   node manage-chainhooks.js delete-all     - Delete ALL chainhooks (use with caution!)
+ *   node manage-chainhooks.js list                    - List all registered chainhooks
+ *   node manage-chainhooks.js get <uuid>              - Show one chainhook in detail
+ *   node manage-chainhooks.js status [uuid]           - Evaluation status and occurrence counts
+ *   node manage-chainhooks.js create <predicate.json> - Register a chainhook from a predicate file
+ *   node manage-chainhooks.js enable <uuid>           - Enable a chainhook
+ *   node manage-chainhooks.js disable <uuid>          - Disable a chainhook
+ *   node manage-chainhooks.js update-url <uuid> <url> - Change the webhook URL of a chainhook
+ *   node manage-chainhooks.js delete <uuid>           - Delete a chainhook by UUID
+ *   node manage-chainhooks.js delete-all              - Delete ALL chainhooks (use with caution!)
+ *   node manage-chainhooks.js prune [--dry-run]       - Delete interrupted, expired and duplicate chainhooks
+ *
+ * Options:
+ *   --yes, -y   Skip the confirmation of destructive commands
+ *   --json      Print machine-readable JSON (progress messages go to stderr)
+ *
+ * Exit codes: 0 success, 1 API or operation failure, 2 usage error, 3 cancelled
  */
 
+import fs from 'fs';
+import readline from 'readline/promises';
 import dotenv from 'dotenv';
+import { networkFromEnv } from './lib/network.js';
+import { createChainhooksApi, chainhookName, chainhookWebhookUrl } from './lib/chainhooks-api.js';
 dotenv.config();
 
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_CANCELLED = 3;
+
+// Statuses of chainhooks that no longer deliver and are removed by `prune`
+const DEAD_STATUSES = ['interrupted', 'expired'];
+
 const HIRO_API_KEY = process.env.HIRO_API_KEY;
-const API_BASE = 'https://api.mainnet.hiro.so/chainhooks/v1/me';
+const WEBHOOK_BASE_URL = process.env.WEBHOOK_BASE_URL;
+
+// ===== ARGUMENTS =====
+
+const argv = process.argv.slice(2);
+const flags = new Set(argv.filter(arg => arg.startsWith('-')));
+const [command, ...args] = argv.filter(arg => !arg.startsWith('-'));
+
+const jsonOutput = flags.has('--json');
+const assumeYes = flags.has('--yes') || flags.has('-y');
+const dryRun = flags.has('--dry-run');
+
+// With --json stdout carries only the JSON document
+const log = jsonOutput ? console.error : console.log;
+
+function fail(message, exitCode = EXIT_FAILURE) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    return error;
+}
+
+function requireArg(value, usage) {
+    if (!value) throw fail(`Usage: node manage-chainhooks.js ${usage}`, EXIT_USAGE);
+    return value;
+}
+
+// ===== OUTPUT =====
+
+function output(data, printText) {
+    if (jsonOutput) {
+        console.log(JSON.stringify(data, null, 2));
+    } else {
+        printText();
+    }
+}
+
+function formatTime(ms) {
+    return ms ? new Date(ms).toISOString() : 'never';
+}
+
+function enabledLabel(hook) {
+    const enabled = hook.status?.enabled;
+    return enabled === undefined ? 'unknown' : enabled ? 'yes' : 'no';
+}
+
+function printSummary(hook, i) {
+    console.log(`${i + 1}. ${chainhookName(hook)}`);
+    console.log(`   UUID:    ${hook.uuid}`);
+    console.log(`   Status:  ${hook.status?.status || 'unknown'}`);
+    console.log(`   Enabled: ${enabledLabel(hook)}`);
+    console.log(`   Webhook: ${chainhookWebhookUrl(hook) || 'N/A'}`);
+}
+
+function printStatus(hook) {
+    const status = hook.status || {};
+    console.log(`${chainhookName(hook)} (${hook.uuid})`);
+    console.log(`   Status:                 ${status.status || 'unknown'}`);
+    console.log(`   Enabled:                ${enabledLabel(hook)}`);
+    console.log(`   Created:                ${formatTime(status.created_at)}`);
+    console.log(`   Evaluated blocks:       ${status.evaluated_block_count ?? 'N/A'}`);
+    console.log(`   Occurrences:            ${status.occurrence_count ?? 'N/A'}`);
+    console.log(`   Last evaluated:         ${formatTime(status.last_evaluated_at)} (block ${status.last_evaluated_block_height ?? 'N/A'})`);
+    console.log(`   Last occurrence:        ${formatTime(status.last_occurrence_at)} (block ${status.last_occurrence_block_height ?? 'N/A'})`);
+}
+
+// ===== CONFIRMATION =====
+
+async function confirm(question) {
+    if (assumeYes) return;
+
+    if (!process.stdin.isTTY) {
+        throw fail('Refusing to run a destructive command without a terminal - pass --yes to confirm', EXIT_USAGE);
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    const answer = await rl.question(`${question} [y/N] `);
+    rl.close();
+
+    if (!/^y(es)?$/i.test(answer.trim())) {
+        throw fail('Cancelled', EXIT_CANCELLED);
+    }
+}
+
+// ===== COMMANDS =====
+
+// Same STACKS_NETWORK / STACKS_API_URL settings as the server
+const network = networkFromEnv();
+const api = createChainhooksApi({ baseUrl: network.chainhooksUrl, apiKey: HIRO_API_KEY });
 
 async function listChainhooks() {
-    const response = await fetch(`${API_BASE}/`, {
-        headers: { 'x-api-key': HIRO_API_KEY }
+    const hooks = await api.listAll();
+
+    output({ network: network.name, total: hooks.length, chainhooks: hooks }, () => {
+        console.log(`Network: ${network.name} (${network.apiUrl})`);
+        console.log(`Found ${hooks.length} chainhooks\n`);
+        hooks.forEach((hook, i) => {
+            printSummary(hook, i);
+            console.log('');
+        });
+    });
+}
+
+async function getChainhook(uuid) {
+    const hook = await api.get(uuid);
+
+    output(hook, () => {
+        printStatus(hook);
+        console.log(`   Webhook:                ${chainhookWebhookUrl(hook) || 'N/A'}`);
+        console.log(`   Network:                ${hook.definition?.network || 'N/A'}`);
+        console.log('\nFilters:');
+        console.log(JSON.stringify(hook.definition?.filters ?? null, null, 2));
+        console.log('\nOptions:');
+        console.log(JSON.stringify(hook.definition?.options ?? null, null, 2));
     });
-    const data = await response.json();
+}
 
-    console.log(`Total: ${data.total}/${data.limit} chainhooks`);
-    console.log('\nUUIDs to delete:');
+async function showStatus(uuid) {
+    const hooks = uuid ? [await api.get(uuid)] : await api.listAll();
 
-    if (data.results && data.results.length > 0) {
-        data.results.forEach((hook, i) => {
-            console.log(`${i + 1}. ${hook.uuid} - ${hook.name || 'Unnamed'}`);
+    const statuses = hooks.map(hook => ({ uuid: hook.uuid, name: chainhookName(hook), ...hook.status }));
+    output(uuid ? statuses[0] : statuses, () => {
+        hooks.forEach(hook => {
+            printStatus(hook);
+            console.log('');
         });
+    });
+}
+
+async function createChainhook(file) {
+    let definition;
+    try {
+        definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw fail(`Cannot read predicate file ${file}: ${error.message}`, EXIT_USAGE);
     }
 
-    return data.results;
+    // Fill in what the server would use, so a minimal predicate file is enough
+    definition = {
+        version: '1',
+        chain: 'stacks',
+        network: network.name,
+        ...definition
+    };
+    if (definition.action && !definition.action.url && WEBHOOK_BASE_URL) {
+        definition.action = { ...definition.action, url: `${WEBHOOK_BASE_URL}/webhook` };
+    }
+
+    log(`🔗 Creating chainhook "${definition.name || 'Unnamed'}" on ${definition.network}...`);
+    const hook = await api.create(definition);
+
+    output(hook, () => {
+        console.log(`✅ Created chainhook: ${hook?.uuid || 'N/A'}`);
+    });
 }
 
-async function deleteChainhook(uuid) {
-    console.log(`🗑️  Deleting chainhook: ${uuid}...`);
+async function setEnabled(uuid, enabled) {
+    await api.setEnabled(uuid, enabled);
+
+    output({ uuid, enabled }, () => {
+        console.log(`✅ ${enabled ? 'Enabled' : 'Disabled'} chainhook: ${uuid}`);
+    });
+}
+
+async function updateWebhookUrl(uuid, url) {
+    try {
+        new URL(url);
+    } catch {
+        throw fail(`Invalid webhook URL: ${url}`, EXIT_USAGE);
+    }
 
-    const response = await fetch(`${API_BASE}/${uuid}`, {
-        method: 'DELETE',
-        headers: { 'x-api-key': HIRO_API_KEY }
+    // Keep the rest of the action (type, authorization header)
+    const hook = await api.get(uuid);
+    const action = { ...hook.definition?.action, url };
+
+    log(`🔄 Updating webhook URL of ${chainhookName(hook)}...`);
+    await api.update(uuid, { action });
+
+    output({ uuid, url }, () => {
+        console.log(`✅ Webhook URL set to ${url}`);
     });
+}
 
-    if (response.ok) {
+async function deleteChainhook(uuid) {
+    await confirm(`Delete chainhook ${uuid}?`);
+
+    log(`🗑️  Deleting chainhook: ${uuid}...`);
+    await api.remove(uuid);
+
+    output({ deleted: [uuid] }, () => {
         console.log(`✅ Successfully deleted chainhook: ${uuid}`);
-        return true;
-    } else {
-        const error = await response.text();
-        console.error(`❌ Failed to delete: ${error}`);
-        return false;
+    });
+}
+
+/**
+ * Delete several chainhooks, continuing past failures
+ * Fails at the end if any deletion failed
+ */
+async function deleteMany(hooks) {
+    const deleted = [];
+    const failed = [];
+
+    for (const hook of hooks) {
+        try {
+            await api.remove(hook.uuid);
+            deleted.push(hook.uuid);
+            log(`✅ Deleted ${hook.uuid} - ${chainhookName(hook)}`);
+        } catch (error) {
+            failed.push({ uuid: hook.uuid, error: error.message });
+            console.error(`❌ Failed to delete ${hook.uuid}: ${error.message}`);
+        }
     }
+
+    return { deleted, failed };
 }
 
 async function deleteAllChainhooks() {
-    const hooks = await listChainhooks();
+    const hooks = await api.listAll();
 
-    console.log(`\n⚠️  About to delete ALL ${hooks.length} chainhooks...\n`);
+    if (hooks.length === 0) {
+        output({ deleted: [], failed: [] }, () => console.log('No chainhooks to delete'));
+        return;
+    }
+
+    await confirm(`⚠️  Delete ALL ${hooks.length} chainhooks on ${network.name}?`);
+    const result = await deleteMany(hooks);
+
+    output(result, () => console.log(`\n✅ Deleted ${result.deleted.length} of ${hooks.length} chainhooks`));
+    if (result.failed.length > 0) throw fail(`${result.failed.length} chainhooks could not be deleted`);
+}
+
+/**
+ * Chainhooks that can go: interrupted/expired ones, and all but the newest
+ * of hooks sharing a name and webhook URL (enabled hooks are kept first)
+ */
+function findPrunable(hooks) {
+    const prunable = [];
+    const groups = new Map();
 
     for (const hook of hooks) {
-        await deleteChainhook(hook.uuid);
+        if (DEAD_STATUSES.includes(hook.status?.status)) {
+            prunable.push({ hook, reason: hook.status.status });
+            continue;
+        }
+
+        const key = `${chainhookName(hook)}|${chainhookWebhookUrl(hook)}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(hook);
+    }
+
+    for (const group of groups.values()) {
+        group.sort((a, b) =>
+            Number(Boolean(b.status?.enabled)) - Number(Boolean(a.status?.enabled))
+            || (b.status?.created_at ?? 0) - (a.status?.created_at ?? 0));
+
+        const [keep, ...duplicates] = group;
+        for (const hook of duplicates) {
+            prunable.push({ hook, reason: `duplicate of ${keep.uuid}` });
+        }
     }
 
-    console.log('\n✅ All chainhooks deleted!');
+    return prunable;
 }
 
-// Main CLI
-const command = process.argv[2];
-const arg = process.argv[3];
+async function pruneChainhooks() {
+    const prunable = findPrunable(await api.listAll());
+    const plan = prunable.map(({ hook, reason }) => ({ uuid: hook.uuid, name: chainhookName(hook), reason }));
+
+    if (prunable.length === 0 || dryRun) {
+        output({ dryRun, prunable: plan, deleted: [], failed: [] }, () => {
+            if (prunable.length === 0) console.log('Nothing to prune');
+            plan.forEach(({ uuid, name, reason }) => console.log(`Would delete ${uuid} - ${name} (${reason})`));
+        });
+        return;
+    }
+
+    plan.forEach(({ uuid, name, reason }) => log(`   ${uuid} - ${name} (${reason})`));
+    await confirm(`Delete these ${prunable.length} chainhooks?`);
+    const result = await deleteMany(prunable.map(({ hook }) => hook));
+
+    output({ dryRun, prunable: plan, ...result }, () => console.log(`\n✅ Pruned ${result.deleted.length} chainhooks`));
+    if (result.failed.length > 0) throw fail(`${result.failed.length} chainhooks could not be deleted`);
+}
+
+function printUsage() {
+    console.log('Chainhook Management Script');
+    console.log('Usage:');
+    console.log('  node manage-chainhooks.js list                    - List all chainhooks');
+    console.log('  node manage-chainhooks.js get <uuid>              - Show one chainhook in detail');
+    console.log('  node manage-chainhooks.js status [uuid]           - Evaluation status and occurrence counts');
+    console.log('  node manage-chainhooks.js create <predicate.json> - Register a chainhook from a predicate file');
+    console.log('  node manage-chainhooks.js enable <uuid>           - Enable a chainhook');
+    console.log('  node manage-chainhooks.js disable <uuid>          - Disable a chainhook');
+    console.log('  node manage-chainhooks.js update-url <uuid> <url> - Change the webhook URL');
+    console.log('  node manage-chainhooks.js delete <uuid>           - Delete a specific chainhook');
+    console.log('  node manage-chainhooks.js delete-all              - Delete ALL chainhooks');
+    console.log('  node manage-chainhooks.js prune [--dry-run]       - Delete interrupted, expired and duplicate chainhooks');
+    console.log('Options:');
+    console.log('  --yes, -y   Skip confirmation of destructive commands');
+    console.log('  --json      Print JSON output');
+}
 
+// Main CLI
 (async () => {
     try {
+        if (command && !HIRO_API_KEY) {
+            throw fail('HIRO_API_KEY is not set', EXIT_USAGE);
+        }
+
         switch (command) {
             case 'list':
                 await listChainhooks();
                 break;
+            case 'get':
+                await getChainhook(requireArg(args[0], 'get <uuid>'));
+                break;
+            case 'status':
+                await showStatus(args[0]);
+                break;
+            case 'create':
+                await createChainhook(requireArg(args[0], 'create <predicate.json>'));
+                break;
+            case 'enable':
+                await setEnabled(requireArg(args[0], 'enable <uuid>'), true);
+                break;
+            case 'disable':
+                await setEnabled(requireArg(args[0], 'disable <uuid>'), false);
+                break;
+            case 'update-url':
+                await updateWebhookUrl(requireArg(args[0], 'update-url <uuid> <url>'), requireArg(args[1], 'update-url <uuid> <url>'));
+                break;
             case 'delete':
-                if (!arg) {
-                    console.log('Usage: node manage-chainhooks.js delete <uuid>');
-                    process.exit(1);
-                }
-                await deleteChainhook(arg);
+                await deleteChainhook(requireArg(args[0], 'delete <uuid>'));
                 break;
             case 'delete-all':
                 await deleteAllChainhooks();
                 break;
+            case 'prune':
+                await pruneChainhooks();
+                break;
             default:
-                console.log('Chainhook Management Script');
-                console.log('Usage:');
-                console.log('  node manage-chainhooks.js list          - List all chainhooks');
-                console.log('  node manage-chainhooks.js delete <uuid> - Delete a specific chainhook');
-                console.log('  node manage-chainhooks.js delete-all    - Delete ALL chainhooks');
+                printUsage();
+                if (command) process.exitCode = EXIT_USAGE;
         }
     } catch (error) {
-        console.error('Error:', error.message);
+        console.error(`❌ ${error.message}`);
+        process.exitCode = error.exitCode || EXIT_FAILURE;
     }
 })();
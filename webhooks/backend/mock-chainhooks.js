@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Mock Chainhooks Service
+ * Runs a local stand-in for the Hiro Chainhooks API (lib/mock-chainhooks.js)
+ * so the server, manage-chainhooks.js and backfill.js work without an API key
+ * or a public webhook URL. Point them at it with STACKS_API_URL, then deliver
+ * payloads with `node replay.js --via <mock url>`.
+ * Usage:
+ *   node mock-chainhooks.js [options]
+ *
+ * Options:
+ *   --port <port>           Port to listen on (default: 3999, the devnet API port)
+ *   --api-key <key>         Only accept requests with this x-api-key (default: any key)
+ *   --transactions <file>   JSON array of Stacks API transactions to serve to backfills
+ *
+ * Exit codes: 0 success, 1 failure, 2 usage error
+ */
+
+import fs from 'fs';
+import { createMockChainhooks } from './lib/mock-chainhooks.js';
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = 'node mock-chainhooks.js [--port <port>] [--api-key <key>] [--transactions <file>]';
+const OPTIONS_WITH_VALUES = new Set(['--port', '--api-key', '--transactions']);
+
+function fail(message, exitCode = EXIT_FAILURE) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    return error;
+}
+
+function parseArgs(argv) {
+    const options = { flags: new Set(), values: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (OPTIONS_WITH_VALUES.has(arg)) {
+            if (argv[i + 1] === undefined) throw fail(`${arg} needs a value\nUsage: ${USAGE}`, EXIT_USAGE);
+            options.values[arg] = argv[++i];
+        } else if (arg.startsWith('-')) {
+            options.flags.add(arg);
+        } else {
+            throw fail(`Unexpected argument: ${arg}\nUsage: ${USAGE}`, EXIT_USAGE);
+        }
+    }
+
+    return options;
+}
+
+function loadTransactions(file) {
+    if (!file) return [];
+    let transactions;
+    try {
+        transactions = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw fail(`Could not read ${file}: ${error.message}`);
+    }
+    if (!Array.isArray(transactions)) throw fail(`${file} must contain a JSON array of transactions`);
+    return transactions;
+}
+
+// ===== MAIN =====
+
+try {
+    const { flags, values } = parseArgs(process.argv.slice(2));
+    if (flags.has('--help') || flags.has('-h')) {
+        console.log(`Usage: ${USAGE}`);
+        process.exit(0);
+    }
+
+    const port = parseInt(values['--port'] ?? '3999');
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw fail(`--port must be a port number\nUsage: ${USAGE}`, EXIT_USAGE);
+    }
+
+    const mock = createMockChainhooks({
+        apiKey: values['--api-key'] || null,
+        transactions: loadTransactions(values['--transactions']),
+        onDelivery: (entry) => {
+            const outcome = entry.dropped ? 'dropped' : entry.error ? `failed: ${entry.error}` : `HTTP ${entry.status}`;
+            console.log(`📨 ${entry.uuid} -> ${entry.url}: ${outcome}`);
+        }
+    });
+
+    const server = mock.app.listen(port, () => {
+        const url = `http://localhost:${server.address().port}`;
+        console.log('\n🧪 Mock Chainhooks service started');
+        console.log(`   API:      ${url}/chainhooks/v1/me`);
+        console.log(`   API key:  ${values['--api-key'] ? 'required' : 'any'}`);
+        console.log(`   Point the server and CLIs at it with STACKS_API_URL=${url}`);
+        console.log(`   Deliver payloads with: node replay.js --via ${url} fixtures/apply.json\n`);
+    });
+    server.on('error', (error) => {
+        console.error(`❌ ${error.message}`);
+        process.exit(EXIT_FAILURE);
+    });
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(error.exitCode || EXIT_FAILURE);
+}
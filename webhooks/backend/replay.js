@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+/**
+ * Webhook Replay Script
+ * Posts recorded or fixture payloads to the webhook, one at a time and in
+ * order - directly, with the server's webhook secret, or through the mock
+ * Chainhooks service (mock-chainhooks.js), which delivers them to its
+ * registered chainhooks like Hiro would.
+ * Usage:
+ *   node replay.js <payload>... [options]
+ *
+ * A payload is a JSON file (one payload, or an array of payloads), a directory
+ * of .json files (replayed in name order) or the name of a file in fixtures/:
+ *   apply, rollback, malformed, unrecognized
+ *
+ * Options:
+ *   --url <url>          Webhook to post to (default: $WEBHOOK_BASE_URL/webhook)
+ *   --auth <header>      Authorization header (default: Bearer <the server's current webhook secret>)
+ *   --via <url>          Deliver through the mock Chainhooks service at this URL instead
+ *   --chainhook <uuid>   With --via: only deliver to this chainhook (default: every enabled one)
+ *   --drop               With --via: count the occurrences but don't deliver (a missed delivery)
+ *   --delay <ms>         Wait between payloads
+ *   --json               Print the results as JSON
+ *
+ * Exit codes: 0 every delivery answered 2xx, 1 a delivery failed or was rejected, 2 usage error
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+dotenv.config();
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const WEBHOOK_BASE_URL = process.env.WEBHOOK_BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
+const WEBHOOK_SECRET_FILE = process.env.WEBHOOK_SECRET_FILE || './data/webhook-secret.json';
+
+// ===== ARGUMENTS =====
+
+const USAGE = 'node replay.js <file|directory|fixture>... [--url <url>] [--auth <header>] [--via <mock url>] [--chainhook <uuid>] [--drop] [--delay <ms>] [--json]';
+const OPTIONS_WITH_VALUES = new Set(['--url', '--auth', '--via', '--chainhook', '--delay']);
+
+function fail(message, exitCode = EXIT_FAILURE) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    return error;
+}
+
+function parseArgs(argv) {
+    const options = { flags: new Set(), values: {}, sources: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (OPTIONS_WITH_VALUES.has(arg)) {
+            if (argv[i + 1] === undefined) throw fail(`${arg} needs a value\nUsage: ${USAGE}`, EXIT_USAGE);
+            options.values[arg] = argv[++i];
+        } else if (arg.startsWith('-')) {
+            options.flags.add(arg);
+        } else {
+            options.sources.push(arg);
+        }
+    }
+
+    return options;
+}
+
+// ===== PAYLOADS =====
+
+/**
+ * Files for an argument: the file itself, a directory's .json files or a fixture
+ */
+function resolveFiles(source) {
+    if (!fs.existsSync(source)) {
+        const fixture = path.join(FIXTURES_DIR, `${source}.json`);
+        if (!path.extname(source) && fs.existsSync(fixture)) return [fixture];
+        throw fail(`No such file, directory or fixture: ${source}`, EXIT_USAGE);
+    }
+
+    if (fs.statSync(source).isDirectory()) {
+        return fs.readdirSync(source)
+            .filter(name => name.endsWith('.json'))
+            .sort()
+            .map(name => path.join(source, name));
+    }
+    return [source];
+}
+
+/**
+ * Payloads of one file, labelled for the output
+ */
+function loadPayloads(file) {
+    let content;
+    try {
+        content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw fail(`Could not read ${file}: ${error.message}`, EXIT_USAGE);
+    }
+
+    const payloads = Array.isArray(content) ? content : [content];
+    return payloads.map((payload, i) => ({
+        label: payloads.length > 1 ? `${path.basename(file)}[${i}]` : path.basename(file),
+        payload
+    }));
+}
+
+/**
+ * Authorization header for direct replays: --auth, else the server's current secret
+ */
+function defaultAuthorization() {
+    if (process.env.WEBHOOK_SECRET) return `Bearer ${process.env.WEBHOOK_SECRET}`;
+    try {
+        const saved = JSON.parse(fs.readFileSync(WEBHOOK_SECRET_FILE, 'utf8'));
+        if (saved.current) return `Bearer ${saved.current}`;
+    } catch {
+        // No secret saved yet
+    }
+    return null;
+}
+
+// ===== DELIVERY =====
+
+async function postJson(url, body, headers = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+    const text = await response.text();
+    let data = text;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        // Not JSON - keep the text
+    }
+    return { status: response.status, data };
+}
+
+/**
+ * Post one payload to the webhook
+ * @returns {Promise<object[]>} One result per delivery: { status, response, error }
+ */
+async function deliverDirect(payload, { url, authorization }) {
+    try {
+        const { status, data } = await postJson(url, payload, authorization ? { Authorization: authorization } : {});
+        return [{ url, status, response: data, error: null }];
+    } catch (error) {
+        return [{ url, status: null, response: null, error: error.message }];
+    }
+}
+
+/**
+ * Hand one payload to the mock Chainhooks service, which delivers it
+ */
+async function deliverViaMock(payload, { via, chainhook, drop }) {
+    let result;
+    try {
+        result = await postJson(`${via}/mock/deliver`, { payload, uuid: chainhook, drop });
+    } catch (error) {
+        throw fail(`Mock Chainhooks service unreachable at ${via}: ${error.message}`);
+    }
+    if (result.status !== 200) {
+        throw fail(`Mock Chainhooks service answered HTTP ${result.status}: ${result.data?.error || result.data}`);
+    }
+    return result.data.deliveries.map(delivery => ({
+        uuid: delivery.uuid,
+        url: delivery.url,
+        status: delivery.status,
+        dropped: delivery.dropped,
+        response: delivery.response,
+        error: delivery.error
+    }));
+}
+
+const succeeded = (delivery) => delivery.dropped || (delivery.status >= 200 && delivery.status < 300);
+
+function summarize(response) {
+    if (!response || typeof response !== 'object') return String(response ?? '').slice(0, 200);
+    if (response.success === false) return response.error;
+
+    const parts = [`${response.eventsNew ?? 0} new`, `${response.eventsDuplicate ?? 0} duplicate`];
+    if (response.eventsRolledBack) parts.push(`${response.eventsRolledBack} rolled back`);
+    if (response.parseErrors?.length) parts.push(`${response.parseErrors.length} invalid`);
+    return parts.join(', ');
+}
+
+function printDelivery(label, delivery) {
+    const target = delivery.uuid ? ` -> ${delivery.uuid}` : '';
+    if (delivery.dropped) {
+        console.log(`⏭️  ${label}${target}: dropped`);
+    } else if (delivery.error) {
+        console.log(`❌ ${label}${target}: ${delivery.error}`);
+    } else {
+        console.log(`${succeeded(delivery) ? '✅' : '⚠️ '} ${label}${target}: HTTP ${delivery.status} - ${summarize(delivery.response)}`);
+        for (const parseError of delivery.response?.parseErrors || []) {
+            console.log(`   ${parseError}`);
+        }
+    }
+}
+
+// ===== MAIN =====
+
+(async () => {
+    try {
+        const { flags, values, sources } = parseArgs(process.argv.slice(2));
+        if (flags.has('--help') || flags.has('-h')) {
+            console.log(`Usage: ${USAGE}`);
+            return;
+        }
+        if (sources.length === 0) throw fail(`Nothing to replay\nUsage: ${USAGE}`, EXIT_USAGE);
+
+        const jsonOutput = flags.has('--json');
+        const via = values['--via']?.replace(/\/+$/, '');
+        const delay = parseInt(values['--delay'] ?? '0');
+        if (!Number.isInteger(delay) || delay < 0) throw fail(`--delay must be a number of milliseconds\nUsage: ${USAGE}`, EXIT_USAGE);
+        if (!via && (values['--chainhook'] || flags.has('--drop'))) {
+            throw fail(`--chainhook and --drop need --via\nUsage: ${USAGE}`, EXIT_USAGE);
+        }
+
+        const payloads = sources.flatMap(resolveFiles).flatMap(loadPayloads);
+        const url = values['--url'] || `${WEBHOOK_BASE_URL}/webhook`;
+        const authorization = values['--auth'] || defaultAuthorization();
+        if (!via && !authorization) {
+            console.error('⚠️  No webhook secret found - sending without an Authorization header');
+        }
+
+        const results = [];
+        for (const [i, { label, payload }] of payloads.entries()) {
+            if (i > 0 && delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+
+            const deliveries = via
+                ? await deliverViaMock(payload, { via, chainhook: values['--chainhook'], drop: flags.has('--drop') })
+                : await deliverDirect(payload, { url, authorization });
+
+            if (deliveries.length === 0 && !jsonOutput) console.log(`⚠️  ${label}: no enabled chainhook to deliver to`);
+            if (!jsonOutput) deliveries.forEach(delivery => printDelivery(label, delivery));
+            results.push({ payload: label, deliveries });
+        }
+
+        const failed = results.filter(result => result.deliveries.length === 0 || !result.deliveries.every(succeeded));
+        if (jsonOutput) {
+            console.log(JSON.stringify({ replayed: results.length, failed: failed.length, results }, null, 2));
+        } else {
+            console.log(`\n${failed.length === 0 ? '✅' : '⚠️ '} Replayed ${results.length} payload(s), ${failed.length} not accepted`);
+        }
+        if (failed.length > 0) process.exitCode = EXIT_FAILURE;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = error.exitCode || EXIT_FAILURE;
+    }
+})();
@@ -2,6 +2,24 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import { v4 as uuidv4 } from "uuid";
+import { createStorage } from "./lib/storage/index.js";
+import { createWebhookAuth, safeEqual } from "./lib/webhook-auth.js";
+import { chainhookForContract, chainhookForPayload, loadChainhooksConfig, monitoredContracts } from "./lib/chainhooks-config.js";
+import { networkFromEnv } from "./lib/network.js";
+import { parsePayload } from "./lib/chainhook-payload.js";
+import { createSseHub } from "./lib/sse.js";
+import { createChainhooksApi } from "./lib/chainhooks-api.js";
+import { createChainhookReconciler } from "./lib/chainhook-reconciler.js";
+import { createAlertEngine, loadAlertsConfig } from "./lib/alerts/index.js";
+import { createForwarder, loadForwardingConfig } from "./lib/forwarding/index.js";
+import { backfillContract } from "./lib/backfill.js";
+import { createGapDetector } from "./lib/gap-detector.js";
+import { encodeCursor, parseEventFilters, parseEventQuery } from "./lib/event-query.js";
+import { EXPORT_FORMATS, parseExportFormat, writeExport } from "./lib/event-export.js";
+import { fillTimeSeries, parseAnalyticsQuery } from "./lib/analytics.js";
+import { createMetrics, METRICS_CONTENT_TYPE } from "./lib/metrics.js";
+import { createTxWatcher, normalizeTxid, WATCH_STATUSES } from "./lib/tx-watcher.js";
+import { journalHeaders, parseJournalSelection, replayDeliveries } from "./lib/delivery-journal.js";
 
 // Load environment variables
 dotenv.config();
@@ -11,268 +29,425 @@ const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
+// Webhook bodies are kept raw for the delivery journal and parsed by the handler
+app.use("/webhook", express.raw({ type: () => true, limit: "10mb" }));
 app.use(express.json({ limit: "10mb" }));
 
-// In-memory storage for events
-const events = [];
-const MAX_EVENTS = 100; // Keep last 100 events
+// Max events returned by a single /events request
+const MAX_PAGE_SIZE = 100;
+
+// Max journaled deliveries replayed by a single /admin/journal/replay request
+const MAX_REPLAY_ENTRIES = 500;
 
 // Environment variables
 const HIRO_API_KEY = process.env.HIRO_API_KEY;
-const CONTRACT_IDENTIFIER = process.env.CONTRACT_IDENTIFIER;
+const CONTRACT_IDENTIFIER = process.env.CONTRACT_IDENTIFIER; // Used when no chainhooks config file exists
 const WEBHOOK_BASE_URL = process.env.WEBHOOK_BASE_URL;
-const CHAINHOOK_UUID = process.env.CHAINHOOK_UUID; // Optional: If set, skip registration
+const CHAINHOOK_UUID = process.env.CHAINHOOK_UUID; // Optional: existing chainhook to reuse
+const CHAINHOOKS_CONFIG = process.env.CHAINHOOKS_CONFIG || "./chainhooks.config.json";
+const CHAINHOOKS_STATE_FILE = process.env.CHAINHOOKS_STATE_FILE || "./data/chainhooks-state.json"; // Active chainhook UUIDs
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY; // Optional: enables /admin endpoints
+const ALERTS_CONFIG = process.env.ALERTS_CONFIG || "./alerts.config.json"; // Optional: alert rules and targets
+const FORWARDING_CONFIG = process.env.FORWARDING_CONFIG || "./forwarding.config.json"; // Optional: downstream services
+
+// Delivery gap detection (compares received blocks with the chainhook status)
+const GAP_CHECK_INTERVAL_SECONDS = parseInt(process.env.GAP_CHECK_INTERVAL_SECONDS ?? "300"); // 0 = off
+const GAP_AUTO_BACKFILL = process.env.GAP_AUTO_BACKFILL === "true";
+
+// Watched transactions (POST /watch) still pending after the timeout are dropped
+const WATCH_TIMEOUT_MINUTES = parseFloat(process.env.WATCH_TIMEOUT_MINUTES) || 60;
+const WATCH_MAX_PENDING = parseInt(process.env.WATCH_MAX_PENDING ?? "1000"); // 0 = unlimited
+
+// Webhook authorization secret (generated and saved to disk if WEBHOOK_SECRET is unset)
+const WEBHOOK_SECRET_FILE = process.env.WEBHOOK_SECRET_FILE || "./data/webhook-secret.json";
+const WEBHOOK_SECRET_GRACE_SECONDS = parseInt(process.env.WEBHOOK_SECRET_GRACE_SECONDS) || 600;
+
+// Storage configuration
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "sqlite";
+const DATABASE_PATH = process.env.DATABASE_PATH || "./data/events.db";
+const RETENTION_MAX_EVENTS = parseInt(process.env.RETENTION_MAX_EVENTS) || 0; // 0 = keep everything
+const RETENTION_MAX_AGE_DAYS = parseFloat(process.env.RETENTION_MAX_AGE_DAYS) || 0; // 0 = keep forever
+const DELIVERY_JOURNAL_MAX_ENTRIES = parseInt(process.env.DELIVERY_JOURNAL_MAX_ENTRIES ?? "10000"); // 0 = keep everything
+const DELIVERY_JOURNAL_MAX_AGE_DAYS = parseFloat(process.env.DELIVERY_JOURNAL_MAX_AGE_DAYS) || 0; // 0 = keep forever
+
+// Stacks network (STACKS_NETWORK / STACKS_API_URL)
+let network;
+try {
+    network = networkFromEnv();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
 
 // Validate required environment variables
-if (!HIRO_API_KEY || !CONTRACT_IDENTIFIER || !WEBHOOK_BASE_URL) {
+if (!HIRO_API_KEY || !WEBHOOK_BASE_URL) {
     console.error("❌ Missing required environment variables:");
     if (!HIRO_API_KEY) console.error("  - HIRO_API_KEY");
-    if (!CONTRACT_IDENTIFIER) console.error("  - CONTRACT_IDENTIFIER");
     if (!WEBHOOK_BASE_URL) console.error("  - WEBHOOK_BASE_URL");
     process.exit(1);
 }
 
-// Chainhook predicate for monitoring contract calls (Chainhooks 2.0 API format)
-const chainhookPredicate = {
-    name: `Monitor ${CONTRACT_IDENTIFIER}`,
+// Chainhooks to keep registered (from the config file, or CONTRACT_IDENTIFIER)
+let chainhooks;
+try {
+    chainhooks = loadChainhooksConfig({
+        file: CHAINHOOKS_CONFIG,
+        contractIdentifier: CONTRACT_IDENTIFIER,
+        uuid: CHAINHOOK_UUID
+    });
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+const MONITORED_CONTRACTS = monitoredContracts(chainhooks);
+
+// Persistent event storage
+const storage = createStorage({
+    driver: STORAGE_DRIVER,
+    filename: DATABASE_PATH,
+    maxEvents: RETENTION_MAX_EVENTS,
+    maxAgeDays: RETENTION_MAX_AGE_DAYS,
+    journalMaxEntries: DELIVERY_JOURNAL_MAX_ENTRIES,
+    journalMaxAgeDays: DELIVERY_JOURNAL_MAX_AGE_DAYS
+});
+
+// Age-based retention also needs to run when no new events arrive
+if (RETENTION_MAX_AGE_DAYS > 0) {
+    setInterval(() => storage.prune(), 60 * 60 * 1000).unref();
+}
+
+// Alert rules checked against every newly stored event
+let alertEngine;
+try {
+    alertEngine = createAlertEngine({ ...loadAlertsConfig({ file: ALERTS_CONFIG }), storage });
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+// Signed, retried forwarding of ingested events to downstream services
+let forwarder;
+try {
+    forwarder = createForwarder({
+        destinations: loadForwardingConfig({ file: FORWARDING_CONFIG }),
+        storage,
+        network: network.name,
+        serializeEvent: toApiEvent
+    });
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+// Live updates for the dashboard (GET /stream)
+const sseHub = createSseHub();
+
+// Follows watched transactions until they're confirmed, failed or dropped
+const txWatcher = createTxWatcher({
+    storage,
+    timeoutMs: WATCH_TIMEOUT_MINUTES * 60 * 1000,
+    maxPending: WATCH_MAX_PENDING
+});
+
+// Shared secret Chainhook sends in the Authorization header of every delivery
+const webhookAuth = createWebhookAuth({
+    secretFile: WEBHOOK_SECRET_FILE,
+    envSecret: process.env.WEBHOOK_SECRET,
+    graceSeconds: WEBHOOK_SECRET_GRACE_SECONDS
+});
+
+// Keeps the chainhooks registered with Hiro in line with the config
+const chainhooksApi = createChainhooksApi({ baseUrl: network.chainhooksUrl, apiKey: HIRO_API_KEY });
+const reconciler = createChainhookReconciler({ api: chainhooksApi, stateFile: CHAINHOOKS_STATE_FILE });
+const gapDetector = createGapDetector({ api: chainhooksApi, storage, hooks: chainhooks });
+
+// Prometheus metrics (GET /metrics) - counters are updated as deliveries and
+// syncs happen, storage gauges are read at scrape time
+const metrics = createMetrics();
+const webhookDeliveries = metrics.counter({
+    name: "chainhook_webhook_deliveries_total",
+    help: "Webhook deliveries received, by outcome (accepted, unauthorized, rejected, error)",
+    labelNames: ["outcome"]
+});
+const eventsParsed = metrics.counter({
+    name: "chainhook_events_parsed_total",
+    help: "Events parsed from deliveries, by payload format (events, apply, transactions)",
+    labelNames: ["format"]
+});
+const parseErrors = metrics.counter({
+    name: "chainhook_parse_errors_total",
+    help: "Payload items that failed validation (or unrecognized payloads), by payload format",
+    labelNames: ["format"]
+});
+const eventsStored = metrics.counter({
+    name: "chainhook_events_stored_total",
+    help: "Parsed events by storage result (inserted, duplicate)",
+    labelNames: ["result"]
+});
+const eventsOrphaned = metrics.counter({
+    name: "chainhook_events_orphaned_total",
+    help: "Stored events marked orphaned by rollbacks"
+});
+const ingestionDuration = metrics.histogram({
+    name: "chainhook_ingestion_duration_seconds",
+    help: "Time to parse and store a webhook delivery"
+});
+const lastDeliveryTime = metrics.gauge({
+    name: "chainhook_last_delivery_timestamp_seconds",
+    help: "Unix time of the last accepted webhook delivery"
+});
+const deliveryReplays = metrics.counter({
+    name: "chainhook_delivery_replays_total",
+    help: "Journaled deliveries replayed through the parser, by result (replayed, failed)",
+    labelNames: ["result"]
+});
+const chainhookSyncs = metrics.counter({
+    name: "chainhook_sync_total",
+    help: "Chainhook registration outcomes per configured hook (created, updated, unchanged, failed)",
+    labelNames: ["chainhook", "outcome"]
+});
+const chainhookReenables = metrics.counter({
+    name: "chainhook_reenabled_total",
+    help: "Interrupted or expired chainhooks re-enabled during a sync",
+    labelNames: ["chainhook"]
+});
+metrics.gauge({
+    name: "chainhook_last_block_height",
+    help: "Highest block height delivered, per chainhook",
+    labelNames: ["chainhook"],
+    collect: () => chainhooks
+        .filter(hook => hook.uuid)
+        .map(hook => ({ labels: { chainhook: hook.name }, value: storage.receivedBlockStats(hook.uuid).lastHeight }))
+});
+metrics.gauge({
+    name: "chainhook_stored_block_height",
+    help: "Highest block height among stored canonical events",
+    collect: () => storage.latestBlockHeight()
+});
+metrics.gauge({
+    name: "chainhook_stored_events",
+    help: "Events in storage, by status (canonical, orphaned)",
+    labelNames: ["status"],
+    collect: () => {
+        const canonical = storage.countEvents();
+        return [
+            { labels: { status: "canonical" }, value: canonical },
+            { labels: { status: "orphaned" }, value: storage.countEvents({ includeOrphaned: true }) - canonical }
+        ];
+    }
+});
+metrics.gauge({
+    name: "chainhook_storage_size_bytes",
+    help: "Size of the event database (not reported by the memory driver)",
+    collect: () => storage.sizeBytes()
+});
+metrics.gauge({
+    name: "chainhook_watched_transactions",
+    help: "Watched transactions, by status (pending, confirmed, failed, dropped)",
+    labelNames: ["status"],
+    collect: () => Object.entries(storage.watchedTransactionCounts())
+        .map(([status, value]) => ({ labels: { status }, value }))
+});
+metrics.gauge({
+    name: "chainhook_stream_clients",
+    help: "Dashboards connected to GET /stream",
+    collect: () => sseHub.clientCount()
+});
+
+/**
+ * Chainhook predicate for a configured hook (Chainhooks 2.0 API format)
+ * Built on demand so it always carries the current webhook secret
+ */
+const buildChainhookPredicate = (hook) => ({
+    name: hook.name,
     version: "1",
     chain: "stacks",
-    network: "mainnet",
+    network: network.name,
     filters: {
-        events: [
-            {
-                type: "contract_call",
-                contract_identifier: CONTRACT_IDENTIFIER,
-                method: "*" // Listen to ALL methods
-            }
-        ]
+        events: hook.filters
     },
     action: {
         type: "http_post",
         url: `${WEBHOOK_BASE_URL}/webhook`,
-        authorization_header: `Bearer chainhook-secret`
+        authorization_header: webhookAuth.authorizationHeader()
     },
     options: {
         enable_on_registration: true
     }
-};
+});
 
 /**
- * Register Chainhook with Hiro Platform API
+ * Reconcile the registered chainhooks with the configured ones and settle
+ * any pending secret rotation
+ * @returns {boolean} true when every chainhook is in sync
  */
-async function registerChainhook() {
-    console.log("🔗 Registering Chainhook...");
-    console.log(`   Contract: ${CONTRACT_IDENTIFIER}`);
-    console.log(`   Webhook URL: ${WEBHOOK_BASE_URL}/webhook`);
-
-    try {
-        // Hiro Chainhooks API endpoint for mainnet - /chainhooks/v1/me/ for user-scoped chainhooks
-        const response = await fetch("https://api.mainnet.hiro.so/chainhooks/v1/me/", {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                "x-api-key": HIRO_API_KEY
-            },
-            body: JSON.stringify(chainhookPredicate)
-        });
+async function syncChainhooks() {
+    console.log("🔗 Reconciling chainhooks...");
+    const report = await reconciler.reconcile(chainhooks, buildChainhookPredicate, `${WEBHOOK_BASE_URL}/webhook`);
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`HTTP ${response.status}: ${errorText}`);
+    for (const result of report.results) {
+        chainhookSyncs.inc({ chainhook: result.name, outcome: result.ok ? result.action : "failed" });
+        if (result.reenabled) chainhookReenables.inc({ chainhook: result.name });
+        if (result.ok) {
+            const reenabled = result.reenabled ? ", re-enabled" : "";
+            console.log(`✅ "${result.name}" ${result.action}${reenabled} (${result.uuid})`);
+        } else {
+            console.error(`❌ "${result.name}" not synced: ${result.error}`);
         }
+    }
+    for (const uuid of report.deleted) {
+        console.log(`🗑️  Deleted stale chainhook ${uuid}`);
+    }
+    for (const error of report.errors) {
+        console.error(`⚠️  ${error}`);
+    }
 
-        const result = await response.json();
-        console.log("✅ Chainhook registered successfully!");
-        console.log(`   Chainhook ID: ${result.id || result.uuid || 'N/A'}`);
-        return result;
-    } catch (error) {
-        console.error("❌ Failed to register Chainhook:", error.message);
-        // Don't exit - the server can still receive webhooks if already registered
-        console.log("⚠️  Server will continue running. Chainhook may already be registered.");
+    const pushed = report.results.filter(result => result.ok).length;
+
+    if (webhookAuth.hasPendingRotation()) {
+        if (pushed === chainhooks.length) {
+            webhookAuth.commitRotation();
+            console.log(`🔑 Webhook secret rotated - previous secret accepted for ${WEBHOOK_SECRET_GRACE_SECONDS}s`);
+        } else if (pushed === 0) {
+            webhookAuth.abortRotation();
+            console.log(webhookAuth.isPinned
+                ? "⚠️  Could not push WEBHOOK_SECRET - accepting the previous secret too until the next sync"
+                : "⚠️  Could not push new webhook secret - keeping the previous one");
+        } else {
+            // Some hooks already send the new secret, others the old one: accept both until the next sync
+            console.log("⚠️  New webhook secret pushed to only some chainhooks - accepting both until the next sync");
+        }
     }
+
+    return pushed === chainhooks.length;
 }
 
+// Latest backfill run - one runs at a time
+let backfillJob = null;
+
 /**
- * Update existing Chainhook's webhook URL
+ * Start backfilling a contract's history from the Stacks API in the background
+ * Throws when a backfill is already running.
+ * @returns {{ job: object, done: Promise<object> }} The job (updated as pages
+ *   are stored) and a promise for it once finished
  */
-async function updateChainhook(uuid) {
-    console.log("🔄 Updating Chainhook webhook URL...");
-    console.log(`   UUID: ${uuid}`);
-    console.log(`   New Webhook URL: ${WEBHOOK_BASE_URL}/webhook`);
-
-    try {
-        // Try to update the chainhook with the current webhook URL
-        const response = await fetch(`https://api.mainnet.hiro.so/chainhooks/v1/me/${uuid}`, {
-            method: "PUT",
-            headers: {
-                "Content-Type": "application/json",
-                "x-api-key": HIRO_API_KEY
-            },
-            body: JSON.stringify(chainhookPredicate)
-        });
+function startBackfill({ contractId, fromHeight = 0, toHeight = null }) {
+    if (backfillJob?.status === "running") {
+        throw new Error(`A backfill of ${backfillJob.contractId} is already running`);
+    }
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`HTTP ${response.status}: ${errorText}`);
-        }
+    const hook = chainhookForContract(chainhooks, contractId);
+    const job = {
+        id: uuidv4(),
+        contractId,
+        fromHeight,
+        toHeight,
+        status: "running",
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        totals: { pages: 0, fetched: 0, matched: 0, inserted: 0, duplicates: 0, invalid: 0 },
+        error: null
+    };
+    backfillJob = job;
+    console.log(`⏪ Backfilling ${contractId} from block ${fromHeight}${toHeight ? ` to ${toHeight}` : ""}...`);
 
-        const result = await response.json();
-        console.log("✅ Chainhook updated successfully!");
-        return result;
-    } catch (error) {
-        console.error("❌ Failed to update Chainhook:", error.message);
-        console.log("⚠️  Will try to delete and re-register...");
+    const done = backfillContract({
+        apiUrl: network.apiUrl,
+        apiKey: HIRO_API_KEY,
+        contractId,
+        fromHeight,
+        toHeight: toHeight ?? Infinity,
+        parse: (payload) => parsePayload(payload, { hook, fallbackContract: contractId }),
+        storage,
+        onPage: (totals) => { job.totals = totals; }
+    }).then((totals) => {
+        job.totals = totals;
+        job.status = "completed";
+        console.log(`✅ Backfill of ${contractId} done: ${totals.inserted} new, ${totals.duplicates} already stored`);
+        if (totals.inserted > 0) sseHub.broadcast("stats", { stats: storage.getStats() });
+    }).catch((error) => {
+        job.status = "failed";
+        job.error = error.message;
+        console.error(`❌ Backfill of ${contractId} failed:`, error.message);
+    }).then(() => {
+        job.finishedAt = new Date().toISOString();
+        return job;
+    });
 
-        // If update fails, try to delete and re-register
-        try {
-            await fetch(`https://api.mainnet.hiro.so/chainhooks/v1/me/${uuid}`, {
-                method: "DELETE",
-                headers: {
-                    "x-api-key": HIRO_API_KEY
-                }
-            });
-            console.log("🗑️  Deleted old chainhook, registering new one...");
-            return await registerChainhook();
-        } catch (deleteError) {
-            console.error("❌ Failed to delete old Chainhook:", deleteError.message);
-        }
-    }
+    return { job, done };
 }
 
 /**
- * Parse Chainhook event payload and extract transaction details
- * Handles multiple payload formats from Chainhooks API
+ * Backfill a chainhook's missing range for each of its contracts, then mark
+ * the gap resolved
+ * @returns {Promise<boolean>} true when the gap was backfilled
  */
-function parseEventPayload(payload) {
-    const parsedEvents = [];
+async function backfillGap({ name, uuid, gap }) {
+    const hook = chainhooks.find(h => h.uuid === uuid);
+    if (!hook || !gap) return false;
 
-    try {
-        // Log the payload structure for debugging
-        console.log("   📦 Payload keys:", Object.keys(payload));
-
-        // Try multiple payload formats
-
-        // Format 1: Chainhooks 2.0 - events at top level or in 'data'
-        const eventsArray = payload.events || payload.data?.events || [];
-        if (eventsArray.length > 0) {
-            console.log(`   Found ${eventsArray.length} events in events/data.events`);
-            for (const event of eventsArray) {
-                parsedEvents.push({
-                    id: uuidv4(),
-                    txid: event.tx_id || event.txid || event.transaction_id || "unknown",
-                    sender: event.sender || event.sender_address || event.principal || "unknown",
-                    blockHeight: event.block_height || event.block || 0,
-                    contractId: event.contract_identifier || CONTRACT_IDENTIFIER,
-                    method: event.method || event.function_name || "unknown",
-                    success: event.success !== false,
-                    timestamp: new Date().toISOString(),
-                    raw: event
-                });
-            }
-        }
+    console.log(`🩹 Backfilling blocks ${gap.fromHeight}-${gap.toHeight} missed by "${name}"`);
+    for (const contractId of monitoredContracts([hook])) {
+        const job = await startBackfill({ contractId, fromHeight: gap.fromHeight, toHeight: gap.toHeight }).done;
+        if (job.status !== "completed") return false;
+    }
 
-        // Format 2: Chainhook - 'apply' array with blocks (check both payload.apply AND payload.event.apply)
-        const apply = payload.apply || payload.event?.apply || [];
-        if (apply.length > 0) {
-            console.log(`   Found ${apply.length} blocks in apply array`);
-            for (const block of apply) {
-                const blockHeight = block.block_identifier?.index || block.block_height || block.metadata?.block_height || 0;
-                const transactions = block.transactions || [];
-
-                console.log(`   Block ${blockHeight}: ${transactions.length} transactions`);
-
-                for (const tx of transactions) {
-                    // Handle metadata structure - Hiro API nests details in metadata
-                    const metadata = tx.metadata || {};
-                    const txDetails = metadata || tx.operations?.[0] || tx;
-
-                    // Extract sender from multiple possible locations
-                    let sender = "unknown";
-                    if (metadata.sender) sender = metadata.sender;
-                    else if (metadata.sender_address) sender = metadata.sender_address;
-                    else if (tx.operations?.[0]?.account?.address) sender = tx.operations[0].account.address;
-
-                    // Extract method/function name
-                    let method = "unknown";
-                    if (metadata.kind?.data?.contract_call?.function_name) {
-                        method = metadata.kind.data.contract_call.function_name;
-                    } else if (metadata.contract_call?.function_name) {
-                        method = metadata.contract_call.function_name;
-                    } else if (txDetails.function_name) {
-                        method = txDetails.function_name;
-                    }
-
-                    // Extract success status - check multiple indicators
-                    let success = true; // Default to true
-                    if (metadata.success === false) {
-                        success = false;
-                    } else if (metadata.receipt?.result) {
-                        // Check if result contains (ok ...) or (err ...)
-                        const result = metadata.receipt.result;
-                        if (result.includes("(err") || result.startsWith("err")) {
-                            success = false;
-                        } else if (result.includes("(ok") || result.startsWith("ok")) {
-                            success = true;
-                        }
-                    }
-
-                    parsedEvents.push({
-                        id: uuidv4(),
-                        txid: tx.transaction_identifier?.hash || metadata.tx_id || txDetails.txid || "unknown",
-                        sender: sender,
-                        blockHeight: blockHeight,
-                        contractId: CONTRACT_IDENTIFIER,
-                        method: method,
-                        success: success,
-                        timestamp: new Date().toISOString(),
-                        raw: tx
-                    });
-                }
-            }
-        }
+    await gapDetector.resolve(uuid);
+    return true;
+}
+
+/**
+ * Compare received blocks with the chainhook status and report (or
+ * backfill) missed deliveries
+ */
+async function checkDeliveryGaps() {
+    const report = await gapDetector.check();
 
-        // Format 3: Direct transactions array
-        const transactions = payload.transactions || [];
-        if (transactions.length > 0) {
-            console.log(`   Found ${transactions.length} direct transactions`);
-            for (const tx of transactions) {
-                parsedEvents.push({
-                    id: uuidv4(),
-                    txid: tx.tx_id || tx.txid || tx.transaction_id || "unknown",
-                    sender: tx.sender || tx.sender_address || "unknown",
-                    blockHeight: tx.block_height || payload.block_height || 0,
-                    contractId: tx.contract_identifier || CONTRACT_IDENTIFIER,
-                    method: tx.function_name || tx.method || "unknown",
-                    success: tx.success !== false,
-                    timestamp: new Date().toISOString(),
-                    raw: tx
-                });
-            }
+    for (const result of report.chainhooks) {
+        if (result.state === "error") {
+            console.error(`⚠️  Could not check deliveries of "${result.name}": ${result.error}`);
+        } else if (result.state === "mismatch") {
+            console.error(`⚠️  "${result.name}" delivered ${result.received} block(s) but Hiro counts ${result.occurrences} occurrence(s)`);
+        } else if (result.state === "gap") {
+            console.error(`⚠️  "${result.name}" missed ${result.missing} occurrence(s) between blocks ${result.gap.fromHeight} and ${result.gap.toHeight}`);
         }
+    }
 
-        // If still no events, log the full payload for debugging
-        if (parsedEvents.length === 0) {
-            console.log("   ⚠️ No events parsed. Full payload:");
-            console.log(JSON.stringify(payload, null, 2).slice(0, 1000));
+    if (!GAP_AUTO_BACKFILL) return;
+    for (const result of report.chainhooks.filter(r => r.state === "gap")) {
+        try {
+            await backfillGap(result);
+        } catch (error) {
+            // Usually a manual backfill is running - retried on the next check
+            console.error(`❌ Could not backfill the gap of "${result.name}":`, error.message);
         }
+    }
+}
 
+/**
+ * Write to the delivery journal - a failure is logged but never fails the delivery
+ */
+function journalWrite(write) {
+    try {
+        return write();
     } catch (error) {
-        console.error("Error parsing event payload:", error);
-        parsedEvents.push({
-            id: uuidv4(),
-            txid: "parse-error",
-            sender: "unknown",
-            blockHeight: 0,
-            contractId: CONTRACT_IDENTIFIER,
-            method: "unknown",
-            success: false,
-            timestamp: new Date().toISOString(),
-            raw: payload,
-            parseError: error.message
-        });
+        console.error("   ⚠️  Could not write to the delivery journal:", error.message);
+        return null;
     }
+}
 
-    return parsedEvents;
+/**
+ * Reject requests without the admin API key (disabled when ADMIN_API_KEY is unset)
+ */
+function requireAdmin(req, res, next) {
+    if (!ADMIN_API_KEY) {
+        return res.status(403).json({ success: false, error: "Admin API disabled - set ADMIN_API_KEY" });
+    }
+    const token = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+    if (!safeEqual(token, ADMIN_API_KEY)) {
+        return res.status(401).json({ success: false, error: "Unauthorized" });
+    }
+    next();
 }
 
 // ===== API ROUTES =====
@@ -281,101 +456,798 @@ function parseEventPayload(payload) {
  * Health check endpoint
  */
 app.get("/health", (req, res) => {
+    const delivery = gapDetector.report();
+    const gaps = delivery.chainhooks.filter(result => result.state === "gap" || result.state === "mismatch");
+
     res.json({
-        status: "healthy",
+        status: gaps.length > 0 ? "degraded" : "healthy",
         timestamp: new Date().toISOString(),
-        contract: CONTRACT_IDENTIFIER,
-        eventsCount: events.length
+        network: network.name,
+        contracts: MONITORED_CONTRACTS,
+        chainhooks: chainhooks.map(h => ({ name: h.name, uuid: h.uuid || null })),
+        storage: storage.driver,
+        streamClients: sseHub.clientCount(),
+        eventsCount: storage.countEvents(),
+        orphanedCount: storage.countEvents({ includeOrphaned: true }) - storage.countEvents(),
+        delivery: { ...delivery, gaps: gaps.length }
+    });
+});
+
+/**
+ * Prometheus metrics endpoint - deliveries, parsing, ingestion latency,
+ * chainhook syncs and storage, in the Prometheus text format
+ */
+app.get("/metrics", (req, res) => {
+    res.set("Content-Type", METRICS_CONTENT_TYPE);
+    res.send(metrics.render());
+});
+
+/**
+ * Client configuration endpoint - lets the dashboard follow the server's network
+ */
+app.get("/config", (req, res) => {
+    res.json({
+        success: true,
+        network: network.name,
+        apiUrl: network.apiUrl,
+        explorerChain: network.explorerChain,
+        explorerQuery: network.explorerQuery,
+        contracts: MONITORED_CONTRACTS
     });
 });
 
 /**
  * Webhook endpoint - receives Chainhook events
+ * Every authorized delivery is journaled raw before it's parsed (see delivery-journal.js)
  */
 app.post("/webhook", (req, res) => {
-    console.log("\n📥 Received Chainhook event at", new Date().toISOString());
+    const receivedAt = new Date().toISOString();
+    console.log("\n📥 Received Chainhook event at", receivedAt);
+
+    // Unauthorized requests aren't journaled - anyone could flood the journal
+    // and push real deliveries out of it
+    if (!webhookAuth.verify(req.get("authorization"))) {
+        console.log("   🚫 Rejected delivery with missing or invalid Authorization header");
+        webhookDeliveries.inc({ outcome: "unauthorized" });
+        return res.status(401).json({
+            success: false,
+            error: "Unauthorized"
+        });
+    }
+
+    const body = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "";
+    const journalId = journalWrite(() => storage.journalDelivery({
+        receivedAt,
+        headers: journalHeaders(req.headers),
+        body
+    }));
+
+    // Answer Chainhook and record the outcome in the journal
+    const reply = (outcome, status, response, fields = {}) => {
+        webhookDeliveries.inc({ outcome });
+        if (journalId) journalWrite(() => storage.updateJournalEntry(journalId, { outcome, statusCode: status, ...fields }));
+        return res.status(status).json(response);
+    };
+
+    let payload;
+    try {
+        payload = JSON.parse(body || "{}");
+    } catch (error) {
+        console.error(`   🚫 Rejected delivery with an invalid JSON body: ${error.message}`);
+        return reply("rejected", 400, { success: false, error: "Invalid JSON body" }, { errors: [error.message] });
+    }
 
+    const endTimer = ingestionDuration.startTimer();
     try {
-        const payload = req.body;
+        // Parse rolled-back blocks and new events
+        const hook = chainhookForPayload(chainhooks, payload);
+        const {
+            format,
+            events: newEvents,
+            appliedBlocks,
+            rollbackBlocks,
+            errors,
+            ignored
+        } = parsePayload(payload, { hook, fallbackContract: MONITORED_CONTRACTS[0], receivedAt });
+        const journaled = {
+            chainhookUuid: payload?.chainhook?.uuid || hook?.uuid || null,
+            chainhookName: hook?.name || payload?.chainhook?.name || null,
+            format,
+            errors
+        };
+
+        if (errors.length > 0) parseErrors.inc({ format }, errors.length);
+        for (const error of errors) {
+            console.error(`   ⚠️  ${error}`);
+        }
 
-        // Log the raw payload for debugging
-        console.log("Payload type:", payload.chainhook?.is_streaming_blocks ? "streaming" : "standard");
+        // Nothing in an unrecognized payload can be stored - reject it as a whole
+        if (format === "unknown") {
+            console.error(`   🚫 Rejected payload with keys: ${Object.keys(payload || {}).join(", ") || "(none)"}`);
+            return reply("rejected", 422, { success: false, error: errors[0] }, journaled);
+        }
+
+        console.log(`   📦 ${format} payload: ${newEvents.length} event(s)${errors.length ? `, ${errors.length} invalid item(s)` : ""}`);
+        if (ignored > 0) {
+            console.log(`   Ignored ${ignored} event(s) outside the "${hook.name}" filters`);
+        }
+        eventsParsed.inc({ format }, newEvents.length);
 
-        // Parse and store events
-        const newEvents = parseEventPayload(payload);
+        // Blocks received per chainhook, for gap detection
+        const senderUuid = payload.chainhook?.uuid || hook?.uuid;
+        if (senderUuid) storage.recordReceivedBlocks(senderUuid, appliedBlocks);
 
+        for (const block of rollbackBlocks) {
+            console.log(`   ↩️  Rollback: Block ${block.blockHeight}${block.blockHash ? ` (${block.blockHash.slice(0, 16)}...)` : ""}`);
+        }
         for (const event of newEvents) {
-            console.log(`   📝 TX: ${event.txid.slice(0, 16)}... | Sender: ${event.sender.slice(0, 16)}... | Block: ${event.blockHeight}`);
+            console.log(`   📝 ${event.eventType} | TX: ${event.txid.slice(0, 16)}... | Sender: ${event.sender.slice(0, 16)}... | Block: ${event.blockHeight}`);
+        }
+
+        // Orphan rolled-back events and store the new ones in one transaction.
+        // Events already stored (Hiro retries, re-registered hooks) are skipped.
+        // Forwards are queued in the same transaction.
+        const { orphaned, inserted, duplicates, insertedEvents } = storage.applyChainUpdate({
+            rollbackBlocks,
+            events: newEvents,
+            outbound: forwarder.enabled ? forwarder.deliveriesFor : undefined
+        });
 
-            // Add to beginning of array (newest first)
-            events.unshift(event);
+        if (orphaned > 0) {
+            console.log(`   ↩️  Marked ${orphaned} event(s) as orphaned`);
+        }
+        if (duplicates > 0) {
+            console.log(`   ♻️  Skipped ${duplicates} duplicate event(s)`);
         }
+        console.log(`   ✅ Stored ${inserted} new event(s). Total: ${storage.countEvents()}`);
+
+        lastDeliveryTime.set({}, Date.now() / 1000);
+        eventsStored.inc({ result: "inserted" }, inserted);
+        eventsStored.inc({ result: "duplicate" }, duplicates);
+        eventsOrphaned.inc({}, orphaned);
 
-        // Trim to max events
-        while (events.length > MAX_EVENTS) {
-            events.pop();
+        // Rolled-back blocks drop their watched transactions before the new
+        // events (possibly the same transactions in the replacing block) resolve them
+        const watchChanges = [
+            ...txWatcher.blocksRolledBack(rollbackBlocks),
+            ...txWatcher.eventsStored(insertedEvents)
+        ];
+        for (const tx of watchChanges) {
+            console.log(`   👀 Watched TX ${tx.txid.slice(0, 16)}... is ${tx.status}${tx.reason ? ` (${tx.reason})` : ""}`);
         }
 
-        console.log(`   ✅ Stored ${newEvents.length} event(s). Total: ${events.length}`);
+        // Push changes to connected dashboards
+        if (watchChanges.length > 0) {
+            sseHub.broadcast("watch", { transactions: watchChanges });
+        }
+        if (orphaned > 0) {
+            sseHub.broadcast("rollback", { blocks: rollbackBlocks, orphaned });
+        }
+        if (insertedEvents.length > 0) {
+            sseHub.broadcast("events", { events: insertedEvents.map(toApiEvent) });
+        }
+        if (orphaned > 0 || insertedEvents.length > 0) {
+            sseHub.broadcast("stats", { stats: storage.getStats() });
+        }
+
+        if (forwarder.enabled && (orphaned > 0 || insertedEvents.length > 0)) {
+            forwarder.kick();
+        }
 
-        res.status(200).json({
+        // Notifications are sent in the background so Chainhook gets its response right away
+        if (alertEngine.enabled && insertedEvents.length > 0) {
+            alertEngine.process(insertedEvents)
+                .then(alerts => alerts.forEach(logAlert))
+                .catch(error => console.error("❌ Error processing alert rules:", error.message));
+        }
+
+        reply("accepted", 200, {
             success: true,
-            eventsProcessed: newEvents.length
-        });
+            eventsProcessed: newEvents.length,
+            eventsNew: inserted,
+            eventsDuplicate: duplicates,
+            eventsRolledBack: orphaned,
+            ...(errors.length > 0 ? { parseErrors: errors } : {})
+        }, { ...journaled, eventsNew: inserted });
     } catch (error) {
         console.error("❌ Error processing webhook:", error);
-        res.status(500).json({
+        reply("error", 500, {
             success: false,
             error: error.message
-        });
+        }, { errors: [error.message] });
+    } finally {
+        // Failed deliveries are timed too
+        endTimer();
     }
 });
 
+/**
+ * Public shape of a stored event (the raw payload is left out)
+ */
+function toApiEvent(e) {
+    return {
+        id: e.id,
+        schemaVersion: e.schemaVersion,
+        txid: e.txid,
+        txIndex: e.txIndex,
+        sender: e.sender,
+        nonce: e.nonce,
+        fee: e.fee,
+        blockHeight: e.blockHeight,
+        blockHash: e.blockHash,
+        blockTime: e.blockTime,
+        eventType: e.eventType,
+        contractId: e.contractId,
+        method: e.method,
+        success: e.success,
+        status: e.canonical ? "canonical" : "orphaned",
+        orphanedAt: e.orphanedAt,
+        args: e.args,
+        result: e.result,
+        resultType: e.resultType,
+        errorCode: e.errorCode,
+        details: e.details,
+        timestamp: e.timestamp,
+        receivedAt: e.receivedAt
+    };
+}
+
+/**
+ * Log a recorded alert and any failed notifications
+ */
+function logAlert(alert) {
+    if (alert.status === "suppressed") {
+        console.log(`   🔕 Alert "${alert.rule}" suppressed (cooldown)`);
+        return;
+    }
+    const failed = alert.deliveries.filter(d => !d.ok);
+    console.log(`   🚨 Alert "${alert.rule}": ${alert.message}`);
+    for (const delivery of failed) {
+        console.error(`   ❌ Alert target "${delivery.target}" failed: ${delivery.error}`);
+    }
+}
+
 /**
  * Get events endpoint - returns stored events
+ * Filters: ?contract, type, sender, method, success, fromBlock, toBlock,
+ * since, until. Sorting: ?sort=timestamp|blockHeight&order=desc|asc.
+ * Pass the returned nextCursor as ?cursor= (with the same sort) for the next
+ * page. Events from rolled-back blocks are hidden unless ?includeOrphaned=true
  */
 app.get("/events", (req, res) => {
-    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_EVENTS);
+    let query;
+    try {
+        query = parseEventQuery(req.query, MAX_PAGE_SIZE);
+    } catch (error) {
+        return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+
+    const { filters, limit, sort, order, after } = query;
+    // One extra row tells whether there is a next page
+    const rows = storage.listEvents({ ...filters, limit: limit + 1, sort, order, after });
+    const events = rows.slice(0, limit);
+
+    res.json({
+        success: true,
+        contracts: MONITORED_CONTRACTS,
+        totalEvents: storage.countEvents(filters),
+        events: events.map(toApiEvent),
+        nextCursor: rows.length > limit ? encodeCursor(events[events.length - 1], { sort, order }) : null
+    });
+});
+
+/**
+ * Export endpoint - streams every event matching the /events filters
+ * ?format=csv|ndjson (default csv), plus the /events filters and sorting.
+ * Written a page at a time, so large exports don't build up in memory.
+ */
+app.get("/events/export", async (req, res) => {
+    let query;
+    let format;
+    try {
+        query = parseEventQuery(req.query, MAX_PAGE_SIZE);
+        format = parseExportFormat(req.query.format);
+    } catch (error) {
+        return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+
+    const { filters, sort, order } = query;
+    const filename = `events-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+    res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    try {
+        const count = await writeExport(storage, res, { format, filters, sort, order });
+        console.log(`📤 Exported ${count} events as ${format}`);
+    } catch (error) {
+        // Headers (and maybe rows) are already sent - all we can do is cut the response short
+        console.error("❌ Export failed:", error.message);
+        res.destroy(error);
+        return;
+    }
+    res.end();
+});
+
+/**
+ * Every event of a transaction, with its raw payload
+ * Includes events from rolled-back blocks (see their status)
+ */
+app.get("/events/:txid", (req, res) => {
+    const events = storage.listEvents({
+        txid: req.params.txid,
+        includeOrphaned: true,
+        order: "asc",
+        limit: MAX_PAGE_SIZE
+    });
+
+    if (events.length === 0) {
+        return res.status(404).json({ success: false, error: "No events for this transaction" });
+    }
 
     res.json({
         success: true,
-        contract: CONTRACT_IDENTIFIER,
-        totalEvents: events.length,
-        events: events.slice(0, limit).map(e => ({
-            id: e.id,
-            txid: e.txid,
-            sender: e.sender,
-            blockHeight: e.blockHeight,
-            method: e.method,
-            success: e.success,
-            timestamp: e.timestamp
+        txid: req.params.txid,
+        events: events.map(e => ({
+            ...toApiEvent(e),
+            eventIndex: e.eventIndex,
+            raw: e.raw,
+            ...(e.parseError ? { parseError: e.parseError } : {})
         }))
     });
 });
 
 /**
  * Get stats endpoint - returns summary statistics
+ * Accepts the same filters as /events
  */
 app.get("/stats", (req, res) => {
-    const uniqueSenders = new Set(events.map(e => e.sender)).size;
-    const successfulTxs = events.filter(e => e.success).length;
-    const methods = {};
+    let filters;
+    try {
+        filters = parseEventFilters(req.query);
+    } catch (error) {
+        return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+
+    res.json({
+        success: true,
+        contracts: MONITORED_CONTRACTS,
+        stats: storage.getStats(filters)
+    });
+});
+
+/**
+ * Wallet endpoint - one sender's activity: totals, success rate, first and
+ * last seen blocks, methods and contracts used, and their latest events
+ * Accepts the /events filters, sorting and cursors for its event list
+ */
+app.get("/wallets/:address", (req, res) => {
+    let query;
+    try {
+        query = parseEventQuery(req.query, MAX_PAGE_SIZE);
+    } catch (error) {
+        return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+
+    const filters = { ...query.filters, includeOrphaned: false, sender: req.params.address };
+    const stats = storage.getStats(filters);
+    if (stats.totalInteractions === 0) {
+        return res.status(404).json({ success: false, error: "No events from this address" });
+    }
+
+    const first = storage.listEvents({ ...filters, sort: "blockHeight", order: "asc", limit: 1 })[0];
+    const last = storage.listEvents({ ...filters, sort: "blockHeight", order: "desc", limit: 1 })[0];
+    const { limit, sort, order, after } = query;
+    const rows = storage.listEvents({ ...filters, limit: limit + 1, sort, order, after });
+    const events = rows.slice(0, limit);
+
+    res.json({
+        success: true,
+        address: req.params.address,
+        summary: {
+            totalCalls: stats.totalInteractions,
+            successful: stats.successfulTransactions,
+            failed: stats.failedTransactions,
+            successRate: stats.successfulTransactions / stats.totalInteractions,
+            firstSeen: { blockHeight: first.blockHeight, txid: first.txid, timestamp: first.timestamp },
+            lastSeen: { blockHeight: last.blockHeight, txid: last.txid, timestamp: last.timestamp }
+        },
+        methods: stats.methodBreakdown,
+        contracts: stats.contractBreakdown,
+        eventTypes: stats.eventTypeBreakdown,
+        events: events.map(toApiEvent),
+        nextCursor: rows.length > limit ? encodeCursor(events[events.length - 1], { sort, order }) : null
+    });
+});
+
+/**
+ * Analytics endpoint - time series of calls, outcomes and senders
+ * ?window=24h|7d|30d|all (default 7d), ?bucket=hour|day|block (default hour
+ * for 24h, day otherwise), ?top=N senders, plus the /events filters
+ */
+app.get("/analytics", (req, res) => {
+    let query;
+    try {
+        query = parseAnalyticsQuery(req.query);
+    } catch (error) {
+        return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+
+    const { window, bucket, top, filters } = query;
+    const { series, topSenders, wallets } = storage.getAnalytics({ ...filters, bucket, top });
+
+    res.json({
+        success: true,
+        contracts: MONITORED_CONTRACTS,
+        window,
+        bucket,
+        since: filters.since || null,
+        series: fillTimeSeries(series, { bucket, since: filters.since, until: filters.until }),
+        topSenders,
+        wallets
+    });
+});
+
+/**
+ * Stream endpoint - Server-Sent Events with newly ingested events,
+ * rollbacks and updated stats. Sends the current stats on connect.
+ */
+app.get("/stream", sseHub.handler(() => [
+    ["stats", { stats: storage.getStats() }]
+]));
+
+/**
+ * Alert history endpoint - fired and suppressed alerts, newest first
+ * Supports ?limit=N and ?rule=<rule name>
+ */
+app.get("/alerts", (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_PAGE_SIZE);
+
+    res.json({
+        success: true,
+        alerts: storage.listAlerts({ limit, rule: req.query.rule || undefined })
+    });
+});
+
+/**
+ * Configured alert rules and when each last fired
+ */
+app.get("/alerts/rules", (req, res) => {
+    res.json({
+        success: true,
+        rules: alertEngine.describeRules()
+    });
+});
+
+/**
+ * Watch a transaction until it's confirmed, failed or dropped
+ * Body: { txid, contractId?, functionName?, source? }. Status changes are
+ * pushed to GET /stream as "watch" events. Returns 201 for a new watch, 200
+ * when the transaction was already watched.
+ */
+app.post("/watch", (req, res) => {
+    const { txid, contractId, functionName, source } = req.body || {};
+
+    try {
+        const { transaction, created } = txWatcher.watch({
+            txid,
+            contractId,
+            functionName,
+            source: source === "dashboard" ? "dashboard" : "api"
+        });
+        if (created) {
+            console.log(`👀 Watching TX ${transaction.txid.slice(0, 16)}... (${transaction.status})`);
+            sseHub.broadcast("watch", { transactions: [transaction] });
+        }
+        res.status(created ? 201 : 200).json({ success: true, transaction });
+    } catch (error) {
+        if (!error.status) throw error;
+        res.status(error.status).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Watched transactions, newest first, with counts per status
+ * Supports ?status=pending|confirmed|failed|dropped and ?limit=N
+ */
+app.get("/watch", (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_PAGE_SIZE);
+    const status = req.query.status || undefined;
+    if (status && !WATCH_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${WATCH_STATUSES.join(", ")}` });
+    }
+
+    res.json({
+        success: true,
+        counts: storage.watchedTransactionCounts(),
+        transactions: storage.listWatchedTransactions({ limit, status })
+    });
+});
+
+/**
+ * One watched transaction
+ */
+app.get("/watch/:txid", (req, res) => {
+    const transaction = storage.getWatchedTransaction(normalizeTxid(req.params.txid));
+    if (!transaction) {
+        return res.status(404).json({ success: false, error: "Transaction is not watched" });
+    }
+    res.json({ success: true, transaction });
+});
+
+// ===== ADMIN ROUTES =====
+
+/**
+ * Stop watching a transaction
+ */
+app.delete("/admin/watch/:txid", requireAdmin, (req, res) => {
+    const txid = normalizeTxid(req.params.txid);
+    if (!txid || !storage.deleteWatchedTransaction(txid)) {
+        return res.status(404).json({ success: false, error: "Transaction is not watched" });
+    }
+    console.log(`🗑️  Stopped watching TX ${txid.slice(0, 16)}...`);
+    res.json({ success: true, txid });
+});
+
+/**
+ * Rotate the webhook secret and push it to the active chainhook
+ * The previous secret stays valid during the grace window
+ */
+app.post("/admin/webhook-secret/rotate", requireAdmin, async (req, res) => {
+    if (webhookAuth.isPinned) {
+        return res.status(409).json({
+            success: false,
+            error: "Secret is set by WEBHOOK_SECRET - change the variable and restart to rotate"
+        });
+    }
+
+    try {
+        webhookAuth.beginRotation();
+        const pushed = await syncChainhooks();
+
+        res.status(pushed ? 200 : 502).json({
+            success: pushed,
+            ...webhookAuth.status()
+        });
+    } catch (error) {
+        console.error("❌ Webhook secret rotation failed:", error.message);
+        try {
+            webhookAuth.abortRotation();
+        } catch (abortError) {
+            console.error("❌ Could not roll back the webhook secret:", abortError.message);
+        }
+        res.status(500).json({ success: false, error: error.message, ...webhookAuth.status() });
+    }
+});
+
+/**
+ * Backfill a contract's history from the Stacks API
+ * Body: { contract, fromHeight, toHeight, sinceLast }. `contract` may be
+ * omitted when a single contract is monitored; `sinceLast` starts at the
+ * highest block already stored for it. Runs in the background - poll
+ * GET /admin/backfill for progress.
+ */
+app.post("/admin/backfill", requireAdmin, (req, res) => {
+    const { contract, fromHeight, toHeight, sinceLast } = req.body || {};
+    const contractId = contract || (MONITORED_CONTRACTS.length === 1 ? MONITORED_CONTRACTS[0] : null);
+
+    if (!contractId) {
+        return res.status(400).json({ success: false, error: `Specify a contract: ${MONITORED_CONTRACTS.join(", ")}` });
+    }
+    if ((fromHeight !== undefined && !Number.isInteger(fromHeight)) || (toHeight !== undefined && !Number.isInteger(toHeight))) {
+        return res.status(400).json({ success: false, error: "fromHeight and toHeight must be integers" });
+    }
+
+    try {
+        const { job } = startBackfill({
+            contractId,
+            fromHeight: sinceLast ? storage.latestBlockHeight({ contractId }) : fromHeight ?? 0,
+            toHeight: toHeight ?? null
+        });
+        res.status(202).json({ success: true, job });
+    } catch (error) {
+        res.status(409).json({ success: false, error: error.message, job: backfillJob });
+    }
+});
+
+/**
+ * Status of the latest backfill
+ */
+app.get("/admin/backfill", requireAdmin, (req, res) => {
+    res.json({ success: true, job: backfillJob });
+});
+
+/**
+ * Check for delivery gaps now instead of waiting for the next interval
+ */
+app.post("/admin/gaps/check", requireAdmin, async (req, res) => {
+    try {
+        res.json({ success: true, ...(await gapDetector.check()) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Resolve a chainhook's gap
+ * Body: { backfill: true } backfills the missing range first (in the
+ * background); without it the current counts are accepted as they are.
+ */
+app.post("/admin/gaps/:uuid/resolve", requireAdmin, async (req, res) => {
+    const result = gapDetector.report().chainhooks.find(entry => entry.uuid === req.params.uuid);
+    if (!result) {
+        return res.status(404).json({ success: false, error: "No checked chainhook with that UUID" });
+    }
+
+    if (req.body?.backfill) {
+        if (!result.gap) {
+            return res.status(409).json({ success: false, error: "No gap to backfill", chainhook: result });
+        }
+        if (backfillJob?.status === "running") {
+            return res.status(409).json({ success: false, error: "A backfill is already running", job: backfillJob });
+        }
+        backfillGap(result).catch(error => console.error(`❌ Could not backfill the gap of "${result.name}":`, error.message));
+        return res.status(202).json({ success: true, gap: result.gap });
+    }
 
-    for (const event of events) {
-        methods[event.method] = (methods[event.method] || 0) + 1;
+    try {
+        res.json({ success: true, chainhook: await gapDetector.resolve(req.params.uuid) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
+});
 
+/**
+ * Forwarding destinations with their pending and dead-letter counts
+ */
+app.get("/admin/forwarding", requireAdmin, (req, res) => {
     res.json({
         success: true,
-        contract: CONTRACT_IDENTIFIER,
-        stats: {
-            totalInteractions: events.length,
-            uniqueSenders,
-            successfulTransactions: successfulTxs,
-            failedTransactions: events.length - successfulTxs,
-            methodBreakdown: methods
+        destinations: forwarder.status()
+    });
+});
+
+/**
+ * Dead letters - deliveries that ran out of attempts, newest first
+ * Supports ?destination=<name> and ?limit=N
+ */
+app.get("/admin/forwarding/dead-letters", requireAdmin, (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_PAGE_SIZE);
+
+    res.json({
+        success: true,
+        deadLetters: storage.listDeadLetters({ limit, destination: req.query.destination || undefined })
+    });
+});
+
+/**
+ * Dead letters selected by the request body: { ids: [...] }, { destination },
+ * or { all: true }. Null when nothing was selected.
+ */
+function deadLetterSelection(body = {}) {
+    const ids = Array.isArray(body.ids) ? body.ids : undefined;
+    if (!ids?.length && !body.destination && body.all !== true) return null;
+    return { ids, destination: body.destination || undefined };
+}
+
+/**
+ * Requeue dead letters for another round of attempts
+ */
+app.post("/admin/forwarding/dead-letters/retry", requireAdmin, (req, res) => {
+    const selection = deadLetterSelection(req.body);
+    if (!selection) {
+        return res.status(400).json({ success: false, error: "Select dead letters with ids, destination or all: true" });
+    }
+
+    const retried = storage.retryDeadLetters(selection);
+    forwarder.kick();
+    console.log(`🔁 Requeued ${retried} dead letter(s)`);
+
+    res.json({ success: true, retried });
+});
+
+/**
+ * Delete dead letters for good
+ */
+app.delete("/admin/forwarding/dead-letters", requireAdmin, (req, res) => {
+    const selection = deadLetterSelection(req.body);
+    if (!selection) {
+        return res.status(400).json({ success: false, error: "Select dead letters with ids, destination or all: true" });
+    }
+
+    const purged = storage.purgeDeadLetters(selection);
+    console.log(`🗑️  Purged ${purged} dead letter(s)`);
+
+    res.json({ success: true, purged });
+});
+
+/**
+ * Delivery journal - raw webhook deliveries, newest first (headers and body
+ * left out). Supports ?outcome, ?chainhook (name or UUID), ?since, ?until,
+ * ?ids, ?limit=N and ?before=<id> (the previous page's nextBefore)
+ */
+app.get("/admin/journal", requireAdmin, (req, res) => {
+    let selection;
+    try {
+        selection = parseJournalSelection(req.query);
+    } catch (error) {
+        return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_PAGE_SIZE);
+    // One extra row tells whether there is a next page
+    const entries = storage.listJournal({ ...selection, limit: limit + 1 });
+    const hasMore = entries.length > limit;
+    if (hasMore) entries.length = limit;
+
+    res.json({ success: true, entries, nextBefore: hasMore ? entries[entries.length - 1].id : null });
+});
+
+/**
+ * One journaled delivery with its headers and raw body
+ */
+app.get("/admin/journal/:id", requireAdmin, (req, res) => {
+    const id = Number(req.params.id);
+    const entry = Number.isInteger(id) ? storage.getJournalEntry(id) : null;
+    if (!entry) {
+        return res.status(404).json({ success: false, error: "Delivery is not in the journal" });
+    }
+    res.json({ success: true, entry });
+});
+
+/**
+ * Replay journaled deliveries through the current parser, oldest first
+ * Body: { ids: [...] }, a filter ({ outcome, chainhook, since, until }) or
+ * { all: true }, plus overwrite: true to rebuild the stored events from the
+ * new parse. Replayed events aren't forwarded and don't fire alerts.
+ */
+app.post("/admin/journal/replay", requireAdmin, (req, res) => {
+    const body = req.body || {};
+    let selection;
+    try {
+        selection = parseJournalSelection(body);
+    } catch (error) {
+        return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+    if (Object.keys(selection).length === 0 && body.all !== true) {
+        return res.status(400).json({ success: false, error: "Select deliveries with ids, a filter (outcome, chainhook, since, until) or all: true" });
+    }
+
+    // Ids asked for on their own are replayed as given, so missing ones are reported
+    const ids = selection.ids && Object.keys(selection).length === 1
+        ? selection.ids
+        : storage.listJournal({ ...selection, order: "asc", limit: MAX_REPLAY_ENTRIES + 1 }).map(entry => entry.id);
+    if (ids.length > MAX_REPLAY_ENTRIES) {
+        return res.status(400).json({ success: false, error: `Selection has more than ${MAX_REPLAY_ENTRIES} deliveries - narrow it with since/until or ids` });
+    }
+
+    const overwrite = body.overwrite === true;
+    const report = replayDeliveries({
+        storage,
+        ids,
+        hooks: chainhooks,
+        overwrite,
+        // Same follow-ups as a delivery, except forwarding and alerts
+        onStored: ({ rollbackBlocks, orphaned, insertedEvents }) => {
+            const watchChanges = [
+                ...txWatcher.blocksRolledBack(rollbackBlocks),
+                ...txWatcher.eventsStored(insertedEvents)
+            ];
+            if (watchChanges.length > 0) sseHub.broadcast("watch", { transactions: watchChanges });
+            if (orphaned > 0) sseHub.broadcast("rollback", { blocks: rollbackBlocks, orphaned });
+            if (insertedEvents.length > 0) sseHub.broadcast("events", { events: insertedEvents.map(toApiEvent) });
         }
     });
+
+    const { totals } = report;
+    if (totals.inserted > 0 || totals.updated > 0 || totals.orphaned > 0) {
+        sseHub.broadcast("stats", { stats: storage.getStats() });
+    }
+    deliveryReplays.inc({ result: "replayed" }, report.replayed);
+    deliveryReplays.inc({ result: "failed" }, report.failed);
+    console.log(`🔁 Replayed ${report.replayed} journaled deliveries${report.failed ? ` (${report.failed} failed)` : ""}: ` +
+        `${totals.inserted} new, ${totals.updated} rebuilt, ${totals.duplicates} already stored event(s)`);
+
+    res.json({ success: true, overwrite, ...report });
 });
 
 // ===== START SERVER =====
@@ -383,17 +1255,33 @@ app.get("/stats", (req, res) => {
 app.listen(PORT, async () => {
     console.log("\n🚀 Stacks Chainhook Server Started");
     console.log(`   Port: ${PORT}`);
-    console.log(`   Contract: ${CONTRACT_IDENTIFIER}`);
-    console.log(`   Webhook URL: ${WEBHOOK_BASE_URL}/webhook\n`);
-
-    // Check if we already have a registered chainhook
-    if (CHAINHOOK_UUID) {
-        // Update existing chainhook with current webhook URL
-        await updateChainhook(CHAINHOOK_UUID);
-    } else {
-        // Register Chainhook on startup only if no UUID is set
-        console.log("⚠️  No CHAINHOOK_UUID set - attempting to register new chainhook...");
-        await registerChainhook();
+    console.log(`   Network: ${network.name} (${network.apiUrl})`);
+    console.log(`   Chainhooks: ${chainhooks.map(h => h.name).join(", ")}`);
+    console.log(`   Contracts: ${MONITORED_CONTRACTS.join(", ")}`);
+    console.log(`   Webhook URL: ${WEBHOOK_BASE_URL}/webhook`);
+    console.log(`   Forwarding: ${forwarder.enabled ? forwarder.status().map(d => d.name).join(", ") : "none"}`);
+    console.log(`   Alert rules: ${alertEngine.enabled ? alertEngine.describeRules().map(r => r.name).join(", ") : "none"}`);
+    console.log(`   Storage: ${storage.driver}${storage.driver === "sqlite" ? ` (${DATABASE_PATH})` : ""}\n`);
+
+    // Resume deliveries left in the queue by the previous run
+    forwarder.start();
+
+    // Drop watched transactions that stay pending past the timeout
+    setInterval(() => {
+        const dropped = txWatcher.expire();
+        if (dropped.length > 0) {
+            console.log(`⌛ Dropped ${dropped.length} watched transaction(s) pending for over ${WATCH_TIMEOUT_MINUTES} minute(s)`);
+            sseHub.broadcast("watch", { transactions: dropped });
+        }
+    }, 60 * 1000).unref();
+
+    // Reuse, update or re-enable existing chainhooks; create only missing ones
+    await syncChainhooks().catch(error => console.error("❌ Chainhook sync failed:", error.message));
+
+    if (GAP_CHECK_INTERVAL_SECONDS > 0) {
+        const runGapCheck = () => checkDeliveryGaps().catch(error => console.error("❌ Gap check failed:", error.message));
+        setInterval(runGapCheck, GAP_CHECK_INTERVAL_SECONDS * 1000).unref();
+        runGapCheck();
     }
 
     console.log("\n📡 Server ready to receive events!\n");
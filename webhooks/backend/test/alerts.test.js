@@ -0,0 +1,197 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { createAlertEngine, loadAlertsConfig, ruleMatches } from "../lib/alerts/index.js";
+import { parsePayload } from "../lib/chainhook-payload.js";
+import { createStorage } from "../lib/storage/index.js";
+import { CONTRACT, tempDir } from "./helpers.js";
+
+const SENDER = "SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7";
+
+/**
+ * One contract call event at the given height
+ */
+function call(height, { method = "set-owner", result = "(err u401)", receivedAt } = {}) {
+    const [event] = parsePayload({
+        events: [{
+            tx_id: `0x${String(height).padStart(64, "0")}`,
+            sender: SENDER,
+            block_height: height,
+            function_name: method,
+            contract_identifier: CONTRACT,
+            success: !result.startsWith("(err"),
+            result
+        }]
+    }, { receivedAt }).events;
+    return event;
+}
+
+describe("alerts config", () => {
+    const dir = tempDir();
+    const load = (config) => {
+        const file = path.join(dir, "alerts.json");
+        fs.writeFileSync(file, JSON.stringify(config));
+        return loadAlertsConfig({ file });
+    };
+    const targets = { ops: { type: "slack", url: "http://localhost:1/slack" } };
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test("turns alerting off without a file", () => {
+        assert.deepEqual(loadAlertsConfig({ file: path.join(dir, "missing.json") }), { rules: [], targets: {} });
+    });
+
+    test("fills in rule defaults and expands environment variables in targets", () => {
+        process.env.ALERTS_TEST_TOKEN = "s3cret";
+        try {
+            const config = load({
+                targets: { pager: { type: "webhook", url: "http://localhost:1/hook", headers: { Authorization: "Bearer ${ALERTS_TEST_TOKEN}" } } },
+                rules: [{ name: "owner changed", match: { method: "set-owner" }, targets: ["pager"] }]
+            });
+            assert.equal(config.targets.pager.headers.Authorization, "Bearer s3cret");
+            assert.deepEqual(config.rules, [{
+                name: "owner changed",
+                match: { method: "set-owner" },
+                threshold: null,
+                cooldownSeconds: 0,
+                targets: ["pager"]
+            }]);
+        } finally {
+            delete process.env.ALERTS_TEST_TOKEN;
+        }
+    });
+
+    test("rejects invalid targets and rules", () => {
+        const rule = { name: "failures", match: { success: false }, targets: ["ops"] };
+        const cases = [
+            [{ targets: { ops: { type: "pager", url: "http://x" } } }, /needs a type/],
+            [{ targets: { ops: { type: "slack" } } }, /needs a url/],
+            [{ targets: { ops: { type: "email" } } }, /needs a "to" address/],
+            [{ targets, rules: [{ ...rule, name: "" }] }, /#1 needs a name/],
+            [{ targets, rules: [{ ...rule, match: { functionName: "x" } }] }, /unknown field "functionName"/],
+            [{ targets, rules: [{ ...rule, threshold: { count: 0, windowBlocks: 5 } }] }, /count of at least 1/],
+            [{ targets, rules: [{ ...rule, threshold: { count: 3 } }] }, /windowBlocks or windowSeconds/],
+            [{ targets, rules: [{ ...rule, targets: [] }] }, /at least one target/],
+            [{ targets, rules: [{ ...rule, targets: ["pager"] }] }, /unknown target "pager"/],
+            [{ targets, rules: [rule, rule] }, /Duplicate alert rule name "failures"/]
+        ];
+        for (const [config, message] of cases) {
+            assert.throws(() => load(config), message);
+        }
+    });
+});
+
+describe("ruleMatches", () => {
+    test("requires every condition, accepting a list of values", () => {
+        const event = call(100);
+        assert.ok(ruleMatches({}, event));
+        assert.ok(ruleMatches({ contract: CONTRACT, method: ["set-owner", "transfer"], success: false }, event));
+        assert.ok(ruleMatches({ errorCode: "u401", result: "(err u401)" }, event));
+        assert.equal(ruleMatches({ method: "set-owner", success: true }, event), false);
+        assert.equal(ruleMatches({ sender: ["SP000000000000000000002Q6VF78"] }, event), false);
+    });
+});
+
+describe("alert engine", () => {
+    let server;
+    let url;
+    // Request path -> bodies received
+    const received = {};
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = "";
+            req.on("data", chunk => body += chunk);
+            req.on("end", () => {
+                (received[req.url] ||= []).push(JSON.parse(body));
+                res.statusCode = req.url === "/down" ? 503 : 200;
+                res.end(req.url === "/down" ? "maintenance" : "ok");
+            });
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        url = `http://localhost:${server.address().port}`;
+    });
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    const engine = (rule, storage = createStorage({ driver: "memory" })) => createAlertEngine({
+        rules: [{ match: {}, threshold: null, cooldownSeconds: 0, ...rule }],
+        targets: {
+            pager: { type: "webhook", url: `${url}/pager`, headers: { Authorization: "Bearer pager" } },
+            slack: { type: "slack", url: `${url}/slack` },
+            discord: { type: "discord", url: `${url}/discord` },
+            down: { type: "webhook", url: `${url}/down` }
+        },
+        storage
+    });
+
+    test("notifies every target and records the deliveries", async () => {
+        const storage = createStorage({ driver: "memory" });
+        const alerts = engine({ name: "owner", match: { method: "set-owner" }, targets: ["pager", "slack", "discord", "down"] }, storage);
+
+        const [alert] = await alerts.process([call(100), call(101, { method: "increment", result: "(ok u1)" })]);
+        assert.equal(alert.status, "fired");
+        assert.equal(alert.message, `set-owner on ${CONTRACT}`);
+
+        assert.equal(received["/pager"].at(-1).alert.id, alert.id);
+        assert.match(received["/slack"].at(-1).text, /^🚨 owner: set-owner on .*\n- set-owner by SP2J6.* - failed \(err u401\) - tx 0x0+100 \(block 100\)$/);
+        assert.equal(received["/discord"].at(-1).content, received["/slack"].at(-1).text);
+
+        const deliveries = Object.fromEntries(alert.deliveries.map(d => [d.target, d]));
+        assert.deepEqual(Object.keys(deliveries).sort(), ["discord", "down", "pager", "slack"]);
+        assert.ok(deliveries.pager.ok && deliveries.slack.ok && deliveries.discord.ok);
+        assert.equal(deliveries.down.ok, false);
+        assert.equal(deliveries.down.error, "HTTP 503: maintenance");
+        assert.deepEqual(storage.listAlerts()[0].deliveries, alert.deliveries);
+    });
+
+    test("alerts once for a redelivered event", async () => {
+        const alerts = engine({ name: "owner", targets: ["pager"] });
+        const before = received["/pager"].length;
+
+        assert.equal((await alerts.process([call(100)])).length, 1);
+        assert.deepEqual(await alerts.process([call(100)]), []);
+        assert.equal(received["/pager"].length, before + 1);
+    });
+
+    test("records alerts during the cooldown as suppressed without notifying", async () => {
+        const storage = createStorage({ driver: "memory" });
+        const alerts = engine({ name: "owner", cooldownSeconds: 60, targets: ["pager"] }, storage);
+        const before = received["/pager"].length;
+
+        const [fired, suppressed] = await alerts.process([call(100), call(101)]);
+        assert.equal(fired.status, "fired");
+        assert.equal(suppressed.status, "suppressed");
+        assert.deepEqual(suppressed.deliveries, []);
+        assert.equal(received["/pager"].length, before + 1);
+
+        // The cooldown survives a restart through the stored alert history
+        const restarted = engine({ name: "owner", cooldownSeconds: 60, targets: ["pager"] }, storage);
+        assert.equal(restarted.describeRules()[0].lastFiredAt, fired.firedAt);
+        assert.equal((await restarted.process([call(102)]))[0].status, "suppressed");
+    });
+
+    test("fires a block-window threshold once enough matches fall within the window", async () => {
+        const alerts = engine({ name: "failures", match: { success: false }, threshold: { count: 2, windowBlocks: 3 }, targets: ["pager"] });
+
+        // 100 leaves the window when 103 arrives
+        assert.deepEqual(await alerts.process([call(100), call(103)]), []);
+        const [alert] = await alerts.process([call(105)]);
+        assert.equal(alert.message, "2 matching events within 3 blocks");
+        assert.deepEqual(alert.events.map(e => e.blockHeight), [103, 105]);
+
+        // The window starts over after firing
+        assert.deepEqual(await alerts.process([call(106)]), []);
+    });
+
+    test("counts a time-window threshold by receive time", async () => {
+        const alerts = engine({ name: "failures", threshold: { count: 2, windowSeconds: 60 }, targets: ["pager"] });
+        const longAgo = new Date(Date.now() - 3600 * 1000).toISOString();
+
+        assert.deepEqual(await alerts.process([call(100, { receivedAt: longAgo }), call(101)]), []);
+        const [alert] = await alerts.process([call(102)]);
+        assert.equal(alert.message, "2 matching events within 60s");
+        assert.deepEqual(alert.events.map(e => e.blockHeight), [101, 102]);
+    });
+});
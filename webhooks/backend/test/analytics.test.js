@@ -0,0 +1,109 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { fillTimeSeries, parseAnalyticsQuery } from "../lib/analytics.js";
+import { parsePayload } from "../lib/chainhook-payload.js";
+import { createStorage } from "../lib/storage/index.js";
+import { CONTRACT } from "./helpers.js";
+
+const ALICE = "SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7";
+const BOB = "SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE";
+const CAROL = "SP000000000000000000002Q6VF78";
+
+function call(height, blockTime, sender, success = true) {
+    return parsePayload({
+        events: [{
+            tx_id: `0x${String(height).padStart(64, "0")}`,
+            sender,
+            block_height: height,
+            block_time: blockTime,
+            function_name: "increment",
+            contract_identifier: CONTRACT,
+            success
+        }]
+    }).events;
+}
+
+/**
+ * Events either side of hour and day boundaries, plus one in a rolled-back block
+ */
+function stored() {
+    const storage = createStorage({ driver: "memory" });
+    storage.applyChainUpdate({
+        events: [
+            ...call(100, "2025-10-01T09:59:59.000Z", ALICE),
+            ...call(101, "2025-10-01T10:00:00.000Z", BOB, false),
+            ...call(102, "2025-10-01T10:59:59.999Z", ALICE),
+            ...call(103, "2025-10-02T00:00:00.000Z", BOB),
+            ...call(104, "2025-10-02T00:30:00.000Z", CAROL)
+        ]
+    });
+    storage.applyChainUpdate({ rollbackBlocks: [{ blockHeight: 104 }] });
+    return storage;
+}
+
+const bucketCounts = (series) => series.map(({ bucket, total, failed, newSenders, returningSenders }) => [bucket, total, failed, newSenders, returningSenders]);
+
+describe("analytics query", () => {
+    test("defaults to a week of daily buckets starting at midnight", () => {
+        const { window, bucket, top, filters } = parseAnalyticsQuery({});
+        assert.deepEqual({ window, bucket, top }, { window: "7d", bucket: "day", top: 10 });
+        assert.match(filters.since, /T00:00:00\.000Z$/);
+        assert.ok(Date.now() - Date.parse(filters.since) <= 8 * 24 * 3600 * 1000);
+    });
+
+    test("uses hourly buckets for a day, and an explicit since over the window", () => {
+        assert.equal(parseAnalyticsQuery({ window: "24h" }).bucket, "hour");
+        assert.equal(parseAnalyticsQuery({ window: "all" }).filters.since, undefined);
+        assert.equal(parseAnalyticsQuery({ since: "2025-10-01T00:00:00Z" }).filters.since, "2025-10-01T00:00:00.000Z");
+        assert.equal(parseAnalyticsQuery({ top: "500" }).top, 100);
+    });
+
+    test("rejects unknown windows, buckets and top counts", () => {
+        assert.throws(() => parseAnalyticsQuery({ window: "1y" }), { status: 400 });
+        assert.throws(() => parseAnalyticsQuery({ bucket: "week" }), { status: 400 });
+        assert.throws(() => parseAnalyticsQuery({ top: "0" }), { status: 400 });
+    });
+});
+
+describe("analytics in the memory store", () => {
+    test("buckets events by hour and day of their block time, leaving out orphaned events", () => {
+        const storage = stored();
+
+        assert.deepEqual(bucketCounts(storage.getAnalytics({ bucket: "hour" }).series), [
+            ["2025-10-01T09:00:00.000Z", 1, 0, 1, 0],
+            ["2025-10-01T10:00:00.000Z", 2, 1, 1, 1],
+            ["2025-10-02T00:00:00.000Z", 1, 0, 0, 1]
+        ]);
+        assert.deepEqual(bucketCounts(storage.getAnalytics({ bucket: "day" }).series), [
+            ["2025-10-01T00:00:00.000Z", 3, 1, 2, 0],
+            ["2025-10-02T00:00:00.000Z", 1, 0, 0, 1]
+        ]);
+        assert.deepEqual(storage.getAnalytics({ bucket: "block" }).series.map(entry => entry.bucket), [100, 101, 102, 103]);
+    });
+
+    test("counts wallets first seen before the window as returning", () => {
+        const storage = stored();
+        const analytics = storage.getAnalytics({ bucket: "hour", since: "2025-10-01T10:00:00.000Z" });
+
+        assert.deepEqual(analytics.wallets, { active: 2, new: 1, returning: 1 });
+        assert.deepEqual(analytics.topSenders.map(({ sender, count, failed, firstSeen }) => [sender, count, failed, firstSeen]), [
+            [BOB, 2, 1, "2025-10-01T10:00:00.000Z"],
+            [ALICE, 1, 0, "2025-10-01T09:59:59.000Z"]
+        ]);
+        assert.deepEqual(bucketCounts(analytics.series)[0], ["2025-10-01T10:00:00.000Z", 2, 1, 1, 1]);
+    });
+
+    test("fills quiet hours up to, but not including, the end of the range", () => {
+        const storage = stored();
+        const range = { since: "2025-10-01T08:00:00.000Z", until: "2025-10-01T12:00:00.000Z" };
+        const { series } = storage.getAnalytics({ bucket: "hour", ...range });
+
+        assert.deepEqual(bucketCounts(fillTimeSeries(series, { bucket: "hour", ...range })), [
+            ["2025-10-01T08:00:00.000Z", 0, 0, 0, 0],
+            ["2025-10-01T09:00:00.000Z", 1, 0, 1, 0],
+            ["2025-10-01T10:00:00.000Z", 2, 1, 1, 1],
+            ["2025-10-01T11:00:00.000Z", 0, 0, 0, 0]
+        ]);
+        assert.deepEqual(fillTimeSeries([], { bucket: "day" }), []);
+    });
+});
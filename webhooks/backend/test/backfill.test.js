@@ -0,0 +1,96 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { backfillContract } from "../lib/backfill.js";
+import { parsePayload } from "../lib/chainhook-payload.js";
+import { createStorage } from "../lib/storage/index.js";
+import { CONTRACT, fixture } from "./helpers.js";
+
+/**
+ * A webhook fixture's contract calls as the Stacks API reports them
+ */
+function apiTransactions(payload) {
+    return payload.apply.flatMap(block => block.transactions
+        .filter(tx => tx.metadata.kind.type === "ContractCall")
+        .map(tx => ({
+            tx_id: tx.transaction_identifier.hash,
+            tx_index: tx.metadata.position.index,
+            tx_type: "contract_call",
+            tx_status: tx.metadata.success ? "success" : "abort_by_response",
+            sender_address: tx.metadata.sender,
+            nonce: tx.metadata.nonce,
+            fee_rate: String(tx.metadata.fee),
+            block_height: block.block_identifier.index,
+            // The block header hash, which chainhook doesn't use
+            block_hash: `0x${"c3".repeat(32)}`,
+            index_block_hash: block.block_identifier.hash,
+            burn_block_time: block.timestamp,
+            contract_call: {
+                contract_id: tx.metadata.kind.data.contract_identifier,
+                function_name: tx.metadata.kind.data.method,
+                function_args: tx.metadata.kind.data.args.map(repr => ({ repr }))
+            },
+            tx_result: { repr: tx.metadata.result }
+        })))
+        .reverse();
+}
+
+describe("backfillContract", () => {
+    let server;
+    let apiUrl;
+    let requests = 0;
+    // Requests left to leave unanswered, and the page to answer the rest with
+    let hangs = 0;
+    let results = [];
+    const hanging = [];
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            requests++;
+            if (hangs > 0) {
+                hangs--;
+                hanging.push(res);
+                return;
+            }
+            res.setHeader("Content-Type", "application/json");
+            res.end(JSON.stringify({ results }));
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        apiUrl = `http://localhost:${server.address().port}`;
+    });
+    after(() => {
+        for (const res of hanging) res.destroy();
+        return new Promise(resolve => server.close(resolve));
+    });
+
+    const backfill = (options) => backfillContract({
+        apiUrl,
+        contractId: CONTRACT,
+        parse: (payload) => parsePayload(payload, { fallbackContract: CONTRACT }),
+        storage: createStorage({ driver: "memory" }),
+        retryDelayMs: 10,
+        ...options
+    });
+
+    test("retries a page the Stacks API doesn't answer in time", async () => {
+        requests = 0;
+        hangs = 1;
+        results = [];
+        const totals = await backfill({ timeoutMs: 200 });
+        assert.equal(requests, 2);
+        assert.equal(totals.pages, 1);
+    });
+
+    test("skips calls already stored from a webhook delivery", async () => {
+        const storage = createStorage({ driver: "memory" });
+        const delivered = parsePayload(fixture("apply"), { fallbackContract: CONTRACT }).events;
+        storage.applyChainUpdate({ events: delivered });
+        results = apiTransactions(fixture("apply"));
+
+        const totals = await backfill({ storage });
+        assert.equal(totals.matched, 2);
+        assert.equal(totals.inserted, 0);
+        assert.equal(totals.duplicates, 2);
+        assert.equal(storage.listEvents().length, delivered.length);
+    });
+});
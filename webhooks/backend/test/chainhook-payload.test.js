@@ -0,0 +1,102 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePayload, payloadFormat, payloadFormats, registerPayloadParser } from "../lib/chainhook-payload.js";
+import { EVENT_SCHEMA_VERSION } from "../lib/event-schema.js";
+import { CONTRACT, fixture } from "./helpers.js";
+
+describe("parsePayload", () => {
+    test("parses contract calls and receipt events of apply blocks", () => {
+        const { format, events, appliedBlocks, errors } = parsePayload(fixture("apply"));
+
+        assert.equal(format, "apply");
+        assert.deepEqual(errors, []);
+        assert.deepEqual(appliedBlocks, [{ blockHeight: 100, blockHash: "0x" + "a1".repeat(32) }]);
+        assert.deepEqual(events.map(e => [e.eventType, e.method, e.eventIndex]), [
+            ["contract_call", "increment", 0],
+            ["print_event", "increment", 1],
+            ["contract_call", "set-owner", 0]
+        ]);
+
+        const [call] = events;
+        assert.equal(call.schemaVersion, EVENT_SCHEMA_VERSION);
+        assert.equal(call.contractId, CONTRACT);
+        assert.equal(call.blockTime, "2025-10-09T08:53:20.000Z");
+        assert.equal(call.timestamp, call.blockTime);
+        assert.equal(call.fee, "3000");
+        assert.equal(call.nonce, 7);
+        assert.equal(call.txIndex, 0);
+        assert.deepEqual(call.args, [{ name: null, type: "uint", value: "5" }]);
+
+        const failed = events[2];
+        assert.equal(failed.success, false);
+        assert.equal(failed.errorCode, "u401");
+    });
+
+    test("lists rolled-back blocks", () => {
+        const { rollbackBlocks, appliedBlocks } = parsePayload(fixture("rollback"));
+        assert.deepEqual(rollbackBlocks, [{ blockHeight: 100, blockHash: "0x" + "a1".repeat(32) }]);
+        assert.deepEqual(appliedBlocks, [{ blockHeight: 100, blockHash: "0x" + "b2".repeat(32) }]);
+    });
+
+    test("keeps the valid items of a malformed payload", () => {
+        const { events, errors } = parsePayload(fixture("malformed"));
+
+        assert.deepEqual(events.map(e => e.txid), ["0x" + "c".repeat(64)]);
+        assert.deepEqual(errors, [
+            "apply[0].transactions[0]: txid must be 0x followed by 64 hex characters",
+            "apply[0].transactions[1]: sender must be a Stacks address",
+            "apply[0].transactions[2]: method is required for contract calls"
+        ]);
+    });
+
+    test("reports payloads in no registered format", () => {
+        const { format, events, errors } = parsePayload(fixture("unrecognized"));
+        assert.equal(format, "unknown");
+        assert.deepEqual(events, []);
+        assert.match(errors[0], /^Unrecognized payload/);
+    });
+
+    test("drops events outside the chainhook's filters", () => {
+        const hook = { filters: [{ type: "contract_call", contract_identifier: CONTRACT }] };
+        const { events, ignored } = parsePayload(fixture("apply"), { hook });
+        assert.deepEqual(events.map(e => e.eventType), ["contract_call", "contract_call"]);
+        assert.equal(ignored, 1);
+    });
+
+    test("parses flat events and Stacks API transactions", () => {
+        const txid = "0x" + "1".repeat(64);
+        const sender = "SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7";
+
+        const flat = parsePayload({
+            events: [{ tx_id: txid, sender, block_height: 5, function_name: "increment", result: "(ok u1)", contract_identifier: CONTRACT }]
+        });
+        assert.equal(flat.format, "events");
+        assert.equal(flat.events[0].method, "increment");
+
+        // Indexed the same whatever else is in the batch
+        const print = { tx_id: txid, sender, block_height: 5, type: "print_event", position: { index: 0 }, data: { contract_identifier: CONTRACT, value: "u1" } };
+        const batch = parsePayload({ events: [print, flat.events[0].raw] });
+        assert.deepEqual(batch.events.map(e => e.eventIndex), [1, 0]);
+        const unindexed = parsePayload({ events: [{ ...print, position: undefined }] });
+        assert.deepEqual(unindexed.events, []);
+        assert.match(unindexed.errors[0], /needs an event_index or position/);
+
+        const transactions = parsePayload({
+            transactions: [{ tx_id: txid, sender_address: sender, function_name: "increment", tx_result: { repr: "(err u3)" } }],
+            block_height: 6
+        }, { fallbackContract: CONTRACT });
+        assert.equal(transactions.format, "transactions");
+        assert.equal(transactions.events[0].contractId, CONTRACT);
+        assert.equal(transactions.events[0].blockHeight, 6);
+        assert.equal(transactions.events[0].success, false);
+    });
+});
+
+describe("payload parser registry", () => {
+    test("tries parsers in registration order and refuses duplicates", () => {
+        assert.deepEqual(payloadFormats(), ["events", "apply", "transactions"]);
+        assert.equal(payloadFormat({ apply: [] }), "apply");
+        assert.equal(payloadFormat([]), "unknown");
+        assert.throws(() => registerPayloadParser({ format: "apply" }), /already registered/);
+    });
+});
@@ -0,0 +1,68 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createChainhooksApi } from "../lib/chainhooks-api.js";
+import { createChainhookReconciler } from "../lib/chainhook-reconciler.js";
+import { CONTRACT, HIRO_API_KEY, startMock, tempDir } from "./helpers.js";
+
+const OUR_URL = "http://localhost:1/webhook";
+const STAGING_URL = "http://staging.invalid/webhook";
+
+const predicate = (name, url = OUR_URL) => ({
+    name,
+    version: "1",
+    chain: "stacks",
+    network: "mainnet",
+    filters: { events: [{ type: "contract_call", contract_identifier: CONTRACT }] },
+    action: { type: "http_post", url, authorization_header: "Bearer secret" },
+    options: { enable_on_registration: true }
+});
+
+describe("chainhook reconciler", () => {
+    let service;
+    let api;
+    let dir;
+
+    before(async () => {
+        service = await startMock();
+        api = createChainhooksApi({ baseUrl: `${service.url}/chainhooks/v1/me`, apiKey: HIRO_API_KEY });
+        dir = tempDir();
+    });
+    after(async () => {
+        await service.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("leaves hooks of other deployments alone and removes its own duplicates", async () => {
+        const staging = await api.create(predicate("counter", STAGING_URL));
+        const ours = await api.create(predicate("counter"));
+        const duplicate = await api.create(predicate("counter"));
+
+        const reconciler = createChainhookReconciler({ api, stateFile: path.join(dir, "chainhooks-state.json") });
+        const hooks = [{ name: "counter" }];
+        const report = await reconciler.reconcile(hooks, hook => predicate(hook.name), OUR_URL);
+
+        assert.equal(report.results[0].ok, true);
+        assert.ok([ours.uuid, duplicate.uuid].includes(hooks[0].uuid));
+        assert.deepEqual(report.deleted, [ours.uuid, duplicate.uuid].filter(uuid => uuid !== hooks[0].uuid));
+
+        const remaining = await api.listAll();
+        assert.deepEqual(remaining.map(r => r.uuid).sort(), [staging.uuid, hooks[0].uuid].sort());
+        assert.equal((await api.get(staging.uuid)).definition.action.url, STAGING_URL);
+    });
+
+    test("creates its own hook on a fresh install instead of adopting another deployment's", async () => {
+        service.mock.reset();
+        const staging = await api.create(predicate("counter", STAGING_URL));
+
+        const reconciler = createChainhookReconciler({ api, stateFile: path.join(dir, "fresh-state.json") });
+        const hooks = [{ name: "counter" }];
+        const report = await reconciler.reconcile(hooks, hook => predicate(hook.name), OUR_URL);
+
+        assert.equal(report.results[0].action, "created");
+        assert.notEqual(hooks[0].uuid, staging.uuid);
+        assert.deepEqual(report.deleted, []);
+        assert.equal((await api.get(staging.uuid)).definition.action.url, STAGING_URL);
+    });
+});
@@ -0,0 +1,140 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    bufferCV, ClarityType, contractPrincipalCV, cvToString, deserializeCV, falseCV, intCV, listCV, noneCV,
+    principalToString, responseErrorCV, responseOkCV, serializeCV, someCV, standardPrincipalCV, stringAsciiCV,
+    stringUtf8CV, trueCV, tupleCV, uintCV
+} from "@stacks/transactions";
+import { clarityToRepr, decodeClarityHex, decodeClarityValue, decodeContractCall } from "../lib/clarity.js";
+
+const ADDRESS = "SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE";
+
+/**
+ * A @stacks/transactions Clarity value in clarity.js's JSON shape
+ */
+function expected(cv) {
+    switch (cv.type) {
+        case ClarityType.Int:
+            return { type: "int", value: cv.value.toString() };
+        case ClarityType.UInt:
+            return { type: "uint", value: cv.value.toString() };
+        case ClarityType.Buffer:
+            return { type: "buffer", value: `0x${Buffer.from(cv.buffer).toString("hex")}` };
+        case ClarityType.BoolTrue:
+            return { type: "bool", value: true };
+        case ClarityType.BoolFalse:
+            return { type: "bool", value: false };
+        case ClarityType.PrincipalStandard:
+        case ClarityType.PrincipalContract:
+            return { type: "principal", value: principalToString(cv) };
+        case ClarityType.ResponseOk:
+            return { type: "ok", value: expected(cv.value) };
+        case ClarityType.ResponseErr:
+            return { type: "err", value: expected(cv.value) };
+        case ClarityType.OptionalNone:
+            return { type: "none" };
+        case ClarityType.OptionalSome:
+            return { type: "some", value: expected(cv.value) };
+        case ClarityType.List:
+            return { type: "list", value: cv.list.map(expected) };
+        case ClarityType.Tuple:
+            return { type: "tuple", value: Object.fromEntries(Object.entries(cv.data).map(([key, value]) => [key, expected(value)])) };
+        case ClarityType.StringASCII:
+            return { type: "string-ascii", value: cv.data };
+        case ClarityType.StringUTF8:
+            return { type: "string-utf8", value: cv.data };
+        default:
+            throw new Error(`Unexpected Clarity type ${cv.type}`);
+    }
+}
+
+const hexOf = (cv) => `0x${Buffer.from(serializeCV(cv)).toString("hex")}`;
+
+// One value per type tag (0x00 - 0x0e), plus edge cases
+const VALUES = {
+    "int": intCV(-3),
+    "int (min)": intCV(-(2n ** 127n)),
+    "uint": uintCV(5),
+    "uint (max)": uintCV(2n ** 128n - 1n),
+    "buffer": bufferCV(Buffer.from("cafe", "hex")),
+    "empty buffer": bufferCV(Buffer.alloc(0)),
+    "true": trueCV(),
+    "false": falseCV(),
+    "standard principal": standardPrincipalCV(ADDRESS),
+    "contract principal": contractPrincipalCV(ADDRESS, "counter-v2"),
+    "ok": responseOkCV(uintCV(6)),
+    "err": responseErrorCV(uintCV(401)),
+    "none": noneCV(),
+    "some": someCV(standardPrincipalCV(ADDRESS)),
+    "list": listCV([uintCV(1), uintCV(2)]),
+    "empty list": listCV([]),
+    "tuple": tupleCV({ count: uintCV(5), owner: someCV(contractPrincipalCV(ADDRESS, "vault")) }),
+    "string-ascii": stringAsciiCV("hello, (world)"),
+    "string-utf8": stringUtf8CV("héllo ☕")
+};
+
+describe("decodeClarityHex", () => {
+    for (const [name, cv] of Object.entries(VALUES)) {
+        test(`decodes ${name} like deserializeCV`, () => {
+            const hex = hexOf(cv);
+            assert.deepEqual(decodeClarityHex(hex), expected(deserializeCV(hex)));
+        });
+    }
+
+    test("rejects malformed serializations", () => {
+        assert.throws(() => decodeClarityHex("0x0f"), /Unknown Clarity type prefix 0x0f/);
+        assert.throws(() => decodeClarityHex("0x01"), /Unexpected end/);
+        assert.throws(() => decodeClarityHex("0x0304"), /Trailing bytes/);
+        assert.throws(() => decodeClarityHex("0xabc"), /Invalid Clarity hex/);
+    });
+});
+
+describe("decodeClarityValue", () => {
+    for (const [name, cv] of Object.entries(VALUES)) {
+        test(`reads the repr of ${name}`, () => {
+            assert.deepEqual(decodeClarityValue(cvToString(cv)), expected(cv));
+        });
+    }
+
+    test("keeps buffer literals that look like serializations as buffers", () => {
+        const uintBytes = `0x01${"00".repeat(15)}05`;
+        for (const literal of ["0x03", "0x04", "0x09", uintBytes]) {
+            assert.deepEqual(decodeClarityValue(literal), { type: "buffer", value: literal });
+        }
+        assert.deepEqual(decodeClarityValue({ hex: uintBytes, repr: "u5" }), { type: "uint", value: "5" });
+    });
+
+    test("decodes Stacks API objects from hex, falling back to the repr", () => {
+        assert.deepEqual(decodeClarityValue({ hex: "0x03", repr: "true" }), { type: "bool", value: true });
+        assert.deepEqual(decodeClarityValue({ hex: "0xzz", repr: "(ok u1)" }), expected(responseOkCV(uintCV(1))));
+        assert.deepEqual(decodeClarityValue({ repr: "none" }), { type: "none" });
+    });
+
+    test("returns null for what it can't read", () => {
+        assert.equal(decodeClarityValue(""), null);
+        assert.equal(decodeClarityValue("(launch rockets)"), null);
+        assert.equal(decodeClarityValue({}), null);
+    });
+
+    test("renders decoded values back to repr", () => {
+        for (const cv of [VALUES.tuple, VALUES.err, VALUES["string-utf8"], VALUES.list, stringAsciiCV("say \"hi\"\n")]) {
+            assert.deepEqual(decodeClarityValue(clarityToRepr(expected(cv))), expected(cv));
+        }
+    });
+});
+
+describe("decodeContractCall", () => {
+    test("decodes arguments and the result", () => {
+        const call = decodeContractCall({
+            args: ["u5", { name: "owner", hex: hexOf(standardPrincipalCV(ADDRESS)), repr: `'${ADDRESS}` }, "(oops"],
+            result: "(err u401)"
+        });
+        assert.deepEqual(call.args, [
+            { name: null, type: "uint", value: "5" },
+            { name: "owner", type: "principal", value: ADDRESS },
+            { name: null, type: "unknown", value: "(oops" }
+        ]);
+        assert.equal(call.resultType, "err");
+        assert.equal(call.errorCode, "u401");
+    });
+});
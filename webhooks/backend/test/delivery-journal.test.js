@@ -0,0 +1,191 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { createStorage } from "../lib/storage/index.js";
+import { parsePayload } from "../lib/chainhook-payload.js";
+import { ADMIN_API_KEY, CONTRACT, fixture, request, runCli, startMock, startServer } from "./helpers.js";
+
+const admin = { Authorization: `Bearer ${ADMIN_API_KEY}` };
+
+for (const driver of ["memory", "sqlite"]) {
+    describe(`delivery journal in the ${driver} store`, () => {
+        const open = (options = {}) => createStorage({ driver, filename: ":memory:", ...options });
+
+        test("keeps deliveries with their outcome and selects them", () => {
+            const storage = open({ journalMaxEntries: 3 });
+            const journal = (receivedAt, body) => storage.journalDelivery({ receivedAt, headers: { "content-type": "application/json" }, body });
+
+            const first = journal("2025-01-01T00:00:00.000Z", "{}");
+            const second = journal("2025-01-02T00:00:00.000Z", JSON.stringify(fixture("apply")));
+            const third = journal("2025-01-03T00:00:00.000Z", null);
+            storage.updateJournalEntry(second, { outcome: "accepted", statusCode: 200, chainhookName: "counter", format: "apply", eventsNew: 2, errors: [] });
+            storage.updateJournalEntry(third, { outcome: "error", statusCode: 500 });
+
+            assert.deepEqual(storage.listJournal().map(e => e.id), [third, second, first]);
+            assert.deepEqual(storage.listJournal({ order: "asc", after: first }).map(e => e.id), [second, third]);
+            assert.deepEqual(storage.listJournal({ outcome: "accepted" }).map(e => e.id), [second]);
+            assert.deepEqual(storage.listJournal({ chainhook: "counter" }).map(e => e.id), [second]);
+            assert.deepEqual(storage.listJournal({ since: "2025-01-02T00:00:00.000Z", until: "2025-01-03T00:00:00.000Z" }).map(e => e.id), [second]);
+            assert.equal(storage.listJournal()[0].body, undefined);
+
+            const entry = storage.getJournalEntry(second);
+            assert.equal(entry.eventsNew, 2);
+            assert.deepEqual(JSON.parse(entry.body), fixture("apply"));
+            assert.equal(entry.sizeBytes, Buffer.byteLength(entry.body));
+
+            storage.recordJournalReplay(second, { replayedAt: "2025-02-01T00:00:00.000Z", ok: true });
+            assert.equal(storage.getJournalEntry(second).replayCount, 1);
+            assert.deepEqual(storage.getJournalEntry(second).lastReplay, { replayedAt: "2025-02-01T00:00:00.000Z", ok: true });
+
+            // Oldest entries go once the journal is full
+            journal("2025-01-04T00:00:00.000Z", "{}");
+            assert.equal(storage.getJournalEntry(first), null);
+            assert.equal(storage.listJournal().length, 3);
+            storage.close();
+        });
+
+        test("overwrites stored events only where the new parse differs", () => {
+            const storage = open();
+            const { events } = parsePayload(fixture("apply"));
+            // An older parse that missed the fee of the first call
+            storage.applyChainUpdate({ events: events.map((e, i) => (i === 0 ? { ...e, fee: null } : e)) });
+
+            const merged = storage.applyChainUpdate({ events: parsePayload(fixture("apply")).events });
+            assert.equal(merged.updated, 0);
+            assert.equal(storage.listEvents({ method: "increment", eventType: "contract_call" })[0].fee, null);
+
+            const rebuilt = storage.applyChainUpdate({ events: parsePayload(fixture("apply")).events, overwrite: true });
+            assert.deepEqual([rebuilt.inserted, rebuilt.updated, rebuilt.duplicates], [0, 1, 3]);
+            const [call] = storage.listEvents({ method: "increment", eventType: "contract_call" });
+            assert.equal(call.fee, "3000");
+            assert.equal(call.id, events[0].id);
+
+            assert.equal(storage.applyChainUpdate({ events: parsePayload(fixture("apply")).events, overwrite: true }).updated, 0);
+            storage.close();
+        });
+    });
+}
+
+describe("server delivery journal", () => {
+    let service;
+    let server;
+    let hook;
+    let database;
+    let accepted;
+
+    const deliver = (name) => request(`${service.url}/mock/deliver`, { method: "POST", body: { payload: fixture(name) } });
+    const journal = async (query = "") => (await request(`${server.url}/admin/journal${query}`, { headers: admin })).body;
+    const replay = (body) => request(`${server.url}/admin/journal/replay`, { method: "POST", headers: admin, body });
+    const cli = (...args) => runCli("journal.js", args, { env: { DATABASE_PATH: database, CONTRACT_IDENTIFIER: CONTRACT } });
+
+    before(async () => {
+        service = await startMock();
+        // SQLite, so journal.js can read the same database
+        server = await startServer({ mockUrl: service.url, env: { STORAGE_DRIVER: "sqlite" } });
+        database = path.join(server.dir, "data", "events.db");
+        [hook] = service.mock.chainhooks();
+
+        await deliver("apply");
+        await deliver("unrecognized");
+        await request(`${server.url}/webhook`, { method: "POST", body: fixture("apply"), headers: { Authorization: "Bearer wrong" } });
+
+        const { current } = JSON.parse(fs.readFileSync(path.join(server.dir, "data", "webhook-secret.json"), "utf8"));
+        await fetch(`${server.url}/webhook`, {
+            method: "POST",
+            headers: { Authorization: `Bearer ${current}`, "Content-Type": "application/json" },
+            body: "{\"apply\": ["
+        });
+    });
+    after(async () => {
+        await server.stop();
+        await service.close();
+    });
+
+    test("journals every authorized delivery with its outcome", async () => {
+        const { entries, nextBefore } = await journal();
+        assert.deepEqual(entries.map(e => [e.outcome, e.statusCode]), [
+            ["rejected", 400],
+            ["rejected", 422],
+            ["accepted", 200]
+        ]);
+        assert.equal(nextBefore, null);
+
+        accepted = entries[2];
+        assert.equal(accepted.format, "apply");
+        assert.equal(accepted.eventsNew, 2);
+        assert.equal(accepted.chainhookUuid, hook.uuid);
+        assert.equal(accepted.chainhookName, `Monitor ${CONTRACT}`);
+        assert.match(entries[1].errors[0], /^Unrecognized payload/);
+
+        const { body } = await request(`${server.url}/admin/journal/${accepted.id}`, { headers: admin });
+        assert.equal(body.entry.headers.authorization, "[redacted]");
+        assert.deepEqual(JSON.parse(body.entry.body).apply, fixture("apply").apply);
+
+        const page = await journal("?limit=2&outcome=rejected");
+        assert.equal(page.entries.length, 2);
+        assert.equal((await journal(`?before=${entries[0].id}`)).entries.length, 2);
+        assert.equal((await request(`${server.url}/admin/journal?outcome=lost`, { headers: admin })).status, 400);
+        assert.equal((await request(`${server.url}/admin/journal?chainhook=a&chainhook=b`, { headers: admin })).status, 400);
+        assert.equal((await request(`${server.url}/admin/journal/${accepted.id}`)).status, 401);
+    });
+
+    test("replays deliveries through the parser without duplicating events", async () => {
+        const { status, body } = await replay({ outcome: "accepted" });
+        assert.equal(status, 200);
+        assert.equal(body.replayed, 1);
+        assert.deepEqual([body.totals.inserted, body.totals.duplicates], [0, 2]);
+
+        const failed = await replay({ ids: [accepted.id + 1, 999] });
+        assert.equal(failed.body.failed, 2);
+        assert.deepEqual(failed.body.results.map(r => r.error), ["Unrecognized payload: expected one of the events, apply, transactions formats", "Not in the journal"]);
+
+        assert.equal((await replay({})).status, 400);
+        assert.equal((await replay({ ids: ["one"] })).status, 400);
+
+        const [entry] = (await journal(`?ids=${accepted.id}`)).entries;
+        assert.equal(entry.replayCount, 1);
+        assert.equal(entry.lastReplay.duplicates, 2);
+    });
+
+    test("restores missing events and rebuilds wrong ones", async () => {
+        // What an older parser bug could have left behind
+        const db = new Database(database);
+        db.prepare("DELETE FROM events WHERE method = 'set-owner'").run();
+        db.prepare("UPDATE events SET fee = NULL, nonce = NULL WHERE method = 'increment' AND event_type = 'contract_call'").run();
+        db.close();
+
+        const { body } = await replay({ ids: [accepted.id], overwrite: true });
+        assert.deepEqual([body.totals.inserted, body.totals.updated], [1, 1]);
+
+        const { events } = (await request(`${server.url}/events`)).body;
+        const calls = events.filter(e => e.eventType === "contract_call");
+        assert.deepEqual(calls.map(e => [e.method, e.fee, e.nonce]).sort(), [["increment", "3000", 7], ["set-owner", "3000", 2]]);
+        // Still the time the delivery was received
+        assert.equal(calls.find(e => e.method === "set-owner").receivedAt, accepted.receivedAt);
+    });
+
+    test("lists, shows and replays from journal.js", async () => {
+        const listed = await cli("list", "--outcome", "accepted", "--json");
+        assert.equal(listed.code, 0, listed.stderr);
+        assert.deepEqual(JSON.parse(listed.stdout).entries.map(e => e.id), [accepted.id]);
+
+        const shown = await cli("show", String(accepted.id), "--body");
+        assert.equal(shown.code, 0);
+        assert.deepEqual(JSON.parse(shown.stdout).apply, fixture("apply").apply);
+
+        const replayed = await cli("replay", String(accepted.id), "--json");
+        assert.equal(replayed.code, 0, replayed.stderr);
+        assert.equal(JSON.parse(replayed.stdout).totals.duplicates, 2);
+
+        const text = await cli("replay", "--outcome", "rejected");
+        assert.equal(text.code, 1);
+        assert.match(text.stdout, /Body is not valid JSON/);
+        assert.match(text.stdout, /Replayed 0 deliveries, 2 failed/);
+
+        assert.equal((await cli("replay")).code, 2);
+        assert.equal((await cli("list", "--since", "yesterday")).code, 2);
+        assert.equal((await cli("show", "999")).code, 1);
+    });
+});
@@ -0,0 +1,130 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { Writable } from "stream";
+import { parsePayload } from "../lib/chainhook-payload.js";
+import { EXPORT_COLUMNS, iterateEvents, parseExportFormat, writeExport } from "../lib/event-export.js";
+import { createStorage } from "../lib/storage/index.js";
+import { CONTRACT } from "./helpers.js";
+
+const SENDER = "SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7";
+const TRICKY_NAME = "hi, \"you\"\nbye";
+
+function call(height, method, args = []) {
+    return parsePayload({
+        events: [{
+            tx_id: `0x${String(height).padStart(64, "0")}`,
+            sender: SENDER,
+            block_height: height,
+            function_name: method,
+            contract_identifier: CONTRACT,
+            function_args: args,
+            result: "(ok true)"
+        }]
+    }).events;
+}
+
+function stored() {
+    const storage = createStorage({ driver: "memory" });
+    storage.applyChainUpdate({
+        events: [
+            ...call(100, "increment", ["u5"]),
+            ...call(101, "set-name", [JSON.stringify(TRICKY_NAME)]),
+            ...call(102, "increment", ["u6"])
+        ]
+    });
+    return storage;
+}
+
+/**
+ * Export into a string
+ */
+async function exported(storage, options) {
+    let text = "";
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            text += chunk;
+            callback();
+        }
+    });
+    const count = await writeExport(storage, output, options);
+    return { count, text };
+}
+
+/**
+ * RFC 4180 CSV -> rows of fields
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === "\"" && text[i + 1] === "\"") {
+                field += "\"";
+                i++;
+            } else if (char === "\"") {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === "\"") {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\r" && text[i + 1] === "\n") {
+            rows.push([...row, field]);
+            row = [];
+            field = "";
+            i++;
+        } else {
+            field += char;
+        }
+    }
+    return rows;
+}
+
+describe("event export", () => {
+    test("quotes CSV fields holding commas, quotes and newlines", async () => {
+        const { count, text } = await exported(stored(), { format: "csv", filters: { method: "set-name" } });
+        assert.equal(count, 1);
+
+        const [header, row] = parseCsv(text);
+        assert.deepEqual(header, EXPORT_COLUMNS);
+        const record = Object.fromEntries(EXPORT_COLUMNS.map((column, i) => [column, row[i]]));
+        assert.deepEqual(JSON.parse(record.args), [{ name: null, type: "string-ascii", value: TRICKY_NAME }]);
+        assert.equal(record.method, "set-name");
+        assert.equal(record.success, "true");
+        assert.equal(record.error_code, "");
+        assert.ok(text.includes(`"[{""name"":null,""type"":""string-ascii"",""value"":""hi, \\""you\\""\\nbye""}]"`));
+    });
+
+    test("passes filters and sort order through", async () => {
+        const { count, text } = await exported(stored(), { format: "ndjson", filters: { method: "increment" }, sort: "blockHeight", order: "asc" });
+        assert.equal(count, 2);
+
+        const rows = text.trimEnd().split("\n").map(line => JSON.parse(line));
+        assert.deepEqual(rows.map(row => [row.block_height, row.args]), [[100, "[{\"name\":null,\"type\":\"uint\",\"value\":\"5\"}]"], [102, "[{\"name\":null,\"type\":\"uint\",\"value\":\"6\"}]"]]);
+        for (const row of rows) assert.deepEqual(Object.keys(row), EXPORT_COLUMNS);
+    });
+
+    test("writes only the CSV header, or nothing as NDJSON, when no events match", async () => {
+        const storage = stored();
+        const filters = { sender: "SP000000000000000000002Q6VF78" };
+        assert.deepEqual(await exported(storage, { format: "csv", filters }), { count: 0, text: `${EXPORT_COLUMNS.join(",")}\r\n` });
+        assert.deepEqual(await exported(storage, { format: "ndjson", filters }), { count: 0, text: "" });
+    });
+
+    test("reads every page", () => {
+        const heights = [...iterateEvents(stored(), { pageSize: 2 })].map(event => event.blockHeight);
+        assert.deepEqual(heights, [102, 101, 100]);
+    });
+
+    test("rejects unknown formats", async () => {
+        assert.equal(parseExportFormat("NDJSON"), "ndjson");
+        assert.throws(() => parseExportFormat("xml"), { status: 400 });
+        await assert.rejects(exported(stored(), { format: "xml" }), { status: 400 });
+    });
+});
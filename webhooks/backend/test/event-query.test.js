@@ -0,0 +1,69 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePayload } from "../lib/chainhook-payload.js";
+import { encodeCursor, parseEventFilters, parseEventQuery } from "../lib/event-query.js";
+import { createStorage } from "../lib/storage/index.js";
+import { CONTRACT } from "./helpers.js";
+
+describe("event query parameters", () => {
+    test("parses filters", () => {
+        assert.deepEqual(parseEventFilters({ contract: CONTRACT, success: "true", fromBlock: "5", since: "1759990000" }), {
+            contractId: CONTRACT,
+            success: true,
+            fromBlock: 5,
+            since: "2025-10-09T06:06:40.000Z"
+        });
+    });
+
+    test("rejects times outside the date range", () => {
+        assert.throws(() => parseEventFilters({ since: "99999999999999999" }), { status: 400, message: "since must be an ISO timestamp or unix time" });
+        assert.throws(() => parseEventFilters({ until: "tomorrow" }), { status: 400 });
+    });
+
+    test("rejects repeated and nested parameters", () => {
+        assert.throws(() => parseEventFilters({ contract: [CONTRACT, "SP000.other"] }), { status: 400, message: "contract must be given once" });
+        assert.throws(() => parseEventFilters({ sender: { $ne: "" } }), { status: 400 });
+        assert.throws(() => parseEventQuery({ sort: ["timestamp", "blockHeight"] }, 100), { status: 400 });
+    });
+
+    test("rejects timestamp cursors without the timestamp", () => {
+        const cursor = Buffer.from(JSON.stringify({ sort: "timestamp", order: "desc", seq: 5, value: null })).toString("base64url");
+        assert.throws(() => parseEventQuery({ cursor }, 100), { status: 400 });
+    });
+});
+
+for (const driver of ["memory", "sqlite"]) {
+    describe(`event time in the ${driver} store`, () => {
+        // Delivered in this order: two live blocks, then a backfilled old one
+        const stored = () => {
+            const storage = createStorage({ driver, filename: ":memory:", maxAgeDays: 30 });
+            const receivedAt = new Date().toISOString();
+            const block = (height, blockTime) => parsePayload({
+                events: [{ tx_id: `0x${String(height).padStart(64, "0")}`, sender: "SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7", block_height: height, block_time: blockTime, function_name: "increment", contract_identifier: CONTRACT }]
+            }, { receivedAt }).events;
+            storage.applyChainUpdate({ events: block(200, "2025-10-02T00:00:00.000Z") });
+            storage.applyChainUpdate({ events: block(201, "2025-10-02T00:00:00.000Z") });
+            storage.applyChainUpdate({ events: block(100, "2020-01-01T00:00:00.000Z") });
+            return storage;
+        };
+
+        test("keeps backfilled history received within the retention window", () => {
+            const storage = stored();
+            assert.equal(storage.listEvents().length, 3);
+            storage.close();
+        });
+
+        test("sorts by event time, then receive order, across cursor pages", () => {
+            const storage = stored();
+            const heights = (events) => events.map(e => e.blockHeight);
+
+            assert.deepEqual(heights(storage.listEvents()), [201, 200, 100]);
+            assert.deepEqual(heights(storage.listEvents({ order: "asc" })), [100, 200, 201]);
+
+            const [first] = storage.listEvents({ limit: 1 });
+            const { after } = parseEventQuery({ cursor: encodeCursor(first, { sort: "timestamp", order: "desc" }) }, 100);
+            assert.deepEqual(heights(storage.listEvents({ after })), [200, 100]);
+            storage.close();
+        });
+    });
+}
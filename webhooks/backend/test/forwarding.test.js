@@ -0,0 +1,180 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePayload } from "../lib/chainhook-payload.js";
+import { createForwarder, signPayload } from "../lib/forwarding/index.js";
+import { createStorage } from "../lib/storage/index.js";
+import { CONTRACT, fixture } from "./helpers.js";
+
+const SECRET = "downstream-secret";
+
+function destination(options = {}) {
+    return { name: "indexer", url: "http://indexer.invalid/events", secret: SECRET, contracts: null, eventTypes: null, maxAttempts: 12, timeoutMs: 1000, ...options };
+}
+
+/**
+ * Stub fetch answering with the given statuses in turn (then 200)
+ */
+function fakeFetch(statuses = []) {
+    const calls = [];
+    const fetch = async (url, init) => {
+        calls.push({ url, ...init });
+        const status = statuses.shift() ?? 200;
+        return new Response(status === 200 ? "ok" : "nope", { status });
+    };
+    return { fetch, calls };
+}
+
+async function until(condition) {
+    for (let waited = 0; !condition(); waited += 5) {
+        if (waited > 2000) throw new Error("Timed out waiting for the forwarder");
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// Deliveries due later are only sent once the fake clock reaches them. It
+// starts a second ahead, so whatever the test queues is due right away.
+function forwarder({ storage, destinations = [destination()], statuses } = {}) {
+    const clock = { now: Date.now() + 1000 };
+    const { fetch, calls } = fakeFetch(statuses);
+    const instance = createForwarder({
+        destinations,
+        storage,
+        network: "mainnet",
+        serializeEvent: event => ({ txid: event.txid, eventType: event.eventType }),
+        fetch,
+        now: () => clock.now
+    });
+    return { forwarder: instance, clock, calls };
+}
+
+const header = (call, name) => call.headers[name];
+
+describe("forwarding", () => {
+    test("queues filtered deliveries with the events and sends them signed", async () => {
+        const storage = createStorage({ driver: "sqlite", filename: ":memory:" });
+        const { forwarder: fwd, clock, calls } = forwarder({
+            storage,
+            destinations: [destination({ contracts: [CONTRACT], eventTypes: ["contract_call"] }), destination({ name: "other", contracts: ["SP000.other"] })]
+        });
+
+        const { events } = parsePayload(fixture("apply"));
+        const result = storage.applyChainUpdate({ events, outbound: fwd.deliveriesFor });
+        assert.equal(result.inserted, events.length);
+
+        // Queued before anything is sent; "other" wants none of these events
+        const queued = storage.nextOutbound("indexer");
+        assert.deepEqual(queued.payload.events.map(e => e.eventType), ["contract_call", "contract_call"]);
+        assert.equal(queued.payload.network, "mainnet");
+        assert.equal(storage.nextOutbound("other"), null);
+
+        fwd.start();
+        await until(() => calls.length === 1);
+        fwd.stop();
+
+        const [call] = calls;
+        const timestamp = Math.floor(clock.now / 1000);
+        assert.equal(call.url, "http://indexer.invalid/events");
+        assert.equal(header(call, "X-Chainhook-Delivery"), queued.id);
+        assert.equal(header(call, "X-Chainhook-Attempt"), "1");
+        assert.equal(header(call, "X-Chainhook-Timestamp"), String(timestamp));
+        assert.equal(header(call, "X-Chainhook-Signature"), signPayload(SECRET, timestamp, call.body));
+        assert.match(header(call, "X-Chainhook-Signature"), /^sha256=[0-9a-f]{64}$/);
+        assert.deepEqual(JSON.parse(call.body), queued.payload);
+
+        await until(() => storage.nextOutbound("indexer") === null);
+        storage.close();
+    });
+
+    test("sends rollbacks to every destination", () => {
+        const storage = createStorage({ driver: "memory" });
+        const { forwarder: fwd } = forwarder({
+            storage,
+            destinations: [destination({ contracts: ["SP000.other"] })]
+        });
+
+        storage.applyChainUpdate({ events: parsePayload(fixture("apply")).events });
+        const { rollbackBlocks, events } = parsePayload(fixture("rollback"));
+        storage.applyChainUpdate({ rollbackBlocks, events, outbound: fwd.deliveriesFor });
+
+        const { payload } = storage.nextOutbound("indexer");
+        assert.deepEqual(payload.rollback, rollbackBlocks);
+        assert.deepEqual(payload.events, []);
+    });
+
+    test("queues nothing when the chain update is rolled back", () => {
+        const storage = createStorage({ driver: "sqlite", filename: ":memory:" });
+        const { forwarder: fwd } = forwarder({ storage });
+
+        assert.throws(() => storage.applyChainUpdate({
+            events: parsePayload(fixture("apply")).events,
+            outbound: (update) => {
+                assert.equal(fwd.deliveriesFor(update).length, 1);
+                throw new Error("disk full");
+            }
+        }), /disk full/);
+
+        assert.equal(storage.listEvents().length, 0);
+        assert.equal(storage.nextOutbound("indexer"), null);
+        storage.close();
+    });
+
+    test("retries with exponential backoff, holding back later deliveries", async () => {
+        const storage = createStorage({ driver: "memory" });
+        const { forwarder: fwd, clock, calls } = forwarder({ storage, statuses: [503, 503] });
+        const [first, second] = ["first", "second"].map(id => ({ id, destination: "indexer", payload: { id } }));
+        storage.enqueueOutbound([first, second]);
+
+        fwd.start();
+        await until(() => storage.nextOutbound("indexer").attempts === 1);
+        let pending = storage.nextOutbound("indexer");
+        assert.equal(pending.id, "first");
+        assert.equal(pending.lastError, "HTTP 503: nope");
+        // 5s base delay with 20% jitter
+        let delay = Date.parse(pending.nextAttemptAt) - clock.now;
+        assert.ok(delay >= 4000 && delay <= 6000, `delay ${delay}`);
+
+        // Not due yet
+        fwd.kick();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(calls.length, 1);
+
+        clock.now += 6000;
+        fwd.kick();
+        await until(() => storage.nextOutbound("indexer").attempts === 2);
+        pending = storage.nextOutbound("indexer");
+        assert.equal(header(calls[1], "X-Chainhook-Attempt"), "2");
+        delay = Date.parse(pending.nextAttemptAt) - clock.now;
+        assert.ok(delay >= 8000 && delay <= 12000, `delay ${delay}`);
+
+        clock.now += 12000;
+        fwd.kick();
+        await until(() => storage.nextOutbound("indexer") === null);
+        fwd.stop();
+
+        assert.deepEqual(calls.map(call => header(call, "X-Chainhook-Delivery")), ["first", "first", "first", "second"]);
+    });
+
+    test("moves deliveries to the dead letters after the last attempt or a client error", async () => {
+        const storage = createStorage({ driver: "memory" });
+        const { forwarder: fwd, clock, calls } = forwarder({ storage, destinations: [destination({ maxAttempts: 2 })], statuses: [500, 500, 400] });
+        storage.enqueueOutbound(["exhausted", "rejected", "delivered"].map(id => ({ id, destination: "indexer", payload: { id } })));
+
+        fwd.start();
+        await until(() => storage.nextOutbound("indexer").attempts === 1);
+        clock.now += 6000;
+        fwd.kick();
+        await until(() => storage.nextOutbound("indexer") === null);
+        fwd.stop();
+
+        // The dead letters no longer block the queue
+        assert.deepEqual(calls.map(call => header(call, "X-Chainhook-Delivery")), ["exhausted", "exhausted", "rejected", "delivered"]);
+        const dead = storage.listDeadLetters();
+        assert.deepEqual(dead.map(d => [d.id, d.attempts, d.lastError]), [
+            ["rejected", 1, "HTTP 400: nope"],
+            ["exhausted", 2, "HTTP 500: nope"]
+        ]);
+        const [status] = fwd.status();
+        assert.equal(status.pending, 0);
+        assert.equal(status.dead, 2);
+    });
+});
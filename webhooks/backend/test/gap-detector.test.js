@@ -0,0 +1,118 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createGapDetector } from "../lib/gap-detector.js";
+import { createStorage } from "../lib/storage/index.js";
+
+const UUID = "0b7f3c1e-5a43-4a7d-9d3e-2f6a1c9b8e10";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const blocks = (...heights) => heights.map(blockHeight => ({ blockHeight, blockHash: `0x${String(blockHeight).padStart(64, "0")}` }));
+
+/**
+ * Gap detector over a stub Chainhooks API reporting `remote.status`
+ */
+function detector(storage, options = {}) {
+    const remote = { status: {}, error: null };
+    const api = {
+        get: async (uuid) => {
+            if (remote.error) throw remote.error;
+            return { uuid, status: { ...remote.status } };
+        }
+    };
+    const gaps = createGapDetector({ api, storage, hooks: [{ name: "counter", uuid: UUID }, { name: "unregistered" }], ...options });
+    const check = async () => (await gaps.check()).chainhooks;
+    return { gaps, remote, check };
+}
+
+describe("gap detector", () => {
+    test("baselines a hook's first check and follows the last evaluated block while the counts agree", async () => {
+        const storage = createStorage({ driver: "memory" });
+        const { remote, check } = detector(storage);
+
+        // 10 occurrences before the hook was tracked
+        remote.status = { occurrence_count: 10, last_evaluated_block_height: 100 };
+        const [first] = await check();
+        assert.equal(first.state, "ok");
+        assert.equal(first.occurrences, 0);
+        assert.equal(first.consistentThrough, 100);
+
+        storage.recordReceivedBlocks(UUID, blocks(103, 107));
+        remote.status = { occurrence_count: 12, last_evaluated_block_height: 110, last_occurrence_block_height: 107 };
+        const [second] = await check();
+        assert.equal(second.state, "ok");
+        assert.equal(second.occurrences, 2);
+        assert.equal(second.received, 2);
+        assert.equal(second.lastReceivedBlockHeight, 107);
+        assert.equal(second.consistentThrough, 110);
+        assert.equal(storage.getGapCheckpoint(UUID).consistentThrough, 110);
+    });
+
+    test("reports missing deliveries after the checkpoint as a gap once the grace period is over", async () => {
+        const storage = createStorage({ driver: "memory" });
+        const { gaps, remote, check } = detector(storage, { graceMs: 60000 });
+
+        remote.status = { occurrence_count: 0, last_evaluated_block_height: 100 };
+        await check();
+        storage.recordReceivedBlocks(UUID, blocks(105));
+
+        // Two occurrences, one delivered - the other may still be on its way
+        remote.status = { occurrence_count: 2, last_evaluated_block_height: 120, last_occurrence_block_height: 118, last_occurrence_at: Date.now() - 1000 };
+        const [pending] = await check();
+        assert.equal(pending.state, "pending");
+        assert.equal(pending.missing, 1);
+        assert.equal(pending.gap, null);
+
+        remote.status.last_occurrence_at = Date.now() - 120000;
+        const [gap] = await check();
+        assert.equal(gap.state, "gap");
+        assert.deepEqual(gap.gap, { fromHeight: 101, toHeight: 118 });
+        // The checkpoint stays put until the gap is resolved
+        assert.equal(gap.consistentThrough, 100);
+
+        const resolved = await gaps.resolve(UUID);
+        assert.equal(resolved.state, "ok");
+        assert.equal(resolved.consistentThrough, 120);
+        assert.deepEqual(gaps.report().chainhooks[0], resolved);
+    });
+
+    test("flags more received blocks than occurrences, and API errors", async () => {
+        const storage = createStorage({ driver: "memory" });
+        const { remote, check } = detector(storage);
+
+        remote.status = { occurrence_count: 0, last_evaluated_block_height: 100 };
+        await check();
+        storage.recordReceivedBlocks(UUID, blocks(101, 102));
+        remote.status = { occurrence_count: 1, last_evaluated_block_height: 102 };
+        const [mismatch] = await check();
+        assert.equal(mismatch.state, "mismatch");
+        assert.equal(mismatch.missing, 0);
+
+        remote.error = new Error("HTTP 503");
+        assert.deepEqual(await check(), [{ name: "counter", uuid: UUID, state: "error", error: "HTTP 503" }]);
+    });
+
+    for (const driver of ["memory", "sqlite"]) {
+        test(`prunes received blocks with the events in the ${driver} store without opening a gap`, async (t) => {
+            const storage = createStorage({ driver, filename: ":memory:", maxAgeDays: 30 });
+            const { remote, check } = detector(storage);
+
+            // Blocks received 40 days ago, then the hook is checked
+            t.mock.timers.enable({ apis: ["Date"], now: Date.now() - 40 * DAY_MS });
+            storage.recordReceivedBlocks(UUID, blocks(101, 102));
+            t.mock.timers.reset();
+            remote.status = { occurrence_count: 2, last_evaluated_block_height: 102 };
+            await check();
+
+            storage.recordReceivedBlocks(UUID, blocks(103));
+            storage.prune();
+            assert.deepEqual(storage.receivedBlockStats(UUID), { count: 1, lastHeight: 103 });
+
+            remote.status = { occurrence_count: 3, last_evaluated_block_height: 105 };
+            const [result] = await check();
+            assert.equal(result.state, "ok");
+            assert.equal(result.received, 1);
+            assert.equal(result.consistentThrough, 105);
+            storage.close();
+        });
+    }
+});
@@ -0,0 +1,172 @@
+/**
+ * Test helpers
+ * Start the mock Chainhooks service in-process, and the server and CLIs as
+ * child processes pointed at it. Each server runs in its own temporary
+ * directory, so no .env, config or data file of the checkout is picked up.
+ */
+
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createMockChainhooks } from "../lib/mock-chainhooks.js";
+
+export const BACKEND_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+export const CONTRACT = "SP7EGRZWRGBDHWDMJAYER4D40JM8XZCEX14M4ATQ.theteatoast";
+export const HIRO_API_KEY = "test-hiro-key";
+export const ADMIN_API_KEY = "test-admin-key";
+
+const STARTUP_TIMEOUT_MS = 15000;
+const CLI_TIMEOUT_MS = 15000;
+
+export function fixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(BACKEND_DIR, "fixtures", `${name}.json`), "utf8"));
+}
+
+export function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), "chainhook-test-"));
+}
+
+/**
+ * A port nothing listens on right now
+ */
+export function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once("error", reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Mock Chainhooks service on a random port
+ * @returns {Promise<{ url: string, mock: object, close: function }>}
+ */
+export async function startMock(options = {}) {
+    const mock = createMockChainhooks({ apiKey: HIRO_API_KEY, ...options });
+    const server = await new Promise(resolve => {
+        const listening = mock.app.listen(0, () => resolve(listening));
+    });
+
+    return {
+        url: `http://localhost:${server.address().port}`,
+        mock,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Environment for the server and CLIs: nothing inherited but PATH
+ */
+function childEnv(env) {
+    return { PATH: process.env.PATH, ...env };
+}
+
+/**
+ * Start server.js against the mock, and wait until it's ready
+ * @param {object} options
+ * @param {string} options.mockUrl - Mock Chainhooks service (STACKS_API_URL)
+ * @param {string} options.dir - Working directory (default: a temporary one, removed on stop)
+ * @param {number} options.port - Port to listen on (default: a free one)
+ * @param {object} options.env - Extra environment variables
+ * @returns {Promise<{ url: string, port: number, dir: string, env: object, output: function, stop: function }>}
+ */
+export async function startServer({ mockUrl, dir, port, env = {} }) {
+    const ownDir = !dir;
+    if (ownDir) dir = tempDir();
+    port ??= await freePort();
+    const serverEnv = childEnv({
+        PORT: String(port),
+        HIRO_API_KEY,
+        ADMIN_API_KEY,
+        STACKS_API_URL: mockUrl,
+        CONTRACT_IDENTIFIER: CONTRACT,
+        WEBHOOK_BASE_URL: `http://localhost:${port}`,
+        STORAGE_DRIVER: "memory",
+        GAP_CHECK_INTERVAL_SECONDS: "0",
+        ...env
+    });
+
+    const child = spawn(process.execPath, [path.join(BACKEND_DIR, "server.js")], { cwd: dir, env: serverEnv });
+    let output = "";
+    child.stdout.on("data", chunk => { output += chunk; });
+    child.stderr.on("data", chunk => { output += chunk; });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`Server did not start within ${STARTUP_TIMEOUT_MS}ms:\n${output}`));
+        }, STARTUP_TIMEOUT_MS);
+
+        const onData = () => {
+            if (!output.includes("Server ready")) return;
+            clearTimeout(timer);
+            child.stdout.off("data", onData);
+            resolve();
+        };
+        child.stdout.on("data", onData);
+        child.once("exit", code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+
+    return {
+        url: `http://localhost:${port}`,
+        port,
+        dir,
+        env: serverEnv,
+        output: () => output,
+        stop: async () => {
+            if (child.exitCode === null) {
+                await new Promise(resolve => {
+                    child.once("exit", resolve);
+                    child.kill();
+                });
+            }
+            if (ownDir) fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Run one of the backend CLIs to completion (outside the checkout, so its .env isn't loaded)
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+export function runCli(script, args, { env = {}, cwd = os.tmpdir() } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [path.join(BACKEND_DIR, script), ...args], { cwd, env: childEnv(env) });
+        let stdout = "";
+        let stderr = "";
+        child.stdout.on("data", chunk => { stdout += chunk; });
+        child.stderr.on("data", chunk => { stderr += chunk; });
+
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`${script} ${args.join(" ")} did not finish within ${CLI_TIMEOUT_MS}ms:\n${stdout}${stderr}`));
+        }, CLI_TIMEOUT_MS);
+
+        child.once("exit", code => {
+            clearTimeout(timer);
+            resolve({ code, stdout, stderr });
+        });
+    });
+}
+
+/**
+ * fetch returning the status and parsed JSON body
+ */
+export async function request(url, { method = "GET", body, headers = {} } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: body === undefined ? headers : { "Content-Type": "application/json", ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+}
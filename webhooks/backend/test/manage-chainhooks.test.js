@@ -0,0 +1,95 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { CONTRACT, HIRO_API_KEY, request, runCli, startMock, tempDir } from "./helpers.js";
+
+describe("manage-chainhooks.js against the mock Chainhooks service", () => {
+    let service;
+    let dir;
+    let env;
+
+    const cli = (...args) => runCli("manage-chainhooks.js", args, { env });
+    const json = async (...args) => {
+        const result = await cli(...args, "--json");
+        assert.equal(result.code, 0, result.stderr);
+        return JSON.parse(result.stdout);
+    };
+
+    before(async () => {
+        service = await startMock();
+        dir = tempDir();
+        env = { HIRO_API_KEY, STACKS_API_URL: service.url, WEBHOOK_BASE_URL: "http://localhost:3001" };
+
+        fs.writeFileSync(path.join(dir, "predicate.json"), JSON.stringify({
+            name: "counter",
+            filters: { events: [{ type: "contract_call", contract_identifier: CONTRACT }] },
+            action: { type: "http_post" }
+        }));
+    });
+    after(async () => {
+        await service.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    beforeEach(() => service.mock.reset());
+
+    test("creates a chainhook from a minimal predicate file", async () => {
+        const created = await json("create", path.join(dir, "predicate.json"));
+
+        assert.equal(created.definition.name, "counter");
+        assert.equal(created.definition.network, "mainnet");
+        assert.equal(created.definition.action.url, "http://localhost:3001/webhook");
+
+        const listed = await json("list");
+        assert.equal(listed.total, 1);
+        assert.equal(listed.chainhooks[0].uuid, created.uuid);
+    });
+
+    test("enables, disables and updates the webhook URL", async () => {
+        const { uuid } = await json("create", path.join(dir, "predicate.json"));
+
+        await json("disable", uuid);
+        assert.equal((await json("status", uuid)).enabled, false);
+        await json("enable", uuid);
+        assert.equal((await json("status", uuid)).enabled, true);
+
+        await json("update-url", uuid, "https://example.com/webhook");
+        assert.equal((await json("get", uuid)).definition.action.url, "https://example.com/webhook");
+    });
+
+    test("deletes only with confirmation", async () => {
+        const { uuid } = await json("create", path.join(dir, "predicate.json"));
+
+        const refused = await cli("delete", uuid);
+        assert.equal(refused.code, 2);
+        assert.match(refused.stderr, /pass --yes/);
+
+        assert.deepEqual((await json("delete", uuid, "--yes")).deleted, [uuid]);
+        assert.equal((await json("list")).total, 0);
+    });
+
+    test("prunes interrupted and duplicate chainhooks", async () => {
+        const stopped = await json("create", path.join(dir, "predicate.json"));
+        const older = await json("create", path.join(dir, "predicate.json"));
+        const newest = await json("create", path.join(dir, "predicate.json"));
+        await request(`${service.url}/mock/chainhooks/${stopped.uuid}/status`, { method: "PATCH", body: { status: "interrupted" } });
+        await request(`${service.url}/mock/chainhooks/${older.uuid}/status`, { method: "PATCH", body: { created_at: 1 } });
+
+        const plan = await json("prune", "--dry-run");
+        assert.deepEqual(plan.prunable.map(p => p.uuid).sort(), [stopped.uuid, older.uuid].sort());
+        assert.equal((await json("list")).total, 3);
+
+        await json("prune", "--yes");
+        assert.deepEqual((await json("list")).chainhooks.map(h => h.uuid), [newest.uuid]);
+    });
+
+    test("exits with 1 when the API rejects the request", async () => {
+        const missing = await cli("get", "00000000-0000-0000-0000-000000000000");
+        assert.equal(missing.code, 1);
+        assert.match(missing.stderr, /HTTP 404/);
+
+        const unauthorized = await runCli("manage-chainhooks.js", ["list"], { env: { ...env, HIRO_API_KEY: "wrong" } });
+        assert.equal(unauthorized.code, 1);
+        assert.match(unauthorized.stderr, /HTTP 401/);
+    });
+});
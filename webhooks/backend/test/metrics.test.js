@@ -0,0 +1,71 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createMetrics } from "../lib/metrics.js";
+
+describe("metrics", () => {
+    test("renders counters per label set, unlabeled ones from the start", () => {
+        const metrics = createMetrics();
+        const deliveries = metrics.counter({ name: "deliveries_total", help: "Deliveries", labelNames: ["outcome"] });
+        metrics.counter({ name: "syncs_total", help: "Syncs" });
+
+        deliveries.inc({ outcome: "accepted" });
+        deliveries.inc({ outcome: "accepted" }, 2);
+        deliveries.inc({ outcome: "say \"hi\"\n" });
+
+        assert.equal(metrics.render(), [
+            "# HELP deliveries_total Deliveries",
+            "# TYPE deliveries_total counter",
+            "deliveries_total{outcome=\"accepted\"} 3",
+            "deliveries_total{outcome=\"say \\\"hi\\\"\\n\"} 1",
+            "# HELP syncs_total Syncs",
+            "# TYPE syncs_total counter",
+            "syncs_total 0",
+            ""
+        ].join("\n"));
+    });
+
+    test("reads collected gauges at scrape time and skips ones that fail", () => {
+        const metrics = createMetrics();
+        let height = 5;
+        metrics.gauge({ name: "height", help: "Height", collect: () => height });
+        metrics.gauge({ name: "broken", help: "Broken", collect: () => { throw new Error("closed"); } });
+        metrics.gauge({
+            name: "stored",
+            help: "Stored",
+            labelNames: ["status"],
+            collect: () => [{ labels: { status: "canonical" }, value: 2 }, { labels: { status: "orphaned" }, value: null }]
+        });
+
+        height = 7;
+        const lines = metrics.render().split("\n");
+        assert.ok(lines.includes("height 7"));
+        assert.ok(lines.includes("stored{status=\"canonical\"} 2"));
+        assert.ok(!lines.some(line => line.includes("orphaned") || line.includes("broken")));
+    });
+
+    test("counts histogram observations into cumulative buckets", () => {
+        const metrics = createMetrics();
+        const duration = metrics.histogram({ name: "duration_seconds", help: "Duration", buckets: [1, 0.1] });
+        duration.observe(0.05);
+        duration.observe(0.5);
+        duration.observe(3);
+        duration.startTimer()();
+
+        const lines = metrics.render().split("\n");
+        assert.deepEqual(lines.slice(2, 5), [
+            "duration_seconds_bucket{le=\"0.1\"} 2",
+            "duration_seconds_bucket{le=\"1\"} 3",
+            "duration_seconds_bucket{le=\"+Inf\"} 4"
+        ]);
+        // The timer adds the (tiny) elapsed time to the sum
+        const sum = Number(lines[5].replace("duration_seconds_sum ", ""));
+        assert.ok(sum >= 3.55 && sum < 4);
+        assert.equal(lines[6], "duration_seconds_count 4");
+    });
+
+    test("refuses a metric name twice", () => {
+        const metrics = createMetrics();
+        metrics.counter({ name: "deliveries_total", help: "Deliveries" });
+        assert.throws(() => metrics.gauge({ name: "deliveries_total", help: "Again" }), /already registered/);
+    });
+});
@@ -0,0 +1,152 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createChainhooksApi } from "../lib/chainhooks-api.js";
+import { fixture, HIRO_API_KEY, request, startMock } from "./helpers.js";
+
+const predicate = (name, url = "http://localhost:1/webhook") => ({
+    name,
+    version: "1",
+    chain: "stacks",
+    network: "mainnet",
+    filters: { events: [{ type: "contract_call", contract_identifier: "SP7EGRZWRGBDHWDMJAYER4D40JM8XZCEX14M4ATQ.theteatoast" }] },
+    action: { type: "http_post", url, authorization_header: "Bearer secret" },
+    options: { enable_on_registration: true }
+});
+
+describe("mock Chainhooks API", () => {
+    let service;
+    let api;
+
+    before(async () => {
+        service = await startMock();
+        api = createChainhooksApi({ baseUrl: `${service.url}/chainhooks/v1/me`, apiKey: HIRO_API_KEY });
+    });
+    after(() => service.close());
+    beforeEach(() => service.mock.reset());
+
+    test("registers, gets, updates and deletes chainhooks", async () => {
+        const created = await api.create(predicate("counter"));
+        assert.ok(created.uuid);
+        assert.equal(created.status.enabled, true);
+        assert.equal(created.status.status, "new");
+
+        assert.equal((await api.get(created.uuid)).definition.name, "counter");
+
+        await api.update(created.uuid, { name: "renamed" });
+        assert.equal((await api.get(created.uuid)).definition.name, "renamed");
+
+        await api.setEnabled(created.uuid, false);
+        assert.equal((await api.get(created.uuid)).status.enabled, false);
+
+        // A UUID can't rewrite the request path
+        await assert.rejects(api.remove(`x/../${created.uuid}`), { status: 404 });
+        await assert.rejects(api.get(`${created.uuid}?x=1`), { status: 404 });
+
+        assert.equal(await api.remove(created.uuid), null);
+        await assert.rejects(api.get(created.uuid), { status: 404 });
+    });
+
+    test("pages the list like the real API", async () => {
+        for (let i = 0; i < 65; i++) await api.create(predicate(`hook-${i}`));
+
+        const page = await api.listPage();
+        assert.equal(page.total, 65);
+        assert.equal(page.results.length, 60);
+        assert.equal((await api.listAll()).length, 65);
+    });
+
+    test("rejects a wrong API key and invalid definitions", async () => {
+        const intruder = createChainhooksApi({ baseUrl: `${service.url}/chainhooks/v1/me`, apiKey: "wrong" });
+        await assert.rejects(intruder.listAll(), { status: 401 });
+
+        await assert.rejects(api.create({ ...predicate("bad"), chain: "bitcoin" }), { status: 400 });
+        const { uuid } = await api.create(predicate("good"));
+        await assert.rejects(api.update(uuid, { action: { type: "http_post" } }), { status: 400 });
+        await assert.rejects(api.setEnabled(uuid, "yes"), { status: 400 });
+    });
+
+    test("re-enabling resumes an interrupted chainhook", async () => {
+        const { uuid } = await api.create(predicate("counter"));
+        await request(`${service.url}/mock/chainhooks/${uuid}/status`, {
+            method: "PATCH",
+            body: { status: "interrupted", enabled: false }
+        });
+
+        await api.setEnabled(uuid, true);
+        const { status } = await api.get(uuid);
+        assert.equal(status.status, "streaming");
+        assert.equal(status.enabled, true);
+    });
+});
+
+describe("mock deliveries", () => {
+    let service;
+    let api;
+    let receiver;
+    let received;
+
+    before(async () => {
+        service = await startMock();
+        api = createChainhooksApi({ baseUrl: `${service.url}/chainhooks/v1/me`, apiKey: HIRO_API_KEY });
+
+        // Stand-in webhook that records what it's sent
+        receiver = http.createServer((req, res) => {
+            let body = "";
+            req.on("data", chunk => { body += chunk; });
+            req.on("end", () => {
+                received.push({ authorization: req.headers.authorization, body: JSON.parse(body) });
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ success: true }));
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, resolve));
+    });
+    after(async () => {
+        await service.close();
+        await new Promise(resolve => receiver.close(resolve));
+    });
+    beforeEach(() => {
+        service.mock.reset();
+        received = [];
+    });
+
+    const webhookUrl = () => `http://localhost:${receiver.address().port}/webhook`;
+
+    test("posts payloads to enabled chainhooks with their authorization header", async () => {
+        const active = await api.create(predicate("active", webhookUrl()));
+        const disabled = await api.create(predicate("disabled", webhookUrl()));
+        await api.setEnabled(disabled.uuid, false);
+
+        const { status, body } = await request(`${service.url}/mock/deliver`, { method: "POST", body: { payload: fixture("apply") } });
+        assert.equal(status, 200);
+        assert.deepEqual(body.deliveries.map(d => [d.uuid, d.status]), [[active.uuid, 200]]);
+
+        assert.equal(received.length, 1);
+        assert.equal(received[0].authorization, "Bearer secret");
+        assert.deepEqual(received[0].body.chainhook, { uuid: active.uuid, name: "active" });
+        assert.deepEqual(received[0].body.apply, fixture("apply").apply);
+    });
+
+    test("counts occurrences, including dropped deliveries", async () => {
+        const { uuid } = await api.create(predicate("counter", webhookUrl()));
+
+        await request(`${service.url}/mock/deliver`, { method: "POST", body: { payload: fixture("apply"), uuid } });
+        await request(`${service.url}/mock/deliver`, { method: "POST", body: { payload: fixture("malformed"), uuid, drop: true } });
+
+        const { status } = await api.get(uuid);
+        assert.equal(status.status, "streaming");
+        assert.equal(status.occurrence_count, 2);
+        assert.equal(status.last_occurrence_block_height, 101);
+        assert.equal(received.length, 1);
+        assert.equal(service.mock.deliveries().length, 2);
+    });
+
+    test("reports unknown chainhooks", async () => {
+        const { status } = await request(`${service.url}/mock/deliver`, {
+            method: "POST",
+            body: { payload: fixture("apply"), uuid: "missing" }
+        });
+        assert.equal(status, 404);
+    });
+});
@@ -0,0 +1,98 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fixture, request, runCli, startMock, startServer, tempDir } from "./helpers.js";
+
+describe("replay.js", () => {
+    let service;
+    let server;
+    let env;
+
+    const replay = (...args) => runCli("replay.js", args, { env });
+
+    before(async () => {
+        service = await startMock();
+        server = await startServer({ mockUrl: service.url });
+        // The secret the server generated and saved
+        env = {
+            WEBHOOK_BASE_URL: server.url,
+            WEBHOOK_SECRET_FILE: path.join(server.dir, "data", "webhook-secret.json")
+        };
+    });
+    after(async () => {
+        await server.stop();
+        await service.close();
+    });
+
+    test("posts fixtures to the webhook with the server's secret", async () => {
+        const { code, stdout } = await replay("apply", "rollback", "--json");
+        assert.equal(code, 0);
+
+        const report = JSON.parse(stdout);
+        assert.equal(report.replayed, 2);
+        assert.equal(report.failed, 0);
+        assert.deepEqual(report.results.map(r => r.deliveries[0].response.eventsNew), [2, 1]);
+        assert.equal(report.results[1].deliveries[0].response.eventsRolledBack, 2);
+    });
+
+    test("lists skipped items and fails on rejected payloads", async () => {
+        const malformed = await replay("malformed");
+        assert.equal(malformed.code, 0);
+        assert.match(malformed.stdout, /1 new, 0 duplicate, 3 invalid/);
+        assert.match(malformed.stdout, /method is required for contract calls/);
+
+        const unrecognized = await replay("unrecognized");
+        assert.equal(unrecognized.code, 1);
+        assert.match(unrecognized.stdout, /HTTP 422/);
+
+        const unauthorized = await replay("apply", "--auth", "Bearer wrong");
+        assert.equal(unauthorized.code, 1);
+        assert.match(unauthorized.stdout, /HTTP 401/);
+    });
+
+    test("replays every payload of a file or directory, in order", async () => {
+        const dir = tempDir();
+        try {
+            const apply = fixture("apply");
+            apply.apply[0].block_identifier = { index: 120, hash: "0x" + "e5".repeat(32) };
+            fs.writeFileSync(path.join(dir, "2-recorded.json"), JSON.stringify([fixture("unrecognized"), apply]));
+            fs.writeFileSync(path.join(dir, "1-first.json"), JSON.stringify(fixture("apply")));
+
+            const { code, stdout } = await replay(dir, "--json");
+            const report = JSON.parse(stdout);
+            assert.equal(code, 1);
+            assert.deepEqual(report.results.map(r => [r.payload, r.deliveries[0].status]), [
+                ["1-first.json", 200],
+                ["2-recorded.json[0]", 422],
+                ["2-recorded.json[1]", 200]
+            ]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test("delivers through the mock Chainhooks service", async () => {
+        const [hook] = service.mock.chainhooks();
+        const occurrences = hook.status.occurrence_count;
+
+        const delivered = await replay("apply", "--via", service.url, "--json");
+        assert.equal(delivered.code, 0);
+        const [delivery] = JSON.parse(delivered.stdout).results[0].deliveries;
+        assert.equal(delivery.uuid, hook.uuid);
+        assert.equal(delivery.status, 200);
+
+        const dropped = await replay("apply", "--via", service.url, "--chainhook", hook.uuid, "--drop");
+        assert.equal(dropped.code, 0);
+        assert.match(dropped.stdout, /dropped/);
+
+        const { body } = await request(`${service.url}/chainhooks/v1/me/${hook.uuid}`, { headers: { "x-api-key": server.env.HIRO_API_KEY } });
+        assert.equal(body.status.occurrence_count, occurrences + 2);
+    });
+
+    test("rejects bad arguments with exit code 2", async () => {
+        assert.equal((await replay()).code, 2);
+        assert.equal((await replay("no-such-fixture")).code, 2);
+        assert.equal((await replay("apply", "--drop")).code, 2);
+    });
+});
@@ -0,0 +1,293 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { ADMIN_API_KEY, CONTRACT, fixture, request, startMock, startServer, tempDir } from "./helpers.js";
+
+const admin = { Authorization: `Bearer ${ADMIN_API_KEY}` };
+
+describe("server against the mock Chainhooks service", () => {
+    let service;
+    let server;
+    let hook;
+
+    const deliver = async (name, options = {}) => {
+        const { body } = await request(`${service.url}/mock/deliver`, { method: "POST", body: { payload: fixture(name), ...options } });
+        return body.deliveries;
+    };
+    const events = async (query = "") => (await request(`${server.url}/events?includeOrphaned=true${query}`)).body.events;
+
+    before(async () => {
+        service = await startMock();
+        server = await startServer({ mockUrl: service.url });
+        [hook] = service.mock.chainhooks();
+    });
+    after(async () => {
+        await server.stop();
+        await service.close();
+    });
+
+    test("registers its chainhook on startup", () => {
+        assert.equal(service.mock.chainhooks().length, 1);
+        assert.equal(hook.definition.name, `Monitor ${CONTRACT}`);
+        assert.equal(hook.definition.action.url, `${server.url}/webhook`);
+        assert.match(hook.definition.action.authorization_header, /^Bearer [0-9a-f]{64}$/);
+        assert.equal(hook.status.enabled, true);
+    });
+
+    test("stores the events of an apply payload", async () => {
+        const [delivery] = await deliver("apply");
+        assert.equal(delivery.status, 200);
+        assert.equal(delivery.response.eventsNew, 2);
+
+        const stored = await events();
+        assert.deepEqual(stored.map(e => [e.method, e.eventType, e.success]).sort(), [
+            ["increment", "contract_call", true],
+            ["set-owner", "contract_call", false]
+        ]);
+        const failed = stored.find(e => e.method === "set-owner");
+        assert.equal(failed.errorCode, "u401");
+        assert.equal(failed.blockTime, "2025-10-09T08:53:20.000Z");
+        assert.equal(failed.fee, "3000");
+    });
+
+    test("ignores a redelivery", async () => {
+        const [delivery] = await deliver("apply");
+        assert.equal(delivery.response.eventsNew, 0);
+        assert.equal(delivery.response.eventsDuplicate, 2);
+    });
+
+    test("exports the filtered events", async () => {
+        const response = await fetch(`${server.url}/events/export?format=csv&method=set-owner`);
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get("content-type"), "text/csv; charset=utf-8");
+        assert.match(response.headers.get("content-disposition"), /^attachment; filename="events-\d{4}-\d{2}-\d{2}\.csv"$/);
+        const [header, row, ...rest] = (await response.text()).split("\r\n");
+        assert.match(header, /^id,txid,event_index,/);
+        assert.match(row, /,set-owner,.*,u401,/);
+        assert.deepEqual(rest, [""]);
+
+        const empty = await fetch(`${server.url}/events/export?format=ndjson&sender=SP000000000000000000002Q6VF78`);
+        assert.equal(empty.status, 200);
+        assert.equal(await empty.text(), "");
+
+        const { status, body } = await request(`${server.url}/events/export?format=xml`);
+        assert.equal(status, 400);
+        assert.match(body.error, /format must be one of: csv, ndjson/);
+    });
+
+    test("orphans rolled-back blocks and stores their replacement", async () => {
+        const [delivery] = await deliver("rollback");
+        assert.equal(delivery.status, 200);
+        assert.equal(delivery.response.eventsRolledBack, 2);
+        assert.equal(delivery.response.eventsNew, 1);
+
+        const stored = await events();
+        assert.equal(stored.filter(e => e.status === "orphaned").length, 2);
+        assert.deepEqual(stored.filter(e => e.status === "canonical").map(e => e.blockHash), ["0x" + "b2".repeat(32)]);
+    });
+
+    test("skips invalid items of a malformed payload and reports them", async () => {
+        const [delivery] = await deliver("malformed");
+        assert.equal(delivery.status, 200);
+        assert.equal(delivery.response.eventsNew, 1);
+        assert.equal(delivery.response.parseErrors.length, 3);
+        assert.match(delivery.response.parseErrors[0], /^apply\[0\]\.transactions\[0\]: txid/);
+    });
+
+    test("rejects a payload in no known format", async () => {
+        const [delivery] = await deliver("unrecognized");
+        assert.equal(delivery.status, 422);
+        assert.match(delivery.response.error, /Unrecognized payload/);
+    });
+
+    test("rejects deliveries without the webhook secret", async () => {
+        const { status } = await request(`${server.url}/webhook`, {
+            method: "POST",
+            body: fixture("apply"),
+            headers: { Authorization: "Bearer wrong" }
+        });
+        assert.equal(status, 401);
+    });
+
+    test("reports a dropped delivery as a gap", async () => {
+        // First check records the baseline
+        await request(`${server.url}/admin/gaps/check`, { method: "POST", headers: admin });
+
+        const apply = fixture("apply");
+        apply.apply[0].block_identifier = { index: 150, hash: "0x" + "d4".repeat(32) };
+        await request(`${service.url}/mock/deliver`, { method: "POST", body: { payload: apply, drop: true } });
+        // Outside the grace period for deliveries in flight
+        await request(`${service.url}/mock/chainhooks/${hook.uuid}/status`, {
+            method: "PATCH",
+            body: { last_occurrence_at: Date.now() - 10 * 60 * 1000 }
+        });
+
+        const { body } = await request(`${server.url}/admin/gaps/check`, { method: "POST", headers: admin });
+        const [result] = body.chainhooks;
+        assert.equal(result.state, "gap");
+        assert.equal(result.missing, 1);
+        assert.equal(result.gap.toHeight, 150);
+    });
+
+    test("reports deliveries, ingestion time and storage in /metrics", async () => {
+        const response = await fetch(`${server.url}/metrics`);
+        assert.match(response.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+        const samples = new Map((await response.text()).split("\n")
+            .filter(line => line && !line.startsWith("#"))
+            .map(line => [line.slice(0, line.lastIndexOf(" ")), Number(line.slice(line.lastIndexOf(" ") + 1))]));
+
+        assert.equal(samples.get("chainhook_webhook_deliveries_total{outcome=\"accepted\"}"), 4);
+        assert.equal(samples.get("chainhook_webhook_deliveries_total{outcome=\"rejected\"}"), 1);
+        assert.equal(samples.get("chainhook_webhook_deliveries_total{outcome=\"unauthorized\"}"), 1);
+        // Every authorized delivery is timed, including the rejected one
+        assert.equal(samples.get("chainhook_ingestion_duration_seconds_count"), 5);
+        assert.equal(samples.get("chainhook_ingestion_duration_seconds_bucket{le=\"+Inf\"}"), 5);
+        assert.equal(samples.get("chainhook_events_stored_total{result=\"duplicate\"}"), 2);
+        assert.equal(samples.get("chainhook_parse_errors_total{format=\"apply\"}"), 3);
+        assert.equal(samples.get("chainhook_stored_events{status=\"orphaned\"}"), 2);
+        // Block 150 was dropped on the way
+        assert.equal(samples.get(`chainhook_last_block_height{chainhook="${hook.definition.name}"}`), 101);
+    });
+
+    test("pushes watched transaction changes to the stream", async () => {
+        const txid = "0x" + "7".repeat(64);
+        const controller = new AbortController();
+        const stream = await fetch(`${server.url}/stream`, { signal: controller.signal });
+        const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffered = "";
+        // Next "watch" event, skipping the others
+        const nextWatch = async () => {
+            for (;;) {
+                const match = buffered.match(/event: watch\ndata: (.*)\n\n/);
+                if (match) {
+                    buffered = buffered.slice(match.index + match[0].length);
+                    return JSON.parse(match[1]).transactions;
+                }
+                const { value, done } = await reader.read();
+                if (done) throw new Error("Stream closed");
+                buffered += value;
+            }
+        };
+
+        try {
+            const watched = await request(`${server.url}/watch`, { method: "POST", body: { txid } });
+            assert.equal(watched.status, 201);
+            assert.deepEqual((await nextWatch()).map(tx => [tx.txid, tx.status]), [[txid, "pending"]]);
+
+            const apply = fixture("apply");
+            apply.apply[0].block_identifier = { index: 160, hash: "0x" + "e5".repeat(32) };
+            apply.apply[0].transactions[1].transaction_identifier.hash = txid;
+            await request(`${service.url}/mock/deliver`, { method: "POST", body: { payload: apply } });
+
+            const [failed] = await nextWatch();
+            assert.deepEqual([failed.txid, failed.status, failed.reason, failed.blockHeight], [txid, "failed", "Aborted with (err u401)", 160]);
+        } finally {
+            controller.abort();
+        }
+    });
+
+    test("backfills contract history from the mock Stacks API", async () => {
+        const transaction = (txid, height, status) => ({
+            tx_id: txid,
+            tx_index: 0,
+            tx_type: "contract_call",
+            tx_status: status,
+            sender_address: "SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE",
+            nonce: 1,
+            fee_rate: "2000",
+            block_height: height,
+            block_hash: "0x" + height.toString(16).padStart(64, "0"),
+            burn_block_time: 1759990000 + height,
+            contract_call: { contract_id: CONTRACT, function_name: "increment", function_args: [] },
+            tx_result: { repr: status === "success" ? "(ok u1)" : "(err u100)" }
+        });
+        await request(`${service.url}/mock/transactions`, {
+            method: "POST",
+            body: { transactions: [transaction("0x" + "e".repeat(64), 90, "success"), transaction("0x" + "f".repeat(64), 91, "abort_by_response")] }
+        });
+
+        const started = await request(`${server.url}/admin/backfill`, { method: "POST", headers: admin, body: { fromHeight: 0 } });
+        assert.equal(started.status, 202);
+
+        let job;
+        for (let i = 0; i < 50 && (!job || job.status === "running"); i++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            job = (await request(`${server.url}/admin/backfill`, { headers: admin })).body.job;
+        }
+        assert.equal(job.status, "completed");
+        assert.equal(job.totals.inserted, 2);
+
+        const backfilled = await events("&toBlock=91");
+        assert.deepEqual(backfilled.map(e => [e.blockHeight, e.success]).sort(), [[90, true], [91, false]]);
+    });
+});
+
+describe("server restarts", () => {
+    let service;
+    let dir;
+
+    before(async () => {
+        service = await startMock();
+        dir = tempDir();
+    });
+    after(async () => {
+        await service.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("reuse the registered chainhook and re-enable it when it stopped", async () => {
+        let server = await startServer({ mockUrl: service.url, dir });
+        await server.stop();
+        const [hook] = service.mock.chainhooks();
+
+        await request(`${service.url}/mock/chainhooks/${hook.uuid}/status`, {
+            method: "PATCH",
+            body: { status: "interrupted", enabled: false }
+        });
+
+        server = await startServer({ mockUrl: service.url, dir, port: server.port });
+        await server.stop();
+
+        const hooks = service.mock.chainhooks();
+        assert.deepEqual(hooks.map(h => h.uuid), [hook.uuid]);
+        assert.equal(hooks[0].status.enabled, true);
+        assert.match(server.output(), /unchanged, re-enabled/);
+    });
+
+    test("answer a failed secret rotation with an error and keep the old secret", async () => {
+        const server = await startServer({ mockUrl: service.url });
+        const secretFile = path.join(server.dir, "data", "webhook-secret.json");
+        const { current } = JSON.parse(fs.readFileSync(secretFile, "utf8"));
+        // The rotation can't be saved
+        fs.rmSync(secretFile);
+        fs.mkdirSync(secretFile);
+
+        const rotated = await request(`${server.url}/admin/webhook-secret/rotate`, { method: "POST", headers: admin });
+        const delivered = await request(`${server.url}/webhook`, { method: "POST", body: fixture("apply"), headers: { Authorization: `Bearer ${current}` } });
+        await server.stop();
+
+        assert.equal(rotated.status, 500);
+        assert.equal(rotated.body.success, false);
+        assert.equal(rotated.body.rotationPending, false);
+        assert.equal(delivered.status, 200);
+    });
+
+    test("start even when reconciling throws", async () => {
+        // The state file can't be written
+        const stateFile = path.join(dir, "state-is-a-directory");
+        fs.mkdirSync(stateFile);
+        const server = await startServer({ mockUrl: service.url, env: { CHAINHOOKS_STATE_FILE: stateFile } });
+        const health = await request(`${server.url}/health`);
+        await server.stop();
+
+        assert.equal(health.status, 200);
+        assert.match(server.output(), /Chainhook sync failed: EISDIR/);
+    });
+
+    test("fail to sync when the API key is rejected", async () => {
+        const server = await startServer({ mockUrl: service.url, env: { HIRO_API_KEY: "wrong" } });
+        await server.stop();
+        assert.match(server.output(), /not synced: Could not list chainhooks: HTTP 401/);
+    });
+});
@@ -0,0 +1,113 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePayload } from "../lib/chainhook-payload.js";
+import { createStorage } from "../lib/storage/index.js";
+import { createTxWatcher, normalizeTxid } from "../lib/tx-watcher.js";
+import { CONTRACT } from "./helpers.js";
+
+const TXID = `0x${"c".repeat(64)}`;
+const MINUTE_MS = 60 * 1000;
+
+function call(txid, { height = 100, blockHash = `0x${"a1".repeat(32)}`, result = "(ok u1)" } = {}) {
+    return parsePayload({
+        events: [{
+            tx_id: txid,
+            sender: "SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7",
+            block_height: height,
+            block_hash: blockHash,
+            function_name: "set-owner",
+            contract_identifier: CONTRACT,
+            success: !result.startsWith("(err"),
+            result
+        }]
+    }).events;
+}
+
+/**
+ * Store an update's events and pass it to the watcher, as the webhook does
+ */
+function deliver(storage, watcher, update) {
+    const { insertedEvents } = storage.applyChainUpdate(update);
+    return [...watcher.blocksRolledBack(update.rollbackBlocks || []), ...watcher.eventsStored(insertedEvents)];
+}
+
+describe("tx watcher", () => {
+    test("normalizes txids", () => {
+        assert.equal(normalizeTxid(` ${"C".repeat(64)} `), TXID);
+        assert.equal(normalizeTxid(TXID), TXID);
+        assert.equal(normalizeTxid("0x1234"), null);
+        assert.equal(normalizeTxid(42), null);
+    });
+
+    test("resolves a watched transaction when its event is delivered", () => {
+        const storage = createStorage({ driver: "memory" });
+        const watcher = createTxWatcher({ storage });
+
+        const { transaction, created } = watcher.watch({ txid: "C".repeat(64), functionName: "set-owner" });
+        assert.ok(created);
+        assert.equal(transaction.status, "pending");
+        assert.equal(watcher.watch({ txid: TXID }).created, false);
+
+        // Other transactions leave it alone
+        assert.deepEqual(deliver(storage, watcher, { events: call(`0x${"d".repeat(64)}`) }), []);
+
+        const [failed] = deliver(storage, watcher, { events: call(TXID, { result: "(err u401)" }) });
+        assert.equal(failed.status, "failed");
+        assert.equal(failed.reason, "Aborted with (err u401)");
+        assert.equal(failed.blockHeight, 100);
+        assert.ok(failed.resolvedAt);
+        assert.deepEqual(storage.getWatchedTransaction(TXID), failed);
+    });
+
+    test("drops a transaction whose block was rolled back until it turns up again", () => {
+        const storage = createStorage({ driver: "memory" });
+        const watcher = createTxWatcher({ storage });
+        watcher.watch({ txid: TXID });
+        deliver(storage, watcher, { events: call(TXID) });
+
+        const [dropped, confirmed] = deliver(storage, watcher, {
+            rollbackBlocks: [{ blockHeight: 100, blockHash: `0x${"a1".repeat(32)}` }],
+            events: call(TXID, { height: 101, blockHash: `0x${"b2".repeat(32)}` })
+        });
+        assert.deepEqual([dropped.status, dropped.reason], ["dropped", "Block 100 was rolled back"]);
+        assert.deepEqual([confirmed.status, confirmed.blockHeight], ["confirmed", 101]);
+    });
+
+    test("resolves right away when the event is already stored", () => {
+        const storage = createStorage({ driver: "memory" });
+        const watcher = createTxWatcher({ storage });
+        storage.applyChainUpdate({ events: call(TXID) });
+
+        const { transaction } = watcher.watch({ txid: TXID });
+        assert.equal(transaction.status, "confirmed");
+    });
+
+    test("drops pending transactions once the timeout has passed", (t) => {
+        t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2025-10-01T12:00:00.000Z") });
+        const storage = createStorage({ driver: "memory" });
+        const watcher = createTxWatcher({ storage, timeoutMs: 30 * MINUTE_MS });
+        watcher.watch({ txid: TXID });
+
+        t.mock.timers.tick(30 * MINUTE_MS - 1);
+        assert.deepEqual(watcher.expire(), []);
+
+        t.mock.timers.tick(2);
+        const [dropped] = watcher.expire();
+        assert.equal(dropped.status, "dropped");
+        assert.equal(dropped.reason, "Not confirmed within 30 minute(s)");
+        assert.equal(dropped.resolvedAt, "2025-10-01T12:30:00.001Z");
+        assert.deepEqual(watcher.expire(), []);
+
+        // A late event still resolves it
+        const [confirmed] = deliver(storage, watcher, { events: call(TXID) });
+        assert.equal(confirmed.status, "confirmed");
+    });
+
+    test("rejects invalid txids and too many pending transactions", () => {
+        const watcher = createTxWatcher({ storage: createStorage({ driver: "memory" }), maxPending: 1 });
+        assert.throws(() => watcher.watch({ txid: "nope" }), { status: 400 });
+
+        watcher.watch({ txid: TXID });
+        assert.throws(() => watcher.watch({ txid: `0x${"d".repeat(64)}` }), { status: 429 });
+    });
+});
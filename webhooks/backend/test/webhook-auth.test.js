@@ -0,0 +1,51 @@
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createWebhookAuth } from "../lib/webhook-auth.js";
+import { tempDir } from "./helpers.js";
+
+describe("webhook auth", () => {
+    const dir = tempDir();
+    const secretFile = path.join(dir, "webhook-secret.json");
+    const saved = () => JSON.parse(fs.readFileSync(secretFile, "utf8"));
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test("rolls a generated secret back when the push fails", () => {
+        const auth = createWebhookAuth({ secretFile });
+        const generated = saved().current;
+
+        auth.beginRotation("next");
+        assert.ok(auth.verify("Bearer next"));
+        auth.abortRotation();
+
+        assert.equal(auth.authorizationHeader(), `Bearer ${generated}`);
+        assert.equal(auth.verify("Bearer next"), false);
+        assert.equal(saved().current, generated);
+    });
+
+    test("keeps a pinned secret current and off the disk", () => {
+        const generated = saved().current;
+        const auth = createWebhookAuth({ secretFile, envSecret: "pinned" });
+
+        // The generated secret is accepted until the pinned one is pushed
+        assert.ok(auth.hasPendingRotation());
+        assert.ok(auth.verify(`Bearer ${generated}`));
+        assert.equal(saved().current, null);
+
+        auth.abortRotation();
+        assert.equal(auth.authorizationHeader(), "Bearer pinned");
+        assert.ok(auth.verify("Bearer pinned"));
+        assert.ok(auth.verify(`Bearer ${generated}`));
+
+        auth.commitRotation();
+        assert.ok(saved().previousExpiresAt);
+        assert.ok(!fs.readFileSync(secretFile, "utf8").includes("pinned"));
+
+        // Restarting with the same pinned secret doesn't start another rotation
+        const restarted = createWebhookAuth({ secretFile, envSecret: "pinned" });
+        assert.equal(restarted.hasPendingRotation(), false);
+        assert.equal(restarted.authorizationHeader(), "Bearer pinned");
+    });
+});
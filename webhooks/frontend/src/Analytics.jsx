@@ -0,0 +1,213 @@
+import { useState, useEffect } from 'react'
+import { SenderLink } from './EventParts'
+
+// Time windows offered by /analytics
+const WINDOWS = [
+    { value: '24h', label: '24h' },
+    { value: '7d', label: '7 days' },
+    { value: '30d', label: '30 days' },
+    { value: 'all', label: 'All' }
+]
+
+// Chart drawing area (SVG units - the chart scales to its container)
+const CHART_WIDTH = 600
+const CHART_HEIGHT = 160
+const X_LABELS = 6
+
+// Axis label for a bucket key
+const formatBucket = (key, bucket) => {
+    if (bucket === 'block') return `#${key}`
+    const date = new Date(key)
+    return bucket === 'hour'
+        ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString([], { month: 'short', day: 'numeric' })
+}
+
+/**
+ * Stacked bar chart - one bar per bucket, one segment per series
+ */
+function StackedBarChart({ data, series, bucket }) {
+    if (data.length === 0) {
+        return <div className="chart-empty">No activity in this window</div>
+    }
+
+    const max = Math.max(1, ...data.map(point => series.reduce((sum, s) => sum + point[s.key], 0)))
+    const slot = CHART_WIDTH / data.length
+    const barWidth = Math.max(1, slot * 0.75)
+    const labelEvery = Math.max(1, Math.ceil(data.length / X_LABELS))
+
+    return (
+        <div className="chart">
+            <div className="chart-scale">
+                <span>{max}</span>
+                <span>0</span>
+            </div>
+            <div className="chart-body">
+                <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" className="chart-svg">
+                    {data.map((point, i) => {
+                        let y = CHART_HEIGHT
+                        const tooltip = [formatBucket(point.bucket, bucket), ...series.map(s => `${s.label}: ${point[s.key]}`)].join('\n')
+                        return (
+                            <g key={point.bucket}>
+                                <title>{tooltip}</title>
+                                {series.map(s => {
+                                    const height = (point[s.key] / max) * CHART_HEIGHT
+                                    y -= height
+                                    return height > 0 && (
+                                        <rect key={s.key} x={i * slot + (slot - barWidth) / 2} y={y} width={barWidth} height={height} className={`bar ${s.className}`} />
+                                    )
+                                })}
+                            </g>
+                        )
+                    })}
+                </svg>
+                <div className="chart-labels">
+                    {data.map((point, i) => (
+                        <span key={point.bucket} style={{ width: `${100 / data.length}%` }}>
+                            {i % labelEvery === 0 ? formatBucket(point.bucket, bucket) : ''}
+                        </span>
+                    ))}
+                </div>
+            </div>
+        </div>
+    )
+}
+
+function Legend({ series }) {
+    return (
+        <div className="chart-legend">
+            {series.map(s => (
+                <span key={s.key} className="legend-item">
+                    <span className={`legend-swatch ${s.className}`}></span>
+                    {s.label}
+                </span>
+            ))}
+        </div>
+    )
+}
+
+const CALL_SERIES = [
+    { key: 'successful', label: 'Successful', className: 'success' },
+    { key: 'failed', label: 'Failed', className: 'failed' }
+]
+const SENDER_SERIES = [
+    { key: 'returningSenders', label: 'Returning', className: 'returning' },
+    { key: 'newSenders', label: 'First seen', className: 'new' }
+]
+
+/**
+ * Analytics panel - activity and wallet charts over a selectable window
+ * Refetches whenever refreshKey changes (e.g. the total event count)
+ */
+function Analytics({ apiUrl, refreshKey, onOpenWallet }) {
+    const [timeWindow, setTimeWindow] = useState('7d')
+    const [byBlock, setByBlock] = useState(false)
+    const [analytics, setAnalytics] = useState(null)
+    const [error, setError] = useState(null)
+
+    useEffect(() => {
+        let cancelled = false
+        const params = new URLSearchParams({ window: timeWindow })
+        if (byBlock) params.set('bucket', 'block')
+
+        fetch(`${apiUrl}/analytics?${params}`)
+            .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+            .then(data => {
+                if (cancelled) return
+                setAnalytics(data)
+                setError(null)
+            })
+            .catch(err => {
+                if (cancelled) return
+                console.error('Error fetching analytics:', err)
+                setError(err.message)
+            })
+
+        return () => { cancelled = true }
+    }, [apiUrl, timeWindow, byBlock, refreshKey])
+
+    const series = analytics?.series || []
+    const bucket = analytics?.bucket
+
+    return (
+        <section className="analytics-section">
+            <div className="section-header">
+                <h2 className="section-title">Activity</h2>
+                <div className="analytics-controls">
+                    <div className="toggle-group">
+                        {WINDOWS.map(w => (
+                            <button key={w.value} onClick={() => setTimeWindow(w.value)} className={`toggle-btn ${timeWindow === w.value ? 'active' : ''}`}>
+                                {w.label}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="toggle-group">
+                        <button onClick={() => setByBlock(false)} className={`toggle-btn ${!byBlock ? 'active' : ''}`}>By time</button>
+                        <button onClick={() => setByBlock(true)} className={`toggle-btn ${byBlock ? 'active' : ''}`}>By block</button>
+                    </div>
+                </div>
+            </div>
+
+            {error && <div className="chart-empty">Analytics unavailable: {error}</div>}
+
+            {analytics && (
+                <div className="analytics-grid">
+                    <div className="chart-card">
+                        <div className="chart-header">
+                            <h3>Calls</h3>
+                            <Legend series={CALL_SERIES} />
+                        </div>
+                        <StackedBarChart data={series} series={CALL_SERIES} bucket={bucket} />
+                    </div>
+
+                    <div className="chart-card">
+                        <div className="chart-header">
+                            <h3>Unique wallets</h3>
+                            <Legend series={SENDER_SERIES} />
+                        </div>
+                        <StackedBarChart data={series} series={SENDER_SERIES} bucket={bucket} />
+                        <div className="wallet-summary">
+                            <span><strong>{analytics.wallets.active}</strong> active</span>
+                            <span><strong>{analytics.wallets.new}</strong> first seen</span>
+                            <span><strong>{analytics.wallets.returning}</strong> returning</span>
+                        </div>
+                    </div>
+
+                    <div className="chart-card top-senders">
+                        <div className="chart-header">
+                            <h3>Top senders</h3>
+                        </div>
+                        {analytics.topSenders.length === 0 ? (
+                            <div className="chart-empty">No senders in this window</div>
+                        ) : (
+                            <table className="events-table compact">
+                                <thead>
+                                    <tr>
+                                        <th>Sender</th>
+                                        <th>Calls</th>
+                                        <th>Failed</th>
+                                        <th>First seen</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {analytics.topSenders.map(sender => (
+                                        <tr key={sender.sender}>
+                                            <td className="sender">
+                                                <SenderLink address={sender.sender} onOpen={onOpenWallet} length={16} />
+                                            </td>
+                                            <td>{sender.count}</td>
+                                            <td>{sender.failed}</td>
+                                            <td className="timestamp">{new Date(sender.firstSeen).toLocaleDateString()}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+                </div>
+            )}
+        </section>
+    )
+}
+
+export default Analytics
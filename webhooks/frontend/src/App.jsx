@@ -1,32 +1,96 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef, useCallback } from 'react'
+import Analytics from './Analytics'
+import WalletView from './WalletView'
+import EventFilters from './EventFilters'
+import EventDrawer from './EventDrawer'
+import ContractPanel from './ContractPanel'
+import WatchedTransactions from './WatchedTransactions'
+import { formatTime, SenderLink, StatusPill, TxLink } from './EventParts'
+import { readView, viewToSearch, hasFilters, eventsQuery, exportQuery } from './viewState'
 
 // Backend API URL - change this for production
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001'
 
+// Polling interval, used only while the live stream is unavailable
+const POLL_INTERVAL_MS = 5000
+// Longest wait between stream reconnect attempts
+const MAX_RECONNECT_DELAY_MS = 30000
+
+// Most recent watched transactions shown
+const WATCH_LIST_SIZE = 20
+
+// Whether an event belongs to a rolled-back block
+const inRolledBackBlock = (event, blocks) => blocks.some(block => block.blockHash
+    ? block.blockHash === event.blockHash
+    : block.blockHeight === event.blockHeight)
+
+// View fields that change which events the table shows
+const QUERY_FIELDS = ['q', 'method', 'status', 'fromBlock', 'toBlock', 'sort', 'order', 'limit', 'cursor']
+
 function App() {
     const [events, setEvents] = useState([])
+    const [totalEvents, setTotalEvents] = useState(0)
+    const [nextCursor, setNextCursor] = useState(null)
     const [stats, setStats] = useState(null)
     const [loading, setLoading] = useState(true)
     const [error, setError] = useState(null)
     const [lastUpdated, setLastUpdated] = useState(null)
-    const [displayCount, setDisplayCount] = useState(10)
+    // Network settings come from the backend so both always agree
+    const [network, setNetwork] = useState({ network: 'mainnet', explorerQuery: 'chain=mainnet' })
+    // True while the /stream connection is open
+    const [streaming, setStreaming] = useState(false)
+    // Filters, sorting, page, open wallet and open transaction - mirrored in the URL
+    const [view, setView] = useState(readView)
+    // The stream handlers and poller are set up once, so they read the view from here
+    const viewRef = useRef(view)
+    viewRef.current = view
+    // Transactions the backend follows until they're confirmed, failed or dropped
+    const [watched, setWatched] = useState({ transactions: [], counts: {} })
+
+    const fetchWatched = () => {
+        fetch(`${API_URL}/watch?limit=${WATCH_LIST_SIZE}`)
+            .then(res => res.ok ? res.json() : null)
+            .then(data => {
+                if (data?.success) setWatched({ transactions: data.transactions, counts: data.counts })
+            })
+            .catch(err => console.error('Error fetching watched transactions:', err))
+    }
+
+    // Throws the backend's error (e.g. an invalid txid) so forms can show it
+    const watchTransaction = async ({ txid, contractId, functionName }) => {
+        const res = await fetch(`${API_URL}/watch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ txid, contractId, functionName, source: 'dashboard' })
+        })
+        const data = await res.json()
+        if (!res.ok) throw new Error(data.error || 'Could not watch the transaction')
+        fetchWatched()
+    }
+
+    const trackSubmitted = (tx) => {
+        watchTransaction(tx).catch(err => console.error('Error watching submitted transaction:', err))
+    }
 
-    // Fetch events and stats from backend
+    // Fetch the current page of events and the overall stats from backend
     const fetchData = async () => {
         try {
             const [eventsRes, statsRes] = await Promise.all([
-                fetch(`${API_URL}/events?limit=100`), // Fetch more events
+                fetch(`${API_URL}/events?${eventsQuery(viewRef.current)}`), // Includes rolled-back events
                 fetch(`${API_URL}/stats`)
             ])
 
-            if (!eventsRes.ok || !statsRes.ok) {
-                throw new Error('Failed to fetch data from server')
-            }
-
             const eventsData = await eventsRes.json()
             const statsData = await statsRes.json()
 
+            if (!eventsRes.ok || !statsRes.ok) {
+                throw new Error(eventsData.error || 'Failed to fetch data from server')
+            }
+
             setEvents(eventsData.events || [])
+            fetchWatched()
+            setTotalEvents(eventsData.totalEvents || 0)
+            setNextCursor(eventsData.nextCursor || null)
             setStats(statsData.stats || null)
             setError(null)
             setLastUpdated(new Date())
@@ -38,49 +102,158 @@ function App() {
         }
     }
 
-    // Initial fetch and polling every 5 seconds
+    // Load the backend's network configuration once
     useEffect(() => {
-        fetchData()
-        const interval = setInterval(fetchData, 5000)
-        return () => clearInterval(interval)
+        fetch(`${API_URL}/config`)
+            .then(res => res.ok ? res.json() : null)
+            .then(config => {
+                if (config?.success) setNetwork(config)
+            })
+            .catch(err => console.error('Error fetching config:', err))
     }, [])
 
-    // Format timestamp for display
-    const formatTime = (timestamp) => {
-        if (!timestamp) return 'N/A'
-        return new Date(timestamp).toLocaleString()
-    }
+    // Follow browser back/forward between views
+    useEffect(() => {
+        const onPopState = () => setView(readView())
+        window.addEventListener('popstate', onPopState)
+        return () => window.removeEventListener('popstate', onPopState)
+    }, [])
 
-    // Truncate long strings
-    const truncate = (str, length = 16) => {
-        if (!str || str.length <= length) return str
-        return `${str.slice(0, length)}...`
-    }
+    // Move to a new view and record it in the URL
+    // Changing filters or sorting starts again from the first page.
+    const navigate = useCallback((changes, { keepPage = false } = {}) => {
+        const next = { ...viewRef.current, ...changes }
+        if (!keepPage && !('cursor' in changes)) next.cursor = ''
+        window.history.pushState(null, '', `${window.location.pathname}${viewToSearch(next)}`)
+        setView(next)
+    }, [])
 
-    // Format txid with link to explorer
-    const TxLink = ({ txid }) => {
-        if (!txid || txid === 'unknown') return <span className="tx-unknown">Unknown</span>
-        const explorerUrl = `https://explorer.stacks.co/txid/${txid}?chain=mainnet`
-        return (
-            <a href={explorerUrl} target="_blank" rel="noopener noreferrer" className="tx-link">
-                {truncate(txid, 12)}
-            </a>
-        )
+    const openWallet = (address) => {
+        navigate({ wallet: address || '', tx: '' }, { keepPage: true })
+        window.scrollTo(0, 0)
     }
+    const openTx = (txid) => navigate({ tx: txid }, { keepPage: true })
+    const closeTx = useCallback(() => navigate({ tx: '' }, { keepPage: true }), [navigate])
 
-    // Load more transactions
-    const loadMore = () => {
-        setDisplayCount(prev => Math.min(prev + 10, events.length))
-    }
+    // Refetch whenever the filters, sorting or page change
+    const queryKey = QUERY_FIELDS.map(field => view[field]).join('|')
+    const firstRender = useRef(true)
+    useEffect(() => {
+        if (firstRender.current) {
+            firstRender.current = false
+            return
+        }
+        fetchData()
+    }, [queryKey])
 
-    // Show fewer transactions
-    const showLess = () => {
-        setDisplayCount(10)
+    // Clicking a sortable column sorts by it, clicking it again flips the order
+    const sortBy = (field) => {
+        const order = view.sort === field && view.order === 'desc' ? 'asc' : 'desc'
+        navigate({ sort: field, order })
     }
+    const sortIndicator = (field) => view.sort === field ? (view.order === 'desc' ? ' ▼' : ' ▲') : ''
+
+    // Live updates over Server-Sent Events, polling only while the stream is down
+    useEffect(() => {
+        let source = null
+        let pollInterval = null
+        let reconnectTimer = null
+        let failures = 0
+
+        const startPolling = () => {
+            if (!pollInterval) pollInterval = setInterval(fetchData, POLL_INTERVAL_MS)
+        }
+        const stopPolling = () => {
+            clearInterval(pollInterval)
+            pollInterval = null
+        }
+
+        // On the unfiltered newest-first first page, new events are merged in
+        // by time (skipping ones we already have) - a late block lands below
+        // newer ones. Other first pages are refetched so filters and sorting
+        // still hold; later pages stay put.
+        const handleEvents = (message) => {
+            const { events: newEvents = [] } = JSON.parse(message.data)
+
+            const current = viewRef.current
+            if (current.cursor) return
+            if (hasFilters(current) || current.sort !== 'timestamp' || current.order !== 'desc') {
+                fetchData()
+                return
+            }
+            setEvents(prev => {
+                const known = new Set(prev.map(e => e.id))
+                const fresh = newEvents.filter(e => !known.has(e.id)).reverse()
+                return [...fresh, ...prev]
+                    .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+                    .slice(0, Number(current.limit))
+            })
+            setTotalEvents(prev => prev + newEvents.length)
+            setLastUpdated(new Date())
+        }
+
+        // Mark events from rolled-back blocks as orphaned
+        const handleRollback = (message) => {
+            const { blocks = [] } = JSON.parse(message.data)
+            const orphanedAt = new Date().toISOString()
+            setEvents(prev => prev.map(event => inRolledBackBlock(event, blocks) && event.status !== 'orphaned'
+                ? { ...event, status: 'orphaned', orphanedAt }
+                : event))
+        }
+
+        // Watched transactions changed status - reload the list and its counts
+        const handleWatch = () => fetchWatched()
+
+        const handleStats = (message) => {
+            const { stats: newStats } = JSON.parse(message.data)
+            setStats(newStats || null)
+            setLastUpdated(new Date())
+        }
+
+        const connect = () => {
+            source = new EventSource(`${API_URL}/stream`)
+
+            source.onopen = () => {
+                failures = 0
+                setStreaming(true)
+                stopPolling()
+                // Catch up on anything missed while disconnected
+                fetchData()
+            }
 
-    // Get displayed events
-    const displayedEvents = events.slice(0, displayCount)
-    const hasMore = displayCount < events.length
+            source.onerror = () => {
+                setStreaming(false)
+                startPolling()
+                // The browser retries dropped connections itself; reconnect
+                // manually (with backoff) only once it has given up
+                if (source.readyState === EventSource.CLOSED) {
+                    failures++
+                    const delay = Math.min(1000 * 2 ** failures, MAX_RECONNECT_DELAY_MS)
+                    reconnectTimer = setTimeout(connect, delay)
+                }
+            }
+
+            source.addEventListener('events', handleEvents)
+            source.addEventListener('rollback', handleRollback)
+            source.addEventListener('stats', handleStats)
+            source.addEventListener('watch', handleWatch)
+        }
+
+        fetchData()
+        if (typeof EventSource === 'undefined') {
+            startPolling()
+        } else {
+            connect()
+        }
+
+        return () => {
+            source?.close()
+            clearTimeout(reconnectTimer)
+            stopPolling()
+        }
+    }, [])
+
+    const methods = Object.keys(stats?.methodBreakdown || {}).sort()
 
     return (
         <div className="app">
@@ -97,8 +270,9 @@ function App() {
                                 Updated: {formatTime(lastUpdated)}
                             </span>
                         )}
-                        <span className={`status-badge ${error ? 'error' : 'live'}`}>
-                            {error ? '● Offline' : '● Live'}
+                        <span className="network-badge">{network.network}</span>
+                        <span className={`status-badge ${error ? 'error' : streaming ? 'live' : 'polling'}`}>
+                            {error ? '● Offline' : streaming ? '● Live' : '● Polling'}
                         </span>
                     </div>
                 </div>
@@ -114,118 +288,176 @@ function App() {
                     </div>
                 )}
 
-                {/* Stats Cards */}
-                <section className="stats-section">
-                    <h2 className="section-title">Contract Statistics</h2>
-                    <div className="stats-grid">
-                        <div className="stat-card primary">
-                            <div className="stat-value">
-                                {loading ? '...' : (stats?.totalInteractions || 0)}
-                            </div>
-                            <div className="stat-label">Total Interactions</div>
-                        </div>
-                        <div className="stat-card">
-                            <div className="stat-value">
-                                {loading ? '...' : (stats?.uniqueSenders || 0)}
-                            </div>
-                            <div className="stat-label">Unique Wallets</div>
-                        </div>
-                        <div className="stat-card success">
-                            <div className="stat-value">
-                                {loading ? '...' : (stats?.successfulTransactions || 0)}
-                            </div>
-                            <div className="stat-label">Successful TXs</div>
-                        </div>
-                        <div className="stat-card danger">
-                            <div className="stat-value">
-                                {loading ? '...' : (stats?.failedTransactions || 0)}
+                {view.wallet ? (
+                    <WalletView apiUrl={API_URL} address={view.wallet} explorerQuery={network.explorerQuery} onBack={() => openWallet(null)} />
+                ) : (
+                    <>
+                        {/* Stats Cards */}
+                        <section className="stats-section">
+                            <h2 className="section-title">Contract Statistics</h2>
+                            <div className="stats-grid">
+                                <div className="stat-card primary">
+                                    <div className="stat-value">
+                                        {loading ? '...' : (stats?.totalInteractions || 0)}
+                                    </div>
+                                    <div className="stat-label">Total Interactions</div>
+                                </div>
+                                <div className="stat-card">
+                                    <div className="stat-value">
+                                        {loading ? '...' : (stats?.uniqueSenders || 0)}
+                                    </div>
+                                    <div className="stat-label">Unique Wallets</div>
+                                </div>
+                                <div className="stat-card success">
+                                    <div className="stat-value">
+                                        {loading ? '...' : (stats?.successfulTransactions || 0)}
+                                    </div>
+                                    <div className="stat-label">Successful TXs</div>
+                                </div>
+                                <div className="stat-card danger">
+                                    <div className="stat-value">
+                                        {loading ? '...' : (stats?.failedTransactions || 0)}
+                                    </div>
+                                    <div className="stat-label">Failed TXs</div>
+                                </div>
                             </div>
-                            <div className="stat-label">Failed TXs</div>
-                        </div>
-                    </div>
-                </section>
-
-                {/* Recent Transactions */}
-                <section className="events-section">
-                    <div className="section-header">
-                        <h2 className="section-title">Recent Transactions</h2>
-                        <span className="transaction-count">
-                            Showing {displayedEvents.length} of {events.length}
-                        </span>
-                    </div>
+                        </section>
 
-                    {loading ? (
-                        <div className="loading">
-                            <div className="spinner"></div>
-                            <span>Loading events...</span>
-                        </div>
-                    ) : events.length === 0 ? (
-                        <div className="empty-state">
-                            <div className="empty-icon">📭</div>
-                            <h3>No transactions yet</h3>
-                            <p>Waiting for contract interactions on Stacks mainnet...</p>
-                        </div>
-                    ) : (
-                        <>
-                            <div className="events-table-wrapper scrollable">
-                                <table className="events-table">
-                                    <thead>
-                                        <tr>
-                                            <th>Transaction ID</th>
-                                            <th>Sender</th>
-                                            <th>Method</th>
-                                            <th>Block</th>
-                                            <th>Status</th>
-                                            <th>Time</th>
-                                        </tr>
-                                    </thead>
-                                    <tbody>
-                                        {displayedEvents.map((event) => (
-                                            <tr key={event.id}>
-                                                <td>
-                                                    <TxLink txid={event.txid} />
-                                                </td>
-                                                <td className="sender">
-                                                    <code>{truncate(event.sender, 20)}</code>
-                                                </td>
-                                                <td>
-                                                    <span className="method-badge">{event.method || 'unknown'}</span>
-                                                </td>
-                                                <td className="block-height">
-                                                    {event.blockHeight || 'N/A'}
-                                                </td>
-                                                <td>
-                                                    <span className={`status-pill ${event.success ? 'success' : 'failed'}`}>
-                                                        {event.success ? 'Success' : 'Failed'}
-                                                    </span>
-                                                </td>
-                                                <td className="timestamp">
-                                                    {formatTime(event.timestamp)}
-                                                </td>
-                                            </tr>
-                                        ))}
-                                    </tbody>
-                                </table>
-                            </div>
+                        {/* Time series, wallets and top senders */}
+                        <Analytics apiUrl={API_URL} refreshKey={stats?.totalInteractions} onOpenWallet={openWallet} />
 
-                            {/* Load More / Show Less Buttons */}
-                            <div className="pagination-controls">
-                                {hasMore && (
-                                    <button onClick={loadMore} className="load-more-btn">
-                                        Load More ({events.length - displayCount} remaining)
-                                    </button>
-                                )}
-                                {displayCount > 10 && (
-                                    <button onClick={showLess} className="show-less-btn">
-                                        Show Less
-                                    </button>
-                                )}
+                        {/* Wallet connection, read-only calls and contract calls */}
+                        {network.contracts?.length > 0 && (
+                            <ContractPanel config={network} onSubmitted={trackSubmitted} />
+                        )}
+
+                        {/* Pending, confirmed, failed and dropped transactions */}
+                        <WatchedTransactions
+                            watched={watched}
+                            explorerQuery={network.explorerQuery}
+                            onWatch={watchTransaction}
+                            onOpenTx={openTx}
+                        />
+
+                        {/* Recent Transactions */}
+                        <section className="events-section">
+                            <div className="section-header">
+                                <h2 className="section-title">{hasFilters(view) ? 'Matching Transactions' : 'Recent Transactions'}</h2>
+                                <div className="section-actions">
+                                    <span className="transaction-count">
+                                        Showing {events.length} of {totalEvents}
+                                    </span>
+                                    {/* Downloads every event matching the filters */}
+                                    <a className="filter-btn" href={`${API_URL}/events/export?${exportQuery(view, 'csv')}`} download>
+                                        Export CSV
+                                    </a>
+                                    <a className="filter-btn" href={`${API_URL}/events/export?${exportQuery(view, 'ndjson')}`} download>
+                                        Export NDJSON
+                                    </a>
+                                </div>
                             </div>
-                        </>
-                    )}
-                </section>
+
+                            <EventFilters view={view} methods={methods} onChange={navigate} />
+
+                            {loading ? (
+                                <div className="loading">
+                                    <div className="spinner"></div>
+                                    <span>Loading events...</span>
+                                </div>
+                            ) : events.length === 0 ? (
+                                hasFilters(view) ? (
+                                    <div className="empty-state">
+                                        <div className="empty-icon">🔍</div>
+                                        <h3>No matching transactions</h3>
+                                        <p>Try widening the filters.</p>
+                                    </div>
+                                ) : (
+                                    <div className="empty-state">
+                                        <div className="empty-icon">📭</div>
+                                        <h3>No transactions yet</h3>
+                                        <p>Waiting for contract interactions on Stacks {network.network}...</p>
+                                    </div>
+                                )
+                            ) : (
+                                <>
+                                    <div className="events-table-wrapper scrollable">
+                                        <table className="events-table">
+                                            <thead>
+                                                <tr>
+                                                    <th>Transaction ID</th>
+                                                    <th>Sender</th>
+                                                    <th>Method</th>
+                                                    <th className="sortable" onClick={() => sortBy('blockHeight')}>
+                                                        Block{sortIndicator('blockHeight')}
+                                                    </th>
+                                                    <th>Status</th>
+                                                    <th className="sortable" onClick={() => sortBy('timestamp')}>
+                                                        Time{sortIndicator('timestamp')}
+                                                    </th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {events.map((event) => (
+                                                    <tr
+                                                        key={event.id}
+                                                        className={`clickable-row ${event.status === 'orphaned' ? 'orphaned-row' : ''}`}
+                                                        onClick={() => openTx(event.txid)}
+                                                    >
+                                                        {/* Links inside the row shouldn't also open the drawer */}
+                                                        <td onClick={e => e.stopPropagation()}>
+                                                            <TxLink txid={event.txid} explorerQuery={network.explorerQuery} />
+                                                        </td>
+                                                        <td className="sender" onClick={e => e.stopPropagation()}>
+                                                            <SenderLink address={event.sender} onOpen={openWallet} />
+                                                        </td>
+                                                        <td>
+                                                            <span className="method-badge">{event.method || 'unknown'}</span>
+                                                        </td>
+                                                        <td className="block-height">
+                                                            {event.blockHeight || 'N/A'}
+                                                        </td>
+                                                        <td>
+                                                            <StatusPill event={event} />
+                                                        </td>
+                                                        <td className="timestamp">
+                                                            {formatTime(event.timestamp)}
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+
+                                    {/* Cursor paging - each page has its own URL, so the browser's back button steps back */}
+                                    <div className="pagination-controls">
+                                        {view.cursor && (
+                                            <button onClick={() => navigate({ cursor: '' })} className="show-less-btn">
+                                                ← First page
+                                            </button>
+                                        )}
+                                        {nextCursor && (
+                                            <button onClick={() => navigate({ cursor: nextCursor })} className="load-more-btn">
+                                                Next page →
+                                            </button>
+                                        )}
+                                    </div>
+                                </>
+                            )}
+                        </section>
+                    </>
+                )}
             </main>
 
+            {view.tx && (
+                <EventDrawer
+                    apiUrl={API_URL}
+                    txid={view.tx}
+                    explorerQuery={network.explorerQuery}
+                    onClose={closeTx}
+                    onOpenWallet={openWallet}
+                />
+            )}
+
             {/* Footer */}
             <footer className="footer">
                 <p>
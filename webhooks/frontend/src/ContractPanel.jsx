@@ -0,0 +1,246 @@
+import { useState, useEffect } from 'react'
+import { AppConfig, UserSession, showConnect, openContractCall } from '@stacks/connect'
+import { StacksDevnet, StacksMainnet, StacksTestnet } from '@stacks/network'
+import { callReadOnlyFunction, cvToString, PostConditionMode } from '@stacks/transactions'
+import { inputKind, placeholder, toClarityValue, typeLabel } from './clarityArgs'
+
+const APP_DETAILS = {
+    name: 'Stacks Chainhook Monitor',
+    icon: `${window.location.origin}/vite.svg`
+}
+
+// Wallet session, kept by @stacks/connect in local storage across reloads
+const userSession = new UserSession({ appConfig: new AppConfig(['store_write']) })
+
+const NETWORK_CLASSES = { mainnet: StacksMainnet, testnet: StacksTestnet, devnet: StacksDevnet }
+
+/**
+ * @stacks/network instance pointed at the same API as the backend
+ */
+const stacksNetwork = ({ network, apiUrl }) => new (NETWORK_CLASSES[network] || StacksMainnet)({ url: apiUrl })
+
+/**
+ * Connected wallet's address on this network, or null
+ */
+const walletAddress = (network) => {
+    if (!userSession.isUserSignedIn()) return null
+    const addresses = userSession.loadUserData().profile.stxAddress
+    return network === 'mainnet' ? addresses.mainnet : addresses.testnet
+}
+
+const splitContractId = (contractId) => {
+    const [contractAddress, contractName] = contractId.split('.')
+    return { contractAddress, contractName }
+}
+
+/**
+ * Form for one contract function - arguments generated from its ABI entry
+ * Read-only functions run against the API; public ones open the wallet.
+ */
+function FunctionForm({ fn, contractId, config, sender, onSubmitted }) {
+    const [values, setValues] = useState({})
+    const [allowTransfers, setAllowTransfers] = useState(false)
+    const [result, setResult] = useState(null)
+    const [error, setError] = useState(null)
+    const [busy, setBusy] = useState(false)
+    const readOnly = fn.access === 'read_only'
+
+    const setValue = (name, value) => setValues(prev => ({ ...prev, [name]: value }))
+
+    const submit = async (e) => {
+        e.preventDefault()
+        setError(null)
+        setResult(null)
+
+        let functionArgs
+        try {
+            functionArgs = fn.args.map(arg => toClarityValue(arg.type, values[arg.name] ?? (arg.type === 'bool' ? 'false' : ''), arg.name))
+        } catch (err) {
+            setError(err.message)
+            return
+        }
+
+        const { contractAddress, contractName } = splitContractId(contractId)
+        const network = stacksNetwork(config)
+
+        if (readOnly) {
+            setBusy(true)
+            try {
+                const value = await callReadOnlyFunction({
+                    contractAddress,
+                    contractName,
+                    functionName: fn.name,
+                    functionArgs,
+                    network,
+                    senderAddress: sender || contractAddress
+                })
+                setResult(cvToString(value))
+            } catch (err) {
+                setError(err.message)
+            } finally {
+                setBusy(false)
+            }
+            return
+        }
+
+        openContractCall({
+            contractAddress,
+            contractName,
+            functionName: fn.name,
+            functionArgs,
+            network,
+            appDetails: APP_DETAILS,
+            // Deny mode fails any call that moves assets without a post condition
+            postConditionMode: allowTransfers ? PostConditionMode.Allow : PostConditionMode.Deny,
+            onFinish: (data) => {
+                setResult(`Submitted ${data.txId}`)
+                onSubmitted({ txid: data.txId, contractId, functionName: fn.name })
+            },
+            onCancel: () => setError('Cancelled in wallet')
+        })
+    }
+
+    return (
+        <form className="function-card" onSubmit={submit}>
+            <div className="function-header">
+                <code className="function-name">{fn.name}</code>
+                <span className="function-output">→ {typeLabel(fn.outputs.type)}</span>
+            </div>
+
+            {fn.args.map(arg => (
+                <label key={arg.name} className="function-arg">
+                    <span>{arg.name} <em>{typeLabel(arg.type)}</em></span>
+                    {inputKind(arg.type) === 'bool' ? (
+                        <select className="filter-input" value={values[arg.name] ?? 'false'} onChange={e => setValue(arg.name, e.target.value)}>
+                            <option value="false">false</option>
+                            <option value="true">true</option>
+                        </select>
+                    ) : (
+                        <input
+                            className="filter-input"
+                            placeholder={placeholder(arg.type)}
+                            value={values[arg.name] ?? ''}
+                            onChange={e => setValue(arg.name, e.target.value)}
+                        />
+                    )}
+                </label>
+            ))}
+
+            {!readOnly && (
+                <label className="function-option">
+                    <input type="checkbox" checked={allowTransfers} onChange={e => setAllowTransfers(e.target.checked)} />
+                    Allow asset transfers
+                </label>
+            )}
+
+            <button type="submit" className="filter-btn primary" disabled={busy || (!readOnly && !sender)}>
+                {readOnly ? (busy ? 'Calling...' : 'Call') : sender ? 'Submit transaction' : 'Connect a wallet to submit'}
+            </button>
+
+            {result && <code className="function-result">{result}</code>}
+            {error && <div className="function-error">{error}</div>}
+        </form>
+    )
+}
+
+/**
+ * Contract interaction panel - connect a wallet, run read-only functions and
+ * submit calls to the monitored contracts (reported through onSubmitted)
+ */
+function ContractPanel({ config, onSubmitted }) {
+    const contracts = config.contracts || []
+    const [contractId, setContractId] = useState(contracts[0] || '')
+    const [abi, setAbi] = useState(null)
+    const [error, setError] = useState(null)
+    const [sender, setSender] = useState(() => walletAddress(config.network))
+
+    // Follow the backend config once it has loaded
+    useEffect(() => {
+        if (!contracts.includes(contractId)) setContractId(contracts[0] || '')
+        setSender(walletAddress(config.network))
+    }, [config])
+
+    useEffect(() => {
+        if (!contractId || !config.apiUrl) return
+        let cancelled = false
+        const { contractAddress, contractName } = splitContractId(contractId)
+        setAbi(null)
+        setError(null)
+
+        fetch(`${config.apiUrl}/v2/contracts/interface/${contractAddress}/${contractName}`)
+            .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+            .then(data => {
+                if (!cancelled) setAbi(data)
+            })
+            .catch(err => {
+                if (!cancelled) setError(`Could not load the contract interface: ${err.message}`)
+            })
+
+        return () => { cancelled = true }
+    }, [contractId, config.apiUrl])
+
+    const connect = () => {
+        showConnect({
+            appDetails: APP_DETAILS,
+            userSession,
+            onFinish: () => setSender(walletAddress(config.network))
+        })
+    }
+
+    const disconnect = () => {
+        userSession.signUserOut()
+        setSender(null)
+    }
+
+    const functions = abi?.functions || []
+    const readOnly = functions.filter(fn => fn.access === 'read_only')
+    const publicFns = functions.filter(fn => fn.access === 'public')
+
+    return (
+        <section className="contract-section">
+            <div className="section-header">
+                <h2 className="section-title">Contract</h2>
+                <div className="section-actions">
+                    {contracts.length > 1 && (
+                        <select className="filter-input" value={contractId} onChange={e => setContractId(e.target.value)}>
+                            {contracts.map(id => <option key={id} value={id}>{id}</option>)}
+                        </select>
+                    )}
+                    {sender ? (
+                        <>
+                            <code className="wallet-connected" title={sender}>{sender.slice(0, 8)}...{sender.slice(-4)}</code>
+                            <button type="button" className="filter-btn" onClick={disconnect}>Disconnect</button>
+                        </>
+                    ) : (
+                        <button type="button" className="filter-btn primary" onClick={connect}>Connect wallet</button>
+                    )}
+                </div>
+            </div>
+
+            {contractId && <p className="contract-id"><code>{contractId}</code></p>}
+
+            {error ? (
+                <div className="chart-empty">{error}</div>
+            ) : !abi ? (
+                <div className="chart-empty">Loading contract interface...</div>
+            ) : (
+                <div className="function-grid">
+                    <div>
+                        <h3>Read-only functions</h3>
+                        {readOnly.map(fn => (
+                            <FunctionForm key={fn.name} fn={fn} contractId={contractId} config={config} sender={sender} />
+                        ))}
+                    </div>
+                    <div>
+                        <h3>Public functions</h3>
+                        {publicFns.map(fn => (
+                            <FunctionForm key={fn.name} fn={fn} contractId={contractId} config={config} sender={sender} onSubmitted={onSubmitted} />
+                        ))}
+                    </div>
+                </div>
+            )}
+        </section>
+    )
+}
+
+export default ContractPanel
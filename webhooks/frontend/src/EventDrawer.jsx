@@ -0,0 +1,162 @@
+import { useState, useEffect } from 'react'
+import { clarityRepr, formatTime, SenderLink, StatusPill, TxLink } from './EventParts'
+
+/**
+ * One event of a transaction: fields, decoded arguments and result, raw payload
+ */
+function EventDetail({ event, explorerQuery, onOpenWallet }) {
+    const [showRaw, setShowRaw] = useState(false)
+
+    return (
+        <div className="drawer-event">
+            <dl className="detail-list">
+                <dt>Status</dt>
+                <dd><StatusPill event={event} /></dd>
+                <dt>Sender</dt>
+                <dd className="sender"><SenderLink address={event.sender} onOpen={onOpenWallet} length={42} /></dd>
+                <dt>Contract</dt>
+                <dd><code>{event.contractId}</code></dd>
+                <dt>Type</dt>
+                <dd>{event.eventType}</dd>
+                <dt>Method</dt>
+                <dd><span className="method-badge">{event.method || 'unknown'}</span></dd>
+                <dt>Block</dt>
+                <dd>
+                    {event.blockHeight || 'N/A'}
+                    {event.blockHash && <code className="block-hash" title={event.blockHash}> {event.blockHash}</code>}
+                </dd>
+                <dt>Block time</dt>
+                <dd>{formatTime(event.blockTime)}</dd>
+                <dt>Position</dt>
+                <dd>{event.txIndex ?? 'N/A'}</dd>
+                <dt>Fee</dt>
+                <dd>{event.fee ? `${event.fee} µSTX` : 'N/A'}</dd>
+                <dt>Nonce</dt>
+                <dd>{event.nonce ?? 'N/A'}</dd>
+                <dt>Received</dt>
+                <dd>{formatTime(event.receivedAt || event.timestamp)}</dd>
+                <dt>Schema</dt>
+                <dd>v{event.schemaVersion || 1}</dd>
+                <dt>Explorer</dt>
+                <dd><TxLink txid={event.txid} explorerQuery={explorerQuery} /></dd>
+            </dl>
+
+            {event.parseError && (
+                <div className="error-banner">
+                    <span className="error-icon">⚠️</span>
+                    <span>Could not parse this event: {event.parseError}</span>
+                </div>
+            )}
+
+            {event.args?.length > 0 && (
+                <>
+                    <h3>Arguments</h3>
+                    <table className="events-table compact">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Type</th>
+                                <th>Value</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {event.args.map((arg, i) => (
+                                <tr key={i}>
+                                    <td>{arg.name || `#${i + 1}`}</td>
+                                    <td><code>{arg.type}</code></td>
+                                    <td className="clarity-value"><code>{clarityRepr(arg)}</code></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            )}
+
+            {event.result && (
+                <>
+                    <h3>Result</h3>
+                    <code className="clarity-value block">{clarityRepr(event.result)}</code>
+                </>
+            )}
+
+            {event.details && (
+                <>
+                    <h3>Details</h3>
+                    <pre className="raw-payload">{JSON.stringify(event.details, null, 2)}</pre>
+                </>
+            )}
+
+            <button type="button" className="show-less-btn" onClick={() => setShowRaw(prev => !prev)}>
+                {showRaw ? 'Hide raw payload' : 'Show raw payload'}
+            </button>
+            {showRaw && <pre className="raw-payload">{JSON.stringify(event.raw, null, 2)}</pre>}
+        </div>
+    )
+}
+
+/**
+ * Side drawer with every event of a transaction, from GET /events/:txid
+ * Closes on Escape or a click outside it.
+ */
+function EventDrawer({ apiUrl, txid, explorerQuery, onClose, onOpenWallet }) {
+    const [events, setEvents] = useState(null)
+    const [error, setError] = useState(null)
+
+    useEffect(() => {
+        let cancelled = false
+        setEvents(null)
+        setError(null)
+
+        fetch(`${apiUrl}/events/${encodeURIComponent(txid)}`)
+            .then(async res => {
+                const data = await res.json()
+                if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+                return data
+            })
+            .then(data => {
+                if (!cancelled) setEvents(data.events)
+            })
+            .catch(err => {
+                if (!cancelled) setError(err.message)
+            })
+
+        return () => { cancelled = true }
+    }, [apiUrl, txid])
+
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') onClose()
+        }
+        window.addEventListener('keydown', onKeyDown)
+        return () => window.removeEventListener('keydown', onKeyDown)
+    }, [onClose])
+
+    return (
+        <div className="drawer-backdrop" onClick={onClose}>
+            <aside className="drawer" onClick={e => e.stopPropagation()}>
+                <div className="drawer-header">
+                    <div>
+                        <h2 className="section-title">Transaction</h2>
+                        <code className="drawer-txid">{txid}</code>
+                    </div>
+                    <button type="button" className="drawer-close" onClick={onClose} aria-label="Close">✕</button>
+                </div>
+
+                {error ? (
+                    <div className="chart-empty">{error}</div>
+                ) : !events ? (
+                    <div className="loading">
+                        <div className="spinner"></div>
+                        <span>Loading transaction...</span>
+                    </div>
+                ) : (
+                    events.map(event => (
+                        <EventDetail key={event.id} event={event} explorerQuery={explorerQuery} onOpenWallet={onOpenWallet} />
+                    ))
+                )}
+            </aside>
+        </div>
+    )
+}
+
+export default EventDrawer
@@ -0,0 +1,71 @@
+import { useState, useEffect } from 'react'
+import { PAGE_SIZES, hasFilters } from './viewState'
+
+/**
+ * Filter bar for the transactions table
+ * Text fields apply on submit, selects apply as soon as they change.
+ * Every change goes through onChange, which resets paging.
+ */
+function EventFilters({ view, methods, onChange }) {
+    const [draft, setDraft] = useState({ q: view.q, fromBlock: view.fromBlock, toBlock: view.toBlock })
+
+    // Keep the inputs in step with the URL (back/forward, cleared filters)
+    useEffect(() => {
+        setDraft({ q: view.q, fromBlock: view.fromBlock, toBlock: view.toBlock })
+    }, [view.q, view.fromBlock, view.toBlock])
+
+    const setField = (key) => (e) => setDraft(prev => ({ ...prev, [key]: e.target.value }))
+
+    const submit = (e) => {
+        e.preventDefault()
+        onChange({ q: draft.q.trim(), fromBlock: draft.fromBlock, toBlock: draft.toBlock })
+    }
+
+    const clear = () => onChange({ q: '', method: '', status: '', fromBlock: '', toBlock: '' })
+
+    return (
+        <form className="filter-bar" onSubmit={submit}>
+            <input
+                type="search"
+                className="filter-input search"
+                placeholder="Search sender address or txid"
+                value={draft.q}
+                onChange={setField('q')}
+            />
+            <select className="filter-input" value={view.method} onChange={e => onChange({ method: e.target.value })}>
+                <option value="">All methods</option>
+                {methods.map(method => <option key={method} value={method}>{method}</option>)}
+            </select>
+            <select className="filter-input" value={view.status} onChange={e => onChange({ status: e.target.value })}>
+                <option value="">Any status</option>
+                <option value="success">Success</option>
+                <option value="failed">Failed</option>
+            </select>
+            <input
+                type="number"
+                min="0"
+                className="filter-input block"
+                placeholder="From block"
+                value={draft.fromBlock}
+                onChange={setField('fromBlock')}
+            />
+            <input
+                type="number"
+                min="0"
+                className="filter-input block"
+                placeholder="To block"
+                value={draft.toBlock}
+                onChange={setField('toBlock')}
+            />
+            <select className="filter-input" value={view.limit} onChange={e => onChange({ limit: e.target.value })} title="Rows per page">
+                {PAGE_SIZES.map(size => <option key={size} value={size}>{size} / page</option>)}
+            </select>
+            <button type="submit" className="filter-btn primary">Apply</button>
+            {hasFilters(view) && (
+                <button type="button" className="filter-btn" onClick={clear}>Clear</button>
+            )}
+        </form>
+    )
+}
+
+export default EventFilters
@@ -0,0 +1,89 @@
+// Small pieces shared by the dashboard views
+
+// Format timestamp for display
+export const formatTime = (timestamp) => {
+    if (!timestamp) return 'N/A'
+    return new Date(timestamp).toLocaleString()
+}
+
+// Truncate long strings
+export const truncate = (str, length = 16) => {
+    if (!str || str.length <= length) return str
+    return `${str.slice(0, length)}...`
+}
+
+// Format txid with link to explorer
+export function TxLink({ txid, explorerQuery }) {
+    if (!txid || txid === 'unknown') return <span className="tx-unknown">Unknown</span>
+    const explorerUrl = `https://explorer.stacks.co/txid/${txid}?${explorerQuery}`
+    return (
+        <a href={explorerUrl} target="_blank" rel="noopener noreferrer" className="tx-link">
+            {truncate(txid, 12)}
+        </a>
+    )
+}
+
+// Sender that opens the wallet view when clicked
+export function SenderLink({ address, onOpen, length = 20 }) {
+    if (!address || address === 'unknown') return <code>unknown</code>
+    return (
+        <button type="button" className="sender-link" title={address} onClick={() => onOpen(address)}>
+            <code>{truncate(address, length)}</code>
+        </button>
+    )
+}
+
+// Status pill for an event - orphaned (rolled back) events override success/failure
+export function StatusPill({ event }) {
+    if (event.status === 'orphaned') {
+        return (
+            <span className="status-pill orphaned" title={`Rolled back at ${formatTime(event.orphanedAt)}`}>
+                Orphaned
+            </span>
+        )
+    }
+    // Failed calls show the decoded Clarity error code, e.g. "err u401"
+    if (!event.success && event.errorCode) {
+        return (
+            <span className="status-pill failed" title={`Contract returned (err ${event.errorCode})`}>
+                err {event.errorCode}
+            </span>
+        )
+    }
+    return (
+        <span className={`status-pill ${event.success ? 'success' : 'failed'}`}>
+            {event.success ? 'Success' : 'Failed'}
+        </span>
+    )
+}
+
+// Render a decoded Clarity value (as stored by the backend) in Clarity syntax
+export const clarityRepr = (cv) => {
+    if (!cv) return ''
+    switch (cv.type) {
+        case 'uint':
+            return `u${cv.value}`
+        case 'int':
+        case 'bool':
+        case 'buffer':
+            return String(cv.value)
+        case 'principal':
+            return `'${cv.value}`
+        case 'none':
+            return 'none'
+        case 'some':
+        case 'ok':
+        case 'err':
+            return `(${cv.type} ${clarityRepr(cv.value)})`
+        case 'list':
+            return cv.value.length ? `(list ${cv.value.map(clarityRepr).join(' ')})` : '(list)'
+        case 'tuple':
+            return `{${Object.entries(cv.value).map(([key, value]) => `${key}: ${clarityRepr(value)}`).join(', ')}}`
+        case 'string-ascii':
+            return JSON.stringify(cv.value)
+        case 'string-utf8':
+            return `u${JSON.stringify(cv.value)}`
+        default:
+            return cv.value === null || cv.value === undefined ? '' : String(cv.value)
+    }
+}
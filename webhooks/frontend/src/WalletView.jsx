@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react'
+import { formatTime, StatusPill, TxLink } from './EventParts'
+
+// Events per page of the wallet's transaction list
+const PAGE_SIZE = 25
+
+/**
+ * One address's activity: totals, success rate, first/last seen blocks,
+ * methods used and its transactions
+ */
+function WalletView({ apiUrl, address, explorerQuery, onBack }) {
+    const [wallet, setWallet] = useState(null)
+    const [events, setEvents] = useState([])
+    const [nextCursor, setNextCursor] = useState(null)
+    const [loading, setLoading] = useState(true)
+    const [loadingMore, setLoadingMore] = useState(false)
+    const [error, setError] = useState(null)
+
+    useEffect(() => {
+        let cancelled = false
+        setLoading(true)
+        setWallet(null)
+        setEvents([])
+
+        fetch(`${apiUrl}/wallets/${encodeURIComponent(address)}?limit=${PAGE_SIZE}`)
+            .then(async res => {
+                const data = await res.json()
+                if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+                return data
+            })
+            .then(data => {
+                if (cancelled) return
+                setWallet(data)
+                setEvents(data.events)
+                setNextCursor(data.nextCursor)
+                setError(null)
+            })
+            .catch(err => {
+                if (!cancelled) setError(err.message)
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false)
+            })
+
+        return () => { cancelled = true }
+    }, [apiUrl, address])
+
+    const loadMore = async () => {
+        setLoadingMore(true)
+        try {
+            const res = await fetch(`${apiUrl}/wallets/${encodeURIComponent(address)}?limit=${PAGE_SIZE}&cursor=${nextCursor}`)
+            const data = await res.json()
+            if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+            setEvents(prev => [...prev, ...data.events])
+            setNextCursor(data.nextCursor)
+        } catch (err) {
+            setError(err.message)
+        } finally {
+            setLoadingMore(false)
+        }
+    }
+
+    const summary = wallet?.summary
+    const methods = Object.entries(wallet?.methods || {}).sort((a, b) => b[1] - a[1])
+    const contracts = Object.keys(wallet?.contracts || {})
+
+    return (
+        <section className="wallet-section">
+            <div className="wallet-header">
+                <button onClick={onBack} className="show-less-btn">← Back</button>
+                <div>
+                    <h2 className="section-title">Wallet</h2>
+                    <a
+                        href={`https://explorer.stacks.co/address/${address}?${explorerQuery}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="wallet-address"
+                    >
+                        <code>{address}</code>
+                    </a>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="loading">
+                    <div className="spinner"></div>
+                    <span>Loading wallet...</span>
+                </div>
+            ) : error && !wallet ? (
+                <div className="empty-state">
+                    <div className="empty-icon">🔍</div>
+                    <h3>No activity found</h3>
+                    <p>{error}</p>
+                </div>
+            ) : (
+                <>
+                    <div className="stats-grid">
+                        <div className="stat-card primary">
+                            <div className="stat-value">{summary.totalCalls}</div>
+                            <div className="stat-label">Interactions</div>
+                        </div>
+                        <div className={`stat-card ${summary.successRate >= 0.5 ? 'success' : 'danger'}`}>
+                            <div className="stat-value">{Math.round(summary.successRate * 100)}%</div>
+                            <div className="stat-label">Success Rate ({summary.failed} failed)</div>
+                        </div>
+                        <div className="stat-card">
+                            <div className="stat-value">{summary.firstSeen.blockHeight || 'N/A'}</div>
+                            <div className="stat-label" title={formatTime(summary.firstSeen.timestamp)}>First Seen Block</div>
+                        </div>
+                        <div className="stat-card">
+                            <div className="stat-value">{summary.lastSeen.blockHeight || 'N/A'}</div>
+                            <div className="stat-label" title={formatTime(summary.lastSeen.timestamp)}>Last Seen Block</div>
+                        </div>
+                    </div>
+
+                    <div className="wallet-breakdown">
+                        <div>
+                            <h3>Methods used</h3>
+                            <div className="chip-list">
+                                {methods.map(([method, count]) => (
+                                    <span key={method} className="method-badge">{method} × {count}</span>
+                                ))}
+                            </div>
+                        </div>
+                        <div>
+                            <h3>Contracts</h3>
+                            <div className="chip-list">
+                                {contracts.map(contract => <code key={contract}>{contract}</code>)}
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="section-header">
+                        <h2 className="section-title">Transactions</h2>
+                        <span className="transaction-count">Showing {events.length} of {summary.totalCalls}</span>
+                    </div>
+                    <div className="events-table-wrapper">
+                        <table className="events-table">
+                            <thead>
+                                <tr>
+                                    <th>Transaction ID</th>
+                                    <th>Method</th>
+                                    <th>Block</th>
+                                    <th>Status</th>
+                                    <th>Time</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {events.map(event => (
+                                    <tr key={event.id}>
+                                        <td><TxLink txid={event.txid} explorerQuery={explorerQuery} /></td>
+                                        <td><span className="method-badge">{event.method || 'unknown'}</span></td>
+                                        <td className="block-height">{event.blockHeight || 'N/A'}</td>
+                                        <td><StatusPill event={event} /></td>
+                                        <td className="timestamp">{formatTime(event.timestamp)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {nextCursor && (
+                        <div className="pagination-controls">
+                            <button onClick={loadMore} className="load-more-btn" disabled={loadingMore}>
+                                {loadingMore ? 'Loading...' : 'Load More'}
+                            </button>
+                        </div>
+                    )}
+                </>
+            )}
+        </section>
+    )
+}
+
+export default WalletView
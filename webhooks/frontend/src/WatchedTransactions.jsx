@@ -0,0 +1,109 @@
+import { useState } from 'react'
+import { formatTime, TxLink } from './EventParts'
+
+const STATUSES = ['pending', 'confirmed', 'failed', 'dropped']
+
+// Pill style for each watch status
+const PILL_CLASSES = { pending: 'pending', confirmed: 'success', failed: 'failed', dropped: 'orphaned' }
+
+function WatchStatusPill({ tx }) {
+    return (
+        <span className={`status-pill ${PILL_CLASSES[tx.status] || 'pending'}`} title={tx.reason || undefined}>
+            {tx.status}
+        </span>
+    )
+}
+
+/**
+ * Transactions the backend follows from pending to confirmed, failed or
+ * dropped - submitted from the contract panel or added by txid
+ */
+function WatchedTransactions({ watched, explorerQuery, onWatch, onOpenTx }) {
+    const [txid, setTxid] = useState('')
+    const [error, setError] = useState(null)
+    const [busy, setBusy] = useState(false)
+    const { transactions, counts } = watched
+
+    const submit = async (e) => {
+        e.preventDefault()
+        setError(null)
+        setBusy(true)
+        try {
+            await onWatch({ txid: txid.trim() })
+            setTxid('')
+        } catch (err) {
+            setError(err.message)
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    return (
+        <section className="watch-section">
+            <div className="section-header">
+                <h2 className="section-title">Watched Transactions</h2>
+                <div className="section-actions">
+                    <span className="transaction-count">
+                        {STATUSES.map(status => `${counts[status] || 0} ${status}`).join(' · ')}
+                    </span>
+                </div>
+            </div>
+
+            <form className="filter-bar" onSubmit={submit}>
+                <input
+                    className="filter-input watch-input"
+                    placeholder="Watch a transaction ID (0x...)"
+                    value={txid}
+                    onChange={e => setTxid(e.target.value)}
+                />
+                <button type="submit" className="filter-btn primary" disabled={busy || !txid.trim()}>
+                    {busy ? 'Adding...' : 'Watch'}
+                </button>
+                {error && <span className="function-error">{error}</span>}
+            </form>
+
+            {transactions.length === 0 ? (
+                <div className="chart-empty">
+                    Transactions submitted from the contract panel or added above are followed until they confirm, fail or drop.
+                </div>
+            ) : (
+                <div className="events-table-wrapper">
+                    <table className="events-table compact">
+                        <thead>
+                            <tr>
+                                <th>Transaction ID</th>
+                                <th>Function</th>
+                                <th>Watched</th>
+                                <th>Block</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {/* Transactions with a stored event open it in the drawer */}
+                            {transactions.map(tx => (
+                                <tr
+                                    key={tx.txid}
+                                    className={`${tx.eventId ? 'clickable-row' : ''} ${tx.status === 'dropped' ? 'orphaned-row' : ''}`}
+                                    onClick={tx.eventId ? () => onOpenTx(tx.txid) : undefined}
+                                >
+                                    <td onClick={e => e.stopPropagation()}>
+                                        <TxLink txid={tx.txid} explorerQuery={explorerQuery} />
+                                    </td>
+                                    <td>{tx.functionName ? <span className="method-badge">{tx.functionName}</span> : '—'}</td>
+                                    <td className="timestamp">{formatTime(tx.createdAt)}</td>
+                                    <td><span className="block-height">{tx.blockHeight ? `#${tx.blockHeight}` : '—'}</span></td>
+                                    <td>
+                                        <WatchStatusPill tx={tx} />
+                                        {tx.reason && <div className="watch-reason">{tx.reason}</div>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </section>
+    )
+}
+
+export default WatchedTransactions
@@ -0,0 +1,115 @@
+// Contract ABI argument types -> form inputs -> Clarity values
+import {
+    boolCV,
+    bufferCV,
+    hexToCV,
+    intCV,
+    noneCV,
+    principalCV,
+    someCV,
+    stringAsciiCV,
+    stringUtf8CV,
+    uintCV
+} from '@stacks/transactions'
+
+/**
+ * Clarity spelling of an ABI type, e.g. (optional (string-ascii 32))
+ */
+export function typeLabel(type) {
+    if (typeof type === 'string') {
+        return { uint128: 'uint', int128: 'int', trait_reference: 'trait' }[type] || type
+    }
+    if (type.optional) return `(optional ${typeLabel(type.optional)})`
+    if (type['string-ascii']) return `(string-ascii ${type['string-ascii'].length})`
+    if (type['string-utf8']) return `(string-utf8 ${type['string-utf8'].length})`
+    if (type.buffer) return `(buff ${type.buffer.length})`
+    if (type.list) return `(list ${type.list.length} ${typeLabel(type.list.type)})`
+    if (type.tuple) return `{${type.tuple.map(field => `${field.name}: ${typeLabel(field.type)}`).join(', ')}}`
+    if (type.response) return `(response ${typeLabel(type.response.ok)} ${typeLabel(type.response.error)})`
+    return JSON.stringify(type)
+}
+
+/**
+ * Kind of input a type is entered with
+ * Lists, tuples and other compound types are entered as serialized hex.
+ */
+export function inputKind(type) {
+    if (type === 'bool') return 'bool'
+    if (type === 'uint128' || type === 'int128' || type === 'principal') return 'text'
+    if (type?.['string-ascii'] || type?.['string-utf8'] || type?.buffer) return 'text'
+    // Optional values are typed in, empty meaning none
+    if (type?.optional) return inputKind(type.optional) === 'hex' ? 'hex' : 'text'
+    return 'hex'
+}
+
+/**
+ * Input placeholder for a type
+ */
+export function placeholder(type) {
+    if (type?.optional) return `${placeholder(type.optional)} - empty for none`
+    if (type === 'bool') return 'true or false'
+    if (type === 'uint128') return 'e.g. 100'
+    if (type === 'int128') return 'e.g. -5'
+    if (type === 'principal') return 'SP... or SP....contract-name'
+    if (type?.buffer) return '0x... hex, or text'
+    if (type?.['string-ascii'] || type?.['string-utf8']) return 'text'
+    return '0x... serialized Clarity value'
+}
+
+function invalid(name, message) {
+    return new Error(`${name}: ${message}`)
+}
+
+/**
+ * Clarity value for a form input
+ * Throws an Error naming the argument when the input doesn't fit its type.
+ */
+export function toClarityValue(type, raw, name = 'argument') {
+    const value = typeof raw === 'string' ? raw.trim() : raw
+
+    if (type?.optional) {
+        return value === '' || value === undefined ? noneCV() : someCV(toClarityValue(type.optional, value, name))
+    }
+    if (value === '' || value === undefined) throw invalid(name, 'required')
+
+    if (type === 'bool') return boolCV(value === true || value === 'true')
+    if (type === 'uint128') {
+        if (!/^\d+$/.test(value)) throw invalid(name, 'must be a non-negative integer')
+        return uintCV(BigInt(value))
+    }
+    if (type === 'int128') {
+        if (!/^-?\d+$/.test(value)) throw invalid(name, 'must be an integer')
+        return intCV(BigInt(value))
+    }
+    if (type === 'principal') {
+        try {
+            return principalCV(value)
+        } catch {
+            throw invalid(name, 'must be a Stacks address or contract principal')
+        }
+    }
+    if (type?.['string-ascii']) {
+        if (!/^[\x20-\x7e]*$/.test(value)) throw invalid(name, 'must be printable ASCII')
+        if (value.length > type['string-ascii'].length) throw invalid(name, `at most ${type['string-ascii'].length} characters`)
+        return stringAsciiCV(value)
+    }
+    if (type?.['string-utf8']) {
+        if (new TextEncoder().encode(value).length > type['string-utf8'].length) {
+            throw invalid(name, `at most ${type['string-utf8'].length} bytes`)
+        }
+        return stringUtf8CV(value)
+    }
+    if (type?.buffer) {
+        const bytes = /^0x([0-9a-f]{2})*$/i.test(value)
+            ? Uint8Array.from(value.slice(2).match(/../g) || [], byte => parseInt(byte, 16))
+            : new TextEncoder().encode(value)
+        if (bytes.length > type.buffer.length) throw invalid(name, `at most ${type.buffer.length} bytes`)
+        return bufferCV(bytes)
+    }
+
+    try {
+        return hexToCV(value)
+    } catch {
+        throw invalid(name, 'must be a hex-serialized Clarity value')
+    }
+}
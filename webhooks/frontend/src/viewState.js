@@ -0,0 +1,87 @@
+// Dashboard view state kept in the URL so filtered views can be shared
+
+export const PAGE_SIZES = [10, 25, 50, 100]
+export const DEFAULT_PAGE_SIZE = 25
+
+// Values a field takes when it's missing from the URL
+const DEFAULTS = {
+    q: '',
+    method: '',
+    status: '',
+    fromBlock: '',
+    toBlock: '',
+    sort: 'timestamp',
+    order: 'desc',
+    limit: String(DEFAULT_PAGE_SIZE),
+    cursor: '',
+    tx: '',
+    wallet: ''
+}
+
+// Transaction ids are 0x followed by 64 hex characters
+const TXID_PATTERN = /^(0x)?[0-9a-f]{64}$/i
+
+/**
+ * Current view from the URL query string
+ */
+export function readView(search = window.location.search) {
+    const params = new URLSearchParams(search)
+    return Object.fromEntries(Object.entries(DEFAULTS).map(([key, value]) => [key, params.get(key) ?? value]))
+}
+
+/**
+ * Query string for a view - fields at their default are left out
+ */
+export function viewToSearch(view) {
+    const params = new URLSearchParams()
+    for (const [key, value] of Object.entries(view)) {
+        if (key in DEFAULTS && value !== '' && value !== DEFAULTS[key]) params.set(key, value)
+    }
+    const search = params.toString()
+    return search ? `?${search}` : ''
+}
+
+/**
+ * True when any filter narrows the event list
+ */
+export function hasFilters(view) {
+    return ['q', 'method', 'status', 'fromBlock', 'toBlock'].some(key => view[key] !== '')
+}
+
+/**
+ * /events query parameters for a view
+ * The search box matches a transaction id when it looks like one, a sender otherwise.
+ */
+export function eventsQuery(view) {
+    const params = new URLSearchParams({
+        limit: view.limit,
+        sort: view.sort,
+        order: view.order,
+        includeOrphaned: 'true'
+    })
+    const q = view.q.trim()
+    if (q) {
+        if (TXID_PATTERN.test(q)) {
+            params.set('txid', q.startsWith('0x') ? q.toLowerCase() : `0x${q.toLowerCase()}`)
+        } else {
+            params.set('sender', q)
+        }
+    }
+    if (view.method) params.set('method', view.method)
+    if (view.status) params.set('success', String(view.status === 'success'))
+    if (view.fromBlock) params.set('fromBlock', view.fromBlock)
+    if (view.toBlock) params.set('toBlock', view.toBlock)
+    if (view.cursor) params.set('cursor', view.cursor)
+    return params
+}
+
+/**
+ * /events/export query parameters for a view - every matching event, not just this page
+ */
+export function exportQuery(view, format) {
+    const params = eventsQuery(view)
+    params.delete('limit')
+    params.delete('cursor')
+    params.set('format', format)
+    return params
+}